@@ -1,7 +1,13 @@
-from flask import Flask, send_from_directory, jsonify, request
+from flask import Flask, send_from_directory, jsonify, request, abort
 import os
+import copy
 import json
 import random
+import threading
+
+from provably_fair import valid_client_seed
+from server_engine import GameSession, js_sum
+from session_store import SessionStore
 
 app = Flask(__name__)
 # 设置根目录为当前文件所在目录
@@ -12,18 +18,34 @@ ROOT_DIR = os.path.dirname(os.path.abspath(__file__))
 # ---------------------------------------------------------
 # SVG_DEFS = { ... }
 
-# 权重默认值（可被 symbol-weights.json 覆盖）
-DEFAULT_WEIGHTS = {
-    "coin_1": 25,
-    "coin_stack": 10,
-    "coin_pile": 5,
-    "gem_1": 15,
-    "gem_many": 5,
-    "bomb_1": 15,
-    "bomb_atom": 5,
-    "card_item": 10,
-    "random_item": 5
-}
+# ---------------------------------------------------------
+#  默认值 (defaults.json，与前端共用，避免两边的生成器不一致)
+# ---------------------------------------------------------
+
+def load_defaults():
+    """
+    读取根目录下的 defaults.json（前端 js/defaults.js 读取同一份文件）
+    按配置文件名分组，例如 DEFAULTS['symbol-weights.json']['symbols']
+    """
+    with open(os.path.join(ROOT_DIR, 'defaults.json'), 'r', encoding='utf-8') as f:
+        return json.load(f)
+
+
+def merge_defaults(defaults, value):
+    """把配置合并到默认值上：对象逐字段合并（配置中的值优先），数组与其他值整体替换。"""
+    if value is None:
+        return copy.deepcopy(defaults)
+    if not isinstance(defaults, dict) or not isinstance(value, dict):
+        return value
+    merged = copy.deepcopy(defaults)
+    for key, child in value.items():
+        merged[key] = merge_defaults(defaults[key], child) if key in defaults else child
+    return merged
+
+
+DEFAULTS = load_defaults()
+DEFAULT_SYMBOLS = DEFAULTS['symbol-weights.json']['symbols']
+DEFAULT_STRIP_LENGTH = DEFAULTS['config.json']['reel_strip_length']
 
 # ---------------------------------------------------------
 #  老虎机核心逻辑 (Backend Logic)
@@ -42,23 +64,38 @@ def load_config():
         return None
 
 
-def load_symbol_weights():
-    """读取 symbol-weights.json，返回 {symbol: weight}；失败则回退默认值。"""
+def load_symbol_weight_data():
+    """读取 symbol-weights.json；文件缺失或无法解析时返回空字典（全部使用默认值）。"""
     weights_path = os.path.join(ROOT_DIR, 'symbol-weights.json')
-    data = None
     try:
         with open(weights_path, 'r', encoding='utf-8') as f:
             data = json.load(f)
     except FileNotFoundError:
-        return DEFAULT_WEIGHTS.copy()
+        return {}
     except Exception as e:
         print(f"Error: Failed to load symbol-weights.json: {e}")
-        return DEFAULT_WEIGHTS.copy()
+        return {}
+    return data if isinstance(data, dict) else {}
 
-    symbols = (data or {}).get('symbols', {})
-    merged = DEFAULT_WEIGHTS.copy()
 
-    # 允许只覆盖部分符号；未知符号也允许加入
+def symbol_configs_for_reel(data, reel_index=None):
+    """某个转轮生效的符号配置：默认符号配置合并全局 symbols，再合并该转轮 reels[reel_index].symbols。"""
+    symbols = data.get('symbols')
+    merged = merge_defaults(DEFAULT_SYMBOLS, symbols if isinstance(symbols, dict) else None)
+
+    reels = data.get('reels')
+    if reel_index is None or not isinstance(reels, list) or not 0 <= reel_index < len(reels):
+        return merged
+    per_reel = (reels[reel_index] or {}).get('symbols') if isinstance(reels[reel_index], dict) else None
+    for sym, cfg in (per_reel or {}).items():
+        if isinstance(cfg, dict):
+            merged[sym] = {**merged.get(sym, {}), **cfg}
+    return merged
+
+
+def weights_of(symbols):
+    """从符号配置中取出权重 {symbol: weight}（probability 优先于 weight，无效或为负的值忽略）。"""
+    weights = {}
     for sym, cfg in symbols.items():
         if not isinstance(cfg, dict):
             continue
@@ -69,23 +106,93 @@ def load_symbol_weights():
             continue
         if w < 0:
             continue
-        merged[sym] = w
+        weights[sym] = w
+    return weights
 
-    # 如果所有权重都为 0，则回退默认值，避免 random.choices 异常
-    if sum(float(v) for v in merged.values() if isinstance(v, (int, float))) <= 0:
-        return DEFAULT_WEIGHTS.copy()
 
+def load_symbol_weights(data=None, reel_index=None):
+    """返回某个转轮的权重 {symbol: weight}；所有权重都为 0 时回退 defaults.json 的权重。"""
+    if data is None:
+        data = load_symbol_weight_data()
+    merged = weights_of(symbol_configs_for_reel(data, reel_index))
+
+    # 如果所有权重都为 0，则回退默认值，避免 random.choices 异常
+    if sum(merged.values()) <= 0:
+        return weights_of(DEFAULT_SYMBOLS)
     return merged
 
-def generate_weighted_strip(length=6, bias_symbols=None, bomb_multiplier=1.0):
+
+def load_symbol_limits(data, reel_index=None):
+    """返回某个转轮的单个 strip 数量上限 {symbol: max_per_strip}。"""
+    limits = {}
+    for sym, cfg in symbol_configs_for_reel(data, reel_index).items():
+        try:
+            limit = int(cfg.get('max_per_strip'))
+        except (AttributeError, TypeError, ValueError):
+            continue
+        if limit >= 0:
+            limits[sym] = limit
+    return limits
+
+
+def load_fixed_strip(data, reel_index=None):
+    """返回 symbol-weights.json 的 strips 中该转轮的固定 strip；未配置或格式不正确时返回 None。"""
+    strips = data.get('strips')
+    if reel_index is None or not isinstance(strips, list) or not 0 <= reel_index < len(strips):
+        return None
+    strip = strips[reel_index]
+    if not isinstance(strip, list) or len(strip) < 3 or not all(isinstance(s, str) and s for s in strip):
+        return None
+    return list(strip)
+
+
+def weighted_choice(population, weights, rng=random):
+    """根据权重随机选择一个符号（与前端 weightedChoice 一致，权重为 0 的符号不会被选中）。"""
+    remaining = rng.random() * js_sum(weights)
+    for sym, w in zip(population, weights):
+        remaining -= w
+        if w > 0 and remaining <= 0:
+            return sym
+    # 兜底（浮点误差）返回最后一个权重为正的符号
+    positive = [sym for sym, w in zip(population, weights) if w > 0]
+    return positive[-1] if positive else population[-1]
+
+
+def enforce_strip_limits(strip, weights_map, limits, rng=random):
+    """超过数量上限的符号按权重重抽为其他未达上限的符号（与前端 enforceStripLimits 一致）。"""
+    counts = {}
+    for idx, sym in enumerate(strip):
+        counts[sym] = counts.get(sym, 0) + 1
+        if sym not in limits or counts[sym] <= limits[sym]:
+            continue
+        counts[sym] -= 1
+        population = [s for s in weights_map if s not in limits or counts.get(s, 0) < limits[s]]
+        if not population:
+            continue
+        replacement = weighted_choice(population, [weights_map[s] for s in population], rng)
+        strip[idx] = replacement
+        counts[replacement] = counts.get(replacement, 0) + 1
+
+
+def generate_weighted_strip(length=DEFAULT_STRIP_LENGTH, bias_symbols=None, bomb_multiplier=1.0, reel_index=None,
+                            weight_multipliers=None, rng=random):
     """
     生成一个转轮的符号列表
     :param length: 列表长度
     :param bias_symbols: 需要偏向的符号列表 (Rigging)，例如 ['coin_1', 'gem_1']
                          会把列表中每个符号各插入一次到strip中
     :param bomb_multiplier: 炸弹权重倍率
+    :param reel_index: 转轮索引（0 开始），用于选择该转轮的权重覆盖（reels）与固定 strip（strips）
+    :param weight_multipliers: 符号权重倍率 {symbol: factor}（卡片效果）
+    :param rng: 随机数来源（提供 random() 方法），服务器会话使用各自的 RNG
     """
-    weights_map = load_symbol_weights()
+    data = load_symbol_weight_data()
+    fixed_strip = load_fixed_strip(data, reel_index)
+    if fixed_strip:
+        return fixed_strip
+
+    weights_map = load_symbol_weights(data, reel_index)
+    limits = load_symbol_limits(data, reel_index)
 
     # 炸弹卡：对 bomb 类符号权重做倍率调整
     try:
@@ -99,21 +206,35 @@ def generate_weighted_strip(length=6, bias_symbols=None, bomb_multiplier=1.0):
             weights_map['bomb_1'] = float(weights_map['bomb_1']) * bm
         if 'bomb_atom' in weights_map:
             weights_map['bomb_atom'] = float(weights_map['bomb_atom']) * bm
+
+    # 卡片效果：按符号调整权重
+    for sym, factor in (weight_multipliers or {}).items():
+        try:
+            f = float(factor)
+        except (TypeError, ValueError):
+            continue
+        if sym in weights_map and f >= 0:
+            weights_map[sym] = weights_map[sym] * f
+
     population = list(weights_map.keys())
     weights = list(weights_map.values())
     
     # 1. 随机生成基础列表
-    strip = random.choices(population, weights=weights, k=length)
+    strip = [weighted_choice(population, weights, rng) for _ in range(length)]
+    enforce_strip_limits(strip, weights_map, limits, rng)
     
     # 2. 如果有偏向符号列表 (Rigging Logic)
     # 把 bias_symbols 中的每个符号，各替换到 strip 的一个随机位置
     if bias_symbols and len(bias_symbols) > 0:
         # 逐个插入偏向符号
         for bias_sym in bias_symbols:
+            # 已达数量上限的符号（如 scatter）不再插入
+            if bias_sym in limits and strip.count(bias_sym) >= limits[bias_sym]:
+                continue
             # 找出所有不在 bias_symbols 列表中的位置（避免覆盖已插入的偏向符号）
             available_indices = [i for i, sym in enumerate(strip) if sym not in bias_symbols]
             if available_indices:
-                replace_idx = random.choice(available_indices)
+                replace_idx = available_indices[int(rng.random() * len(available_indices))]
                 strip[replace_idx] = bias_sym
                 
     return strip
@@ -122,13 +243,70 @@ def generate_weighted_strip(length=6, bias_symbols=None, bomb_multiplier=1.0):
 def get_reel_strip_length():
     """从 config.json 获取每个转轮的图案数量（strip 长度）。"""
     config = load_config() or {}
-    length = config.get('reel_strip_length', 6)
+    length = config.get('reel_strip_length', DEFAULT_STRIP_LENGTH)
     try:
         length = int(length)
     except (TypeError, ValueError):
-        length = 6
+        length = DEFAULT_STRIP_LENGTH
     return max(3, length)
 
+# ---------------------------------------------------------
+#  服务器权威模式 (钱包、库存与 RNG 保存在服务器会话中)
+# ---------------------------------------------------------
+
+# 会话结算用到的配置文件（缺少的字段按 defaults.json 补全）
+GAME_CONFIG_FILES = ['config.json', 'symbol-values.json', 'card.json', 'ad.json', 'shop.json', 'character.json']
+
+# 会话数据库，可用环境变量 SLOT_SESSION_DB 指定其他路径；instance/ 目录与数据库文件不作为静态文件提供
+SESSION_DB_PATH = os.environ.get('SLOT_SESSION_DB', os.path.join(ROOT_DIR, 'instance', 'sessions.sqlite3'))
+SESSION_STORE = SessionStore(SESSION_DB_PATH)
+# 同一时间只处理一个会话操作，避免并发请求互相覆盖会话数据
+SESSION_LOCK = threading.Lock()
+
+
+def load_game_configs():
+    """读取会话结算用到的配置文件并合并默认值；文件缺失或无法解析时整份使用默认值。"""
+    configs = {}
+    for name in GAME_CONFIG_FILES:
+        try:
+            with open(os.path.join(ROOT_DIR, name), 'r', encoding='utf-8') as f:
+                data = json.load(f)
+        except (OSError, ValueError) as e:
+            print(f"Error: Failed to load {name}: {e}")
+            data = None
+        configs[name] = merge_defaults(DEFAULTS[name], data if isinstance(data, dict) else None)
+    return configs
+
+
+def open_session(data=None, client_seed=None):
+    """用当前配置创建会话对象；data 为数据库中保存的会话数据，client_seed 为新会话使用的 client seed"""
+    strip_length = get_reel_strip_length()
+
+    def generate_strip(**kwargs):
+        return generate_weighted_strip(length=strip_length, **kwargs)
+
+    return GameSession(load_game_configs(), DEFAULTS, generate_strip, data, client_seed)
+
+
+def session_action(session_id, action):
+    """
+    读取会话、执行操作并保存，返回操作结果与最新状态
+    :param action: 接收 GameSession、返回结果字典的函数
+    """
+    with SESSION_LOCK:
+        data = SESSION_STORE.load(session_id)
+        if data is None:
+            return jsonify({"ok": False, "reason": "NO_SESSION"}), 404
+        session = open_session(data)
+        result = action(session)
+        SESSION_STORE.save(session_id, session.to_dict())
+    return jsonify({**result, "state": session.state})
+
+
+def request_body():
+    body = request.get_json(silent=True)
+    return body if isinstance(body, dict) else {}
+
 # ---------------------------------------------------------
 #  Web Server Routes
 # ---------------------------------------------------------
@@ -149,7 +327,10 @@ def init_game():
         
     strip_length = get_reel_strip_length()
     # 生成对应数量的转轮，完全随机
-    reels = [generate_weighted_strip(length=strip_length, bomb_multiplier=bomb_multiplier) for _ in range(reel_count)]
+    reels = [
+        generate_weighted_strip(length=strip_length, bomb_multiplier=bomb_multiplier, reel_index=i)
+        for i in range(reel_count)
+    ]
     return jsonify({
         "reels": reels
     })
@@ -161,6 +342,7 @@ def generate_reel():
     Query Params:
     - bias_symbols: 偏向符号列表，逗号分隔 (可选)，例如 "coin_1,gem_1"
     - bomb_multiplier: 炸弹权重倍率 (可选)
+    - reel_index: 转轮索引，从 0 开始 (可选)，用于该转轮的权重覆盖与固定 strip
     """
     bias_symbols_raw = request.args.get('bias_symbols', '')
     # 解析逗号分隔的符号列表
@@ -171,11 +353,17 @@ def generate_reel():
     except ValueError:
         bomb_multiplier = 1.0
 
+    try:
+        reel_index = int(request.args['reel_index']) if 'reel_index' in request.args else None
+    except ValueError:
+        reel_index = None
+
     strip_length = get_reel_strip_length()
     strip = generate_weighted_strip(
         length=strip_length,
         bias_symbols=bias_symbols if bias_symbols else None,
         bomb_multiplier=bomb_multiplier,
+        reel_index=reel_index,
     )
     return jsonify({"strip": strip})
 
@@ -189,17 +377,120 @@ def get_ad_videos():
     files = [f for f in os.listdir(video_dir) if f.lower().endswith(('.mp4', '.webm', '.ogg'))]
     return jsonify(files)
 
+@app.route('/api/session', methods=['POST'])
+def create_session():
+    """
+    开始或恢复服务器会话
+    Body: { "sessionId": "...", "clientSeed": "..." }（均可选）；会话存在时恢复，并结算断线前未完成的旋转（interrupted）；
+    创建新会话时第一个种子对使用玩家的 clientSeed（省略时由服务器生成）
+    fair 为当前种子对的公开信息（server seed 的哈希、client seed 与下一次旋转的 nonce）
+    """
+    body = request_body()
+    session_id = body.get('sessionId')
+    client_seed = body.get('clientSeed')
+    if client_seed is not None and not valid_client_seed(client_seed):
+        return jsonify({"ok": False, "reason": "INVALID_CLIENT_SEED"}), 400
+    with SESSION_LOCK:
+        data = SESSION_STORE.load(session_id) if isinstance(session_id, str) else None
+        if data is None:
+            session_id = SESSION_STORE.new_id()
+        session = open_session(data, client_seed)
+        interrupted = session.finish_interrupted_spin()
+        SESSION_STORE.save(session_id, session.to_dict())
+    return jsonify({"ok": True, "sessionId": session_id, "state": session.state, "interrupted": interrupted,
+                    "fair": session.public_fair()})
+
+@app.route('/api/session/<session_id>/reset', methods=['POST'])
+def reset_session(session_id):
+    """开始新游戏：会话恢复全部初始状态"""
+    return session_action(session_id, lambda session: session.reset())
+
+@app.route('/api/session/<session_id>/spin', methods=['POST'])
+def start_spin(session_id):
+    """
+    开始旋转，返回各转轮的 strip 与速度
+    Body: { "bet": 5, "cards": [0, 2] }（cards 为使用的卡片在库存中的索引）
+    """
+    body = request_body()
+    cards = body.get('cards', [])
+    return session_action(session_id, lambda session: session.start_spin(body.get('bet'), cards))
+
+@app.route('/api/session/<session_id>/stop', methods=['POST'])
+def stop_reel(session_id):
+    """
+    停止第 N 个转轮（按顺序），返回停止位置与重新生成的下一个转轮
+    Body: { "reel": 0 }
+    """
+    reel = request_body().get('reel')
+    return session_action(session_id, lambda session: session.stop_reel(reel))
+
+@app.route('/api/session/<session_id>/exit', methods=['POST'])
+def exit_spin(session_id):
+    """旋转中按 EXIT：提前结算（逃跑卡）或中止本次旋转"""
+    return session_action(session_id, lambda session: session.exit_spin())
+
+@app.route('/api/session/<session_id>/settle', methods=['POST'])
+def settle_spin(session_id):
+    """所有转轮停止后结算，返回结算结果（outcome）"""
+    return session_action(session_id, lambda session: session.settle())
+
+@app.route('/api/session/<session_id>/seed', methods=['POST'])
+def rotate_seed(session_id):
+    """
+    公开当前 server seed（用于验证之前的旋转）并换用新的种子对
+    Body: { "clientSeed": "..." }（可选，省略时沿用当前的 client seed）
+    """
+    client_seed = request_body().get('clientSeed')
+    return session_action(session_id, lambda session: session.rotate_seed(client_seed))
+
+@app.route('/api/session/<session_id>/buy', methods=['POST'])
+def buy_item(session_id):
+    """
+    购买商店物品或升级 waiter
+    Body: { "item": "random_card" | "add_reel" | "ad_hack" | "waiter_upgrade" }
+    """
+    item = request_body().get('item')
+    return session_action(session_id, lambda session: session.buy(item))
+
+@app.route('/api/session/<session_id>/watch-ad', methods=['POST'])
+def watch_ad(session_id):
+    """开始观看广告，返回时长、奖励与领取奖励用的 token"""
+    return session_action(session_id, lambda session: session.start_ad())
+
+@app.route('/api/session/<session_id>/watch-ad/claim', methods=['POST'])
+def claim_ad(session_id):
+    """
+    广告播放完后领取奖励
+    Body: { "token": "..." }
+    """
+    token = request_body().get('token')
+    return session_action(session_id, lambda session: session.claim_ad(token))
+
 @app.route('/')
 def index():
     """主页路由"""
     return send_from_directory(ROOT_DIR, 'index.html')
 
+def is_private_path(path):
+    """
+    是否为不对外提供的文件：instance/ 目录与会话数据库（含钱包、RNG 状态与未公开的 server seed）
+    按规范化后的真实路径判断，./instance、js/../instance 与符号链接等写法同样拒绝
+    """
+    target = os.path.realpath(os.path.join(ROOT_DIR, path))
+    instance_dir = os.path.realpath(os.path.join(ROOT_DIR, 'instance'))
+    db_path = os.path.realpath(SESSION_DB_PATH)
+    # SQLite 的 -journal / -wal / -shm 文件与数据库一起保护
+    return (target == instance_dir or target.startswith(instance_dir + os.sep)
+            or target == db_path or target.startswith(db_path + '-'))
+
 @app.route('/<path:path>')
 def serve_static(path):
     """
     通用静态文件路由
     处理: config.json, js/*.js, css/*.css 等
     """
+    if is_private_path(path):
+        abort(404)
     return send_from_directory(ROOT_DIR, path)
 
 if __name__ == '__main__':
@@ -5,9 +5,17 @@
  * 游戏核心逻辑（转轮生成）已迁移到 reel-generator.js，
  * 使项目可以在 Netlify 等纯静态托管平台运行。
  * 
+ * 转轮与结算的来源由 createBackend() 统一选择：
+ * - local：前端 reel-generator.js 生成转轮，GameEngine 在浏览器中结算（默认）
+ * - server：Flask 后端（app.py）持有会话的钱包、卡片库存与 RNG，旋转、停止、结算、购买与广告
+ *   都由服务器返回权威结果（ServerBackend），前端只负责展示
+ * 
  * @module api
  */
 
+import { initGame, generateReel } from './reel-generator.js';
+import { newClientSeed } from './provably-fair.js';
+
 /**
  * 将 fetch Response 转换为 JSON，失败时抛出错误
  * @param {Response} response - fetch 响应对象
@@ -49,7 +57,142 @@ export const fetchCharacterConfig = () => fetch('character.json').then(toJson);
 /** 加载音频配置 */
 export const fetchMusicConfig = () => fetch('music.json').then(toJson);
 
+/** 加载符号权重（转轮生成由 reel-generator.js 自行加载，这里只用于启动时的配置检查） */
+export const fetchSymbolWeights = () => fetch('symbol-weights.json').then(toJson);
+
 /* ========== 游戏核心逻辑（前端实现） ========== */
 
 // 从 reel-generator.js 重新导出，保持 API 兼容性
-export { initGame, generateReel } from './reel-generator.js';
+export { initGame, generateReel, getSymbolOdds } from './reel-generator.js';
+
+/* ========== 服务器权威模式 ========== */
+
+// localStorage 中保存服务器会话 ID 的 key
+const SESSION_KEY = 'slot_server_session';
+
+/**
+ * 服务器会话的请求封装（app.py 的 /api/session 接口）
+ * 规则拒绝的操作返回 { ok: false, reason }，会话不存在等请求错误抛出异常；
+ * 每个会话接口的响应都附带最新的 state（字段与前端存档相同）
+ */
+export class ServerBackend {
+    constructor() {
+        this.mode = 'server';
+        this.sessionId = localStorage.getItem(SESSION_KEY);
+        this.fair = null;   // 打开会话时服务器公布的种子对 { serverSeedHash, clientSeed, nonce }
+    }
+
+    /**
+     * 向当前会话发送操作
+     * @param {string} action - 接口名，例如 'spin'、'watch-ad/claim'
+     * @param {Object} [body] - 请求体
+     * @returns {Promise<Object>}
+     */
+    post(action, body = {}) {
+        return fetch(`api/session/${this.sessionId}/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        }).then(toJson);
+    }
+
+    /**
+     * 开始或恢复会话（会话 ID 保存在 localStorage，刷新页面后继续同一会话）。
+     * 同时发送浏览器生成的 client seed，服务器创建新会话时用它组成第一个种子对（恢复的会话沿用原来的种子对）
+     * @returns {Promise<{sessionId: string, state: Object, interrupted: Object|null, fair: Object}>}
+     *          interrupted 为断线前未完成、由服务器补结算的旋转结果，fair 为当前种子对的公开信息
+     */
+    async openSession() {
+        const data = await fetch('api/session', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sessionId: this.sessionId, clientSeed: newClientSeed() })
+        }).then(toJson);
+        this.sessionId = data.sessionId;
+        this.fair = data.fair;
+        localStorage.setItem(SESSION_KEY, this.sessionId);
+        return data;
+    }
+
+    /** 开局展示用的转轮（与结果无关） */
+    initGame(reelCount = 3) {
+        return fetch(`api/init-game?reel_count=${reelCount}`).then(toJson);
+    }
+
+    /** 生成单个转轮（与结果无关，接口与 reel-generator.js 的 generateReel 相同） */
+    generateReel(biasSymbols = [], options = {}) {
+        const params = new URLSearchParams({ bias_symbols: biasSymbols.join(',') });
+        if (Number.isInteger(options.reelIndex)) params.set('reel_index', options.reelIndex);
+        return fetch(`api/generate-reel?${params}`).then(toJson);
+    }
+
+    /** 开始新游戏 */
+    resetSession() {
+        return this.post('reset');
+    }
+
+    /**
+     * 开始旋转
+     * @param {number} bet - 每线下注
+     * @param {number[]} cards - 使用的卡片（库存索引）
+     */
+    spin(bet, cards) {
+        return this.post('spin', { bet, cards });
+    }
+
+    /**
+     * 停止第 reel 个转轮
+     * @param {number} reel - 转轮索引（必须是下一个要停止的转轮）
+     */
+    stopReel(reel) {
+        return this.post('stop', { reel });
+    }
+
+    exitSpin() {
+        return this.post('exit');
+    }
+
+    settle() {
+        return this.post('settle');
+    }
+
+    /**
+     * 公开当前 server seed 并换用新的种子对
+     * @param {string} [clientSeed] - 新的 client seed；省略时沿用当前的
+     * @returns {Promise<{ok: boolean, revealed: Object, fair: Object}>} revealed 含公开的 serverSeed
+     */
+    rotateSeed(clientSeed) {
+        return this.post('seed', clientSeed ? { clientSeed } : {});
+    }
+
+    /**
+     * 购买商店物品或升级 waiter
+     * @param {string} item - 'random_card' | 'add_reel' | 'ad_hack' | 'waiter_upgrade'
+     */
+    buy(item) {
+        return this.post('buy', { item });
+    }
+
+    watchAd() {
+        return this.post('watch-ad');
+    }
+
+    /**
+     * 领取广告奖励
+     * @param {string} token - watchAd() 返回的 token
+     */
+    claimAd(token) {
+        return this.post('watch-ad/claim', { token });
+    }
+}
+
+/**
+ * 选择转轮与结算的来源：URL 参数 ?server=1 / ?server=0 优先于 config.json 的 server.enabled
+ * @param {Object} [serverConfig] - config.json 的 server
+ * @returns {{mode: 'local', initGame: Function, generateReel: Function}|ServerBackend}
+ */
+export function createBackend(serverConfig) {
+    const fromUrl = typeof window !== 'undefined' ? new URLSearchParams(window.location.search).get('server') : null;
+    const enabled = fromUrl !== null ? fromUrl === '1' : serverConfig?.enabled === true;
+    return enabled ? new ServerBackend() : { mode: 'local', initGame, generateReel };
+}
@@ -18,6 +18,7 @@ export default class AudioManager {
 
         this.bgmEnabled = true;
         this.bgmLocked = false; // BGM永久锁定标志
+        this.featureBgmId = null; // 功能回合（如免费旋转）BGM，播放期间不按金币切换
     }
 
     load() {
@@ -30,6 +31,15 @@ export default class AudioManager {
             this.bgmAudioMap.set(track.id, audio);
         });
 
+        Object.entries(this.config.feature_bgm || {}).forEach(([feature, src]) => {
+            if (!src) return;
+            const audio = new Audio(src);
+            audio.loop = true;
+            audio.preload = 'auto';
+            audio.volume = this.volumes.bgm;
+            this.bgmAudioMap.set(`feature:${feature}`, audio);
+        });
+
         Object.entries(this.sfxConfig).forEach(([key, value]) => {
             if (!value) return;
             if (Array.isArray(value)) {
@@ -51,7 +61,7 @@ export default class AudioManager {
     }
 
     updateBgmByCoins(coins) {
-        if (this.bgmLocked) return; // 如果BGM已锁定，不再切换
+        if (this.bgmLocked || this.featureBgmId) return; // 如果BGM已锁定或处于功能回合，不再切换
         if (!this.bgmTracks.length) return;
         const target = this.bgmTracks.find(t => coins >= (t.min_coins ?? 0) && coins < (t.max_coins ?? Number.POSITIVE_INFINITY))
             || this.bgmTracks[this.bgmTracks.length - 1];
@@ -176,6 +186,33 @@ export default class AudioManager {
         this.switchBgm('ending');
     }
 
+    /**
+     * 切换到功能回合专用BGM（未配置时保持当前BGM）
+     * @param {string} feature - 功能名，如 free_spins
+     */
+    playFeatureBgm(feature) {
+        const id = `feature:${feature}`;
+        if (this.bgmLocked || !this.bgmAudioMap.has(id) || this.currentBgmId === id) return;
+        this.featureBgmId = id;
+        this.switchBgm(id);
+    }
+
+    /**
+     * 结束功能回合BGM，恢复按金币切换
+     * @param {number} coins - 当前金币
+     */
+    stopFeatureBgm(coins) {
+        if (!this.featureBgmId) return;
+        this.featureBgmId = null;
+        this.currentBgmId = null;
+        if (!this.bgmLocked) this.updateBgmByCoins(coins);
+    }
+
+    // 解除结局锁定（开始新游戏时）
+    unlockBgm() {
+        this.bgmLocked = false;
+    }
+
     playEndingSfx() {
         this.resumeBgmIfNeeded();
         const tpl = this.sfxTemplates.get('ending');
@@ -0,0 +1,80 @@
+/**
+ * 自动旋转（Autoplay）
+ *
+ * 视图按 config.json 的 autoplay 配置连续旋转 N 次：每次按当前下注开始旋转，
+ * 再按随机间隔依次停止转轮，走与手动 SPIN / STOP 完全相同的状态机流程。
+ * 每次结算后检查停止条件，满足任意一条即停止：
+ * {
+ *   "spin_options": [10, 25, 50, 100],
+ *   "stop_interval_min": 300,
+ *   "stop_interval_max": 900,
+ *   "spin_delay": 600,
+ *   "stop_when": { "balance_below": 10, "single_win_above": 200, "gems_reached": 1000, "card_won": true, "ending": true }
+ * }
+ *
+ * stop_when 字段（null 或 false 表示不检查）：
+ * - balance_below:    结算后金币低于该值
+ * - single_win_above: 单次金币奖励高于该值
+ * - gems_reached:     宝石达到该值
+ * - card_won:         转轮抽中卡片
+ * - ending:           触发结局（由视图在显示结局时检查）
+ *
+ * @module autoplay
+ * @example
+ * const config = resolveAutoplayConfig(appConfig.autoplay);
+ * autoplayStopReason(config.stop_when, { coins: 4, gems: 0, outcome });
+ * // => 'LOW BALANCE'
+ */
+
+import { DEFAULTS } from './defaults.js';
+
+/** 未在 config.json 的 autoplay 中配置时使用的参数 */
+export const DEFAULT_AUTOPLAY = DEFAULTS['config.json'].autoplay;
+
+/**
+ * 合并配置与默认值
+ * @param {Object} [autoplay] - config.json 的 autoplay
+ * @returns {Object} 同 DEFAULT_AUTOPLAY；spin_options 只保留正整数
+ */
+export function resolveAutoplayConfig(autoplay) {
+    const config = { ...DEFAULT_AUTOPLAY, ...autoplay };
+    const options = Array.isArray(config.spin_options) ? config.spin_options : DEFAULT_AUTOPLAY.spin_options;
+    const min = Math.max(0, Number(config.stop_interval_min) || 0);
+    return {
+        ...config,
+        spin_options: options.filter(n => Number.isInteger(n) && n > 0),
+        stop_interval_min: min,
+        stop_interval_max: Math.max(min, Number(config.stop_interval_max) || 0),
+        spin_delay: Math.max(0, Number(config.spin_delay) || 0),
+        stop_when: { ...DEFAULT_AUTOPLAY.stop_when, ...autoplay?.stop_when }
+    };
+}
+
+/**
+ * 两次自动停止之间的随机间隔
+ * @param {Object} config - resolveAutoplayConfig() 的结果
+ * @param {function(): number} [rng=Math.random] - 返回 [0, 1) 的随机函数（不使用游戏 RNG，避免影响可复现的结果）
+ * @returns {number} 毫秒
+ */
+export function autoStopDelay(config, rng = Math.random) {
+    return config.stop_interval_min + rng() * (config.stop_interval_max - config.stop_interval_min);
+}
+
+/**
+ * 检查一次结算后是否应停止自动旋转
+ * @param {Object} stopWhen - resolveAutoplayConfig() 结果中的 stop_when
+ * @param {Object} ctx
+ * @param {number} ctx.coins - 结算后的金币
+ * @param {number} ctx.gems - 结算后的宝石
+ * @param {Object} ctx.outcome - GameEngine.settle() 的结果
+ * @returns {'LOW BALANCE'|'BIG WIN'|'GEMS REACHED'|'CARD WON'|null} 停止原因；继续时返回 null
+ */
+export function autoplayStopReason(stopWhen, { coins, gems, outcome }) {
+    const limit = (v) => (Number.isFinite(v) ? v : null);
+
+    if (limit(stopWhen.balance_below) !== null && coins < stopWhen.balance_below) return 'LOW BALANCE';
+    if (limit(stopWhen.single_win_above) !== null && outcome.reward.coins > stopWhen.single_win_above) return 'BIG WIN';
+    if (limit(stopWhen.gems_reached) !== null && gems >= stopWhen.gems_reached) return 'GEMS REACHED';
+    if (stopWhen.card_won && outcome.newCardType) return 'CARD WON';
+    return null;
+}
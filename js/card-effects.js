@@ -0,0 +1,150 @@
+/**
+ * 卡片效果注册表
+ *
+ * 卡片的行为由 card.json 中每张卡片的 effects 组合而成，例如：
+ * "slow":   { "effects": { "speed_multiplier": 0.5 }, "stackable": false }
+ * "double": { "effects": { "reward_multiplier": 2 } }
+ *
+ * 每种效果实现若干钩子（CARD_HOOKS），GameEngine 在对应时机依次调用：
+ * - beforeSpin     旋转开始前，调整本次扣除的下注 (cost, value, ctx) => cost
+ * - reelSpeed      转轮初速度 (speed, value, ctx) => speed
+ * - symbolWeights  符号权重倍率 (multipliers, value, ctx) => multipliers，key 为符号或符号类型
+ * - reward         奖励修正（下注倍率之前）(reward, value, ctx) => reward
+ * - loss           扣金币时的处理 (coins, value, ctx) => coins（coins 为负数）
+ * - settle         结算时返还的金币 (refund, value, ctx) => refund，卡片过载时同样生效
+ * - exit           旋转中按 EXIT 的行为 (action, value, ctx) => 'abort' | 'escape'
+ *
+ * stackable 为 false 的卡片同时选中多张时只生效一次。
+ *
+ * 需要全新行为时，用 registerCardEffect() 注册新效果，再在 card.json 中引用。
+ *
+ * @module card-effects
+ * @example
+ * registerCardEffect('bonus_gems', {
+ *     reward: (reward, value) => ({ ...reward, gems: reward.gems + value })
+ * });
+ */
+
+/** 支持的钩子 */
+export const CARD_HOOKS = ['beforeSpin', 'reelSpeed', 'symbolWeights', 'reward', 'loss', 'settle', 'exit'];
+
+// 效果名 → 钩子实现
+const registry = {};
+
+/**
+ * 注册一种卡片效果
+ * @param {string} name - 效果名（card.json effects 中的 key）
+ * @param {Object<string, Function>} hooks - 钩子实现，key 必须属于 CARD_HOOKS
+ * @throws {Error} 钩子名未知或不是函数时抛出
+ */
+export function registerCardEffect(name, hooks) {
+    Object.entries(hooks).forEach(([hook, fn]) => {
+        if (!CARD_HOOKS.includes(hook) || typeof fn !== 'function') {
+            throw new Error(`Card effect "${name}" has invalid hook "${hook}"`);
+        }
+    });
+    registry[name] = hooks;
+}
+
+/**
+ * 获取已注册的卡片效果
+ * @param {string} name - 效果名
+ * @returns {Object<string, Function>|null}
+ */
+export function getCardEffect(name) {
+    return registry[name] || null;
+}
+
+// ===================== 内置效果 =====================
+registerCardEffect('bet_cost_multiplier', {
+    beforeSpin: (cost, value) => cost * Number(value)
+});
+
+registerCardEffect('speed_multiplier', {
+    reelSpeed: (speed, value) => speed * Number(value)
+});
+
+registerCardEffect('symbol_weight_multiplier', {
+    symbolWeights: (multipliers, value) => {
+        const next = { ...multipliers };
+        Object.entries(value || {}).forEach(([key, factor]) => {
+            next[key] = (next[key] ?? 1) * Number(factor);
+        });
+        return next;
+    }
+});
+
+registerCardEffect('reward_multiplier', {
+    reward: (reward, value) => ({ ...reward, coins: reward.coins * Number(value), gems: reward.gems * Number(value) })
+});
+
+registerCardEffect('block_loss', {
+    // value 为抵消比例，1 表示完全抵消
+    loss: (coins, value) => coins * (1 - Math.min(1, Math.max(0, Number(value === true ? 1 : value))))
+});
+
+registerCardEffect('refund_bet', {
+    // value 为返还下注的比例，true 等同于 1
+    settle: (refund, value, ctx) => refund + ctx.bet * Number(value === true ? 1 : value)
+});
+
+registerCardEffect('early_settle', {
+    exit: (action, value) => (value ? 'escape' : action)
+});
+
+/**
+ * 旧版 card.json（没有 effects 字段）中内置卡片的效果
+ */
+export const LEGACY_CARD_EFFECTS = {
+    slow: { effects: { speed_multiplier: 0.5 }, stackable: false },
+    double: { effects: { reward_multiplier: 2 } },
+    bomb: { effects: { symbol_weight_multiplier: { bomb: 2 } }, stackable: false },
+    cashout: { effects: { refund_bet: 1 } },
+    escape: { effects: { early_settle: true } },
+    shield: { effects: { block_loss: 1 } }
+};
+
+/**
+ * 把卡片类型列表解析为按顺序执行的效果列表
+ * @param {string[]} cardTypes - 本次使用的卡片类型
+ * @param {Object} cardDefs - 卡片定义（card.json 的 cards）
+ * @returns {{cardType: string, name: string, value: *, hooks: Object}[]}
+ */
+export function resolveCardEffects(cardTypes, cardDefs = {}) {
+    const seen = new Set();
+    const resolved = [];
+
+    cardTypes.forEach(cardType => {
+        const def = cardDefs[cardType]?.effects ? cardDefs[cardType] : LEGACY_CARD_EFFECTS[cardType];
+        if (!def?.effects) return;
+
+        // 不可叠加的卡片只生效一次
+        if (def.stackable === false && seen.has(cardType)) return;
+        seen.add(cardType);
+
+        Object.entries(def.effects).forEach(([name, value]) => {
+            const hooks = getCardEffect(name);
+            if (!hooks) {
+                console.warn(`Unknown card effect "${name}" on card "${cardType}"`);
+                return;
+            }
+            resolved.push({ cardType, name, value, hooks });
+        });
+    });
+    return resolved;
+}
+
+/**
+ * 依次执行效果列表中的某个钩子
+ * @param {Object[]} effects - resolveCardEffects() 的结果
+ * @param {string} hook - 钩子名
+ * @param {*} initial - 初始值
+ * @param {Object} [ctx] - 上下文（bet、engine 等）
+ * @returns {*} 所有效果作用后的值
+ */
+export function runCardHook(effects, hook, initial, ctx = {}) {
+    return effects.reduce((value, effect) => {
+        const fn = effect.hooks[hook];
+        return fn ? fn(value, effect.value, ctx) : value;
+    }, initial);
+}
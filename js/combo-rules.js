@@ -0,0 +1,185 @@
+/**
+ * 组合规则（Combo Rules）
+ *
+ * 把「同类连线 ×2、完全一致 ×3、炸弹连线固定奖励」等结算规则描述为数据，
+ * 配置在 symbol-values.json 的 combos 数组中，按顺序匹配，第一条命中的规则生效。
+ *
+ * 规则格式：
+ * {
+ *   "id": "coin_exact",                          // 规则标识（结算结果中返回）
+ *   "match": { "type": "coin", "exact": true },  // 匹配条件
+ *   "coins_multiplier": 3,                       // 基础金币（各符号 coins 之和）倍率
+ *   "gems_multiplier": 1,                        // 基础宝石倍率
+ *   "coins": 888,                                // 固定金币（设置后替代基础金币）
+ *   "gems": 5,                                   // 固定宝石（设置后替代基础宝石）
+ *   "outcome": "restart",                        // 特殊结果，见 COMBO_OUTCOMES
+ *   "feature": "free_spins"                      // 触发的功能（如免费旋转）
+ * }
+ *
+ * match 字段（均可省略，省略表示不限制）：
+ * - type:   参与匹配的符号都属于该类型；"*" 表示任意但相同的类型
+ * - symbol: 参与匹配的符号都是该符号
+ * - exact:  参与匹配的符号完全相同
+ * - count:  至少多少个转轮满足条件即可（默认全部转轮）
+ *
+ * 特殊符号类型：
+ * - wild：在组合匹配时替代线上任意可替代类型的符号（substitutes，默认 coin/gem），取奖励最高的替代方式；
+ *   整条线都是 wild 时不匹配带 feature 的规则（见 game-engine.js 的 calculateReward）
+ * - scatter：不按赔付线，按整个屏幕上出现的数量结算（pays），可触发特殊功能（feature）
+ *
+ * @module combo-rules
+ * @example
+ * const combo = evaluateCombos(['coin_1', 'coin_1', 'coin_1'], symbols, combos);
+ * // => { id: 'coin_exact', coins: 45, gems: 0, outcome: null }
+ */
+
+import { DEFAULTS } from './defaults.js';
+
+/** wild 未配置 substitutes 时可替代的符号类型 */
+export const DEFAULT_WILD_SUBSTITUTES = ['coin', 'gem'];
+
+/** 支持的特殊结果 */
+export const COMBO_OUTCOMES = ['restart'];
+
+/** 未配置 combos 时使用的默认规则（来自 defaults.json） */
+export const DEFAULT_COMBOS = DEFAULTS['symbol-values.json'].combos;
+
+/**
+ * 筛选满足条件的符号，并按「相同」的要求分组
+ * @param {Object} match - 规则的 match
+ * @param {string[]} symbols - 转轮结果
+ * @param {Object} symbolMap - 符号数值表
+ * @returns {string[][]} 候选分组：每组为满足条件的符号列表
+ */
+function groupCandidates(match, symbols, symbolMap) {
+    const fits = symbols.filter(s => {
+        const type = symbolMap[s]?.type;
+        if (!type) return false;
+        if (match.symbol && s !== match.symbol) return false;
+        if (match.type && match.type !== '*' && type !== match.type) return false;
+        return true;
+    });
+
+    // exact 按符号分组，"*" 按类型分组，使「相同」的判断只在组内进行
+    const keyOf = match.exact ? (s => s) : match.type === '*' ? (s => symbolMap[s].type) : null;
+    if (!keyOf) return [fits];
+
+    const groups = {};
+    fits.forEach(s => {
+        (groups[keyOf(s)] ||= []).push(s);
+    });
+    return Object.values(groups);
+}
+
+/**
+ * 判断规则是否命中
+ * @param {Object} rule - 组合规则
+ * @param {string[]} symbols - 转轮结果
+ * @param {Object} symbolMap - 符号数值表
+ * @returns {boolean}
+ */
+export function matchCombo(rule, symbols, symbolMap) {
+    const match = rule?.match;
+    if (!match || typeof match !== 'object' || symbols.length === 0) return false;
+
+    const required = Number.isInteger(match.count) && match.count > 0 ? match.count : symbols.length;
+    return groupCandidates(match, symbols, symbolMap).some(group => group.length >= required);
+}
+
+/**
+ * 按顺序匹配组合规则，返回第一条命中规则作用后的奖励
+ * @param {string[]} symbols - 转轮结果
+ * @param {Object} symbolMap - 符号数值表
+ * @param {Object[]} [combos=DEFAULT_COMBOS] - 组合规则列表
+ * @param {{coins: number, gems: number}} [base] - 基础奖励（各符号数值之和）
+ * @returns {{id: string|null, coins: number, gems: number, outcome: string|null, feature: string|null}} 未命中时 id 为 null，奖励为基础奖励
+ */
+export function evaluateCombos(symbols, symbolMap, combos = DEFAULT_COMBOS, base = null) {
+    const baseReward = base || symbols.reduce((acc, s) => {
+        const data = symbolMap[s];
+        if (data && data.type !== 'card') {
+            acc.coins += Number(data.coins || 0);
+            acc.gems += Number(data.gems || 0);
+        }
+        return acc;
+    }, { coins: 0, gems: 0 });
+
+    const rule = (Array.isArray(combos) ? combos : DEFAULT_COMBOS).find(r => matchCombo(r, symbols, symbolMap));
+    if (!rule) return { id: null, coins: baseReward.coins, gems: baseReward.gems, outcome: null, feature: null };
+
+    const coins = rule.coins !== undefined
+        ? Number(rule.coins)
+        : baseReward.coins * Number(rule.coins_multiplier ?? 1);
+    const gems = rule.gems !== undefined
+        ? Number(rule.gems)
+        : baseReward.gems * Number(rule.gems_multiplier ?? 1);
+
+    return {
+        id: rule.id ?? null,
+        coins,
+        gems,
+        outcome: COMBO_OUTCOMES.includes(rule.outcome) ? rule.outcome : null,
+        feature: rule.feature ?? null
+    };
+}
+
+/**
+ * 列出一条线上 wild 符号所有可能的替代结果
+ * 同一条线上的 wild 统一替代为同一个符号；第一项始终为不替代的原始结果
+ * @param {string[]} symbols - 线上的符号
+ * @param {Object} symbolMap - 符号数值表
+ * @returns {string[][]} 候选符号列表
+ */
+export function wildSubstitutions(symbols, symbolMap) {
+    const isWild = (s) => symbolMap[s]?.type === 'wild';
+    if (!symbols.some(isWild)) return [symbols];
+
+    const canSubstitute = (wild, sym) => {
+        const types = symbolMap[wild].substitutes ?? DEFAULT_WILD_SUBSTITUTES;
+        return types.includes(symbolMap[sym]?.type);
+    };
+    const substitutable = (sym) => symbols.some(s => isWild(s) && canSubstitute(s, sym));
+
+    // 候选为线上的非 wild 符号；整条线都是 wild 时，尝试所有可替代的符号
+    let candidates = [...new Set(symbols.filter(s => !isWild(s) && substitutable(s)))];
+    if (!symbols.some(s => !isWild(s))) {
+        candidates = Object.keys(symbolMap).filter(s => !isWild(s) && substitutable(s));
+    }
+
+    return [
+        symbols,
+        ...candidates.map(candidate => symbols.map(s => (isWild(s) && canSubstitute(s, candidate) ? candidate : s)))
+    ];
+}
+
+/**
+ * 结算屏幕上的 scatter 符号（与赔付线无关）
+ * pays 的 key 为出现数量，取不超过实际数量的最大一档
+ * @param {string[]} screenSymbols - 屏幕上参与结算的全部符号
+ * @param {Object} symbolMap - 符号数值表
+ * @returns {{symbol: string, count: number, coins: number, gems: number, feature: string|null}[]} 只包含达到奖励档位的 scatter
+ */
+export function evaluateScatters(screenSymbols, symbolMap) {
+    const counts = {};
+    screenSymbols.forEach(s => {
+        if (symbolMap[s]?.type === 'scatter') counts[s] = (counts[s] || 0) + 1;
+    });
+
+    return Object.entries(counts).map(([symbol, count]) => {
+        const pays = symbolMap[symbol].pays || {};
+        const tier = Object.keys(pays)
+            .map(Number)
+            .filter(n => Number.isInteger(n) && n <= count)
+            .sort((a, b) => b - a)[0];
+        if (tier === undefined) return null;
+
+        const pay = pays[tier];
+        return {
+            symbol,
+            count,
+            coins: Number(pay.coins || 0),
+            gems: Number(pay.gems || 0),
+            feature: pay.feature ?? null
+        };
+    }).filter(Boolean);
+}
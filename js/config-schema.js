@@ -0,0 +1,481 @@
+/**
+ * 配置文件 Schema 校验
+ *
+ * 为每个 JSON 配置文件描述允许的字段、类型与取值范围，并做跨文件检查：
+ * - symbol-weights.json 中的每个符号都要在 symbol-values.json 中有数值、在 asset.json 中有转轮图片
+ * - 组合规则、揭示池、Rigging 档位引用的符号 / 类型 / 功能必须存在
+ * - card.json 中的每张卡片都要有可用的 effects（或是内置卡片），效果名必须已注册
+ *
+ * defaults.json 中各文件的默认值按同样的 schema 检查；跨文件检查针对补全默认值后的配置，即游戏实际使用的内容。
+ *
+ * 校验结果是问题列表 {file, path, message}，由 script.js 在开发用的覆盖层中逐条列出。
+ * 以 "_" 开头的字段（_comment、_help 等说明）不做检查；其余未知字段视为拼写错误。
+ *
+ * Schema 格式（JSON Schema 的简化子集）：
+ * - type:        'number' | 'integer' | 'string' | 'boolean' | 'array' | 'object'，可写成数组表示多种类型
+ * - nullable:    允许 null
+ * - enum:        允许的取值
+ * - min / max / exclusiveMin: 数值范围
+ * - minLength:   字符串的最少字符数
+ * - items / minItems:         数组元素的 schema 与最少元素数
+ * - properties / required:    对象的已知字段与必填字段
+ * - values / keyPattern:      字典（任意 key）的值 schema 与 key 格式
+ * - oneOf:       满足其中任意一个 schema 即可
+ *
+ * @module config-schema
+ * @example
+ * const problems = validateConfigs({ 'config.json': config, 'symbol-values.json': symbolValues });
+ * // => [{ file: 'config.json', path: 'bets.levels[1]', message: 'expected number, got string' }]
+ */
+
+import { DEFAULT_FEATURES, GAMBLE_PICKS, LOSS_SCALING, MAX_REELS, MIN_REELS } from './game-engine.js';
+import { COMBO_OUTCOMES } from './combo-rules.js';
+import { getCardEffect, LEGACY_CARD_EFFECTS } from './card-effects.js';
+import { DEFAULT_RIGGING_PROFILES } from './rigging.js';
+import { DEFAULTS, withDefaults } from './defaults.js';
+
+/** 支持的符号类型 */
+export const SYMBOL_TYPES = ['coin', 'gem', 'bomb', 'card', 'random', 'wild', 'scatter'];
+
+// ===================== Schema 简写 =====================
+const num = (opts = {}) => ({ type: 'number', ...opts });
+const int = (opts = {}) => ({ type: 'integer', ...opts });
+const str = (opts = {}) => ({ type: 'string', ...opts });
+const bool = { type: 'boolean' };
+const any = {};
+const nullable = (schema) => ({ ...schema, nullable: true });
+const arrayOf = (items, opts = {}) => ({ type: 'array', items, ...opts });
+const mapOf = (values, opts = {}) => ({ type: 'object', values, ...opts });
+const object = (properties, opts = {}) => ({ type: 'object', properties, ...opts });
+const oneOf = (...schemas) => ({ oneOf: schemas });
+
+const percent = num({ min: 0, max: 1 });
+const paylineRows = arrayOf(int({ min: 0 }));
+const symbolWeight = object({ weight: num({ min: 0 }), probability: num({ min: 0 }), max_per_strip: int({ min: 0 }) });
+const characterPose = object({ scale: num({ exclusiveMin: 0 }), idle_x_px: num(), idle_y_px: num(), spin_x_px: num() });
+// autoplay.stop_when：null 或 false 表示不检查
+const stopLimit = nullable({ type: ['number', 'boolean'] });
+
+/** 每个配置文件的 schema */
+export const CONFIG_SCHEMAS = {
+    'config.json': object({
+        scroll_speed: num({ min: 0 }),
+        tension: num({ min: 0 }),
+        friction: percent,
+        item_height: int({ min: 1 }),
+        visible_height: int({ min: 1 }),
+        reel_count: int({ min: MIN_REELS, max: MAX_REELS }),
+        reel_strip_length: int({ min: 3 }),
+        symbol_list: arrayOf(str()),
+        led_total_count: int({ min: 0 }),
+        rng_seed: nullable({ type: ['number', 'string'] }),
+        grid_rows: int({ min: 1 }),
+        paylines: arrayOf(object({ id: str(), rows: oneOf(paylineRows, mapOf(paylineRows, { keyPattern: /^\d+$/ })) }, { required: ['rows'] })),
+        hold: object({
+            enabled: bool,
+            cost_per_reel: num({ min: 0 }),
+            max_held: int({ min: 0 }),
+            nudge_cost: num({ min: 0 }),
+            max_nudges: int({ min: 0 })
+        }),
+        skill_stop: object({
+            enabled: bool,
+            perfect_window: percent,
+            good_window: percent,
+            perfect_coins: num({ min: 0 }),
+            perfect_multiplier: num({ min: 0 })
+        }),
+        rigging: object({
+            profile: str(),
+            profiles: mapOf(object({
+                enabled: bool,
+                copies: int({ min: 1 }),
+                chance: percent,
+                eligible_types: nullable(arrayOf(str({ enum: SYMBOL_TYPES }))),
+                balance_full_below: nullable(num()),
+                balance_none_above: nullable(num())
+            }))
+        }),
+        bets: object({
+            levels: arrayOf(num({ exclusiveMin: 0 }), { minItems: 1 }),
+            default: num({ exclusiveMin: 0 }),
+            base: num({ exclusiveMin: 0 }),
+            min: nullable(num()),
+            max: nullable(num()),
+            loss_scaling: str({ enum: Object.keys(LOSS_SCALING) })
+        }),
+        gamble: object({
+            enabled: bool,
+            max_rounds: int({ min: 0 }),
+            max_win: num({ min: 0 }),
+            modes: arrayOf(str({ enum: [...new Set(Object.values(GAMBLE_PICKS))] }))
+        }),
+        autoplay: object({
+            spin_options: arrayOf(int({ min: 1 }), { minItems: 1 }),
+            stop_interval_min: num({ min: 0 }),
+            stop_interval_max: num({ min: 0 }),
+            spin_delay: num({ min: 0 }),
+            stop_when: object({
+                balance_below: stopLimit,
+                single_win_above: stopLimit,
+                gems_reached: stopLimit,
+                card_won: bool,
+                ending: bool
+            })
+        }),
+        turbo: object({
+            speed_multiplier: num({ exclusiveMin: 0 }),
+            tension: num({ min: 0 }),
+            friction: percent,
+            settle_delay: num({ min: 0 }),
+            autoplay_interval_scale: num({ min: 0 })
+        }),
+        stop_all: object({ enabled: bool, hold_ms: num({ min: 0 }), interval_ms: num({ min: 0 }) }),
+        debug_readout: bool,
+        server: object({ enabled: bool })
+    }),
+
+    'asset.json': object({
+        base_paths: object({ reel: str(), card: str(), ad: str(), character: str() }),
+        reel_images: mapOf(str({ minLength: 1 })),
+        card_images: mapOf(str({ minLength: 1 })),
+        character_images: mapOf(str({ minLength: 1 })),
+        ad_videos: arrayOf(str({ minLength: 1 })),
+        说明: any
+    }),
+
+    'symbol-values.json': object({
+        symbols: mapOf(object({
+            type: str({ enum: SYMBOL_TYPES }),
+            coins: num(),
+            gems: num(),
+            substitutes: arrayOf(str({ enum: SYMBOL_TYPES })),
+            pays: mapOf(object({ coins: num(), gems: num(), feature: str() }), { keyPattern: /^\d+$/ }),
+            reveal: mapOf(num({ min: 0 }))
+        }, { required: ['type'] })),
+        features: object({
+            free_spins: object({ spins: int({ min: 0 }), multiplier: num({ min: 0 }), retrigger: bool }),
+            progressive_jackpot: object({ enabled: bool, seed: num({ min: 0 }), contribution: percent })
+        }),
+        combos: arrayOf(object({
+            id: str({ minLength: 1 }),
+            match: object({ type: str(), symbol: str(), exact: bool, count: int({ min: 1 }) }),
+            coins_multiplier: num(),
+            gems_multiplier: num(),
+            coins: num(),
+            gems: num(),
+            outcome: str({ enum: COMBO_OUTCOMES }),
+            feature: str()
+        }, { required: ['id', 'match'] }))
+    }, { required: ['symbols'] }),
+
+    'symbol-weights.json': object({
+        symbols: mapOf(symbolWeight),
+        reels: arrayOf(nullable(object({ symbols: mapOf(symbolWeight) }))),
+        strips: arrayOf(nullable(arrayOf(str({ minLength: 1 }), { minItems: 3 })))
+    }),
+
+    'card.json': object({
+        defaults: object({ font_family: str(), font_size_px: num({ exclusiveMin: 0 }) }),
+        cards: mapOf(object({
+            name: str(),
+            description: str(),
+            probability: num({ min: 0 }),
+            effects: mapOf(any),
+            stackable: bool,
+            icon_path: str(),
+            font_family: str(),
+            font_size_px: num({ exclusiveMin: 0 })
+        }))
+    }, { required: ['cards'] }),
+
+    'anime.json': object({
+        shake: object({
+            reel_lock_intensity: num({ min: 0 }),
+            reel_lock_duration_ms: num({ min: 0 }),
+            all_lock_intensity: num({ min: 0 }),
+            all_lock_duration_ms: num({ min: 0 })
+        }),
+        glow: object({ reel_lock_color: str(), all_lock_color: str(), jackpot_color: str() }),
+        particles: object({
+            coin_scale: num({ min: 0 }),
+            gem_scale: num({ min: 0 }),
+            spark_scale: num({ min: 0 }),
+            gravity: num(),
+            launch_speed_min: num({ min: 0 }),
+            launch_speed_max: num({ min: 0 }),
+            horizontal_spread: num({ min: 0 }),
+            fade_out_y: num()
+        }),
+        launcher: object({ width_px: num({ min: 0 }), height_px: num({ min: 0 }) })
+    }),
+
+    'ad.json': object({
+        ad_coin: num({ min: 0 }),
+        ad_sec: num({ min: 0 }),
+        ad_hack_sec: num({ min: 0 }),
+        ad_hack_coin_multiplier: num({ min: 0 })
+    }),
+
+    'shop.json': object({
+        items: arrayOf(object({
+            id: str({ enum: ['random_card', 'add_reel', 'ad_hack'] }),
+            name: str(),
+            icon: str(),
+            desc: str(),
+            cost: num({ min: 0 }),
+            currency: str({ enum: ['gems'] }),
+            effect: str()
+        }, { required: ['id'] }))
+    }),
+
+    'character.json': object({
+        waiter_upgrade_costs: arrayOf(num({ min: 0 })),
+        boss: characterPose,
+        waiter: characterPose
+    }),
+
+    'music.json': object({
+        volumes: object({ bgm: num({ min: 0 }), sfx: num({ min: 0 }), voice: num({ min: 0 }) }),
+        bgm: arrayOf(object({ id: str(), min_coins: num(), max_coins: num(), src: str({ minLength: 1 }) }, { required: ['src'] })),
+        feature_bgm: mapOf(str({ minLength: 1 })),
+        sfx: mapOf(oneOf(str({ minLength: 1 }), arrayOf(str({ minLength: 1 }), { minItems: 1 })))
+    })
+};
+
+// ===================== 校验 =====================
+/**
+ * 值的类型名（与 schema 的 type 对应）
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isFinite(value) ? 'number' : 'non-finite number';
+    return typeof value;
+}
+
+/**
+ * 拼接字段路径，例如 symbols.coin_1、bets.levels[2]
+ * @param {string} path - 上级路径
+ * @param {string|number} key - 字段名或数组下标
+ * @returns {string}
+ */
+function joinPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * 按 schema 校验一个值，问题追加到 problems
+ * @param {*} value - 要校验的值
+ * @param {Object} schema - schema
+ * @param {string} path - 值所在的路径
+ * @param {{path: string, message: string}[]} problems - 问题列表（原地追加）
+ */
+export function validateValue(value, schema, path, problems) {
+    if (value === null && schema.nullable) return;
+
+    if (schema.oneOf) {
+        const matched = schema.oneOf.some(option => {
+            const attempt = [];
+            validateValue(value, option, path, attempt);
+            return attempt.length === 0;
+        });
+        if (!matched) problems.push({ path, message: `does not match any allowed form (got ${typeOf(value)})` });
+        return;
+    }
+
+    const actual = typeOf(value);
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const fits = types.some(type => (type === 'integer' ? Number.isInteger(value) : type === actual));
+        if (!fits) {
+            problems.push({ path, message: `expected ${types.join(' or ')}${schema.nullable ? ' or null' : ''}, got ${actual}` });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        problems.push({ path, message: `"${value}" is not one of ${schema.enum.join(', ')}` });
+    }
+    if (actual === 'number') {
+        if (schema.min !== undefined && value < schema.min) problems.push({ path, message: `must be at least ${schema.min}, got ${value}` });
+        if (schema.max !== undefined && value > schema.max) problems.push({ path, message: `must be at most ${schema.max}, got ${value}` });
+        if (schema.exclusiveMin !== undefined && value <= schema.exclusiveMin) {
+            problems.push({ path, message: `must be greater than ${schema.exclusiveMin}, got ${value}` });
+        }
+    }
+    if (actual === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        problems.push({ path, message: 'must not be empty' });
+    }
+
+    if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            problems.push({ path, message: `needs at least ${schema.minItems} item(s), got ${value.length}` });
+        }
+        if (schema.items) value.forEach((item, i) => validateValue(item, schema.items, joinPath(path, i), problems));
+    }
+
+    if (actual === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) problems.push({ path: joinPath(path, key), message: 'is required' });
+        });
+        Object.entries(value).forEach(([key, child]) => {
+            if (key.startsWith('_')) return;
+            const childPath = joinPath(path, key);
+            if (schema.properties?.[key]) {
+                validateValue(child, schema.properties[key], childPath, problems);
+            } else if (schema.values) {
+                if (schema.keyPattern && !schema.keyPattern.test(key)) {
+                    problems.push({ path: childPath, message: `key "${key}" does not match ${schema.keyPattern}` });
+                    return;
+                }
+                validateValue(child, schema.values, childPath, problems);
+            } else if (schema.properties) {
+                problems.push({ path: childPath, message: 'unknown key (typo?)' });
+            }
+        });
+    }
+}
+
+/**
+ * 跨文件检查：符号、图片、组合规则、卡片效果之间的引用
+ * @param {Object<string, Object>} configs - 文件名 → 解析后的内容；缺失的文件跳过相关检查
+ * @returns {{file: string, path: string, message: string}[]}
+ */
+export function crossCheckConfigs(configs) {
+    const problems = [];
+    const report = (file, path, message) => problems.push({ file, path, message });
+
+    const values = configs['symbol-values.json'];
+    const weights = configs['symbol-weights.json'];
+    const assets = configs['asset.json'];
+    const cards = configs['card.json'];
+    const config = configs['config.json'];
+    const music = configs['music.json'];
+
+    const symbolMap = values?.symbols && typeof values.symbols === 'object' ? values.symbols : null;
+    const reelImages = assets?.reel_images || {};
+    const features = Object.keys(DEFAULT_FEATURES);
+
+    const checkFeature = (file, path, feature) => {
+        if (feature !== undefined && !features.includes(feature)) {
+            report(file, path, `unknown feature "${feature}" (supported: ${features.join(', ')})`);
+        }
+    };
+
+    // symbol-weights.json 中出现的符号：需要数值与图片
+    if (weights) {
+        const used = [];
+        Object.keys(weights.symbols || {}).forEach(sym => used.push([`symbols.${sym}`, sym]));
+        (Array.isArray(weights.reels) ? weights.reels : []).forEach((reel, i) => {
+            Object.keys(reel?.symbols || {}).forEach(sym => used.push([`reels[${i}].symbols.${sym}`, sym]));
+        });
+        (Array.isArray(weights.strips) ? weights.strips : []).forEach((strip, i) => {
+            (Array.isArray(strip) ? strip : []).forEach((sym, j) => used.push([`strips[${i}][${j}]`, sym]));
+        });
+
+        used.forEach(([path, sym]) => {
+            if (symbolMap && !symbolMap[sym]) report('symbol-weights.json', path, `symbol "${sym}" has no entry in symbol-values.json`);
+            if (assets && !reelImages[sym]) report('symbol-weights.json', path, `symbol "${sym}" has no reel_images entry in asset.json`);
+        });
+    }
+
+    if (symbolMap) {
+        Object.entries(symbolMap).forEach(([sym, data]) => {
+            if (assets && !reelImages[sym]) report('symbol-values.json', `symbols.${sym}`, `symbol "${sym}" has no reel_images entry in asset.json`);
+            Object.keys(data?.reveal || {}).forEach(target => {
+                if (!symbolMap[target]) report('symbol-values.json', `symbols.${sym}.reveal.${target}`, `reveals unknown symbol "${target}"`);
+                else if (symbolMap[target].type === 'random') report('symbol-values.json', `symbols.${sym}.reveal.${target}`, 'cannot reveal another random symbol');
+            });
+            Object.entries(data?.pays || {}).forEach(([count, pay]) => checkFeature('symbol-values.json', `symbols.${sym}.pays.${count}.feature`, pay?.feature));
+        });
+
+        (Array.isArray(values.combos) ? values.combos : []).forEach((rule, i) => {
+            const match = rule?.match || {};
+            if (match.symbol && !symbolMap[match.symbol]) report('symbol-values.json', `combos[${i}].match.symbol`, `unknown symbol "${match.symbol}"`);
+            if (match.type && match.type !== '*' && !SYMBOL_TYPES.includes(match.type)) {
+                report('symbol-values.json', `combos[${i}].match.type`, `unknown symbol type "${match.type}"`);
+            }
+            checkFeature('symbol-values.json', `combos[${i}].feature`, rule?.feature);
+        });
+    }
+
+    // card.json：每张卡片都要有可用的效果
+    Object.entries(cards?.cards || {}).forEach(([cardType, def]) => {
+        const effects = def?.effects || LEGACY_CARD_EFFECTS[cardType]?.effects;
+        if (!effects || !Object.keys(effects).length) {
+            report('card.json', `cards.${cardType}`, 'has no effects and is not a built-in card');
+            return;
+        }
+        Object.entries(effects).forEach(([name, value]) => {
+            const path = `cards.${cardType}.effects.${name}`;
+            if (!getCardEffect(name)) {
+                report('card.json', path, `unknown card effect "${name}"`);
+                return;
+            }
+            if (name === 'symbol_weight_multiplier' && symbolMap) {
+                Object.keys(value || {}).forEach(key => {
+                    if (!symbolMap[key] && !SYMBOL_TYPES.includes(key)) report('card.json', `${path}.${key}`, `"${key}" is neither a symbol nor a symbol type`);
+                });
+            }
+        });
+        if (assets && !def?.icon_path && !assets.card_images?.[cardType]) {
+            report('card.json', `cards.${cardType}`, 'has no icon_path and no card_images entry in asset.json');
+        }
+    });
+
+    // config.json：Rigging 档位与 grid_rows
+    const profiles = config?.rigging?.profiles || {};
+    const profileName = config?.rigging?.profile;
+    if (profileName && !profiles[profileName] && !DEFAULT_RIGGING_PROFILES[profileName]) {
+        report('config.json', 'rigging.profile', `unknown rigging profile "${profileName}"`);
+    }
+    if (Number.isInteger(config?.grid_rows) && config.grid_rows > 1 && config.grid_rows % 2 === 0) {
+        report('config.json', 'grid_rows', `grid mode needs an odd number of rows; ${config.grid_rows} is used as ${config.grid_rows + 1}`);
+    }
+
+    Object.keys(music?.feature_bgm || {}).forEach(feature => checkFeature('music.json', `feature_bgm.${feature}`, feature));
+
+    return problems;
+}
+
+/**
+ * 按 schema 检查 defaults.json 中各配置文件的默认值
+ * @returns {{file: string, path: string, message: string}[]} file 为 'defaults.json'，path 以所属配置文件名开头
+ */
+export function validateDefaults() {
+    const problems = [];
+    Object.entries(DEFAULTS).forEach(([file, data]) => {
+        const schema = CONFIG_SCHEMAS[file];
+        if (!schema) return;
+        const fileProblems = [];
+        validateValue(data, schema, '', fileProblems);
+        fileProblems.forEach(({ path, message }) => problems.push({ file: 'defaults.json', path: path ? `${file}:${path}` : file, message }));
+    });
+    return problems;
+}
+
+/**
+ * 校验全部配置文件：逐个按 schema 检查，再检查 defaults.json，最后对补全默认值后的配置做跨文件检查
+ * @param {Object<string, Object>} configs - 文件名 → 解析后的内容（未加载的文件省略）
+ * @returns {{file: string, path: string, message: string}[]} 没有问题时为空数组
+ */
+export function validateConfigs(configs) {
+    const problems = [];
+    Object.entries(configs).forEach(([file, data]) => {
+        const schema = CONFIG_SCHEMAS[file];
+        if (!schema || data === undefined) return;
+        const fileProblems = [];
+        validateValue(data, schema, '', fileProblems);
+        fileProblems.forEach(problem => problems.push({ file, ...problem }));
+    });
+
+    const merged = { ...configs };
+    Object.keys(DEFAULTS).filter(file => !file.startsWith('_')).forEach(file => {
+        merged[file] = withDefaults(file, configs[file]);
+    });
+    return [...problems, ...validateDefaults(), ...crossCheckConfigs(merged)];
+}
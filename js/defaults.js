@@ -0,0 +1,103 @@
+/**
+ * 默认值（唯一来源）
+ *
+ * 所有配置文件的默认值都保存在项目根目录的 defaults.json 中，按文件名分组：
+ * {
+ *   "config.json": { "hold": { ... }, "bets": { ... } },
+ *   "symbol-weights.json": { "symbols": { "coin_1": { "weight": 30 } } },
+ *   "symbol-values.json": { ... }, "card.json": { ... }, "ad.json": { ... }, "shop.json": { ... }, "character.json": { ... }
+ * }
+ * 前端各模块与 Flask 后端（app.py）都读取这份数据，不再各自维护内置默认值。
+ * 本模块加载时用顶层 await 读取 defaults.json，导入它的模块在读取完成后才开始执行。
+ *
+ * 合并规则：对象逐字段合并（配置文件中的值优先），数组与其他值整体替换；
+ * 配置中缺少、因而取自默认值的字段可用 defaultsReport() 列出。
+ *
+ * @module defaults
+ * @example
+ * const hold = withDefaults('config.json', config).hold;
+ * defaultsReport({ 'config.json': { bets: { levels: [10, 20] } } });
+ * // => [{ file: 'config.json', path: 'bets.default', value: 5 }, ...]
+ */
+
+const DEFAULTS_URL = new URL('../defaults.json', import.meta.url);
+
+/**
+ * 读取 defaults.json：浏览器中用 fetch（与 api.js 加载配置相同，不依赖 JSON 模块的 import 属性），
+ * Node（RTP 模拟器与测试，模块地址为 file:）中直接读取文件
+ * @returns {Promise<Object>}
+ */
+async function loadDefaults() {
+    if (DEFAULTS_URL.protocol === 'file:') {
+        const { readFile } = await import('node:fs/promises');
+        return JSON.parse(await readFile(DEFAULTS_URL, 'utf8'));
+    }
+    const response = await fetch(DEFAULTS_URL);
+    if (!response.ok) {
+        throw new Error(`Failed to load defaults.json: ${response.status}`);
+    }
+    return response.json();
+}
+
+/** 按配置文件名分组的默认值（模块加载时读取一次） */
+export const DEFAULTS = await loadDefaults();
+
+/**
+ * 是否为普通对象（不含数组与 null）
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * 把配置合并到默认值上
+ * @param {*} defaults - 默认值
+ * @param {*} value - 配置中的值；undefined 时使用默认值
+ * @returns {*} 合并后的新对象（不修改参数，也不与 DEFAULTS 共享引用）
+ */
+export function mergeDefaults(defaults, value) {
+    if (value === undefined) return structuredClone(defaults);
+    if (!isPlainObject(defaults) || !isPlainObject(value)) return value;
+
+    const merged = structuredClone(defaults);
+    Object.entries(value).forEach(([key, child]) => {
+        merged[key] = key in defaults ? mergeDefaults(defaults[key], child) : child;
+    });
+    return merged;
+}
+
+/**
+ * 某个配置文件合并默认值后的内容
+ * @param {string} file - 配置文件名，例如 'config.json'
+ * @param {Object} [config] - 加载到的配置；省略时完全使用默认值
+ * @returns {Object}
+ */
+export function withDefaults(file, config) {
+    return mergeDefaults(DEFAULTS[file] ?? {}, config ?? undefined);
+}
+
+/**
+ * 列出配置中缺少、因而取自默认值的字段（整个对象缺失时只列出该对象）
+ * @param {*} defaults - 默认值
+ * @param {*} value - 配置中的值
+ * @param {string} [path=''] - 当前路径
+ * @returns {{path: string, value: *}[]}
+ */
+function defaultedPaths(defaults, value, path = '') {
+    if (value === undefined) return [{ path, value: defaults }];
+    if (!isPlainObject(defaults) || !isPlainObject(value)) return [];
+    return Object.entries(defaults).flatMap(([key, child]) => defaultedPaths(child, value[key], path ? `${path}.${key}` : key));
+}
+
+/**
+ * 默认值使用报告：每个配置文件中哪些值来自 defaults.json
+ * @param {Object<string, Object>} configs - 文件名 → 加载到的配置（未加载的文件省略，整份使用默认值）
+ * @returns {{file: string, path: string, value: *}[]} path 为空表示整个文件使用默认值
+ */
+export function defaultsReport(configs) {
+    return Object.keys(DEFAULTS)
+        .filter(file => !file.startsWith('_'))
+        .flatMap(file => defaultedPaths(DEFAULTS[file], configs[file]).map(entry => ({ file, ...entry })));
+}
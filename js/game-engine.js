@@ -0,0 +1,1530 @@
+/**
+ * GameEngine - 无 DOM 的游戏规则引擎
+ *
+ * 持有全部游戏状态与规则，不访问 document/window，可直接在 Node 中运行：
+ * - 金币、宝石、下注、卡片库存、商店状态、角色升级等级
+ * - 游戏状态机（phase: 0=待机, 1~N=停止转轮中, N+1=等待锁定, N+2=结算完成）
+ * - 旋转开始（扣注、卡片效果、生成转轮）与转轮 Rigging（难度档位见 rigging.js）
+ * - 结算（calculateReward + 组合规则、多行赔付线、卡片效果钩子、抽卡）
+ *
+ * 视图层（SlotMachine）通过 on() 订阅状态变化事件：
+ * - 'currency'   金币或宝石变化
+ * - 'inventory'  卡片库存或选中状态变化
+ * - 'phase'      状态机阶段变化
+ * - 'reelStrip'  某个转轮的 strip 被重新生成 { index, strip }
+ * - 'spinStart'  下注已扣除、转轮开始旋转
+ * - 'settled'    一次旋转结算完成（payload 为结算结果）
+ * - 'purchase'   商店购买或角色升级成功 { itemId }
+ * - 'adReward'   广告奖励已发放 { coins }
+ * - 'stateLoaded' 通过 loadSaveState()/resetState() 整体替换了状态
+ * - 'freeSpins'  免费旋转回合开始、追加、推进或结束（payload 为 freeSpins 状态，结束时为 null）
+ * - 'hold'       保留转轮或微调次数变化（payload 为 getHoldState()）
+ * - 'progressive' 累积奖池变化（payload 为 { pool }，赢得奖池时附带 won）
+ * - 'gamble'     翻倍游戏开始、翻牌或结束（payload 为 getGambleState()，结束时为 null）
+ *
+ * 免费旋转（bonus）：结算触发 free_spins 功能后进入，期间旋转不扣下注、
+ * 奖励乘以 multiplier，所有免费旋转结束后在结算结果中汇总本回合奖励。
+ *
+ * 技巧停止（skill stop）：视图在按下 STOP 时传入转轮离符号中心的偏移，按时间窗评为
+ * PERFECT / GOOD / LATE，PERFECT 在结算时获得额外金币与奖励倍率。
+ *
+ * 保留与微调（hold / nudge）：上一次旋转结束后，可额外付费保留部分转轮到下一次旋转，
+ * 保留的转轮沿用上次的 strip 与停止位置，不参与旋转与停止顺序；保留的转轮可付费上下微调一格。
+ * 引擎记录每个转轮的停止位置与微调偏移，保留转轮的结果按记录读取（见 resolveResults()）。
+ *
+ * 累积奖池（progressive jackpot）：每次付费旋转把总下注的一部分注入奖池，
+ * 命中触发 progressive_jackpot 功能的组合时赢得整个奖池，奖池随后重置为初始值。
+ *
+ * 翻倍游戏（gamble）：付费旋转获得正向金币奖励后，可在下一次旋转前押红黑或大小，
+ * 猜中奖金翻倍，猜错失去奖金。押注的是卡片效果作用后实际到账的金币（不含累积奖池），双倍卡不会再次生效，
+ * 护盾卡只抵消旋转中的炸弹扣除，不保护翻倍游戏的损失。
+ *
+ * @module GameEngine
+ * @example
+ * const engine = new GameEngine({ symbolValues });
+ * engine.on('currency', ({ coins }) => console.log(coins));
+ * const spin = await engine.startSpin();
+ */
+
+import { initGame, generateReel } from './api.js';
+import { getRng, random, randomInt } from './rng.js';
+import { DEFAULTS, withDefaults } from './defaults.js';
+import { DEFAULT_COMBOS, evaluateCombos, evaluateScatters, wildSubstitutions } from './combo-rules.js';
+import { resolveCardEffects, runCardHook } from './card-effects.js';
+import { normalizeGridRows, resolvePaylines, lineSymbols, stripWindow } from './paylines.js';
+import { resolveRiggingProfile, riggingStrength, selectBiasSymbols } from './rigging.js';
+
+/** 卡片库存上限 */
+export const MAX_INVENTORY = 5;
+
+/** 转轮数量上限 */
+export const MAX_REELS = 5;
+
+/** 转轮数量下限 */
+export const MIN_REELS = 3;
+
+/** 累计统计字段及初始值 */
+const EMPTY_STATS = {
+    totalBet: 0,        // 累计下注金币
+    totalWonCoins: 0,   // 累计赢得金币
+    totalLostCoins: 0,  // 累计被炸弹扣除的金币
+    totalWonGems: 0,    // 累计赢得宝石
+    biggestWin: 0,      // 单次最大金币奖励
+    jackpots: 0,        // 全部转轮一致且获奖的次数
+    cardsWon: 0,        // 转轮抽中的卡片数
+    bonusRounds: 0,     // 触发的免费旋转回合数
+    perfectStops: 0,    // 技巧停止评为 PERFECT 的次数
+    goodStops: 0,       // 技巧停止评为 GOOD 的次数
+    lateStops: 0,       // 技巧停止评为 LATE 的次数
+    stopOffsetTotal: 0, // 技巧停止偏移之和（除以停止次数为平均偏移）
+    skillBonusCoins: 0, // PERFECT 额外获得的金币
+    progressiveWins: 0, // 赢得累积奖池的次数
+    gambleWins: 0,      // 翻倍游戏猜中次数
+    gambleLosses: 0,    // 翻倍游戏猜错次数
+    gambleNetCoins: 0   // 翻倍游戏净赢金币（负数为净输）
+};
+
+// 各配置的默认值统一来自 defaults.json（字段说明见对应配置文件的 _help）
+const CONFIG_DEFAULTS = DEFAULTS['config.json'];
+
+/** 未在 config.json 的 skill_stop 中配置时使用的技巧停止参数 */
+const DEFAULT_SKILL_STOP = CONFIG_DEFAULTS.skill_stop;
+
+/** 未在 config.json 的 hold 中配置时使用的保留 / 微调参数 */
+const DEFAULT_HOLD = CONFIG_DEFAULTS.hold;
+
+/** 未在 config.json 的 bets 中配置时使用的下注档位 */
+const DEFAULT_BETS = CONFIG_DEFAULTS.bets;
+
+/** 支持的扣除倍率规则 */
+export const LOSS_SCALING = {
+    linear: (ratio) => ratio,
+    sqrt: (ratio) => Math.sqrt(ratio),
+    flat: () => 1
+};
+
+/** 未在 config.json 的 gamble 中配置时使用的翻倍游戏参数 */
+const DEFAULT_GAMBLE = CONFIG_DEFAULTS.gamble;
+
+/** 翻倍游戏的押注选项及所属玩法 */
+export const GAMBLE_PICKS = { red: 'color', black: 'color', high: 'high_low', low: 'high_low' };
+
+/** 未在 symbol-values.json 的 features 中配置时使用的功能参数 */
+export const DEFAULT_FEATURES = DEFAULTS['symbol-values.json'].features;
+
+// random 类符号未配置 reveal 时可能揭示成的符号（等概率）
+const DEFAULT_REVEAL_POOL = { coin_1: 1, coin_stack: 1, gem_1: 1, bomb_1: 1 };
+
+/**
+ * 计算一组转轮结果（一条线）的基础奖励，不考虑 wild
+ * @param {string[]} symbols - 每个转轮的结果符号
+ * @param {Object} symbolMap - 符号数值表
+ * @param {Object[]} combos - 组合规则
+ * @returns {Object} 同 calculateReward
+ */
+function evaluateLine(symbols, symbolMap, combos) {
+    let totalCoins = 0;
+    let totalGems = 0;
+    let newCard = false;
+
+    symbols.forEach(s => {
+        const data = symbolMap[s];
+        if (!data) return;
+
+        if (data.type === 'card') {
+            newCard = true;
+            return;
+        }
+
+        totalCoins += Number(data.coins || 0);
+        totalGems += Number(data.gems || 0);
+    });
+
+    const types = symbols.map(s => symbolMap[s]?.type);
+    const isSameCategory = !!types[0] && types.every(t => t === types[0]);
+    const combo = evaluateCombos(symbols, symbolMap, combos, { coins: totalCoins, gems: totalGems });
+
+    return {
+        coins: combo.coins,
+        gems: combo.gems,
+        newCard,
+        restart: combo.outcome === 'restart',
+        isSameCategory,
+        combo: combo.id,
+        feature: combo.feature,
+        resolvedSymbols: symbols
+    };
+}
+
+/**
+ * 计算一组转轮结果的基础奖励（未计入下注倍率与卡片效果）
+ * 各符号数值之和再经组合规则（combo-rules.js）调整；
+ * 含 wild 时尝试每种替代方式，取金币（其次宝石）最多的一种；
+ * 整条线都是 wild 时不匹配带 feature 的规则（例如不会凭 wild 赢得累积奖池）
+ * @param {string[]} symbols - 每个转轮的结果符号
+ * @param {Object} [symbolMap] - 符号数值表（symbol-values.json 的 symbols）
+ * @param {Object[]} [combos] - 组合规则（symbol-values.json 的 combos）
+ * @returns {{coins: number, gems: number, newCard: boolean, restart: boolean, isSameCategory: boolean,
+ *           combo: string|null, feature: string|null, resolvedSymbols: string[]}} resolvedSymbols 为 wild 替代后的符号
+ */
+export function calculateReward(symbols, symbolMap = DEFAULTS['symbol-values.json'].symbols, combos = DEFAULT_COMBOS) {
+    const allWild = symbols.length > 0 && symbols.every(s => symbolMap[s]?.type === 'wild');
+    const lineCombos = allWild ? (Array.isArray(combos) ? combos : DEFAULT_COMBOS).filter(rule => !rule.feature) : combos;
+    let best = null;
+    wildSubstitutions(symbols, symbolMap).forEach(candidate => {
+        const reward = evaluateLine(candidate, symbolMap, lineCombos);
+        if (!best || reward.coins > best.coins || (reward.coins === best.coins && reward.gems > best.gems)) {
+            best = reward;
+        }
+    });
+    return best;
+}
+
+export default class GameEngine {
+    /**
+     * 创建游戏引擎
+     * @param {Object} [options]
+     * @param {Object} [options.symbolValues] - 符号奖励数值（来自symbol-values.json）
+     * @param {Object} [options.cardConfig] - 卡片配置（来自card.json）
+     * @param {Object} [options.adConfig] - 广告系统配置（来自ad.json）
+     * @param {Object} [options.shopConfig] - 商店配置（来自shop.json）
+     * @param {Object} [options.characterConfig] - 角色配置（来自character.json）
+     * @param {number} [options.initialCoins=20] - 初始金币
+     * @param {number} [options.gridRows=1] - 每个转轮参与结算的行数（来自config.json的grid_rows）
+     * @param {Object[]} [options.paylines] - 赔付线配置（来自config.json的paylines）
+     * @param {Object} [options.hold] - 保留 / 微调配置（来自config.json的hold）
+     * @param {Object} [options.skillStop] - 技巧停止配置（来自config.json的skill_stop）
+     * @param {Object} [options.gamble] - 翻倍游戏配置（来自config.json的gamble）
+     * @param {Object} [options.bets] - 下注档位与倍率配置（来自config.json的bets）
+     * @param {Object} [options.rigging] - Rigging 难度档位配置（来自config.json的rigging）
+     * @param {string} [options.riggingProfile] - 使用的档位名，省略时使用 rigging.profile
+     * @param {{initGame: Function, generateReel: Function}} [options.reelSource] - 转轮生成器，默认使用 api.js
+     */
+    constructor(options = {}) {
+        // 缺少的字段按 defaults.json 补全
+        this.symbolValues = withDefaults('symbol-values.json', options.symbolValues);
+        this.cardConfig = withDefaults('card.json', options.cardConfig);
+        this.adConfig = withDefaults('ad.json', options.adConfig);
+        this.shopConfig = withDefaults('shop.json', options.shopConfig);
+        this.characterConfig = withDefaults('character.json', options.characterConfig);
+        this.reelSource = options.reelSource || { initGame, generateReel };
+        this.initialCoins = options.initialCoins ?? 20;
+        this.gridRows = normalizeGridRows(options.gridRows);
+        this.paylineConfig = options.paylines || null;
+        this.holdConfig = { ...DEFAULT_HOLD, ...options.hold };
+        this.skillStopConfig = { ...DEFAULT_SKILL_STOP, ...options.skillStop };
+        this.gambleConfig = { ...DEFAULT_GAMBLE, ...options.gamble };
+        this.betConfig = { ...DEFAULT_BETS, ...options.bets };
+        this.riggingConfig = options.rigging || null;
+        this.setRiggingProfile(options.riggingProfile);
+
+        this.listeners = new Map();
+        this.applyInitialState();
+    }
+
+    /** 把所有游戏状态设为新游戏的初始值 */
+    applyInitialState() {
+        // ===================== 游戏状态 =====================
+        this.phase = 0;
+        this.spinCount = 0;
+        this.stats = { ...EMPTY_STATS };
+        this.coins = this.initialCoins;
+        this.gems = 0;
+        this.currentBet = this.getDefaultBet();
+        this.activeLines = null;   // 启用的赔付线数量，null 表示全部
+        this.reelCount = 3;
+
+        // ===================== 卡片系统 =====================
+        this.inventory = [];
+        this.activeCards = [];
+        this.currentSpinEffects = [];
+        this.currentSpinWeightMultipliers = {};
+
+        // ===================== 免费旋转 =====================
+        // { remaining, awarded, played, multiplier, bet, coins, gems } 或 null
+        this.freeSpins = null;
+        this.currentSpinFree = false;
+
+        // ===================== 保留 / 微调 =====================
+        this.lastStrips = null;       // 上一次旋转的 strip（保留转轮沿用），null 表示不可保留
+        this.lastStops = null;        // 上一次旋转每个转轮中间行的 strip 下标，null 表示未知
+        this.heldReels = [];          // 下一次旋转要保留的转轮索引
+        this.nudgeOffsets = [];       // 保留转轮的累计微调格数（1 为向下），下一次旋转开始时计入停止位置
+        this.currentSpinHeld = [];    // 本次旋转保留的转轮索引
+        this.heldStops = [];          // 本次旋转保留转轮的停止位置（已计入微调）
+        this.nudgesUsed = 0;
+
+        // ===================== 技巧停止 =====================
+        this.currentSpinStops = [];   // 本次旋转每个转轮的停止评级 { index, offset, rating }
+
+        // ===================== 累积奖池 =====================
+        this.progressivePool = this.getProgressiveSeed();
+
+        // ===================== 翻倍游戏 =====================
+        this.gambleableWin = 0;   // 上一次结算可用于翻倍的金币，0 表示不可翻倍
+        this.gamble = null;       // { stake, round, history } 或 null
+
+        // ===================== 商店 / 角色 =====================
+        this.adHackActive = false;
+        this.waiterUpgradeLevel = 0;
+    }
+
+    // ===================== 事件 =====================
+    /**
+     * 订阅引擎事件
+     * @param {string} event - 事件名
+     * @param {Function} handler - 回调
+     * @returns {Function} 取消订阅函数
+     */
+    on(event, handler) {
+        if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+        this.listeners.get(event).add(handler);
+        return () => this.listeners.get(event)?.delete(handler);
+    }
+
+    emit(event, payload) {
+        this.listeners.get(event)?.forEach(handler => handler(payload));
+    }
+
+    setPhase(phase) {
+        this.phase = phase;
+        this.emit('phase', { phase });
+    }
+
+    emitCurrency() {
+        this.emit('currency', { coins: this.coins, gems: this.gems });
+    }
+
+    emitInventory() {
+        this.emit('inventory', { inventory: this.inventory, activeCards: this.activeCards });
+    }
+
+    // ===================== 存档 =====================
+    /**
+     * 导出可持久化的状态（不含进行中的旋转）
+     * @returns {Object} 纯 JSON 对象
+     */
+    getSaveState() {
+        return {
+            coins: this.coins,
+            gems: this.gems,
+            currentBet: this.currentBet,
+            activeLines: this.activeLines,
+            reelCount: this.reelCount,
+            inventory: [...this.inventory],
+            adHackActive: this.adHackActive,
+            waiterUpgradeLevel: this.waiterUpgradeLevel,
+            spinCount: this.spinCount,
+            freeSpins: this.freeSpins ? { ...this.freeSpins } : null,
+            progressivePool: this.progressivePool,
+            stats: { ...this.stats }
+        };
+    }
+
+    /**
+     * 校验外部导入的状态，返回所有问题（空数组表示合法）
+     * @param {Object} state - 待校验的状态
+     * @returns {string[]} 问题描述列表，格式为 "字段: 问题"
+     */
+    validateSaveState(state) {
+        if (!state || typeof state !== 'object' || Array.isArray(state)) {
+            return ['state: must be an object'];
+        }
+
+        const errors = [];
+        const isInt = (v) => Number.isInteger(v);
+        const maxWaiterLevel = this.getWaiterUpgradeCosts().length;
+
+        if (!Number.isFinite(state.coins)) errors.push('coins: must be a number');
+        if (!Number.isFinite(state.gems) || state.gems < 0) errors.push('gems: must be a non-negative number');
+        if (state.currentBet !== undefined && !(Number.isFinite(state.currentBet) && state.currentBet > 0)) {
+            errors.push('currentBet: must be a positive number');
+        }
+        if (state.activeLines != null && !(isInt(state.activeLines) && state.activeLines > 0)) {
+            errors.push('activeLines: must be a positive integer or null');
+        }
+        if (!isInt(state.reelCount) || state.reelCount < MIN_REELS || state.reelCount > MAX_REELS) {
+            errors.push(`reelCount: must be an integer between ${MIN_REELS} and ${MAX_REELS}`);
+        }
+        if (!Array.isArray(state.inventory)) {
+            errors.push('inventory: must be an array');
+        } else {
+            if (state.inventory.length > MAX_INVENTORY) errors.push(`inventory: at most ${MAX_INVENTORY} cards`);
+            state.inventory.forEach((card, i) => {
+                if (!this.getCardDef(card)) errors.push(`inventory[${i}]: unknown card "${card}"`);
+            });
+        }
+        if (state.adHackActive !== undefined && typeof state.adHackActive !== 'boolean') {
+            errors.push('adHackActive: must be true or false');
+        }
+        if (state.waiterUpgradeLevel !== undefined
+            && (!isInt(state.waiterUpgradeLevel) || state.waiterUpgradeLevel < 0 || state.waiterUpgradeLevel > maxWaiterLevel)) {
+            errors.push(`waiterUpgradeLevel: must be an integer between 0 and ${maxWaiterLevel}`);
+        }
+        if (state.spinCount !== undefined && (!isInt(state.spinCount) || state.spinCount < 0)) {
+            errors.push('spinCount: must be a non-negative integer');
+        }
+        if (state.freeSpins != null) {
+            const fs = state.freeSpins;
+            if (typeof fs !== 'object' || !isInt(fs.remaining) || fs.remaining < 1) {
+                errors.push('freeSpins.remaining: must be a positive integer');
+            } else if (!(Number.isFinite(fs.multiplier) && fs.multiplier > 0) || !(Number.isFinite(fs.bet) && fs.bet > 0)) {
+                errors.push('freeSpins: multiplier and bet must be positive numbers');
+            }
+        }
+        if (state.progressivePool !== undefined && !(Number.isFinite(state.progressivePool) && state.progressivePool >= 0)) {
+            errors.push('progressivePool: must be a non-negative number');
+        }
+        if (state.stats !== undefined) {
+            if (!state.stats || typeof state.stats !== 'object') {
+                errors.push('stats: must be an object');
+            } else {
+                Object.keys(EMPTY_STATS).forEach(key => {
+                    const v = state.stats[key];
+                    if (v !== undefined && !Number.isFinite(v)) errors.push(`stats.${key}: must be a number`);
+                });
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * 从存档恢复状态；缺失或非法的字段保持初始值
+     * @param {Object} state - getSaveState() 的结果
+     */
+    loadSaveState(state) {
+        this.applyInitialState();
+        if (state && typeof state === 'object') {
+            const num = (v, fallback) => (Number.isFinite(v) ? v : fallback);
+            this.coins = num(state.coins, this.coins);
+            this.gems = num(state.gems, this.gems);
+            this.currentBet = this.nearestBetLevel(num(state.currentBet, this.currentBet));
+            this.reelCount = Math.min(MAX_REELS, Math.max(MIN_REELS, num(state.reelCount, this.reelCount)));
+            this.activeLines = Number.isInteger(state.activeLines) && state.activeLines > 0 ? state.activeLines : null;
+            this.spinCount = num(state.spinCount, this.spinCount);
+            this.waiterUpgradeLevel = Math.max(0, num(state.waiterUpgradeLevel, this.waiterUpgradeLevel));
+            this.adHackActive = state.adHackActive === true;
+            if (Array.isArray(state.inventory)) {
+                this.inventory = state.inventory.filter(c => this.getCardDef(c)).slice(0, MAX_INVENTORY);
+            }
+            this.freeSpins = this.parseFreeSpins(state.freeSpins);
+            if (this.freeSpins) this.currentBet = this.freeSpins.bet;
+            this.progressivePool = Math.max(0, num(state.progressivePool, this.progressivePool));
+            if (state.stats && typeof state.stats === 'object') {
+                Object.keys(EMPTY_STATS).forEach(key => {
+                    this.stats[key] = num(state.stats[key], 0);
+                });
+            }
+        }
+        this.emit('stateLoaded', this.getSaveState());
+        this.emitCurrency();
+        this.emitInventory();
+    }
+
+    /**
+     * 规范化存档中的免费旋转状态
+     * @param {Object} data - 存档中的 freeSpins
+     * @returns {Object|null} 非法或已结束时返回 null
+     */
+    parseFreeSpins(data) {
+        if (!data || typeof data !== 'object' || !Number.isInteger(data.remaining) || data.remaining < 1) return null;
+        const num = (v, fallback) => (Number.isFinite(v) ? v : fallback);
+        return {
+            remaining: data.remaining,
+            awarded: num(data.awarded, data.remaining),
+            played: num(data.played, 0),
+            multiplier: num(data.multiplier, 1),
+            bet: num(data.bet, this.currentBet),
+            coins: num(data.coins, 0),
+            gems: num(data.gems, 0)
+        };
+    }
+
+    /** 开始新游戏：恢复全部初始状态 */
+    resetState() {
+        this.loadSaveState(null);
+    }
+
+    // ===================== 状态查询 =====================
+    get isIdle() {
+        return this.phase === 0;
+    }
+
+    get isSpinning() {
+        return this.phase >= 1 && this.phase <= this.reelCount;
+    }
+
+    get isAwaitingLock() {
+        return this.phase === this.reelCount + 1;
+    }
+
+    get isSettled() {
+        return this.phase === this.reelCount + 2;
+    }
+
+    // ===================== 卡片系统 =====================
+    getCardDefs() {
+        return this.cardConfig.cards;
+    }
+
+    getCardDef(cardType) {
+        return this.getCardDefs()?.[cardType] || null;
+    }
+
+    /**
+     * 按 card.json 的 probability 抽一张卡
+     * @param {{next: function(): number}} [rng] - 随机数生成器，默认使用共享 RNG
+     * @returns {string} 卡片类型
+     */
+    pickRandomCardType(rng = getRng()) {
+        const defs = this.getCardDefs();
+        const entries = Object.entries(defs);
+        if (!entries.length) return 'slow';
+
+        const weights = entries.map(([_, def]) => {
+            const raw = def?.probability;
+            const w = Number(raw);
+            return Number.isFinite(w) && w > 0 ? w : 0;
+        });
+
+        const total = weights.reduce((a, b) => a + b, 0);
+        if (total <= 0) return entries[0][0];
+
+        let r = rng.next() * total;
+        for (let i = 0; i < entries.length; i++) {
+            r -= weights[i];
+            if (r <= 0) return entries[i][0];
+        }
+        return entries[entries.length - 1][0];
+    }
+
+    getActiveCardTypes() {
+        return this.activeCards.map(idx => this.inventory[idx]).filter(Boolean);
+    }
+
+    /**
+     * 解析卡片类型对应的效果列表（card-effects.js）
+     * @param {string[]} [cardTypes] - 卡片类型，默认为当前选中的卡片
+     * @returns {Object[]} 效果列表
+     */
+    getCardEffects(cardTypes = this.getActiveCardTypes()) {
+        return resolveCardEffects(cardTypes, this.getCardDefs());
+    }
+
+    /**
+     * 把按符号或符号类型配置的权重倍率展开为按符号的倍率
+     * @param {Object} multipliers - {symbol|type: factor}
+     * @returns {Object} {symbol: factor}
+     */
+    expandWeightMultipliers(multipliers) {
+        const symbolMap = this.symbolValues.symbols;
+        const expanded = {};
+        Object.entries(multipliers).forEach(([key, factor]) => {
+            const symbols = symbolMap[key]
+                ? [key]
+                : Object.keys(symbolMap).filter(sym => symbolMap[sym]?.type === key);
+            symbols.forEach(sym => {
+                expanded[sym] = (expanded[sym] ?? 1) * factor;
+            });
+        });
+        return expanded;
+    }
+
+    /**
+     * 切换某张卡片的选中状态（仅待机时可用）
+     * @param {number} index - 库存索引
+     * @returns {boolean} 是否切换成功
+     */
+    toggleCard(index) {
+        if (!this.isIdle || !this.inventory[index]) return false;
+        if (this.activeCards.includes(index)) {
+            this.activeCards = this.activeCards.filter(i => i !== index);
+        } else {
+            this.activeCards.push(index);
+        }
+        this.emitInventory();
+        return true;
+    }
+
+    /** 从库存中移除本次选中的卡片 */
+    consumeActiveCards() {
+        this.activeCards.sort((a, b) => b - a).forEach(idx => {
+            this.inventory.splice(idx, 1);
+        });
+        this.activeCards = [];
+        this.emitInventory();
+    }
+
+    // ===================== 下注 =====================
+    /**
+     * 可选的每线下注档位（按 min / max 过滤，升序）
+     * @returns {number[]} 配置全部无效时回退为内置档位
+     */
+    getBetLevels() {
+        const { levels, min, max } = this.betConfig;
+        const valid = (Array.isArray(levels) ? levels : [])
+            .filter(bet => Number.isFinite(bet) && bet > 0)
+            .filter(bet => (!Number.isFinite(min) || bet >= min) && (!Number.isFinite(max) || bet <= max))
+            .sort((a, b) => a - b);
+        return valid.length ? [...new Set(valid)] : DEFAULT_BETS.levels;
+    }
+
+    /**
+     * 新游戏的下注；未配置或不在档位中时取最低档
+     * @returns {number}
+     */
+    getDefaultBet() {
+        const levels = this.getBetLevels();
+        return levels.includes(this.betConfig.default) ? this.betConfig.default : levels[0];
+    }
+
+    /**
+     * 取最接近的下注档位（读取旧存档或配置变化后使用）
+     * @param {number} bet - 下注
+     * @returns {number}
+     */
+    nearestBetLevel(bet) {
+        return this.getBetLevels().reduce((best, level) => (Math.abs(level - bet) < Math.abs(best - bet) ? level : best));
+    }
+
+    /**
+     * 设置下注倍率（仅待机时可用）
+     * @param {number} bet - 下注金额，必须是 getBetLevels() 中的档位
+     * @returns {boolean} 是否设置成功
+     */
+    setBet(bet) {
+        // 免费旋转期间沿用触发时的下注
+        if (!this.isIdle || this.freeSpins || !this.getBetLevels().includes(bet)) return false;
+        this.currentBet = bet;
+        return true;
+    }
+
+    /**
+     * 当前金币是否足够以某个档位下注（按启用的赔付线数计算总下注）
+     * @param {number} bet - 每线下注
+     * @returns {boolean}
+     */
+    canAffordBet(bet) {
+        return this.coins >= bet * this.getActivePaylines().length;
+    }
+
+    /**
+     * 奖励倍率：下注 / base
+     * @param {number} [bet=this.currentBet] - 每线下注
+     * @returns {number}
+     */
+    getRewardMultiplier(bet = this.currentBet) {
+        const base = Number(this.betConfig.base) > 0 ? Number(this.betConfig.base) : DEFAULT_BETS.base;
+        return bet / base;
+    }
+
+    /**
+     * 扣除倍率：按 loss_scaling 规则由奖励倍率换算，未知规则按 linear
+     * @param {number} [bet=this.currentBet] - 每线下注
+     * @returns {number}
+     */
+    getLossMultiplier(bet = this.currentBet) {
+        const scale = LOSS_SCALING[this.betConfig.loss_scaling] || LOSS_SCALING.linear;
+        return scale(this.getRewardMultiplier(bet));
+    }
+
+    // ===================== 赔付线 =====================
+    /** 是否为多行网格模式 */
+    get isGridMode() {
+        return this.gridRows > 1;
+    }
+
+    /**
+     * 当前转轮数下可用的全部赔付线
+     * @returns {{id: string, rows: number[]}[]}
+     */
+    getPaylines() {
+        return resolvePaylines(this.paylineConfig, this.reelCount, this.gridRows);
+    }
+
+    /**
+     * 本次旋转结算的赔付线（前 activeLines 条）
+     * @returns {{id: string, rows: number[]}[]}
+     */
+    getActivePaylines() {
+        const lines = this.getPaylines();
+        const count = Math.min(lines.length, Math.max(1, this.activeLines ?? lines.length));
+        return lines.slice(0, count);
+    }
+
+    /**
+     * 设置启用的赔付线数量（仅待机时可用）
+     * @param {number} count - 赔付线数量，超出范围时取边界值
+     * @returns {boolean} 是否设置成功
+     */
+    setActiveLines(count) {
+        if (!this.isIdle || this.freeSpins || !Number.isInteger(count)) return false;
+        this.activeLines = Math.min(this.getPaylines().length, Math.max(1, count));
+        return true;
+    }
+
+    /**
+     * 本次旋转的总下注：每条赔付线下注 currentBet
+     * @returns {number}
+     */
+    getTotalBet() {
+        return this.currentBet * this.getActivePaylines().length;
+    }
+
+    // ===================== 保留 / 微调 =====================
+    /** 当前是否可以保留转轮：上一次旋转已完成、待机且不在免费旋转中 */
+    get canHold() {
+        return !!this.holdConfig.enabled && this.isIdle && !this.freeSpins
+            && this.lastStrips?.length === this.reelCount;
+    }
+
+    /** 最多可同时保留的转轮数 */
+    getMaxHeld() {
+        return Math.max(0, Math.min(parseInt(this.holdConfig.max_held, 10) || 0, this.reelCount - 1));
+    }
+
+    /**
+     * 下一次旋转保留转轮的额外费用
+     * @returns {number}
+     */
+    getHoldCost() {
+        return Math.ceil(this.getTotalBet() * Number(this.holdConfig.cost_per_reel || 0) * this.heldReels.length);
+    }
+
+    /**
+     * 一次微调的费用
+     * @returns {number}
+     */
+    getNudgeCost() {
+        return Math.ceil(this.getTotalBet() * Number(this.holdConfig.nudge_cost || 0));
+    }
+
+    /**
+     * 保留 / 微调状态（供视图刷新按钮）
+     * @returns {{available: boolean, heldReels: number[], maxHeld: number, holdCost: number, nudgeCost: number, nudgesLeft: number}}
+     */
+    getHoldState() {
+        return {
+            available: this.canHold,
+            heldReels: [...this.heldReels],
+            maxHeld: this.getMaxHeld(),
+            holdCost: this.getHoldCost(),
+            nudgeCost: this.getNudgeCost(),
+            nudgesLeft: Math.max(0, (parseInt(this.holdConfig.max_nudges, 10) || 0) - this.nudgesUsed)
+        };
+    }
+
+    /**
+     * 切换某个转轮的保留状态（费用在下一次旋转开始时扣除）
+     * @param {number} index - 转轮索引
+     * @returns {boolean} 是否切换成功
+     */
+    toggleHold(index) {
+        if (!this.canHold || !Number.isInteger(index) || index < 0 || index >= this.reelCount) return false;
+
+        if (this.heldReels.includes(index)) {
+            this.heldReels = this.heldReels.filter(i => i !== index);
+        } else {
+            if (this.heldReels.length >= this.getMaxHeld()) return false;
+            this.heldReels = [...this.heldReels, index].sort((a, b) => a - b);
+        }
+        this.emit('hold', this.getHoldState());
+        return true;
+    }
+
+    /**
+     * 把保留的转轮上下微调一格，立即扣除费用
+     * @param {number} index - 转轮索引
+     * @param {1|-1} direction - 1 为向下（上一个符号移到中间），-1 为向上
+     * @returns {{ok: boolean, reason?: string, cost?: number}} reason: 'NOT_HELD' | 'NO_NUDGES' | 'NO_COINS'
+     */
+    nudgeReel(index, direction) {
+        if (!this.canHold || !this.heldReels.includes(index) || Math.abs(direction) !== 1) {
+            return { ok: false, reason: 'NOT_HELD' };
+        }
+        if (this.getHoldState().nudgesLeft <= 0) return { ok: false, reason: 'NO_NUDGES' };
+
+        const cost = this.getNudgeCost();
+        if (this.coins < cost) return { ok: false, reason: 'NO_COINS' };
+
+        this.coins -= cost;
+        this.stats.totalBet += cost;
+        this.nudgesUsed++;
+        this.nudgeOffsets[index] = (this.nudgeOffsets[index] || 0) + direction;
+        this.emitCurrency();
+        this.emit('hold', this.getHoldState());
+        return { ok: true, cost };
+    }
+
+    // ===================== 旋转流程 =====================
+    /**
+     * 生成开局展示用的转轮（不扣注）
+     * @returns {Promise<string[][]>} 每个转轮的 strip
+     */
+    async loadInitialStrips() {
+        const data = await this.reelSource.initGame(this.reelCount);
+        return data.reels || [];
+    }
+
+    /**
+     * 开始一次旋转：扣除下注（免费旋转不扣）、结算卡片的旋转前效果并生成转轮
+     * @returns {Promise<{ok: boolean, reason?: string, strips?: string[][], speeds?: number[], free?: boolean, held?: number[]}>}
+     *          reason: 'NO_COINS' | 'ERROR'；held 为本次保留的转轮（速度为 0，不需要启动）
+     */
+    async startSpin() {
+        if (!this.isIdle) return { ok: false, reason: 'BUSY' };
+
+        // 本次旋转使用的卡片及其效果（用于“下一次旋转”效果）
+        const effects = this.getCardEffects();
+        const ctx = { engine: this, bet: this.getTotalBet(), lineBet: this.currentBet };
+        const isFree = this.freeSpins?.remaining > 0;
+        const cost = isFree ? 0 : Math.max(0, runCardHook(effects, 'beforeSpin', ctx.bet, ctx)) + this.getHoldCost();
+        if (this.coins < cost) return { ok: false, reason: 'NO_COINS' };
+
+        this.coins -= cost;
+        this.stats.totalBet += cost;
+        this.emitCurrency();
+
+        this.currentSpinEffects = effects;
+        this.currentSpinFree = isFree;
+        this.currentSpinWeightMultipliers = this.expandWeightMultipliers(runCardHook(effects, 'symbolWeights', {}, ctx));
+
+        try {
+            const data = await this.reelSource.initGame(this.reelCount, { weightMultipliers: this.currentSpinWeightMultipliers });
+            const strips = data.reels || [];
+            const held = isFree ? [] : [...this.heldReels];
+            held.forEach(i => { strips[i] = this.lastStrips[i]; });
+            const speeds = strips.map((_, i) => {
+                if (held.includes(i)) return 0;
+                const baseSpeed = randomInt(30 - 5 + 1) + 5;
+                return Math.max(3, runCardHook(effects, 'reelSpeed', baseSpeed, ctx));
+            });
+
+            this.currentSpinHeld = held;
+            this.heldStops = [];
+            held.forEach(i => { this.heldStops[i] = this.getNudgedStop(i); });
+            this.currentSpinStops = [];
+            this.lastStrips = [...strips];
+            this.lastStops = null;
+            this.heldReels = [];
+            this.nudgeOffsets = [];
+            this.nudgesUsed = 0;
+            this.emit('hold', this.getHoldState());
+            if (!isFree) this.feedProgressive(ctx.bet);
+            this.gambleableWin = 0;
+
+            this.spinCount++;
+            this.setPhase(this.nextUnheldReel(0) + 1);
+            this.emit('spinStart', { bet: cost, free: isFree });
+            return { ok: true, strips, speeds, free: isFree, held };
+        } catch (err) {
+            this.coins += cost;
+            this.stats.totalBet -= cost;
+            this.emitCurrency();
+            return { ok: false, reason: 'ERROR', error: err };
+        }
+    }
+
+    /**
+     * 保留的转轮在下一次旋转中的停止位置：上次停止位置减去微调格数（向下微调时上一个符号移到中间）
+     * @param {number} index - 转轮索引
+     * @returns {number|null} strip 下标；上次停止位置未知时返回 null
+     */
+    getNudgedStop(index) {
+        const stop = this.lastStops?.[index];
+        const len = this.lastStrips?.[index]?.length;
+        if (!Number.isInteger(stop) || !len) return null;
+        return (((stop - (this.nudgeOffsets[index] || 0)) % len) + len) % len;
+    }
+
+    /**
+     * 读取本次旋转的结果并记录停止位置（供下一次旋转保留与微调）
+     * 保留的转轮按引擎记录的停止位置读取，其余转轮使用视图停下的结果
+     * @param {(string|string[])[]} rawResults - 视图读取的每个转轮的结果（网格模式为从上到下的符号）
+     * @param {number[]} stops - 每个转轮中间行的 strip 下标
+     * @returns {(string|string[])[]} 结果，格式同 rawResults
+     */
+    resolveResults(rawResults, stops) {
+        this.lastStops = stops.map((stop, i) => this.heldStops[i] ?? stop);
+        return rawResults.map((result, i) => {
+            const stop = this.heldStops[i];
+            const strip = this.lastStrips?.[i];
+            if (!this.currentSpinHeld.includes(i) || stop === null || stop === undefined || !strip) return result;
+            return Array.isArray(result) ? stripWindow(strip, stop, result.length) : strip[stop];
+        });
+    }
+
+    /**
+     * 停止当前轮到的转轮（玩家按下 STOP）
+     * @param {number} [offset] - 按下时转轮离最近符号中心的偏移（0 为正中，1 为半个符号高度）；
+     *        省略时不评级
+     * @returns {{index: number, isLastReel: boolean, rating: 'perfect'|'good'|'late'|null}|null}
+     *          被停止的转轮；不在旋转中时返回 null
+     */
+    stopNextReel(offset) {
+        if (!this.isSpinning) return null;
+        const index = this.phase - 1;
+        const rating = this.rateStop(offset);
+        if (rating) this.currentSpinStops.push({ index, offset: Math.abs(offset), rating });
+
+        const next = this.nextUnheldReel(index + 1);
+        this.setPhase(next + 1);
+        return { index, isLastReel: next >= this.reelCount, rating };
+    }
+
+    /**
+     * 转轮必须停在的位置（服务器权威模式由服务器决定，见 server-engine.js）
+     * @param {number} index - 转轮索引
+     * @returns {number|null} strip 下标；null 表示停在按下 STOP 时最近的符号
+     */
+    getStopTarget(index) {
+        return null;
+    }
+
+    /**
+     * 按时间窗评定一次停止
+     * @param {number} [offset] - 离符号中心的偏移（0~1）
+     * @returns {'perfect'|'good'|'late'|null} 未启用或没有偏移时返回 null
+     */
+    rateStop(offset) {
+        if (!this.skillStopConfig.enabled || !Number.isFinite(offset)) return null;
+        const distance = Math.abs(offset);
+        if (distance <= Number(this.skillStopConfig.perfect_window)) return 'perfect';
+        if (distance <= Number(this.skillStopConfig.good_window)) return 'good';
+        return 'late';
+    }
+
+    /**
+     * 从 from 开始第一个本次未保留的转轮
+     * @param {number} from - 起始索引
+     * @returns {number} 转轮索引；没有时返回 reelCount
+     */
+    nextUnheldReel(from) {
+        let index = from;
+        while (index < this.reelCount && this.currentSpinHeld.includes(index)) index++;
+        return index;
+    }
+
+    // ===================== Rigging =====================
+    /**
+     * 切换 Rigging 难度档位
+     * @param {string} [name] - 档位名（off / mild / current / aggressive 或配置中的自定义档位）
+     * @returns {Object} 生效的档位
+     */
+    setRiggingProfile(name) {
+        this.rigging = resolveRiggingProfile(this.riggingConfig, name);
+        return this.rigging;
+    }
+
+    /**
+     * 当前金币下 Rigging 生效的概率（调试显示用）
+     * @returns {number} 0~1
+     */
+    getRiggingStrength() {
+        return riggingStrength(this.rigging, this.coins);
+    }
+
+    /**
+     * 根据已锁定转轮的结果重新生成下一个转轮（Rigging）
+     * @param {number} stoppedReelIndex - 刚停止的转轮索引
+     * @param {string[]} lockedResults - 0..stoppedReelIndex 转轮的结果
+     * @returns {Promise<string[]|null>} 新 strip；档位不偏向本次旋转时返回 null（保留原 strip）
+     */
+    async rigNextReel(stoppedReelIndex, lockedResults) {
+        // 保留的转轮已经停好，跳过
+        const nextReelIdx = this.nextUnheldReel(stoppedReelIndex + 1);
+        if (nextReelIdx >= this.reelCount) return null;
+
+        const biasSymbols = selectBiasSymbols(this.rigging, lockedResults, {
+            coins: this.coins,
+            symbolMap: this.symbolValues.symbols,
+            rng: random
+        });
+        if (!biasSymbols) return null;
+
+        // 生成器会把每个偏向符号各插入到新 strip 的一个位置
+        const data = await this.reelSource.generateReel(biasSymbols, {
+            weightMultipliers: this.currentSpinWeightMultipliers,
+            reelIndex: nextReelIdx
+        });
+        if (this.lastStrips) this.lastStrips[nextReelIdx] = data.strip;
+        this.emit('reelStrip', { index: nextReelIdx, strip: data.strip });
+        return data.strip;
+    }
+
+    /**
+     * 处理 EXIT：卡片效果允许时（early_settle）提前进入结算，否则中止本次旋转并消耗已选卡片
+     * @returns {'escape'|'abort'|null} 执行的动作；不在旋转中时返回 null
+     */
+    exitSpin() {
+        if (!this.isSpinning) return null;
+
+        // 逃跑卡等：旋转中允许 EXIT 提前结算已进行的转轮
+        const action = runCardHook(this.currentSpinEffects, 'exit', 'abort', { engine: this, bet: this.getTotalBet(), lineBet: this.currentBet });
+        if (action === 'escape') {
+            this.setPhase(this.reelCount + 1);
+            return 'escape';
+        }
+
+        // 中止的旋转没有结果，下一次不能保留
+        this.lastStrips = null;
+        this.lastStops = null;
+        this.setPhase(0);
+        this.consumeActiveCards();
+        return 'abort';
+    }
+
+    /**
+     * random 类符号（如 random_item）的揭示池：symbol-values.json 中该符号的 reveal {symbol: weight}
+     * @param {string} symbol - random 类符号
+     * @returns {{symbol: string, weight: number}[]} 权重为正的候选；不会揭示成另一个 random 类符号
+     */
+    getRevealPool(symbol) {
+        const symbolMap = this.symbolValues.symbols;
+        const configured = symbolMap[symbol]?.reveal;
+        const pool = configured && typeof configured === 'object' ? configured : DEFAULT_REVEAL_POOL;
+        return Object.entries(pool)
+            .map(([sym, weight]) => ({ symbol: sym, weight: Number(weight) }))
+            .filter(({ symbol: sym, weight }) => weight > 0 && symbolMap[sym]?.type !== 'random');
+    }
+
+    /**
+     * 按揭示池权重揭示结果中的 random 类符号
+     * @param {string[][]} grid - 每个转轮从上到下的符号（经典模式为每列一个）
+     * @param {{next: function(): number}} [rng] - 随机数生成器，默认使用共享 RNG
+     * @returns {{grid: string[][], reveals: {reel: number, row: number, from: string, symbol: string}[]}}
+     *          grid 为揭示后的结果，reveals 为发生揭示的格子
+     */
+    revealRandomSymbols(grid, rng = getRng()) {
+        const symbolMap = this.symbolValues.symbols;
+        const reveals = [];
+
+        const revealed = grid.map((column, reel) => column.map((s, row) => {
+            if (symbolMap[s]?.type !== 'random') return s;
+            const pool = this.getRevealPool(s);
+            if (!pool.length) return s;
+
+            let roll = rng.next() * pool.reduce((sum, entry) => sum + entry.weight, 0);
+            const picked = pool.find(entry => (roll -= entry.weight) < 0) || pool[pool.length - 1];
+            reveals.push({ reel, row, from: s, symbol: picked.symbol });
+            return picked.symbol;
+        }));
+        return { grid: revealed, reveals };
+    }
+
+    /**
+     * 结算本次旋转
+     * @param {string[]|string[][]} rawResults - 每个转轮停下的符号；
+     *        网格模式下为每个转轮从上到下的符号列表
+     * @returns {{results: string[], grid: string[][], lines: Object[], scatters: Object[], features: string[], reward: Object, restart: boolean,
+     *           shieldedLoss: boolean, newCardType: string|null, isExactMatch: boolean, isSameCategory: boolean}}
+     *          results 为中间行；lines 为有结果的赔付线 {id, rows, symbols, coins, gems, combo}；
+     *          scatters 为达到奖励档位的 scatter，features 为其触发的功能；
+     *          freeSpin 表示本次为免费旋转，freeSpinsAwarded 为本次获得的免费旋转次数，
+     *          freeSpinsSummary 为免费旋转回合结束时的汇总 {awarded, played, multiplier, coins, gems}；
+     *          skillStops 为本次技巧停止 {stops, perfect, bonusCoins}；
+     *          progressiveWin 为本次赢得的累积奖池金币（已计入 reward.coins）
+     */
+    settle(rawResults) {
+        this.setPhase(this.reelCount + 2);
+
+        // 视图通常已先调用 revealRandomSymbols() 播放揭示动画；这里揭示剩余的 random 类符号
+        const isGrid = Array.isArray(rawResults[0]);
+        const grid = this.revealRandomSymbols(isGrid ? rawResults : rawResults.map(s => [s])).grid;
+        const middleRow = isGrid ? Math.floor(grid[0].length / 2) : 0;
+        const results = grid.map(column => column[middleRow]);
+
+        // 逐条赔付线结算后汇总；非网格结果只结算中间一行
+        const paylines = isGrid ? this.getActivePaylines() : [{ id: 'center', rows: new Array(grid.length).fill(0) }];
+        const symbolMap = this.symbolValues.symbols;
+        const combos = this.symbolValues.combos;
+        const reward = { coins: 0, gems: 0, newCard: false, restart: false, isSameCategory: false, combo: null };
+        const lines = [];
+        const features = [];
+        let isExactMatch = false;
+
+        paylines.forEach(line => {
+            const symbols = lineSymbols(grid, line);
+            const lineReward = calculateReward(symbols, symbolMap, combos);
+            reward.coins += lineReward.coins;
+            reward.gems += lineReward.gems;
+            reward.newCard ||= lineReward.newCard;
+            reward.restart ||= lineReward.restart;
+            reward.isSameCategory ||= lineReward.isSameCategory;
+            reward.combo ??= lineReward.combo;
+            if (lineReward.feature) features.push(lineReward.feature);
+            const resolved = lineReward.resolvedSymbols;
+            isExactMatch ||= !!resolved[0] && resolved.every(s => s === resolved[0]);
+
+            if (lineReward.coins !== 0 || lineReward.gems !== 0 || lineReward.combo) {
+                lines.push({ id: line.id, rows: line.rows, symbols, coins: lineReward.coins, gems: lineReward.gems, combo: lineReward.combo });
+            }
+        });
+
+        // scatter：按整个屏幕上的数量结算，与赔付线无关
+        const scatters = evaluateScatters(grid.flat(), symbolMap);
+        scatters.forEach(scatter => {
+            reward.coins += scatter.coins;
+            reward.gems += scatter.gems;
+        });
+
+        const outcome = {
+            results,
+            grid,
+            lines,
+            scatters,
+            features: [...new Set([...features, ...scatters.map(scatter => scatter.feature).filter(Boolean)])],
+            freeSpin: this.currentSpinFree,
+            freeSpinsAwarded: 0,
+            freeSpinsSummary: null,
+            progressiveWin: 0,
+            // 重新开始（CARD OVERLOAD）的旋转不计技巧停止评级与奖励
+            skillStops: {
+                stops: reward.restart ? [] : [...this.currentSpinStops],
+                perfect: reward.restart ? 0 : this.currentSpinStops.filter(stop => stop.rating === 'perfect').length,
+                bonusCoins: 0
+            },
+            reward,
+            restart: reward.restart,
+            shieldedLoss: false,
+            newCardType: null,
+            isExactMatch,
+            isSameCategory: reward.isSameCategory
+        };
+
+        const ctx = { engine: this, bet: this.currentBet * paylines.length, lineBet: this.currentBet, outcome };
+
+        // 提现卡等：本次旋转结束时返还投入金币（免费旋转没有投入）
+        if (!this.currentSpinFree) {
+            this.coins += runCardHook(this.currentSpinEffects, 'settle', 0, ctx);
+        }
+
+        // 技巧停止：每个 PERFECT 固定奖励金币（与本次结果无关）
+        outcome.skillStops.bonusCoins = Math.max(0, Number(this.skillStopConfig.perfect_coins) || 0) * outcome.skillStops.perfect;
+        this.coins += outcome.skillStops.bonusCoins;
+        this.recordSkillStops(outcome.skillStops);
+
+        if (reward.restart) {
+            this.gambleableWin = 0;
+            this.advanceFreeSpins(outcome, 0, 0);
+            this.emitCurrency();
+            this.emit('settled', outcome);
+            return outcome;
+        }
+
+        const modified = runCardHook(this.currentSpinEffects, 'reward', { coins: reward.coins, gems: reward.gems }, ctx);
+        // 每条赔付线的下注为 currentBet；扣除（炸弹）按 loss_scaling 单独换算
+        const multiplier = this.getRewardMultiplier();
+        reward.coins = Math.round(modified.coins * (modified.coins < 0 ? this.getLossMultiplier() : multiplier));
+        reward.gems = Math.round(modified.gems * multiplier);
+
+        // 免费旋转：奖励乘以本回合倍率（扣除不受影响）
+        if (this.currentSpinFree) {
+            if (reward.coins > 0) reward.coins *= this.freeSpins.multiplier;
+            if (reward.gems > 0) reward.gems *= this.freeSpins.multiplier;
+        }
+
+        // 技巧停止：每个 PERFECT 提升正向金币奖励
+        if (reward.coins > 0 && outcome.skillStops.perfect > 0) {
+            const bonusRate = Number(this.skillStopConfig.perfect_multiplier) || 0;
+            reward.coins = Math.round(reward.coins * (1 + bonusRate * outcome.skillStops.perfect));
+        }
+
+        // 累积奖池：不受下注、卡片与免费旋转倍率影响
+        if (outcome.features.includes('progressive_jackpot')) {
+            outcome.progressiveWin = this.awardProgressive();
+            reward.coins += outcome.progressiveWin;
+        }
+
+        // 护盾卡等：处理扣除金币；完全抵消时视为 NICE TRY
+        if (reward.coins < 0) {
+            reward.coins = runCardHook(this.currentSpinEffects, 'loss', reward.coins, ctx) || 0;
+            outcome.shieldedLoss = reward.coins === 0;
+        }
+
+        this.consumeActiveCards();
+
+        this.coins += reward.coins;
+        this.gems += reward.gems;
+
+        if (reward.newCard && this.inventory.length < MAX_INVENTORY) {
+            outcome.newCardType = this.pickRandomCardType();
+            this.inventory.push(outcome.newCardType);
+            this.stats.cardsWon++;
+            this.emitInventory();
+        }
+
+        this.recordStats(outcome);
+        this.advanceFreeSpins(outcome, reward.coins, reward.gems);
+        // 免费旋转回合中（包括本次刚触发）的奖励计入回合汇总，不可翻倍；赢得的累积奖池也不参与翻倍
+        const stake = reward.coins - outcome.progressiveWin;
+        this.gambleableWin = !this.currentSpinFree && !this.freeSpins && stake > 0 ? stake : 0;
+
+        this.emitCurrency();
+        this.emit('settled', outcome);
+        return outcome;
+    }
+
+    // ===================== 累积奖池 =====================
+    /**
+     * 奖池重置后的初始值
+     * @returns {number}
+     */
+    getProgressiveSeed() {
+        return Math.max(0, Number(this.getFeatureConfig('progressive_jackpot').seed) || 0);
+    }
+
+    /** 累积奖池是否启用（symbol-values.json 的 features.progressive_jackpot.enabled） */
+    get progressiveEnabled() {
+        return this.getFeatureConfig('progressive_jackpot').enabled !== false;
+    }
+
+    /**
+     * 付费旋转时把总下注的一部分注入奖池
+     * @param {number} bet - 本次总下注
+     */
+    feedProgressive(bet) {
+        if (!this.progressiveEnabled) return;
+        const share = Math.max(0, Number(this.getFeatureConfig('progressive_jackpot').contribution) || 0);
+        if (share <= 0 || bet <= 0) return;
+        this.progressivePool += bet * share;
+        this.emit('progressive', { pool: this.progressivePool });
+    }
+
+    /**
+     * 赢得奖池：返回奖池金币（取整）并重置为初始值
+     * @returns {number} 未启用时返回 0
+     */
+    awardProgressive() {
+        if (!this.progressiveEnabled) return 0;
+        const won = Math.floor(this.progressivePool);
+        this.progressivePool = this.getProgressiveSeed();
+        this.stats.progressiveWins++;
+        this.emit('progressive', { pool: this.progressivePool, won });
+        return won;
+    }
+
+    // ===================== 翻倍游戏 =====================
+    /**
+     * 翻倍游戏的奖金上限
+     * @returns {number}
+     */
+    getGambleCap() {
+        return Math.max(0, Number(this.gambleConfig.max_win) || 0);
+    }
+
+    /**
+     * 启用的玩法
+     * @returns {('color'|'high_low')[]}
+     */
+    getGambleModes() {
+        const modes = Array.isArray(this.gambleConfig.modes) ? this.gambleConfig.modes : DEFAULT_GAMBLE.modes;
+        return modes.filter(mode => Object.values(GAMBLE_PICKS).includes(mode));
+    }
+
+    /** 上一次结算后是否可以开始翻倍游戏 */
+    get canGamble() {
+        return !!this.gambleConfig.enabled && this.isSettled && !this.gamble
+            && this.gambleableWin > 0 && this.gambleableWin < this.getGambleCap()
+            && this.getGambleModes().length > 0;
+    }
+
+    /**
+     * 翻倍游戏状态
+     * @returns {{stake: number, round: number, maxRounds: number, cap: number, modes: string[],
+     *           history: {pick: string, card: Object, won: boolean}[]}|null} 未进行时为 null
+     */
+    getGambleState() {
+        if (!this.gamble) return null;
+        return {
+            stake: this.gamble.stake,
+            round: this.gamble.round,
+            maxRounds: Math.max(1, parseInt(this.gambleConfig.max_rounds, 10) || 1),
+            cap: this.getGambleCap(),
+            modes: this.getGambleModes(),
+            history: [...this.gamble.history]
+        };
+    }
+
+    /**
+     * 以上一次结算的金币奖励开始翻倍游戏（奖金已到账，翻倍时按差额增减）
+     * @returns {Object|null} getGambleState()；不可翻倍时返回 null
+     */
+    startGamble() {
+        if (!this.canGamble) return null;
+        this.gamble = { stake: this.gambleableWin, round: 0, history: [] };
+        this.gambleableWin = 0;
+        this.emit('gamble', this.getGambleState());
+        return this.getGambleState();
+    }
+
+    /**
+     * 押注并翻开一张牌：红黑按花色，大小按点数（1~13，7 为庄家赢）
+     * @param {'red'|'black'|'high'|'low'} pick - 押注选项
+     * @returns {{ok: boolean, reason?: string, card?: {rank: number, suit: string, color: string}, won?: boolean,
+     *           stake?: number, finished?: boolean}}
+     *          reason: 'NOT_GAMBLING' | 'INVALID_PICK'；finished 为 true 时翻倍游戏已结束（输掉、达到轮数或上限）
+     */
+    gambleGuess(pick) {
+        if (!this.gamble) return { ok: false, reason: 'NOT_GAMBLING' };
+        if (!this.getGambleModes().includes(GAMBLE_PICKS[pick])) return { ok: false, reason: 'INVALID_PICK' };
+
+        const suits = ['hearts', 'diamonds', 'clubs', 'spades'];
+        const suit = suits[randomInt(suits.length)];
+        const card = { rank: randomInt(13) + 1, suit, color: suit === 'hearts' || suit === 'diamonds' ? 'red' : 'black' };
+        const won = pick === 'red' || pick === 'black' ? card.color === pick
+            : pick === 'high' ? card.rank > 7 : card.rank < 7;
+
+        const { stake } = this.gamble;
+        this.gamble.round++;
+        this.gamble.history.push({ pick, card, won });
+
+        if (won) {
+            const gain = Math.min(stake * 2, Math.max(stake, this.getGambleCap())) - stake;
+            this.coins += gain;
+            this.gamble.stake += gain;
+            this.stats.gambleWins++;
+            this.stats.gambleNetCoins += gain;
+        } else {
+            this.coins -= stake;
+            this.gamble.stake = 0;
+            this.stats.gambleLosses++;
+            this.stats.gambleNetCoins -= stake;
+        }
+        this.emitCurrency();
+
+        const state = this.getGambleState();
+        const finished = !won || state.round >= state.maxRounds || state.stake >= state.cap;
+        if (finished) {
+            this.collectGamble();
+        } else {
+            this.emit('gamble', state);
+        }
+        return { ok: true, card, won, stake: state.stake, finished };
+    }
+
+    /**
+     * 收下当前奖金并结束翻倍游戏
+     * @returns {number} 最终奖金；未进行时返回 0
+     */
+    collectGamble() {
+        if (!this.gamble) return 0;
+        const { stake } = this.gamble;
+        this.gamble = null;
+        this.emit('gamble', null);
+        return stake;
+    }
+
+    // ===================== 免费旋转 =====================
+    /**
+     * 功能参数（symbol-values.json 的 features，缺失时使用默认值）
+     * @param {string} name - 功能名，如 free_spins
+     * @returns {Object}
+     */
+    getFeatureConfig(name) {
+        return { ...DEFAULT_FEATURES[name], ...this.symbolValues.features[name] };
+    }
+
+    /**
+     * 结算后推进免费旋转：扣减次数、累计奖励、处理触发与追加、回合结束时写入汇总
+     * @param {Object} outcome - 本次结算结果（会写入 freeSpinsAwarded / freeSpinsSummary）
+     * @param {number} coins - 本次实际获得的金币
+     * @param {number} gems - 本次实际获得的宝石
+     */
+    advanceFreeSpins(outcome, coins, gems) {
+        const before = this.freeSpins;
+
+        if (this.currentSpinFree && this.freeSpins) {
+            this.freeSpins.remaining--;
+            this.freeSpins.played++;
+            this.freeSpins.coins += coins;
+            this.freeSpins.gems += gems;
+        }
+
+        if (outcome.features.includes('free_spins')) {
+            const cfg = this.getFeatureConfig('free_spins');
+            const spins = Math.max(0, parseInt(cfg.spins, 10) || 0);
+            if (spins > 0 && !this.freeSpins) {
+                this.freeSpins = {
+                    remaining: spins,
+                    awarded: spins,
+                    played: 0,
+                    multiplier: Number(cfg.multiplier) > 0 ? Number(cfg.multiplier) : 1,
+                    bet: this.currentBet,
+                    coins: 0,
+                    gems: 0
+                };
+                this.stats.bonusRounds++;
+                outcome.freeSpinsAwarded = spins;
+            } else if (spins > 0 && cfg.retrigger !== false) {
+                this.freeSpins.remaining += spins;
+                this.freeSpins.awarded += spins;
+                outcome.freeSpinsAwarded = spins;
+            }
+        }
+
+        if (this.freeSpins && this.freeSpins.remaining <= 0) {
+            outcome.freeSpinsSummary = { ...this.freeSpins };
+            this.freeSpins = null;
+        }
+
+        if (before || this.freeSpins) {
+            this.emit('freeSpins', this.freeSpins ? { ...this.freeSpins } : null);
+        }
+    }
+
+    /**
+     * 把一次结算计入累计统计
+     * @param {Object} outcome - settle() 的结算结果
+     */
+    recordStats(outcome) {
+        const { coins, gems } = outcome.reward;
+        if (coins > 0) {
+            this.stats.totalWonCoins += coins;
+            this.stats.biggestWin = Math.max(this.stats.biggestWin, coins);
+        } else if (coins < 0) {
+            this.stats.totalLostCoins += -coins;
+        }
+        if (gems > 0) this.stats.totalWonGems += gems;
+        if (outcome.isExactMatch && (coins > 0 || gems > 0)) this.stats.jackpots++;
+    }
+
+    /**
+     * 把本次技巧停止计入累计统计
+     * @param {{stops: Object[], bonusCoins: number}} skillStops - 结算结果中的 skillStops
+     */
+    recordSkillStops(skillStops) {
+        skillStops.stops.forEach(({ offset, rating }) => {
+            this.stats[`${rating}Stops`]++;
+            this.stats.stopOffsetTotal += offset;
+        });
+        this.stats.skillBonusCoins += skillStops.bonusCoins;
+    }
+
+    /** 回到待机状态 */
+    reset() {
+        if (this.gamble) this.collectGamble();
+        this.gambleableWin = 0;
+        this.setPhase(0);
+    }
+
+    // ===================== 商店 =====================
+    getShopItem(itemId) {
+        return this.shopConfig.items?.find(item => item.id === itemId) || {};
+    }
+
+    getShopCost(itemId) {
+        const fallback = DEFAULTS['shop.json'].items.find(item => item.id === itemId);
+        return this.getShopItem(itemId).cost || fallback?.cost;
+    }
+
+    /**
+     * 购买商店物品
+     * @param {'random_card'|'add_reel'|'ad_hack'} itemId - 商品ID
+     * @returns {{ok: boolean, reason?: string, cardType?: string}}
+     *          reason: 'NOT_ENOUGH_GEMS' | 'INVENTORY_FULL' | 'MAX_REELS' | 'ALREADY_HACKED' | 'UNKNOWN_ITEM'
+     */
+    buyItem(itemId) {
+        const cost = this.getShopCost(itemId);
+
+        if (itemId === 'random_card') {
+            if (this.gems < cost) return { ok: false, reason: 'NOT_ENOUGH_GEMS' };
+            if (this.inventory.length >= MAX_INVENTORY) return { ok: false, reason: 'INVENTORY_FULL' };
+            this.gems -= cost;
+            const cardType = this.pickRandomCardType();
+            this.inventory.push(cardType);
+            this.emitInventory();
+            this.emitCurrency();
+            this.emit('purchase', { itemId, cardType });
+            return { ok: true, cardType };
+        }
+
+        if (itemId === 'add_reel') {
+            if (this.reelCount >= MAX_REELS) return { ok: false, reason: 'MAX_REELS' };
+            if (this.gems < cost) return { ok: false, reason: 'NOT_ENOUGH_GEMS' };
+            this.gems -= cost;
+            this.reelCount++;
+            this.lastStrips = null;
+            this.lastStops = null;
+            this.heldReels = [];
+            this.emitCurrency();
+            this.emit('purchase', { itemId });
+            return { ok: true };
+        }
+
+        if (itemId === 'ad_hack') {
+            if (this.adHackActive) return { ok: false, reason: 'ALREADY_HACKED' };
+            if (this.gems < cost) return { ok: false, reason: 'NOT_ENOUGH_GEMS' };
+            this.gems -= cost;
+            this.adHackActive = true;
+            this.emitCurrency();
+            this.emit('purchase', { itemId });
+            return { ok: true };
+        }
+
+        return { ok: false, reason: 'UNKNOWN_ITEM' };
+    }
+
+    // ===================== 广告 =====================
+    /**
+     * 选择一条广告并计算时长与奖励
+     * @param {string[]} files - 可选的广告视频列表
+     * @returns {{file: string, seconds: number, rewardCoins: number, playbackRate: number}|null}
+     */
+    planAd(files) {
+        if (!files?.length) return null;
+        const file = files[randomInt(files.length)];
+
+        // 根据广告黑客状态调整播放速度和时长
+        const baseSec = this.adConfig.ad_sec;
+        const hackSec = this.adConfig.ad_hack_sec;
+        const baseCoins = this.adConfig.ad_coin;
+        const hackMultiplier = this.adConfig.ad_hack_coin_multiplier;
+
+        if (this.adHackActive) {
+            return { file, seconds: hackSec, rewardCoins: baseCoins * hackMultiplier, playbackRate: baseSec / hackSec };
+        }
+        return { file, seconds: baseSec, rewardCoins: baseCoins, playbackRate: 1.0 };
+    }
+
+    /**
+     * 发放广告奖励
+     * @param {number} coins - 奖励金币
+     */
+    claimAdReward(coins) {
+        this.coins += coins;
+        this.emitCurrency();
+        this.emit('adReward', { coins });
+    }
+
+    // ===================== 角色升级 =====================
+    getWaiterUpgradeCosts() {
+        return this.characterConfig.waiter_upgrade_costs;
+    }
+
+    /**
+     * 用宝石升级 waiter
+     * @returns {{ok: boolean, reason?: string, level?: number, requiredGems?: number}}
+     *          level 为升级前的等级（用于选择语音/对白）；reason: 'COMPLETE' | 'NOT_ENOUGH_GEMS'
+     */
+    upgradeWaiter() {
+        const costs = this.getWaiterUpgradeCosts();
+
+        // 已经全部升级完成
+        if (this.waiterUpgradeLevel >= costs.length) {
+            return { ok: false, reason: 'COMPLETE' };
+        }
+
+        const requiredGems = costs[this.waiterUpgradeLevel];
+        if (this.gems < requiredGems) {
+            return { ok: false, reason: 'NOT_ENOUGH_GEMS', requiredGems };
+        }
+
+        this.gems -= requiredGems;
+        const level = this.waiterUpgradeLevel;
+        this.waiterUpgradeLevel++;
+        this.emitCurrency();
+        this.emit('purchase', { itemId: 'waiter_upgrade' });
+        return { ok: true, level, requiredGems };
+    }
+}
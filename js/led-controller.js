@@ -8,6 +8,7 @@
  * - normal: 正常流动效果，5灯组顺时针移动
  * - red: 全部红灯闪烁，用于警告状态
  * - fast: 快速流动效果，10灯组快速移动
+ * - bonus: 金色交替闪烁，用于免费旋转等奖励回合
  * 
  * @module led-controller
  * @example
@@ -26,6 +27,7 @@ export default class LedController {
         this.leds = [];
         this.timer = null;
         this.mode = 'normal';
+        this.baseMode = 'normal'; // 临时模式结束后恢复到的模式
     }
 
     /**
@@ -112,10 +114,11 @@ export default class LedController {
 
     /**
      * 启动 LED 动画
-     * @param {'normal'|'red'|'fast'} [mode='normal'] - 动画模式
+     * @param {'normal'|'red'|'fast'|'bonus'} [mode='normal'] - 动画模式
      */
     start(mode = 'normal') {
         this.mode = mode;
+        this.baseMode = mode;
         if (this.timer) clearInterval(this.timer);
         let index = 0;
 
@@ -143,21 +146,33 @@ export default class LedController {
                     this.leds[target].classList.add('active-fast');
                 }
                 index = (index + 3) % this.leds.length;
+            } else if (this.mode === 'bonus') {
+                // 免费旋转模式：金色灯每隔一颗交替闪烁，并叠加一组流动光
+                const phase = Math.floor(Date.now() / 150) % 2;
+                this.leds.forEach((l, i) => {
+                    if (i % 2 === phase) l.classList.add('active-bonus');
+                });
+                for (let i = 0; i < 4; i++) {
+                    this.leds[(index + i) % this.leds.length].classList.add('active-bonus');
+                }
+                index = (index + 2) % this.leds.length;
             }
         }, 50);
     }
 
     /**
      * 设置动画模式
-     * @param {'normal'|'red'|'fast'} mode - 动画模式
-     * @param {number} [duration=0] - 持续时间(ms)，0表示永久
+     * @param {'normal'|'red'|'fast'|'bonus'} mode - 动画模式
+     * @param {number} [duration=0] - 持续时间(ms)，0表示永久（同时成为基础模式）
      */
     setMode(mode, duration = 0) {
         this.mode = mode;
         if (duration > 0) {
             setTimeout(() => {
-                this.mode = 'normal';
+                this.mode = this.baseMode;
             }, duration);
+        } else {
+            this.baseMode = mode;
         }
     }
 
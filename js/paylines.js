@@ -0,0 +1,81 @@
+/**
+ * 多行网格与赔付线（Paylines）
+ *
+ * config.json 的 grid_rows 决定每个转轮参与结算的行数：
+ * - 1（默认）：经典模式，只结算中间一行
+ * - 3（或 N）：以中间行为中心取 N 行，按 paylines 逐条结算
+ *
+ * 赔付线的 rows 为每个转轮取第几行（0 为最上面一行），可写成：
+ * - 数组：按转轮数截取前 N 个，例如 [1, 1, 1, 1, 1]
+ * - 对象：按转轮数分别配置，例如 { "3": [0, 2, 0], "5": [0, 1, 2, 1, 0] }
+ *
+ * 行号超出 grid_rows 或缺少对应转轮数配置的赔付线不会启用。
+ *
+ * @module paylines
+ */
+
+import { DEFAULTS } from './defaults.js';
+
+/** 未配置 paylines 时使用的默认赔付线（来自 defaults.json） */
+export const DEFAULT_PAYLINES = DEFAULTS['config.json'].paylines;
+
+/**
+ * 规范化网格行数
+ * @param {*} rows - config.grid_rows
+ * @returns {number} 不小于 1 的奇数；偶数会加 1 以保证中间行居中
+ */
+export function normalizeGridRows(rows) {
+    const n = parseInt(rows, 10);
+    if (!Number.isFinite(n) || n <= 1) return 1;
+    return n % 2 === 0 ? n + 1 : n;
+}
+
+/**
+ * 解析当前转轮数与行数下可用的赔付线
+ * @param {Object[]} paylines - 赔付线配置
+ * @param {number} reelCount - 转轮数量
+ * @param {number} gridRows - 网格行数
+ * @returns {{id: string, rows: number[]}[]} 经典模式下只有一条中间线
+ */
+export function resolvePaylines(paylines, reelCount, gridRows) {
+    if (gridRows <= 1) {
+        return [{ id: 'center', rows: new Array(reelCount).fill(0) }];
+    }
+
+    return (Array.isArray(paylines) ? paylines : DEFAULT_PAYLINES)
+        .map((line, i) => {
+            const source = Array.isArray(line?.rows) ? line.rows : line?.rows?.[reelCount];
+            if (!Array.isArray(source) || source.length < reelCount) return null;
+            const rows = source.slice(0, reelCount);
+            if (!rows.every(r => Number.isInteger(r) && r >= 0 && r < gridRows)) return null;
+            return { id: line.id ?? `line_${i + 1}`, rows };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * 取 strip 上以某位置为中心的可见窗口
+ * @param {string[]} strip - 转轮符号列表
+ * @param {number} centerIndex - 中间行对应的 strip 下标
+ * @param {number} gridRows - 网格行数
+ * @returns {string[]} 从上到下的符号
+ */
+export function stripWindow(strip, centerIndex, gridRows) {
+    const len = strip.length;
+    const half = Math.floor(gridRows / 2);
+    const column = [];
+    for (let r = -half; r <= half; r++) {
+        column.push(strip[(((centerIndex + r) % len) + len) % len]);
+    }
+    return column;
+}
+
+/**
+ * 取一条赔付线上的符号
+ * @param {string[][]} grid - 每个转轮从上到下的符号
+ * @param {{rows: number[]}} line - 赔付线
+ * @returns {string[]}
+ */
+export function lineSymbols(grid, line) {
+    return line.rows.map((row, reel) => grid[reel]?.[row]);
+}
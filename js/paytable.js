@@ -0,0 +1,169 @@
+/**
+ * 赔付表（Paytable）
+ *
+ * 由 symbol-values.json（符号数值、组合规则、scatter 赔付）与 symbol-weights.json（各转轮出现概率）
+ * 计算每种结果的概率，供视图的 PAYTABLE 界面展示：
+ * - 逐一枚举当前转轮数下一条赔付线的全部结果，按 calculateReward 判定命中的组合规则
+ * - random 类符号按揭示池（reveal）展开为揭示后的符号
+ * - scatter 只统计这条线上的数量（网格模式下按整个屏幕计数，实际更容易出现）
+ *
+ * 概率不含 Rigging 偏向、卡片的权重倍率与免费旋转倍率，是「不做任何干预」时的基础赔率。
+ * 结果与顺序无关，相同的符号组合只结算一次，5 个转轮也能在界面打开时即时算出。
+ *
+ * @module paytable
+ * @example
+ * const reelOdds = [0, 1, 2].map(i => revealOdds(await getSymbolOdds(i), symbolMap, s => engine.getRevealPool(s)));
+ * const odds = computeOutcomeOdds(reelOdds, symbolMap, combos);
+ * // => { combos: { coin_exact: { probability: 0.012, coins: 39.2, gems: 0 }, ... }, hitRate: 0.31, ... }
+ */
+
+import { calculateReward } from './game-engine.js';
+import { evaluateScatters } from './combo-rules.js';
+
+/**
+ * 把 random 类符号的概率按揭示池权重分给揭示后的符号
+ * @param {Object} odds - 转轮上各符号的概率 {symbol: probability}
+ * @param {Object} symbolMap - 符号数值表
+ * @param {function(string): {symbol: string, weight: number}[]} revealPoolOf - 揭示池（GameEngine.getRevealPool）
+ * @returns {Object} 揭示后的概率 {symbol: probability}；揭示池为空的 random 符号保持原样
+ */
+export function revealOdds(odds, symbolMap, revealPoolOf) {
+    const revealed = {};
+    const add = (sym, p) => {
+        revealed[sym] = (revealed[sym] || 0) + p;
+    };
+
+    for (const [sym, p] of Object.entries(odds)) {
+        const pool = symbolMap[sym]?.type === 'random' ? revealPoolOf(sym) : [];
+        const total = pool.reduce((sum, entry) => sum + entry.weight, 0);
+        if (total <= 0) {
+            add(sym, p);
+            continue;
+        }
+        pool.forEach(entry => add(entry.symbol, p * (entry.weight / total)));
+    }
+    return revealed;
+}
+
+/**
+ * 枚举一条赔付线上的全部结果，统计各组合规则与 scatter 档位的概率
+ * @param {Object[]} reelOdds - 每个转轮揭示后的符号概率 {symbol: probability}
+ * @param {Object} symbolMap - 符号数值表
+ * @param {Object[]} combos - 组合规则
+ * @returns {{reelCount: number,
+ *           combos: Object<string, {probability: number, coins: number, gems: number}>,
+ *           noCombo: {probability: number, coins: number, gems: number},
+ *           scatters: {symbol: string, count: number, probability: number, coins: number, gems: number, feature: string|null}[],
+ *           cardProbability: number, hitRate: number, expected: {coins: number, gems: number}}}
+ *          combos / noCombo 的 coins、gems 为命中时的平均基础奖励（未计入下注倍率）；
+ *          cardProbability 为线上出现卡片符号（抽卡）的概率；hitRate 为获得正向奖励的概率；
+ *          expected 为每条线的期望基础奖励（restart 结果计为 0）
+ */
+export function computeOutcomeOdds(reelOdds, symbolMap, combos) {
+    const reels = reelOdds.map(odds => Object.entries(odds).filter(([, p]) => p > 0));
+    const settled = new Map();
+    const result = {
+        reelCount: reels.length,
+        combos: {},
+        noCombo: { probability: 0, coins: 0, gems: 0 },
+        scatters: [],
+        cardProbability: 0,
+        hitRate: 0,
+        expected: { coins: 0, gems: 0 }
+    };
+    const scatterRows = {};
+
+    // 组合规则、wild 与 scatter 的判定都与转轮顺序无关：按排序后的符号缓存结算结果
+    const settle = (symbols) => {
+        const key = [...symbols].sort().join('|');
+        if (!settled.has(key)) {
+            settled.set(key, { line: calculateReward(symbols, symbolMap, combos), scatters: evaluateScatters(symbols, symbolMap) });
+        }
+        return settled.get(key);
+    };
+
+    const record = (symbols, p) => {
+        const { line, scatters } = settle(symbols);
+        const bucket = line.combo ? (result.combos[line.combo] ||= { probability: 0, coins: 0, gems: 0 }) : result.noCombo;
+        bucket.probability += p;
+        bucket.coins += p * line.coins;
+        bucket.gems += p * line.gems;
+        if (line.newCard) result.cardProbability += p;
+
+        let coins = line.restart ? 0 : line.coins;
+        let gems = line.restart ? 0 : line.gems;
+        scatters.forEach(scatter => {
+            const row = (scatterRows[`${scatter.symbol}:${scatter.count}`] ||= { ...scatter, probability: 0 });
+            row.probability += p;
+            coins += scatter.coins;
+            gems += scatter.gems;
+        });
+
+        result.expected.coins += p * coins;
+        result.expected.gems += p * gems;
+        if (coins > 0 || gems > 0) result.hitRate += p;
+    };
+
+    const walk = (index, symbols, p) => {
+        if (index === reels.length) {
+            record(symbols, p);
+            return;
+        }
+        reels[index].forEach(([sym, q]) => walk(index + 1, [...symbols, sym], p * q));
+    };
+    if (reels.length) walk(0, [], 1);
+
+    // 累加的是概率加权的奖励，除以概率得到命中时的平均奖励
+    [...Object.values(result.combos), result.noCombo].forEach(bucket => {
+        if (bucket.probability > 0) {
+            bucket.coins /= bucket.probability;
+            bucket.gems /= bucket.probability;
+        }
+    });
+    result.scatters = Object.values(scatterRows).sort((a, b) => a.symbol.localeCompare(b.symbol) || a.count - b.count);
+    return result;
+}
+
+/**
+ * 组合规则的匹配条件说明，例如 "3 × COIN (SAME SYMBOL)"
+ * @param {Object} rule - 组合规则
+ * @param {number} reelCount - 当前转轮数
+ * @returns {string}
+ */
+export function describeComboMatch(rule, reelCount) {
+    const match = rule?.match || {};
+    const count = Number.isInteger(match.count) && match.count > 0 ? Math.min(match.count, reelCount) : reelCount;
+    const what = match.symbol
+        ? match.symbol.toUpperCase()
+        : match.type && match.type !== '*' ? match.type.toUpperCase() : 'ANY TYPE';
+    const same = match.exact ? ' (SAME SYMBOL)' : match.type === '*' ? ' (SAME TYPE)' : '';
+    return `${count} × ${what}${same}`;
+}
+
+/**
+ * 组合规则的赔付说明，例如 "COINS ×3"、"888 COINS"、"RESTART"
+ * @param {Object} rule - 组合规则
+ * @returns {string}
+ */
+export function describeComboPays(rule) {
+    const parts = [];
+    if (rule.coins !== undefined) parts.push(`${rule.coins} COINS`);
+    else if (rule.coins_multiplier !== undefined && Number(rule.coins_multiplier) !== 1) parts.push(`COINS ×${rule.coins_multiplier}`);
+    if (rule.gems !== undefined) parts.push(`${rule.gems} GEMS`);
+    else if (rule.gems_multiplier !== undefined && Number(rule.gems_multiplier) !== 1) parts.push(`GEMS ×${rule.gems_multiplier}`);
+    if (rule.outcome) parts.push(rule.outcome.toUpperCase());
+    if (rule.feature) parts.push(rule.feature.replace(/_/g, ' ').toUpperCase());
+    return parts.join(' + ') || 'SUM OF SYMBOLS';
+}
+
+/**
+ * 概率的显示文本，例如 "2.45% (1 IN 41)"
+ * @param {number} probability - 0~1
+ * @returns {string}
+ */
+export function formatOdds(probability) {
+    if (!(probability > 0)) return '—';
+    const percent = probability * 100;
+    const digits = percent >= 1 ? 2 : percent >= 0.01 ? 3 : 5;
+    return `${percent.toFixed(digits)}% (1 IN ${Math.round(1 / probability).toLocaleString('en-US')})`;
+}
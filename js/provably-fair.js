@@ -0,0 +1,156 @@
+/**
+ * 可验证公平（Provably Fair）
+ *
+ * 服务器权威模式下，服务器在旋转前公布 server seed 的 SHA-256（承诺），
+ * 每次旋转的随机数由 HMAC-SHA256(server seed, "client seed:nonce") 派生（与 provably_fair.py 一致），
+ * 前 16 字节作为 sfc32 的状态。更换种子后服务器公开旧的 server seed，本模块在浏览器中：
+ * - 检查 server seed 的哈希与旋转前公布的承诺一致
+ * - 用派生的 RNG 调用 generateWeightedStrip 重新生成转轮，并按服务器的顺序重放停止位置、Rigging、揭示与抽卡
+ * - 与旋转时实际收到的转轮和结果逐项比较
+ *
+ * 摘要使用 Web Crypto（crypto.subtle）计算，需要安全上下文（https 或 localhost）。
+ *
+ * @module provably-fair
+ * @example
+ * const rng = await createFairRng(serverSeed, 'my-client-seed', 0);
+ * const strip = await generateWeightedStrip({ rng, reelIndex: 0 });
+ * const { ok, checks } = await verifySpin(record, serverSeed, { symbolValues, cardConfig, rigging });
+ */
+
+import GameEngine, { calculateReward } from './game-engine.js';
+import { runCardHook } from './card-effects.js';
+import { resolveRiggingProfile, selectBiasSymbols } from './rigging.js';
+import { generateWeightedStrip, getReelStripLength } from './reel-generator.js';
+
+const encoder = new TextEncoder();
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+
+/**
+ * server seed 的承诺值
+ * @param {string} serverSeed
+ * @returns {Promise<string>} SHA-256 十六进制
+ */
+export async function hashServerSeed(serverSeed) {
+    return toHex(await crypto.subtle.digest('SHA-256', encoder.encode(serverSeed)));
+}
+
+/**
+ * 在浏览器中生成 client seed（与 provably_fair.py 的 new_client_seed 格式相同：16 位十六进制）。
+ * 由玩家一方生成，服务器公布 server seed 的承诺时无法预先选择它
+ * @returns {string}
+ */
+export function newClientSeed() {
+    return toHex(crypto.getRandomValues(new Uint8Array(8)));
+}
+
+/**
+ * sfc32 随机数生成器
+ * @param {number[]} state - 4 个 32 位无符号整数
+ * @returns {function(): number} 返回 [0, 1) 的浮点数
+ */
+function sfc32([a, b, c, d]) {
+    return () => {
+        let t = (a + b) | 0;
+        a = b ^ (b >>> 9);
+        b = (c + (c << 3)) | 0;
+        c = (c << 21) | (c >>> 11);
+        d = (d + 1) | 0;
+        t = (t + d) | 0;
+        c = (c + t) | 0;
+        return (t >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 派生某次旋转的 RNG（接口与 rng.js 的 createRng 相同）
+ * @param {string} serverSeed - 公开后的 server seed
+ * @param {string} clientSeed - client seed
+ * @param {number} nonce - 旋转序号
+ * @returns {Promise<{seed: string, next: function(): number}>}
+ */
+export async function createFairRng(serverSeed, clientSeed, nonce) {
+    const key = await crypto.subtle.importKey('raw', encoder.encode(serverSeed), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const digest = new DataView(await crypto.subtle.sign('HMAC', key, encoder.encode(`${clientSeed}:${nonce}`)));
+    const next = sfc32([0, 4, 8, 12].map(offset => digest.getUint32(offset)));
+    return { seed: `${clientSeed}:${nonce}`, next };
+}
+
+/**
+ * 按服务器的随机数消耗顺序重放一次旋转（server_engine.py 的 start_spin / stop_reel / exit_spin / settle）
+ * @param {Object} record - ServerGameEngine 记录的旋转（见 ServerGameEngine.fairSpins）
+ * @param {string} serverSeed - 公开后的 server seed
+ * @param {Object} rules - 规则配置，字段同 GameEngine 的 symbolValues、cardConfig、rigging
+ * @returns {Promise<{strips: string[][], rigged: Object[], stops: number[], results: string[]|null,
+ *           reveals: Object[], line: Object|null, newCardType: string|null}>} 旋转被中止时 results 与 line 为 null
+ */
+export async function replaySpin(record, serverSeed, rules) {
+    const engine = new GameEngine(rules);
+    const symbolMap = engine.symbolValues.symbols;
+    const rng = await createFairRng(serverSeed, record.clientSeed, record.nonce);
+    const length = await getReelStripLength();
+
+    // 开始旋转：卡片的权重倍率 → 生成转轮 → 转速（只用于动画，但同样消耗随机数）
+    const effects = engine.getCardEffects(record.cardTypes);
+    const weightMultipliers = engine.expandWeightMultipliers(runCardHook(effects, 'symbolWeights', {}, { bet: record.bet, lineBet: record.bet }));
+    const strips = [];
+    for (let i = 0; i < record.strips.length; i++) {
+        strips.push(await generateWeightedStrip({ length, reelIndex: i, weightMultipliers, rng }));
+    }
+    const replay = { strips: strips.map(strip => [...strip]), rigged: [], stops: [], results: null, reveals: [], line: null, newCardType: null };
+    strips.forEach(() => rng.next());
+
+    // 停止：手动停止的转轮之后按 Rigging 重新生成下一个转轮；EXIT 逃脱时其余转轮直接停止
+    const profile = resolveRiggingProfile(rules.rigging);
+    const stopped = record.stops.filter(stop => stop !== null && stop !== undefined).length;
+    for (let i = 0; i < stopped; i++) {
+        replay.stops.push(Math.floor(rng.next() * strips[i].length));
+        if (i >= record.manualStops || i + 1 >= strips.length) continue;
+
+        const locked = replay.stops.map((stop, reel) => strips[reel][stop]);
+        const biasSymbols = selectBiasSymbols(profile, locked, { coins: record.coins, symbolMap, rng: () => rng.next() });
+        if (!biasSymbols) continue;
+        strips[i + 1] = await generateWeightedStrip({ length, reelIndex: i + 1, biasSymbols, weightMultipliers, rng });
+        replay.rigged.push({ index: i + 1, strip: strips[i + 1] });
+    }
+    if (!record.outcome) return replay;
+
+    // 结算：揭示 random 类符号 → 组合规则 → 抽卡
+    const raw = replay.stops.map((stop, reel) => strips[reel][stop]);
+    const { grid, reveals } = engine.revealRandomSymbols(raw.map(s => [s]), rng);
+    replay.results = grid.map(column => column[0]);
+    replay.reveals = reveals;
+    replay.line = calculateReward(replay.results, symbolMap, engine.symbolValues.combos);
+    if (record.outcome.newCardType) replay.newCardType = engine.pickRandomCardType(rng);
+    return replay;
+}
+
+/**
+ * 验证一次旋转：承诺、转轮、Rigging、停止位置、揭示后的符号、基础赔付与抽到的卡片
+ * @param {Object} record - ServerGameEngine 记录的旋转
+ * @param {string} serverSeed - 公开后的 server seed
+ * @param {Object} rules - 规则配置，同 replaySpin()
+ * @returns {Promise<{ok: boolean, checks: {name: string, ok: boolean}[], replay: Object}>}
+ */
+export async function verifySpin(record, serverSeed, rules) {
+    const replay = await replaySpin(record, serverSeed, rules);
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const checks = [
+        { name: 'SEED HASH', ok: await hashServerSeed(serverSeed) === record.serverSeedHash },
+        { name: 'REELS', ok: same(replay.strips, record.strips) },
+        { name: 'RIGGING', ok: same(replay.rigged, record.rigged) },
+        { name: 'STOPS', ok: same(replay.stops, record.stops.filter(stop => stop !== null && stop !== undefined)) }
+    ];
+
+    const outcome = record.outcome;
+    if (outcome) {
+        // 服务器只在有赔付或命中组合时返回中间线；基础赔付未计入下注倍率与卡片效果
+        const line = outcome.lines[0] || { coins: 0, gems: 0 };
+        checks.push(
+            { name: 'SYMBOLS', ok: same(replay.results, outcome.results) && same(replay.reveals, outcome.reveals) },
+            { name: 'PAYOUT', ok: replay.line.coins === line.coins && replay.line.gems === line.gems && replay.line.combo === outcome.reward.combo },
+            { name: 'CARD', ok: replay.newCardType === outcome.newCardType }
+        );
+    }
+    return { ok: checks.every(check => check.ok), checks, replay };
+}
@@ -8,87 +8,248 @@
  * - 根据权重随机生成符号序列
  * - 支持偏向符号（Rigging）机制
  * - 支持炸弹权重倍率调整
+ * - 支持单个 strip 内的符号数量上限（max_per_strip，例如 scatter 每个转轮最多 1 个）
+ * - 支持按转轮覆盖权重（reels）与固定 strip（strips），例如第 3 个转轮的大奖符号更稀有
+ * - 随机数来自可设置种子的 RNG（见 rng.js），结果可复现
+ * - 缺少的符号配置按 defaults.json 补全，与 app.py 读取同一份默认值
  * 
  * @module reel-generator
  */
 
-// 默认符号权重（与 symbol-weights.json 一致）
-const DEFAULT_WEIGHTS = {
-    coin_1: 30,
-    coin_stack: 7.5,
-    coin_pile: 2.5,
-    gem_1: 17.5,
-    gem_many: 2.5,
-    bomb_1: 15,
-    bomb_atom: 5,
-    card_item: 10,
-    random_item: 5
-};
+import { getRng } from './rng.js';
+import { DEFAULTS, mergeDefaults } from './defaults.js';
 
-// 缓存加载的权重配置
-let cachedWeights = null;
+// 默认符号配置与 strip 长度（defaults.json，与 Flask 后端共用）
+const DEFAULT_SYMBOLS = DEFAULTS['symbol-weights.json'].symbols;
+const DEFAULT_STRIP_LENGTH = DEFAULTS['config.json'].reel_strip_length;
+
+// 缓存加载的 symbol-weights.json（加载失败时为空对象，使用默认权重）及其中的固定 strip
+let cachedWeightData = null;
+let cachedFixedStrips = [];
+
+/**
+ * 某个转轮生效的符号配置：默认符号配置合并全局 symbols，再合并该转轮 reels[reelIndex].symbols
+ * @param {Object} data - symbol-weights.json 解析后的对象
+ * @param {number} [reelIndex] - 转轮索引（0 开始）；省略时只取全局配置
+ * @returns {Object} {symbol: cfg}
+ */
+function symbolConfigsForReel(data, reelIndex) {
+    const global = mergeDefaults(DEFAULT_SYMBOLS, data?.symbols);
+    const perReel = Number.isInteger(reelIndex) ? data?.reels?.[reelIndex]?.symbols : null;
+    if (!perReel || typeof perReel !== 'object') return global;
+
+    const merged = { ...global };
+    for (const [sym, cfg] of Object.entries(perReel)) {
+        if (typeof cfg === 'object' && cfg) merged[sym] = { ...global[sym], ...cfg };
+    }
+    return merged;
+}
+
+/**
+ * 从符号配置中取出权重（probability 优先于 weight，无效或为负的值忽略）
+ * @param {Object} symbols - 符号配置 {symbol: cfg}
+ * @returns {Object} 权重映射表 {symbol: weight}
+ */
+function weightsOf(symbols) {
+    const weights = {};
+    for (const [sym, cfg] of Object.entries(symbols)) {
+        if (typeof cfg !== 'object' || !cfg) continue;
+        const w = parseFloat(cfg.probability ?? cfg.weight ?? null);
+        if (isNaN(w) || w < 0) continue;
+        weights[sym] = w;
+    }
+    return weights;
+}
 
 /**
- * 加载符号权重配置
- * @returns {Promise<Object>} 权重映射表 {symbol: weight}
+ * 把 symbol-weights.json 的内容合并到默认权重上
+ * @param {Object} data - symbol-weights.json 解析后的对象
+ * @param {number} [reelIndex] - 转轮索引（0 开始）；提供时叠加 reels 中该转轮的覆盖
+ * @returns {Object} 权重映射表 {symbol: weight}
  */
-async function loadSymbolWeights() {
-    if (cachedWeights) {
-        return { ...cachedWeights };
+export function mergeSymbolWeights(data, reelIndex) {
+    const merged = weightsOf(symbolConfigsForReel(data, reelIndex));
+
+    // 如果所有权重都为 0，则回退默认值
+    const totalWeight = Object.values(merged).reduce((sum, v) => sum + v, 0);
+    if (totalWeight <= 0) {
+        return weightsOf(DEFAULT_SYMBOLS);
     }
+    return merged;
+}
+
+/**
+ * 读取 symbol-weights.json 中的单个 strip 数量上限
+ * @param {Object} data - symbol-weights.json 解析后的对象
+ * @param {number} [reelIndex] - 转轮索引（0 开始）；提供时叠加 reels 中该转轮的覆盖
+ * @returns {Object} 数量上限 {symbol: max_per_strip}
+ */
+export function mergeSymbolLimits(data, reelIndex) {
+    const limits = {};
+    for (const [sym, cfg] of Object.entries(symbolConfigsForReel(data, reelIndex))) {
+        const max = parseInt(cfg?.max_per_strip, 10);
+        if (Number.isInteger(max) && max >= 0) limits[sym] = max;
+    }
+    return limits;
+}
+
+/**
+ * 读取 symbol-weights.json 中的固定 strip
+ * strips 为按转轮排列的数组，某个位置为 null 或省略时该转轮仍随机生成
+ * @param {Object} data - symbol-weights.json 解析后的对象
+ * @returns {(string[]|null)[]} 每个转轮的固定 strip
+ */
+export function mergeFixedStrips(data) {
+    if (!Array.isArray(data?.strips)) return [];
+    return data.strips.map((strip, i) => {
+        if (strip == null) return null;
+        if (!Array.isArray(strip) || strip.length < 3 || !strip.every(s => typeof s === 'string' && s)) {
+            console.warn(`symbol-weights.json strips[${i}] must be an array of at least 3 symbols, ignored`);
+            return null;
+        }
+        return [...strip];
+    });
+}
+
+/**
+ * 加载 symbol-weights.json（只加载一次）
+ * @returns {Promise<Object>} 解析后的对象；加载失败时为空对象
+ */
+async function loadWeightData() {
+    if (cachedWeightData) return cachedWeightData;
 
     try {
         const response = await fetch('symbol-weights.json');
         if (!response.ok) {
             throw new Error('Failed to load symbol-weights.json');
         }
-        const data = await response.json();
-        const symbols = data?.symbols || {};
-        const merged = { ...DEFAULT_WEIGHTS };
-
-        // 允许只覆盖部分符号；未知符号也允许加入
-        for (const [sym, cfg] of Object.entries(symbols)) {
-            if (typeof cfg !== 'object') continue;
-            const raw = cfg.probability ?? cfg.weight ?? null;
-            const w = parseFloat(raw);
-            if (isNaN(w) || w < 0) continue;
-            merged[sym] = w;
+        cachedWeightData = await response.json();
+    } catch (err) {
+        console.warn('Failed to load symbol-weights.json, using defaults.json:', err);
+        cachedWeightData = {};
+    }
+    cachedFixedStrips = mergeFixedStrips(cachedWeightData);
+    return cachedWeightData;
+}
+
+/**
+ * 长度为 length 的 strip 中某符号的期望数量（每个位置以概率 p 抽中，超过 max 的部分被重抽）
+ * @param {number} length - strip 长度
+ * @param {number} p - 单个位置抽中的概率
+ * @param {number} max - 数量上限
+ * @returns {number}
+ */
+function expectedCappedCount(length, p, max) {
+    if (p >= 1) return Math.min(length, max);
+
+    // 二项分布：逐项递推 P(X = k)
+    let pmf = Math.pow(1 - p, length);
+    let expected = 0;
+    for (let k = 1; k <= length; k++) {
+        pmf *= ((length - k + 1) / k) * (p / (1 - p));
+        expected += Math.min(k, max) * pmf;
+    }
+    return expected;
+}
+
+/**
+ * 由权重计算 strip 上任一位置出现各符号的概率
+ * 有数量上限的符号按二项分布截断，截掉的概率按权重分给没有上限的符号（近似 enforceStripLimits 的重抽）
+ * @param {Object} weightsMap - 权重映射表 {symbol: weight}
+ * @param {Object} [limits={}] - 数量上限 {symbol: max}
+ * @param {number} [length] - strip 长度，默认为 defaults.json 的 reel_strip_length
+ * @returns {Object} {symbol: probability}，总和为 1
+ */
+export function symbolOddsFromWeights(weightsMap, limits = {}, length = DEFAULT_STRIP_LENGTH) {
+    const total = Object.values(weightsMap).reduce((sum, w) => sum + w, 0);
+    const odds = {};
+    let excess = 0;
+    let freeWeight = 0;
+
+    for (const [sym, w] of Object.entries(weightsMap)) {
+        const p = total > 0 ? w / total : 0;
+        if (limits[sym] === undefined) {
+            odds[sym] = p;
+            freeWeight += w;
+            continue;
         }
+        odds[sym] = expectedCappedCount(length, p, limits[sym]) / length;
+        excess += p - odds[sym];
+    }
 
-        // 如果所有权重都为 0，则回退默认值
-        const totalWeight = Object.values(merged).reduce((sum, v) => sum + (typeof v === 'number' ? v : 0), 0);
-        if (totalWeight <= 0) {
-            cachedWeights = { ...DEFAULT_WEIGHTS };
-            return { ...cachedWeights };
+    if (excess > 0 && freeWeight > 0) {
+        for (const [sym, w] of Object.entries(weightsMap)) {
+            if (limits[sym] === undefined) odds[sym] += excess * (w / freeWeight);
         }
+    }
+    return odds;
+}
 
-        cachedWeights = merged;
-        return { ...cachedWeights };
-    } catch (err) {
-        console.warn('Failed to load symbol-weights.json, using defaults:', err);
-        cachedWeights = { ...DEFAULT_WEIGHTS };
-        return { ...cachedWeights };
+/**
+ * 某个转轮停在任一位置时出现各符号的概率（不含偏向与卡片的权重倍率）
+ * @param {number} reelIndex - 转轮索引（0 开始）
+ * @param {number} [length] - strip 长度；省略时读取 config.json 的 reel_strip_length
+ * @returns {Promise<Object>} {symbol: probability}；固定 strip 按符号在 strip 中的占比计算
+ */
+export async function getSymbolOdds(reelIndex, length) {
+    const data = await loadWeightData();
+    const fixedStrip = cachedFixedStrips[reelIndex];
+    if (fixedStrip) {
+        const odds = {};
+        fixedStrip.forEach(sym => {
+            odds[sym] = (odds[sym] || 0) + 1 / fixedStrip.length;
+        });
+        return odds;
     }
+
+    const stripLength = length ?? await getReelStripLength();
+    return symbolOddsFromWeights(mergeSymbolWeights(data, reelIndex), mergeSymbolLimits(data, reelIndex), stripLength);
 }
 
 /**
- * 根据权重随机选择一个符号
+ * 把超出数量上限的符号重新抽取为未达上限的符号
+ * @param {string[]} strip - 转轮符号列表（原地修改）
+ * @param {Object} weightsMap - 权重映射表
+ * @param {Object} limits - 数量上限 {symbol: max}
+ * @param {{next: function(): number}} rng - 随机数生成器
+ */
+function enforceStripLimits(strip, weightsMap, limits, rng) {
+    const counts = {};
+    strip.forEach((sym, idx) => {
+        counts[sym] = (counts[sym] || 0) + 1;
+        if (limits[sym] === undefined || counts[sym] <= limits[sym]) return;
+
+        counts[sym]--;
+        const population = Object.keys(weightsMap).filter(s => limits[s] === undefined || (counts[s] || 0) < limits[s]);
+        if (!population.length) return;
+        const replacement = weightedChoice(population, population.map(s => weightsMap[s]), rng);
+        strip[idx] = replacement;
+        counts[replacement] = (counts[replacement] || 0) + 1;
+    });
+}
+
+/**
+ * 根据权重随机选择一个符号（权重为 0 的符号不会被选中）
  * @param {string[]} population - 符号列表
  * @param {number[]} weights - 对应权重列表
+ * @param {{next: function(): number}} rng - 随机数生成器
  * @returns {string} 选中的符号
  */
-function weightedChoice(population, weights) {
+function weightedChoice(population, weights, rng) {
     const totalWeight = weights.reduce((sum, w) => sum + w, 0);
-    let random = Math.random() * totalWeight;
+    let random = rng.next() * totalWeight;
     
     for (let i = 0; i < population.length; i++) {
         random -= weights[i];
-        if (random <= 0) {
+        if (weights[i] > 0 && random <= 0) {
             return population[i];
         }
     }
     
-    // 兜底返回最后一个
+    // 兜底（浮点误差）返回最后一个权重为正的符号
+    for (let i = population.length - 1; i >= 0; i--) {
+        if (weights[i] > 0) return population[i];
+    }
     return population[population.length - 1];
 }
 
@@ -97,12 +258,13 @@ function weightedChoice(population, weights) {
  * @param {string[]} population - 符号列表
  * @param {number[]} weights - 对应权重列表
  * @param {number} k - 选择数量
+ * @param {{next: function(): number}} rng - 随机数生成器
  * @returns {string[]} 选中的符号数组
  */
-function weightedChoices(population, weights, k) {
+function weightedChoices(population, weights, k, rng) {
     const result = [];
     for (let i = 0; i < k; i++) {
-        result.push(weightedChoice(population, weights));
+        result.push(weightedChoice(population, weights, rng));
     }
     return result;
 }
@@ -111,21 +273,38 @@ function weightedChoices(population, weights, k) {
  * 生成一个转轮的符号列表
  * 
  * @param {Object} options - 生成选项
- * @param {number} [options.length=6] - 列表长度
+ * @param {number} [options.length] - 列表长度，默认为 defaults.json 的 reel_strip_length
  * @param {string[]} [options.biasSymbols=[]] - 偏向符号列表（Rigging），
  *        会把列表中每个符号各插入一次到 strip 中
  * @param {number} [options.bombMultiplier=1.0] - 炸弹权重倍率
- * @returns {Promise<string[]>} 生成的符号数组
+ * @param {Object} [options.weightMultipliers] - 符号权重倍率 {symbol: factor}（卡片效果）
+ * @param {{next: function(): number}} [options.rng] - 随机数生成器，默认使用共享 RNG
+ * @param {Object} [options.weights] - 权重映射表 {symbol: weight}；提供时不再加载 symbol-weights.json
+ * @param {Object} [options.limits] - 数量上限 {symbol: max}；省略时使用 symbol-weights.json 的 max_per_strip
+ * @param {number} [options.reelIndex] - 转轮索引（0 开始），用于选择该转轮的权重覆盖与固定 strip
+ * @param {(string[]|null)[]} [options.strips] - 固定 strip；省略时使用 symbol-weights.json 的 strips
+ * @returns {Promise<string[]>} 生成的符号数组；该转轮配置了固定 strip 时原样返回（忽略偏向与倍率）
  */
 export async function generateWeightedStrip(options = {}) {
     const {
-        length = 6,
+        length = DEFAULT_STRIP_LENGTH,
         biasSymbols = [],
-        bombMultiplier = 1.0
+        bombMultiplier = 1.0,
+        weightMultipliers = null,
+        rng = getRng(),
+        weights: weightsOverride = null,
+        limits: limitsOverride = null,
+        reelIndex = null,
+        strips: stripsOverride = null
     } = options;
 
-    // 加载权重配置
-    const weightsMap = await loadSymbolWeights();
+    // 加载权重配置（按转轮叠加 reels 中的覆盖）
+    const data = weightsOverride && limitsOverride && stripsOverride ? null : await loadWeightData();
+    const fixedStrip = Number.isInteger(reelIndex) ? (stripsOverride || cachedFixedStrips)[reelIndex] : null;
+    if (fixedStrip) return [...fixedStrip];
+
+    const weightsMap = weightsOverride ? { ...weightsOverride } : mergeSymbolWeights(data, reelIndex);
+    const limits = limitsOverride || mergeSymbolLimits(data, reelIndex);
 
     // 炸弹卡：对 bomb 类符号权重做倍率调整
     let bm = parseFloat(bombMultiplier);
@@ -141,16 +320,29 @@ export async function generateWeightedStrip(options = {}) {
         }
     }
 
+    // 卡片效果：按符号调整权重
+    Object.entries(weightMultipliers || {}).forEach(([sym, factor]) => {
+        const f = parseFloat(factor);
+        if (weightsMap[sym] !== undefined && Number.isFinite(f) && f >= 0) {
+            weightsMap[sym] = weightsMap[sym] * f;
+        }
+    });
+
     const population = Object.keys(weightsMap);
     const weights = Object.values(weightsMap);
 
     // 1. 随机生成基础列表
-    const strip = weightedChoices(population, weights, length);
+    const strip = weightedChoices(population, weights, length, rng);
+    enforceStripLimits(strip, weightsMap, limits, rng);
 
     // 2. 如果有偏向符号列表 (Rigging Logic)
     // 把 biasSymbols 中的每个符号，各替换到 strip 的一个随机位置
     if (biasSymbols && biasSymbols.length > 0) {
         for (const biasSym of biasSymbols) {
+            // 已达数量上限的符号（如 scatter）不再插入
+            const current = strip.filter(s => s === biasSym).length;
+            if (limits[biasSym] !== undefined && current >= limits[biasSym]) continue;
+
             // 找出所有不在 biasSymbols 列表中的位置（避免覆盖已插入的偏向符号）
             const availableIndices = strip
                 .map((sym, idx) => ({ sym, idx }))
@@ -158,7 +350,7 @@ export async function generateWeightedStrip(options = {}) {
                 .map(({ idx }) => idx);
 
             if (availableIndices.length > 0) {
-                const replaceIdx = availableIndices[Math.floor(Math.random() * availableIndices.length)];
+                const replaceIdx = availableIndices[Math.floor(rng.next() * availableIndices.length)];
                 strip[replaceIdx] = biasSym;
             }
         }
@@ -175,13 +367,13 @@ export async function getReelStripLength() {
     try {
         const response = await fetch('config.json');
         if (!response.ok) {
-            return 6;
+            return DEFAULT_STRIP_LENGTH;
         }
         const config = await response.json();
         const length = parseInt(config.reel_strip_length, 10);
-        return isNaN(length) ? 6 : Math.max(3, length);
+        return isNaN(length) ? DEFAULT_STRIP_LENGTH : Math.max(3, length);
     } catch {
-        return 6;
+        return DEFAULT_STRIP_LENGTH;
     }
 }
 
@@ -191,6 +383,9 @@ export async function getReelStripLength() {
  * @param {string[]} biasSymbols - 偏向符号数组
  * @param {Object} options - 可选参数
  * @param {number} [options.bombMultiplier=1.0] - 炸弹权重倍率
+ * @param {Object} [options.weightMultipliers] - 符号权重倍率 {symbol: factor}
+ * @param {{next: function(): number}} [options.rng] - 随机数生成器，默认使用共享 RNG
+ * @param {number} [options.reelIndex] - 要生成的转轮索引（按转轮权重 / 固定 strip）
  * @returns {Promise<{strip: string[]}>} 与原 API 格式一致的响应
  */
 export async function generateReel(biasSymbols = [], options = {}) {
@@ -198,7 +393,10 @@ export async function generateReel(biasSymbols = [], options = {}) {
     const strip = await generateWeightedStrip({
         length,
         biasSymbols,
-        bombMultiplier: options.bombMultiplier ?? 1.0
+        bombMultiplier: options.bombMultiplier ?? 1.0,
+        weightMultipliers: options.weightMultipliers,
+        rng: options.rng,
+        reelIndex: options.reelIndex
     });
     return { strip };
 }
@@ -209,6 +407,8 @@ export async function generateReel(biasSymbols = [], options = {}) {
  * @param {number} reelCount - 转轮数量
  * @param {Object} options - 可选参数
  * @param {number} [options.bombMultiplier=1.0] - 炸弹权重倍率
+ * @param {Object} [options.weightMultipliers] - 符号权重倍率 {symbol: factor}
+ * @param {{next: function(): number}} [options.rng] - 随机数生成器，默认使用共享 RNG
  * @returns {Promise<{reels: string[][]}>} 与原 API 格式一致的响应
  */
 export async function initGame(reelCount = 3, options = {}) {
@@ -218,7 +418,10 @@ export async function initGame(reelCount = 3, options = {}) {
     for (let i = 0; i < reelCount; i++) {
         const strip = await generateWeightedStrip({
             length,
-            bombMultiplier: options.bombMultiplier ?? 1.0
+            bombMultiplier: options.bombMultiplier ?? 1.0,
+            weightMultipliers: options.weightMultipliers,
+            rng: options.rng,
+            reelIndex: i
         });
         reels.push(strip);
     }
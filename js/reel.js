@@ -6,19 +6,22 @@
  * 物理公式：
  * - 旋转阶段：y += velocity（匀速运动）
  * - 停止阶段：采用弹簧阻尼模型
- *   - force = displacement × (tension / 100)  // 弹簧力
+ *   - force = displacement × (tension / 100)  // 弹簧力（tension / friction 可由 stop() 按次覆盖）
  *   - velocity += force                        // 加速度
  *   - velocity *= friction                     // 阻尼
  *   - y += velocity                            // 位移
  * 
  * 状态机：
  * - 'idle': 静止状态
- * - 'spinning': 匀速旋转中
+ * - 'spinning': 匀速旋转中（指定了停止位置时继续旋转，直到该符号经过中间行）
  * - 'stopping': 弹簧减速中
  * - 'locked': 完全停止
  * 
  * @module Reel
  */
+import { randomInt } from './rng.js';
+import { stripWindow } from './paylines.js';
+
 export default class Reel {
     /**
      * 创建转轮实例
@@ -37,6 +40,8 @@ export default class Reel {
         this.velocity = 0;    // 当前速度
         this.state = 'idle';  // 状态机
         this.targetY = 0;     // 目标Y位置（停止时）
+        this.spring = null;   // 本次停止使用的 { tension, friction }，null 时使用 config
+        this.pendingStop = null;  // 等待经过中间行的停止位置 { index, spring }
 
         this.itemHeight = config.item_height;
         this.visibleHeight = this.el.parentElement?.clientHeight || config.visible_height;
@@ -73,7 +78,7 @@ export default class Reel {
         }
         this.el.innerHTML = html;
 
-        const startIdx = Math.floor(Math.random() * this.items.length);
+        const startIdx = randomInt(this.items.length);
         this.y = -(startIdx * this.itemHeight) + this.centerOffset;
         this.render();
     }
@@ -83,28 +88,119 @@ export default class Reel {
         domItems.forEach((el, idx) => {
             const itemIndex = idx % this.items.length;
             const newItemKey = this.items[itemIndex];
-            const src = this.getReelSrc(newItemKey);
-            if (el.dataset.key !== newItemKey) {
-                el.innerHTML = `<img src="${src}" class="reel-img" alt="${newItemKey}" onerror="this.style.display='none';this.parentElement.innerText='${newItemKey}'">`;
-                el.dataset.key = newItemKey;
-            }
+            if (el.dataset.key !== newItemKey) this.setCellSymbol(el, newItemKey);
         });
     }
 
+    /**
+     * 替换一个格子的符号图片
+     * @param {HTMLElement} el - .reel-item 元素
+     * @param {string} key - 符号
+     */
+    setCellSymbol(el, key) {
+        const src = this.getReelSrc(key);
+        el.innerHTML = `<img src="${src}" class="reel-img" alt="${key}" onerror="this.style.display='none';this.parentElement.innerText='${key}'">`;
+        el.dataset.key = key;
+    }
+
+    /**
+     * 翻转揭示停止位置附近的一个格子（random_item 揭示），翻到一半时换成揭示的符号
+     * 揭示结果会写回 items，保留该转轮时沿用揭示后的符号
+     * @param {number} rowOffset - 相对中间行的偏移（上方为负）
+     * @param {string} symbol - 揭示的符号
+     * @param {number} [duration=600] - 翻转动画时长(ms)
+     */
+    revealCell(rowOffset, symbol, duration = 600) {
+        const len = this.items.length;
+        const rawIndex = Math.round((this.centerOffset - this.y) / this.itemHeight) + rowOffset;
+        const itemIndex = ((rawIndex % len) + len) % len;
+        this.items[itemIndex] = symbol;
+
+        const domItems = this.el.querySelectorAll('.reel-item');
+        const cell = domItems[rawIndex];
+        cell?.style.setProperty('--reveal-duration', `${duration}ms`);
+        cell?.classList.add('reveal-flip');
+
+        setTimeout(() => {
+            domItems.forEach((el, idx) => {
+                if (idx % len === itemIndex) this.setCellSymbol(el, symbol);
+            });
+        }, duration / 2);
+        setTimeout(() => cell?.classList.remove('reveal-flip'), duration);
+    }
+
     start(speedOverride = null) {
         this.state = 'spinning';
+        this.spring = null;
+        this.pendingStop = null;
         this.velocity = speedOverride || this.config.scroll_speed;
     }
 
-    stop() {
-        if (this.state !== 'spinning') return;
+    /**
+     * 当前离最近符号中心的偏移（技巧停止评级用）
+     * @returns {number} 0 为正中，1 为半个符号高度
+     */
+    getStopOffset() {
+        const itemIndexFloat = -(this.y - this.centerOffset) / this.itemHeight;
+        return Math.abs(itemIndexFloat - Math.round(itemIndexFloat)) * 2;
+    }
+
+    /**
+     * 开始停止：以弹簧动画停到最近的符号中心
+     * @param {{tension: number, friction: number}} [spring] - 覆盖本次停止的弹簧参数（如 turbo 模式更硬的弹簧）
+     * @param {number} [stripIndex] - 必须停在中间行的 strip 下标（服务器决定的结果）；
+     *        提供时继续旋转，直到该符号经过中间行再停下
+     */
+    stop(spring = null, stripIndex = null) {
+        if (this.state !== 'spinning' || this.pendingStop) return;
+        if (Number.isInteger(stripIndex)) {
+            this.pendingStop = { index: stripIndex, spring };
+            return;
+        }
+        this.stopAt(Math.round(-(this.y - this.centerOffset) / this.itemHeight), spring);
+    }
+
+    /**
+     * 以弹簧动画停到某个符号
+     * @param {number} itemIndex - DOM 中的符号序号（可超出 strip 长度，对应循环的副本）
+     * @param {{tension: number, friction: number}|null} spring - 弹簧参数
+     */
+    stopAt(itemIndex, spring) {
         this.state = 'stopping';
+        this.spring = spring;
+        this.targetY = -(itemIndex * this.itemHeight) + this.centerOffset;
+    }
 
-        const relativeY = this.y - this.centerOffset;
-        const itemIndexFloat = -relativeY / this.itemHeight;
-        let targetIndex = Math.round(itemIndexFloat);
+    /**
+     * 旋转一帧后检查等待的停止位置是否经过了中间行
+     * @param {number} before - 这一帧移动前中间行的符号序号（浮点）
+     */
+    catchPendingStop(before) {
+        const after = (this.centerOffset - this.y) / this.itemHeight;
+        const len = this.items.length;
+        const [from, to] = [Math.ceil(Math.min(before, after)), Math.floor(Math.max(before, after))];
+        for (let i = from; i <= to; i++) {
+            if (((i % len) + len) % len === this.pendingStop.index) {
+                const { spring } = this.pendingStop;
+                this.pendingStop = null;
+                this.stopAt(i, spring);
+                return;
+            }
+        }
+    }
 
-        this.targetY = -(targetIndex * this.itemHeight) + this.centerOffset;
+    /**
+     * 把已停止的转轮上下移动一格（微调），沿用停止阶段的弹簧动画
+     * @param {1|-1} direction - 1 为向下（上一个符号移到中间），-1 为向上
+     * @returns {boolean} 转轮不在静止状态时返回 false
+     */
+    nudge(direction) {
+        if (this.state !== 'locked' && this.state !== 'idle') return false;
+        this.targetY = this.y + direction * this.itemHeight;
+        this.velocity = 0;
+        this.spring = null;
+        this.state = 'stopping';
+        return true;
     }
 
     update() {
@@ -120,13 +216,16 @@ export default class Reel {
         }
 
         if (this.state === 'spinning') {
+            const before = (this.centerOffset - this.y) / this.itemHeight;
             this.y += this.velocity;
+            if (this.pendingStop) this.catchPendingStop(before);
         } else if (this.state === 'stopping') {
+            const { tension, friction } = this.spring || this.config;
             const displacement = this.targetY - this.y;
-            const force = displacement * (this.config.tension / 100);
+            const force = displacement * (tension / 100);
 
             this.velocity += force;
-            this.velocity *= this.config.friction;
+            this.velocity *= friction;
             this.y += this.velocity;
 
             if (Math.abs(this.velocity) < 0.1 && Math.abs(displacement) < 0.5) {
@@ -145,11 +244,27 @@ export default class Reel {
         this.el.style.transform = `translate3d(0, ${this.y}px, 0)`;
     }
 
-    getResult() {
+    /**
+     * 中间行对应的 strip 下标
+     * @returns {number}
+     */
+    getResultIndex() {
         const rawIndex = Math.round((this.centerOffset - this.y) / this.itemHeight);
         const len = this.items.length;
-        const finalIndex = ((rawIndex % len) + len) % len;
-        return this.items[finalIndex];
+        return ((rawIndex % len) + len) % len;
+    }
+
+    getResult() {
+        return this.items[this.getResultIndex()];
+    }
+
+    /**
+     * 以中间行为中心的多行结果（网格模式）
+     * @param {number} rows - 行数
+     * @returns {string[]} 从上到下的符号
+     */
+    getRows(rows) {
+        return stripWindow(this.items, this.getResultIndex(), rows);
     }
 
     getReelSrc(key) {
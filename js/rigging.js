@@ -0,0 +1,120 @@
+/**
+ * Rigging 难度档位
+ *
+ * 每停下一个转轮，引擎会按已锁定的结果重新生成下一个转轮，把锁定的符号插入新 strip（偏向连线）。
+ * 偏向的强度由 config.json 的 rigging 配置中的档位决定：
+ * {
+ *   "profile": "current",
+ *   "profiles": {
+ *     "mild": { "enabled": true, "copies": 1, "chance": 0.5, "eligible_types": ["coin", "gem"], "balance_none_above": 300 }
+ *   }
+ * }
+ *
+ * 档位字段（均可省略，省略时使用同名内置档位的值）：
+ * - enabled:            是否偏向；false 时下一个转轮保持原 strip
+ * - copies:             每个锁定符号插入的份数
+ * - chance:             每次偏向生效的概率（0~1）
+ * - eligible_types:     可以被偏向的符号类型；null 表示全部类型
+ * - balance_full_below: 金币不超过该值时按 chance 全额生效
+ * - balance_none_above: 金币达到该值时不再偏向；两者之间按金币线性递减
+ *
+ * URL 参数 ?rig=off 可临时切换档位（优先于配置），便于调试。
+ *
+ * @module rigging
+ * @example
+ * const profile = resolveRiggingProfile(config.rigging, 'mild');
+ * const bias = selectBiasSymbols(profile, ['coin_1', 'bomb_1'], { coins: 40, symbolMap, rng: random });
+ * // => ['coin_1'] 或 null（本次不偏向）
+ */
+
+import { DEFAULTS } from './defaults.js';
+
+const RIGGING_DEFAULTS = DEFAULTS['config.json'].rigging;
+
+/** 未配置 rigging.profile 时使用的档位 */
+export const DEFAULT_RIGGING_PROFILE = RIGGING_DEFAULTS.profile;
+
+/** 内置档位（来自 defaults.json）；current 与原有 Rigging 行为一致 */
+export const DEFAULT_RIGGING_PROFILES = RIGGING_DEFAULTS.profiles;
+
+/**
+ * 取档位名：URL 参数 ?rig= 优先于 config.json 的 rigging.profile
+ * @param {Object} [rigging] - config.json 的 rigging
+ * @returns {string}
+ */
+export function resolveRiggingName(rigging) {
+    if (typeof window !== 'undefined' && window.location?.search) {
+        const fromUrl = new URLSearchParams(window.location.search).get('rig');
+        if (fromUrl) return fromUrl;
+    }
+    return rigging?.profile || DEFAULT_RIGGING_PROFILE;
+}
+
+/**
+ * 解析档位配置（配置中的字段覆盖同名内置档位）
+ * @param {Object} [rigging] - config.json 的 rigging
+ * @param {string} [name] - 档位名；省略时使用 rigging.profile
+ * @returns {{name: string, enabled: boolean, copies: number, chance: number, eligible_types: string[]|null,
+ *           balance_full_below?: number, balance_none_above?: number}} 未知档位时回退为 current
+ */
+export function resolveRiggingProfile(rigging, name) {
+    const profiles = { ...DEFAULT_RIGGING_PROFILES, ...rigging?.profiles };
+    let profileName = name || rigging?.profile || DEFAULT_RIGGING_PROFILE;
+    if (!profiles[profileName]) {
+        console.warn(`Unknown rigging profile "${profileName}", using "${DEFAULT_RIGGING_PROFILE}"`);
+        profileName = DEFAULT_RIGGING_PROFILE;
+    }
+
+    const profile = { ...DEFAULT_RIGGING_PROFILES[profileName], ...profiles[profileName] };
+    return {
+        ...profile,
+        name: profileName,
+        enabled: profile.enabled !== false,
+        copies: Math.max(1, parseInt(profile.copies, 10) || 1),
+        chance: Math.min(1, Math.max(0, Number(profile.chance ?? 1))),
+        eligible_types: Array.isArray(profile.eligible_types) ? profile.eligible_types : null
+    };
+}
+
+/**
+ * 当前金币下偏向生效的概率
+ * @param {Object} profile - resolveRiggingProfile() 的结果
+ * @param {number} coins - 当前金币
+ * @returns {number} 0~1
+ */
+export function riggingStrength(profile, coins) {
+    if (!profile?.enabled) return 0;
+
+    const fullBelow = Number.isFinite(profile.balance_full_below) ? profile.balance_full_below : 0;
+    const noneAbove = Number.isFinite(profile.balance_none_above) ? profile.balance_none_above : null;
+    let factor = 1;
+    if (noneAbove !== null) {
+        if (coins >= noneAbove) factor = 0;
+        else if (coins > fullBelow) factor = (noneAbove - coins) / (noneAbove - fullBelow);
+    }
+    return profile.chance * factor;
+}
+
+/**
+ * 按档位挑选本次要插入下一个转轮的偏向符号
+ * @param {Object} profile - resolveRiggingProfile() 的结果
+ * @param {string[]} lockedResults - 已锁定转轮的结果
+ * @param {Object} ctx
+ * @param {number} ctx.coins - 当前金币
+ * @param {Object} ctx.symbolMap - 符号数值表（用于判断类型）
+ * @param {function(): number} ctx.rng - 返回 [0, 1) 的随机函数；概率为 0 或 1 时不会调用
+ * @returns {string[]|null} 偏向符号（按 copies 重复）；本次不偏向时返回 null
+ */
+export function selectBiasSymbols(profile, lockedResults, { coins, symbolMap, rng }) {
+    const strength = riggingStrength(profile, coins);
+    if (strength <= 0) return null;
+    if (strength < 1 && rng() >= strength) return null;
+
+    const eligible = profile.eligible_types;
+    const symbols = eligible
+        ? lockedResults.filter(s => eligible.includes(symbolMap?.[s]?.type))
+        : lockedResults;
+    if (!symbols.length) return null;
+
+    return symbols.flatMap(s => new Array(profile.copies).fill(s));
+}
@@ -0,0 +1,128 @@
+/**
+ * 随机数生成器（RNG）
+ *
+ * 所有影响游戏结果的随机决策都通过本模块取随机数：
+ * - 转轮符号生成与 Rigging（reel-generator.js）
+ * - 转轮转速、random_item 揭示、抽卡、广告选择（slot-machine.js）
+ * - 转轮初始位置（reel.js）
+ *
+ * 粒子、震动等纯视觉效果仍使用 Math.random，避免其调用次数打乱结果序列。
+ *
+ * 使用 mulberry32 算法，相同种子产生相同序列，
+ * 可用于逐次复现 bug 报告中的旋转，或编写确定性测试。
+ *
+ * 种子来源优先级：URL 参数 ?seed= > config.json 的 rng_seed > 随机种子
+ *
+ * @module rng
+ * @example
+ * seedRng('bug-42');
+ * random();      // 每次刷新都得到同一个值
+ * randomInt(6);  // 0~5
+ */
+
+/**
+ * 把任意种子（数字或字符串）转换为 32 位无符号整数
+ * @param {number|string} seed - 种子
+ * @returns {number} 32 位整数种子
+ */
+function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+    // FNV-1a 字符串哈希
+    const str = String(seed);
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * 创建一个独立的 RNG 实例
+ * @param {number|string} [seed] - 种子；省略时随机生成
+ * @returns {{seed: number|string, next: function(): number}} RNG 实例，next() 返回 [0, 1) 的浮点数
+ */
+export function createRng(seed = null) {
+    const usedSeed = seed ?? Math.floor(Math.random() * 0x100000000);
+    let state = hashSeed(usedSeed);
+
+    return {
+        seed: usedSeed,
+        next() {
+            // mulberry32
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+    };
+}
+
+// 全局共享的 RNG 实例
+let currentRng = createRng();
+
+/**
+ * 获取当前共享 RNG 实例
+ * @returns {{seed: number|string, next: function(): number}}
+ */
+export function getRng() {
+    return currentRng;
+}
+
+/**
+ * 替换当前共享 RNG 实例（例如注入测试用的固定序列）
+ * @param {{next: function(): number}} rng - 需提供 next() 方法
+ */
+export function setRng(rng) {
+    if (!rng || typeof rng.next !== 'function') {
+        throw new Error('RNG must provide a next() method');
+    }
+    currentRng = rng;
+}
+
+/**
+ * 用指定种子重置共享 RNG
+ * @param {number|string} [seed] - 种子；省略时随机生成
+ * @returns {number|string} 实际使用的种子
+ */
+export function seedRng(seed = null) {
+    currentRng = createRng(seed);
+    return currentRng.seed;
+}
+
+/**
+ * 从 URL 参数或配置中解析种子
+ * @param {Object} [config] - 游戏配置（来自config.json）
+ * @returns {string|number|null} 种子；没有配置时返回 null
+ */
+export function resolveSeed(config = {}) {
+    if (typeof window !== 'undefined' && window.location?.search) {
+        const fromUrl = new URLSearchParams(window.location.search).get('seed');
+        if (fromUrl) return fromUrl;
+    }
+    const fromConfig = config?.rng_seed;
+    if (fromConfig !== undefined && fromConfig !== null && fromConfig !== '') {
+        return fromConfig;
+    }
+    return null;
+}
+
+/**
+ * 从共享 RNG 取一个 [0, 1) 的随机数
+ * @returns {number}
+ */
+export function random() {
+    return currentRng.next();
+}
+
+/**
+ * 从共享 RNG 取一个 [0, max) 的随机整数
+ * @param {number} max - 上界（不含）
+ * @returns {number}
+ */
+export function randomInt(max) {
+    return Math.floor(currentRng.next() * max);
+}
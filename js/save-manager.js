@@ -0,0 +1,268 @@
+/**
+ * SaveManager - 本地存档与多存档位管理
+ *
+ * 把 GameEngine 的可持久化状态（金币、宝石、卡片库存、转轮数量、
+ * 广告黑客、角色升级等级、累计统计等）以带版本号的 JSON 写入 localStorage。
+ *
+ * 存档格式：
+ * { "version": SAVE_VERSION, "savedAt": ISO时间, "state": {...} }
+ *
+ * 导出文件在存档格式外额外带上 format 与 profile 字段，导入时会校验格式并迁移版本。
+ *
+ * 每个存档位（profile）单独保存：默认存档位使用 SAVE_KEY，
+ * 其他存档位使用 `${SAVE_KEY}.${名称}`；存档位列表与当前存档位保存在 PROFILES_KEY。
+ *
+ * 存档格式变化时：提升 SAVE_VERSION，并在 MIGRATIONS 中
+ * 添加「旧版本号 → 升级函数」，读取旧存档时会按顺序逐级迁移。
+ *
+ * @module SaveManager
+ * @example
+ * const saves = new SaveManager();
+ * saves.save(engine.getSaveState());
+ * const state = saves.load(); // 无存档时返回 null
+ */
+
+/** 当前存档版本 */
+export const SAVE_VERSION = 2;
+
+/** 默认 localStorage 键名 */
+export const SAVE_KEY = 'slottogawa.save';
+
+/** 存档位列表的 localStorage 键名 */
+export const PROFILES_KEY = 'slottogawa.profiles';
+
+/** 默认存档位名称 */
+export const DEFAULT_PROFILE = 'default';
+
+/** 导出文件的格式标识 */
+export const EXPORT_FORMAT = 'slottogawa-save';
+
+// 存档位名称：1~20 个字母、数字、下划线或连字符
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,20}$/;
+
+/**
+ * 存档迁移表：key 为旧版本号，函数返回升级到下一版本后的存档
+ * - 0 → 1：早期没有 version/state 包装的存档，整个对象即状态
+ * - 1 → 2：新增 stats 累计统计字段
+ */
+const MIGRATIONS = {
+    0: (data) => ({ version: 1, savedAt: data.savedAt ?? null, state: { ...data } }),
+    1: (save) => ({ ...save, version: 2, state: { ...save.state, stats: save.state?.stats ?? {} } })
+};
+
+/**
+ * 将任意版本的存档迁移到当前版本
+ * @param {Object} data - 解析后的存档对象
+ * @returns {Object} 当前版本的存档
+ * @throws {Error} 版本号无法识别或缺少迁移函数时抛出
+ */
+export function migrateSave(data) {
+    let save = data;
+    let version = Number.isInteger(save?.version) ? save.version : 0;
+
+    if (version > SAVE_VERSION) {
+        throw new Error(`Save version ${version} is newer than supported ${SAVE_VERSION}`);
+    }
+
+    while (version < SAVE_VERSION) {
+        const migrate = MIGRATIONS[version];
+        if (!migrate) throw new Error(`No save migration from version ${version}`);
+        save = migrate(save);
+        version = save.version;
+    }
+    return save;
+}
+
+/**
+ * 存档位对应的 localStorage 键名
+ * @param {string} profile - 存档位名称
+ * @returns {string}
+ */
+export function profileKey(profile) {
+    return profile === DEFAULT_PROFILE ? SAVE_KEY : `${SAVE_KEY}.${profile}`;
+}
+
+/**
+ * 解析导出的存档文件内容
+ * @param {string} text - 文件文本
+ * @returns {{profile: string|null, state: Object}} 迁移到当前版本后的状态
+ * @throws {Error} JSON 非法、格式标识不符或版本不受支持时抛出
+ */
+export function parseExport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('File is not valid JSON');
+    }
+    if (!data || data.format !== EXPORT_FORMAT) {
+        throw new Error(`Not a save file (format must be "${EXPORT_FORMAT}")`);
+    }
+    const save = migrateSave(data);
+    return { profile: data.profile ?? null, state: save.state };
+}
+
+export default class SaveManager {
+    /**
+     * @param {Storage} [storage=localStorage] - 存储后端（需实现 getItem/setItem/removeItem）
+     * @param {string} [profile] - 存档位名称，默认使用上次选择的存档位
+     */
+    constructor(storage = globalThis.localStorage, profile = null) {
+        this.storage = storage || null;
+        this.profile = profile || this.readProfiles().active;
+        this.key = profileKey(this.profile);
+    }
+
+    // ===================== 存档位 =====================
+    readProfiles() {
+        const fallback = { active: DEFAULT_PROFILE, names: [DEFAULT_PROFILE] };
+        try {
+            const data = JSON.parse(this.storage?.getItem(PROFILES_KEY) || 'null');
+            if (!data || !Array.isArray(data.names)) return fallback;
+            const names = data.names.filter(n => PROFILE_NAME_PATTERN.test(n));
+            if (!names.includes(DEFAULT_PROFILE)) names.unshift(DEFAULT_PROFILE);
+            const active = names.includes(data.active) ? data.active : DEFAULT_PROFILE;
+            return { active, names };
+        } catch {
+            return fallback;
+        }
+    }
+
+    writeProfiles(profiles) {
+        this.storage?.setItem(PROFILES_KEY, JSON.stringify(profiles));
+    }
+
+    /**
+     * 列出所有存档位及其概要
+     * @returns {{name: string, active: boolean, savedAt: string|null, coins: number|null, gems: number|null}[]}
+     */
+    listProfiles() {
+        return this.readProfiles().names.map(name => {
+            const save = this.readSave(name);
+            return {
+                name,
+                active: name === this.profile,
+                savedAt: save?.savedAt ?? null,
+                coins: save?.state?.coins ?? null,
+                gems: save?.state?.gems ?? null
+            };
+        });
+    }
+
+    /**
+     * 新建存档位（不切换）
+     * @param {string} name - 存档位名称
+     * @throws {Error} 名称非法或已存在时抛出
+     */
+    createProfile(name) {
+        if (!PROFILE_NAME_PATTERN.test(name || '')) {
+            throw new Error('Profile name must be 1-20 letters, digits, "_" or "-"');
+        }
+        const profiles = this.readProfiles();
+        if (profiles.names.includes(name)) throw new Error(`Profile "${name}" already exists`);
+        profiles.names.push(name);
+        this.writeProfiles(profiles);
+    }
+
+    /**
+     * 删除存档位及其存档（不能删除默认或当前存档位）
+     * @param {string} name - 存档位名称
+     * @throws {Error} 尝试删除默认或当前存档位时抛出
+     */
+    deleteProfile(name) {
+        if (name === DEFAULT_PROFILE) throw new Error('Cannot delete the default profile');
+        if (name === this.profile) throw new Error('Cannot delete the active profile');
+        const profiles = this.readProfiles();
+        profiles.names = profiles.names.filter(n => n !== name);
+        this.writeProfiles(profiles);
+        this.storage?.removeItem(profileKey(name));
+    }
+
+    /**
+     * 切换当前存档位（之后的 load/save 都作用于该存档位）
+     * @param {string} name - 存档位名称
+     * @throws {Error} 存档位不存在时抛出
+     */
+    switchProfile(name) {
+        const profiles = this.readProfiles();
+        if (!profiles.names.includes(name)) throw new Error(`Profile "${name}" does not exist`);
+        profiles.active = name;
+        this.writeProfiles(profiles);
+        this.profile = name;
+        this.key = profileKey(name);
+    }
+
+    // ===================== 读写 =====================
+    /** 是否存在存档 */
+    hasSave() {
+        return !!this.storage?.getItem(this.key);
+    }
+
+    /**
+     * 读取并迁移当前存档位的存档
+     * @returns {Object|null} 游戏状态；无存档或存档损坏时返回 null
+     */
+    load() {
+        return this.readSave(this.profile, true)?.state || null;
+    }
+
+    /**
+     * 读取并迁移指定存档位的完整存档
+     * @param {string} profile - 存档位名称
+     * @param {boolean} [writeBack=false] - 是否把迁移后的存档写回
+     * @returns {{version: number, savedAt: string|null, state: Object}|null} 无存档或存档损坏时返回 null
+     */
+    readSave(profile, writeBack = false) {
+        const key = profileKey(profile);
+        const raw = this.storage?.getItem(key);
+        if (!raw) return null;
+
+        try {
+            const data = JSON.parse(raw);
+            const save = migrateSave(data);
+            // 迁移过的存档立即以新格式写回
+            if (writeBack && data?.version !== SAVE_VERSION) {
+                this.storage.setItem(key, JSON.stringify(save));
+            }
+            return save;
+        } catch (err) {
+            console.warn(`Failed to load save "${profile}", starting a new game:`, err);
+            return null;
+        }
+    }
+
+    /**
+     * 写入存档
+     * @param {Object} state - GameEngine.getSaveState() 的结果
+     */
+    save(state) {
+        if (!this.storage) return;
+        const save = { version: SAVE_VERSION, savedAt: new Date().toISOString(), state };
+        try {
+            this.storage.setItem(this.key, JSON.stringify(save));
+        } catch (err) {
+            console.warn('Failed to write save:', err);
+        }
+    }
+
+    /** 删除当前存档位的存档（开始新游戏） */
+    clear() {
+        this.storage?.removeItem(this.key);
+    }
+
+    // ===================== 导出 =====================
+    /**
+     * 生成可下载的导出文件内容
+     * @param {Object} state - GameEngine.getSaveState() 的结果
+     * @returns {string} 格式化后的 JSON 文本
+     */
+    exportSave(state) {
+        return JSON.stringify({
+            format: EXPORT_FORMAT,
+            version: SAVE_VERSION,
+            profile: this.profile,
+            savedAt: new Date().toISOString(),
+            state
+        }, null, 2);
+    }
+}
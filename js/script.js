@@ -12,12 +12,31 @@
  * - shop.json: 商店配置
  * - character.json: 角色配置
  * - music.json: 音频配置
+ * - symbol-weights.json: 符号权重（仅用于配置检查，可缺失）
+ *
+ * 全部配置先按 config-schema.js 校验；加载失败或不符合 schema 时，
+ * 在开发用覆盖层中列出文件、字段路径与问题（缺少必需文件时游戏不启动）。
+ * 配置中缺少的字段按 defaults.json 补全，控制台列出哪些值来自默认值；
+ * URL 参数 ?config=1 时即使没有问题也打开覆盖层，并附上这份默认值报告。
+ * 服务器会话与恢复的存档只在调试时输出到控制台（debug_readout、?debug=1 或 ?config=1）。
+ *
+ * 启动时从 localStorage 恢复上次使用的存档位（见 save-manager.js），
+ * 存在多个存档位时打开存档界面供玩家选择。
+ * server 模式（config.json 的 server.enabled 或 URL 参数 ?server=1）下改为打开 Flask 后端的会话，
+ * 状态由服务器保存，不使用本地存档。
  * 
  * @module script
  */
 
-import { fetchAdConfig, fetchAnimeConfig, fetchCardConfig, fetchCharacterConfig, fetchConfig, fetchMusicConfig, fetchShopConfig, fetchSymbolValues } from './api.js';
+import {
+    createBackend, fetchAdConfig, fetchAnimeConfig, fetchCardConfig, fetchCharacterConfig, fetchConfig, fetchMusicConfig,
+    fetchShopConfig, fetchSymbolValues, fetchSymbolWeights
+} from './api.js';
 import SlotMachine from './slot-machine.js';
+import { resolveSeed, seedRng } from './rng.js';
+import SaveManager from './save-manager.js';
+import { validateConfigs } from './config-schema.js';
+import { defaultsReport } from './defaults.js';
 
 /**
  * 加载静态资源配置
@@ -28,23 +47,154 @@ const loadAssets = () => fetch('asset.json').then(res => {
     return res.json();
 });
 
-window.addEventListener('DOMContentLoaded', () => {
-    Promise.all([
-        fetchConfig(), 
-        loadAssets(), 
-        fetchSymbolValues(), 
-        fetchCardConfig(), 
-        fetchAnimeConfig(),
-        fetchAdConfig(),
-        fetchShopConfig(),
-        fetchCharacterConfig(),
-        fetchMusicConfig()
-    ])
-        .then(([config, assets, symbolValues, cardConfig, animeConfig, adConfig, shopConfig, characterConfig, musicConfig]) => 
-            new SlotMachine(config, assets, symbolValues, cardConfig, animeConfig, adConfig, shopConfig, characterConfig, musicConfig))
-        .catch(err => {
-            console.error(err);
-            const status = document.getElementById('status-text');
-            if (status) status.innerText = 'CONFIG/ASSET ERROR';
+/**
+ * 启动时加载的配置文件（顺序即 SlotMachine 构造参数的顺序）
+ * optional 的文件加载失败时游戏仍可启动：symbol-weights.json 缺失时转轮使用 defaults.json 中的权重
+ */
+const CONFIG_FILES = [
+    { file: 'config.json', load: fetchConfig },
+    { file: 'asset.json', load: loadAssets },
+    { file: 'symbol-values.json', load: fetchSymbolValues },
+    { file: 'card.json', load: fetchCardConfig },
+    { file: 'anime.json', load: fetchAnimeConfig },
+    { file: 'ad.json', load: fetchAdConfig },
+    { file: 'shop.json', load: fetchShopConfig },
+    { file: 'character.json', load: fetchCharacterConfig },
+    { file: 'music.json', load: fetchMusicConfig },
+    { file: 'symbol-weights.json', load: fetchSymbolWeights, optional: true }
+];
+
+/**
+ * 加载全部配置文件；单个文件失败不影响其他文件的加载
+ * @returns {Promise<{configs: Object<string, Object>, problems: {file: string, path: string, message: string, fatal: boolean}[]}>}
+ *          configs 只包含加载成功的文件；fatal 表示缺少该文件时游戏无法启动
+ */
+async function loadConfigs() {
+    const results = await Promise.allSettled(CONFIG_FILES.map(({ load }) => load()));
+    const configs = {};
+    const problems = [];
+    results.forEach((result, i) => {
+        const { file, optional } = CONFIG_FILES[i];
+        if (result.status === 'fulfilled') {
+            configs[file] = result.value;
+        } else {
+            problems.push({ file, path: '', message: `failed to load: ${result.reason?.message || result.reason}`, fatal: !optional });
+        }
+    });
+    return { configs, problems };
+}
+
+/**
+ * 用表头与行数据重新生成表格
+ * @param {HTMLTableElement} table
+ * @param {string[]} headers - 表头
+ * @param {string[][]} rows - 每行的单元格文本
+ */
+function fillTable(table, headers, rows) {
+    table.innerHTML = '';
+    const head = table.insertRow();
+    headers.forEach(text => {
+        const th = document.createElement('th');
+        th.innerText = text;
+        head.appendChild(th);
+    });
+    rows.forEach(cells => {
+        const row = table.insertRow();
+        cells.forEach(text => {
+            row.insertCell().innerText = text;
         });
+    });
+}
+
+/**
+ * 在开发用覆盖层中列出配置问题（文件、字段路径、问题），可附上默认值报告
+ * @param {{file: string, path: string, message: string}[]} problems - 问题列表
+ * @param {boolean} canContinue - 游戏已启动，可关闭覆盖层继续游戏
+ * @param {{file: string, path: string, value: *}[]} [defaulted] - 来自 defaults.json 的值；省略时不显示
+ */
+function showConfigReport(problems, canContinue, defaulted = null) {
+    const overlay = document.getElementById('config-report-overlay');
+    const table = document.getElementById('config-report-table');
+    if (!overlay || !table) return;
+
+    const files = new Set(problems.map(problem => problem.file));
+    const summary = problems.length
+        ? [
+            `${problems.length} PROBLEM${problems.length > 1 ? 'S' : ''} IN ${files.size} FILE${files.size > 1 ? 'S' : ''}`,
+            canContinue ? 'THE GAME STARTED WITH FALLBACK VALUES WHERE NEEDED.' : 'THE GAME CANNOT START.'
+        ]
+        : ['NO PROBLEMS FOUND'];
+    if (defaulted) summary.push(`${defaulted.length} VALUE${defaulted.length === 1 ? '' : 'S'} TAKEN FROM DEFAULTS.JSON`);
+    document.getElementById('config-report-summary').innerText = summary.join('\n');
+
+    table.classList.toggle('hidden', !problems.length);
+    fillTable(table, ['FILE', 'PATH', 'PROBLEM'], problems.map(({ file, path, message }) => [file, path || '(root)', message]));
+
+    const defaultsTable = document.getElementById('config-defaults-table');
+    if (defaultsTable) {
+        defaultsTable.classList.toggle('hidden', !defaulted?.length);
+        fillTable(defaultsTable, ['FILE', 'PATH', 'DEFAULT'], (defaulted || []).map(({ file, path, value }) => (
+            [file, path || '(whole file)', JSON.stringify(value)]
+        )));
+    }
+
+    const closeBtn = document.getElementById('config-report-close-btn');
+    closeBtn?.classList.toggle('hidden', !canContinue);
+    closeBtn?.addEventListener('click', () => overlay.classList.add('hidden'), { once: true });
+    overlay.classList.remove('hidden');
+}
+
+window.addEventListener('DOMContentLoaded', async () => {
+    const { configs, problems } = await loadConfigs();
+    problems.push(...validateConfigs(configs));
+    const fatal = problems.some(problem => problem.fatal);
+    if (problems.length) console.warn('Config problems:', problems);
+    const defaulted = defaultsReport(configs);
+    if (defaulted.length) console.info('Values taken from defaults.json:', defaulted);
+    const params = new URLSearchParams(window.location.search);
+    const showReport = params.get('config') === '1';
+
+    if (fatal) {
+        const status = document.getElementById('status-text');
+        if (status) status.innerText = 'CONFIG/ASSET ERROR';
+        showConfigReport(problems, false);
+        return;
+    }
+
+    try {
+        const [config, assets, symbolValues, cardConfig, animeConfig, adConfig, shopConfig, characterConfig, musicConfig] =
+            CONFIG_FILES.map(({ file }) => configs[file]);
+        const debugLog = showReport || config.debug_readout === true || params.has('debug') ? console.log : () => {};
+
+        // 设置随机种子（URL ?seed= 优先于 config.json 的 rng_seed），便于复现问题；种子总是输出，不受调试开关影响
+        const seed = seedRng(resolveSeed(config));
+        console.info(`RNG seed: ${seed}`);
+
+        // server 模式：状态来自服务器会话；否则读取本地存档（自动迁移旧版本格式），没有存档时开始新游戏
+        const backend = createBackend(config.server);
+        let saveManager = null;
+        let savedState;
+        if (backend.mode === 'server') {
+            const session = await backend.openSession();
+            savedState = session.state;
+            debugLog(`Server session: ${session.sessionId}`);
+            if (session.interrupted) debugLog('Interrupted spin settled by server:', session.interrupted);
+        } else {
+            saveManager = new SaveManager();
+            savedState = saveManager.load();
+            if (savedState) debugLog('Save restored:', savedState);
+        }
+
+        const machine = new SlotMachine(config, assets, symbolValues, cardConfig, animeConfig, adConfig, shopConfig, characterConfig, musicConfig, { savedState, saveManager, backend });
+
+        // 有多个存档位时，启动后先让玩家选择
+        if (saveManager?.listProfiles().length > 1) machine.openSaveOverlay();
+        if (problems.length || showReport) showConfigReport(problems, true, showReport ? defaulted : null);
+    } catch (err) {
+        // 配置通过了检查但启动仍失败：同样在覆盖层中显示，便于定位
+        console.error(err);
+        const status = document.getElementById('status-text');
+        if (status) status.innerText = 'CONFIG/ASSET ERROR';
+        showConfigReport([...problems, { file: '(startup)', path: '', message: err.message }], false);
+    }
 });
@@ -0,0 +1,328 @@
+/**
+ * ServerGameEngine - 服务器权威模式的规则引擎
+ *
+ * 接口与 GameEngine 相同，视图层（SlotMachine）无需区分模式；区别在于所有影响结果的操作都由
+ * Flask 后端（app.py 的 /api/session 接口，见 api.js 的 ServerBackend）决定：
+ * - startSpin    服务器扣除下注、生成转轮
+ * - stopNextReel 服务器决定转轮的停止位置（getStopTarget），并返回 Rigging 重新生成的下一个转轮
+ * - revealRandomSymbols / settle 服务器揭示 random 类符号并结算
+ * - buyItem / upgradeWaiter / planAd / claimAdReward / resetState 服务器修改钱包与库存
+ * 每次请求后用服务器返回的 state 覆盖本地状态，在 devtools 中修改金币不会影响结果。
+ *
+ * 每次旋转收到的转轮、停止位置与结果记录在 fairSpins 中；rotateSeed() 公开 server seed 后，
+ * 可用 provably-fair.js 的 verifySpin() 在浏览器中重新计算并比较。
+ *
+ * 结算请求失败时旋转保留在服务器上：可以重试，或用 resync() 重新打开会话，由服务器补结算后同步状态。
+ *
+ * 服务器只支持经典模式：网格赔付线、保留 / 微调、技巧停止与翻倍游戏在该模式下关闭。
+ * 需要等待服务器的方法是异步的；请求进行中（pending）时再次调用会被忽略，返回 reason 'PENDING'，
+ * 与服务器拒绝时的 'BUSY'（会话中已有未结算的旋转）区分。
+ *
+ * @module ServerGameEngine
+ * @example
+ * const engine = new ServerGameEngine({ server: createBackend({ enabled: true }), symbolValues });
+ * const spin = await engine.startSpin();
+ * const stop = await engine.stopNextReel();
+ * reel.stop(null, engine.getStopTarget(stop.index));
+ */
+
+import GameEngine from './game-engine.js';
+import { randomInt } from './rng.js';
+
+// 最多保留的待验证旋转记录数
+const FAIR_HISTORY_LIMIT = 100;
+
+export default class ServerGameEngine extends GameEngine {
+    /**
+     * @param {Object} options - 同 GameEngine
+     * @param {import('./api.js').ServerBackend} options.server - 服务器会话（需已调用 openSession()）
+     */
+    constructor(options) {
+        super({ ...options, gridRows: 1, reelSource: options.server });
+        this.server = options.server;
+        this.holdConfig = { ...this.holdConfig, enabled: false };
+        this.skillStopConfig = { ...this.skillStopConfig, enabled: false };
+        this.gambleConfig = { ...this.gambleConfig, enabled: false };
+
+        this.pending = false;       // 正在等待服务器响应
+        this.stopTargets = [];      // 本次旋转每个转轮的停止位置（strip 下标）
+        this.riggedStrip = null;    // 最近一次停止时服务器重新生成的下一个转轮
+        this.pendingSettle = null;  // 已从服务器取得、尚未展示的结算 { outcome, state }
+        this.adToken = null;        // 领取广告奖励用的 token
+        this.fair = options.server.fair ?? null;  // 当前种子对 { serverSeedHash, clientSeed, nonce }
+        this.fairSpins = [];        // 当前种子对下本页面进行的旋转（最近 FAIR_HISTORY_LIMIT 次）
+        this.fairRecord = null;     // 进行中的旋转的记录
+    }
+
+    /**
+     * 发送一次会话请求，并用响应中的 state 覆盖本地状态
+     * @param {function(): Promise<Object>} send - 发送请求的函数
+     * @param {boolean} [applyState=true] - 是否立即套用响应中的 state
+     * @returns {Promise<Object>} 服务器响应；网络或服务器错误时返回 { ok: false, reason: 'ERROR', error }
+     */
+    async request(send, applyState = true) {
+        this.pending = true;
+        try {
+            const res = await send();
+            if (applyState && res.state) this.applyServerState(res.state);
+            return res;
+        } catch (err) {
+            console.error('Server request failed', err);
+            return { ok: false, reason: 'ERROR', error: err };
+        } finally {
+            this.pending = false;
+        }
+    }
+
+    /**
+     * 套用服务器返回的状态（不改变状态机阶段）
+     * @param {Object} state - 与 getSaveState() 字段相同
+     */
+    applyServerState(state) {
+        this.coins = state.coins;
+        this.gems = state.gems;
+        this.reelCount = state.reelCount;
+        this.inventory = [...state.inventory];
+        this.adHackActive = state.adHackActive;
+        this.waiterUpgradeLevel = state.waiterUpgradeLevel;
+        this.spinCount = state.spinCount;
+        this.freeSpins = this.parseFreeSpins(state.freeSpins);
+        if (this.freeSpins) this.currentBet = this.freeSpins.bet;
+        this.progressivePool = state.progressivePool;
+        this.stats = { ...this.stats, ...state.stats };
+        this.emitCurrency();
+        this.emitInventory();
+        this.emit('freeSpins', this.freeSpins ? { ...this.freeSpins } : null);
+        this.emit('progressive', { pool: this.progressivePool });
+    }
+
+    /** 开始新游戏：服务器重置会话 */
+    async resetState() {
+        const res = await this.request(() => this.server.resetSession(), false);
+        if (res.ok) this.loadSaveState(res.state);
+    }
+
+    // ===================== 旋转流程 =====================
+    async startSpin() {
+        if (this.pending) return { ok: false, reason: 'PENDING' };
+        if (!this.isIdle) return { ok: false, reason: 'BUSY' };
+
+        const cardTypes = this.getActiveCardTypes();
+        const res = await this.request(() => this.server.spin(this.currentBet, [...this.activeCards]));
+        if (!res.ok) return res;
+        this.recordFairSpin(res, cardTypes);
+
+        this.currentSpinFree = res.free;
+        this.currentSpinHeld = [];
+        this.stopTargets = [];
+        this.riggedStrip = null;
+        this.pendingSettle = null;
+        this.lastStrips = [...res.strips];
+        this.gambleableWin = 0;
+        this.setPhase(1);
+        this.emit('spinStart', { bet: res.cost, free: res.free });
+        return { ok: true, strips: res.strips, speeds: res.speeds, free: res.free, held: [] };
+    }
+
+    /**
+     * 请求服务器停止当前轮到的转轮；停止位置通过 getStopTarget() 取得
+     * @returns {Promise<{index: number, isLastReel: boolean, rating: null}|null>}
+     *          不在旋转中、上一个请求未完成或请求失败时返回 null
+     */
+    async stopNextReel() {
+        if (!this.isSpinning || this.pending) return null;
+
+        const res = await this.request(() => this.server.stopReel(this.phase - 1));
+        if (!res.ok) return null;
+
+        this.stopTargets[res.index] = res.stopIndex;
+        this.fairRecord.stops[res.index] = res.stopIndex;
+        this.fairRecord.manualStops++;
+        if (res.rigged) this.fairRecord.rigged.push(res.rigged);
+        // 下一个转轮的 strip 必须在它停止之前替换，停止位置才能对应
+        if (res.rigged) {
+            this.lastStrips[res.rigged.index] = res.rigged.strip;
+            this.riggedStrip = res.rigged.strip;
+            this.emit('reelStrip', res.rigged);
+        }
+        this.setPhase(res.index + 2);
+        return { index: res.index, isLastReel: res.isLastReel, rating: null };
+    }
+
+    /**
+     * 服务器决定的停止位置
+     * @param {number} index - 转轮索引
+     * @returns {number|null} strip 下标；尚未停止时返回 null
+     */
+    getStopTarget(index) {
+        return this.stopTargets[index] ?? null;
+    }
+
+    /** Rigging 已在 stopNextReel() 中由服务器完成，这里只返回重新生成的 strip（用于日志） */
+    async rigNextReel() {
+        const strip = this.riggedStrip;
+        this.riggedStrip = null;
+        return strip;
+    }
+
+    async exitSpin() {
+        if (!this.isSpinning || this.pending) return null;
+
+        const res = await this.request(() => this.server.exitSpin());
+        if (!res.ok) return null;
+
+        if (res.action === 'escape') {
+            res.stops.forEach(({ index, stopIndex }) => {
+                this.stopTargets[index] = stopIndex;
+                this.fairRecord.stops[index] = stopIndex;
+            });
+            this.setPhase(this.reelCount + 1);
+            return 'escape';
+        }
+
+        this.lastStrips = null;
+        this.activeCards = [];
+        this.emitInventory();
+        this.setPhase(0);
+        return 'abort';
+    }
+
+    /**
+     * 向服务器请求结算，返回其中的揭示结果；结算在 settle() 时才套用到本地状态
+     * @returns {Promise<{grid: string[][], reveals: Object[]}>}
+     * @throws {Error} 服务器拒绝或请求失败时抛出，error.reason 为服务器返回的原因（网络或服务器错误时为 'ERROR'）
+     */
+    async revealRandomSymbols() {
+        if (!this.pendingSettle) {
+            const res = await this.request(() => this.server.settle(), false);
+            if (!res.ok) {
+                throw Object.assign(new Error(`Settle failed: ${res.reason}`, { cause: res.error }), { reason: res.reason });
+            }
+            this.pendingSettle = res;
+            this.fairRecord.outcome = res.outcome;
+
+            const shown = res.outcome.stops.map((stop, i) => this.lastStrips?.[i]?.[stop]);
+            const raw = res.outcome.grid.map((column, i) => res.outcome.reveals.find(r => r.reel === i)?.from ?? column[0]);
+            if (shown.join() !== raw.join()) console.warn('Reels differ from server result:', shown, raw);
+        }
+        const { grid, reveals } = this.pendingSettle.outcome;
+        return { grid, reveals };
+    }
+
+    /** 套用服务器的结算结果（需先调用 revealRandomSymbols()） */
+    settle() {
+        const { outcome, state } = this.pendingSettle;
+        this.pendingSettle = null;
+        this.setPhase(this.reelCount + 2);
+
+        // 卡片过载（restart）时服务器不消耗本次选中的卡片
+        if (!outcome.restart) this.activeCards = [];
+        this.applyServerState(state);
+        this.emit('settled', outcome);
+        return outcome;
+    }
+
+    /**
+     * 重新打开会话并整体套用服务器状态（结算请求被拒绝或多次失败后使用）；
+     * 服务器上未结算的旋转会按服务器的停止位置补结算，结果记入本次旋转的验证记录
+     * @returns {Promise<{ok: boolean, reason?: string, interrupted?: Object|null}>} interrupted 为服务器补结算的结果
+     */
+    async resync() {
+        if (this.pending) return { ok: false, reason: 'PENDING' };
+
+        const res = await this.request(() => this.server.openSession(), false);
+        if (!res.ok) return res;
+
+        if (res.interrupted && this.fairRecord && !this.fairRecord.outcome) {
+            this.fairRecord.stops = [...res.interrupted.stops];
+            this.fairRecord.outcome = res.interrupted;
+        }
+        this.fairRecord = null;
+        this.pendingSettle = null;
+        this.stopTargets = [];
+        this.fair = res.fair ?? this.fair;
+        this.loadSaveState(res.state);
+        return { ok: true, interrupted: res.interrupted ?? null };
+    }
+
+    // ===================== 可验证公平 =====================
+    /**
+     * 记录本次旋转用于事后验证：使用的种子与 nonce、下注、卡片、Rigging 时的金币与收到的转轮
+     * @param {Object} res - 开始旋转的响应
+     * @param {string[]} cardTypes - 使用的卡片类型
+     */
+    recordFairSpin(res, cardTypes) {
+        this.fair = { ...res.fair, nonce: res.fair.nonce + 1 };
+        this.fairRecord = {
+            ...res.fair,
+            bet: res.state.currentBet,
+            cardTypes,
+            coins: res.state.coins,
+            strips: res.strips.map(strip => [...strip]),
+            rigged: [],
+            stops: res.strips.map(() => null),
+            manualStops: 0,
+            outcome: null       // EXIT 中止时保持为 null
+        };
+        this.fairSpins.push(this.fairRecord);
+        if (this.fairSpins.length > FAIR_HISTORY_LIMIT) this.fairSpins.shift();
+    }
+
+    /**
+     * 公开当前 server seed 并换用新的种子对，返回可以验证的旋转记录
+     * @param {string} [clientSeed] - 新的 client seed；省略时沿用当前的
+     * @returns {Promise<{ok: boolean, reason?: string, revealed?: Object, spins?: Object[]}>}
+     *          revealed 为公开的种子对（nonce 为该种子对下的旋转总数），spins 为本页面记录的旋转
+     */
+    async rotateSeed(clientSeed) {
+        if (this.pending) return { ok: false, reason: 'PENDING' };
+        if (!this.isIdle) return { ok: false, reason: 'BUSY' };
+
+        const res = await this.request(() => this.server.rotateSeed(clientSeed));
+        if (!res.ok) return res;
+
+        const spins = this.fairSpins.filter(spin => spin.serverSeedHash === res.revealed.serverSeedHash);
+        this.fairSpins = [];
+        this.fair = res.fair;
+        return { ok: true, revealed: res.revealed, spins };
+    }
+
+    // ===================== 商店 / 角色 / 广告 =====================
+    async buyItem(itemId) {
+        if (this.pending) return { ok: false, reason: 'PENDING' };
+        if (!this.isIdle) return { ok: false, reason: 'BUSY' };
+
+        const res = await this.request(() => this.server.buy(itemId));
+        if (res.ok) {
+            if (itemId === 'add_reel') this.lastStrips = null;
+            this.emit('purchase', { itemId, cardType: res.cardType });
+        }
+        return res;
+    }
+
+    upgradeWaiter() {
+        return this.buyItem('waiter_upgrade');
+    }
+
+    /**
+     * 向服务器申请观看广告；时长与奖励由服务器决定，视频在本地随机选择
+     * @param {string[]} files - 可选的广告视频列表
+     * @returns {Promise<{file: string, seconds: number, rewardCoins: number, playbackRate: number}|null>}
+     */
+    async planAd(files) {
+        if (!files?.length || !this.isIdle || this.pending) return null;
+
+        const res = await this.request(() => this.server.watchAd());
+        if (!res.ok) return null;
+        this.adToken = res.token;
+        return { file: files[randomInt(files.length)], seconds: res.seconds, rewardCoins: res.rewardCoins, playbackRate: res.playbackRate };
+    }
+
+    /** 广告播放完后向服务器领取奖励（金额以服务器为准） */
+    async claimAdReward() {
+        const res = await this.request(() => this.server.claimAd(this.adToken));
+        this.adToken = null;
+        if (res.ok) this.emit('adReward', { coins: res.coins });
+        return res;
+    }
+}
@@ -1,14 +1,12 @@
 /**
- * SlotMachine - 老虎机游戏核心控制器
+ * SlotMachine - 老虎机视图控制器
  * 
- * 负责管理整个游戏的生命周期，包括：
- * - 游戏状态机（phase: 0=待机, 1~N=转轮停止中, N+1=结算中）
+ * 游戏规则与状态由 GameEngine（game-engine.js）持有，
+ * 本类只负责浏览器侧的表现，并订阅引擎事件刷新界面：
  * - UI绑定与更新
  * - 转轮控制与动画
- * - 卡片道具系统
- * - 角色互动系统
- * - 商店与广告系统
- * - 奖励计算与结算
+ * - 卡片、商店、广告、角色的交互与展示
+ * - 音效与特效
  * 
  * @module SlotMachine
  */
@@ -16,8 +14,25 @@
 import Reel from './reel.js';
 import LedController from './led-controller.js';
 import EffectsController from './effects-controller.js';
-import { initGame, generateReel } from './api.js';
 import AudioManager from './audio-manager.js';
+import GameEngine, { MAX_INVENTORY } from './game-engine.js';
+import ServerGameEngine from './server-engine.js';
+import { parseExport } from './save-manager.js';
+import { resolveRiggingName } from './rigging.js';
+import { autoplayStopReason, autoStopDelay, resolveAutoplayConfig } from './autoplay.js';
+import { computeOutcomeOdds, describeComboMatch, describeComboPays, formatOdds, revealOdds } from './paytable.js';
+import { getSymbolOdds } from './api.js';
+import { verifySpin } from './provably-fair.js';
+import { withDefaults } from './defaults.js';
+
+// random_item 翻转揭示动画时长(ms)
+const REVEAL_DURATION = 600;
+
+// 结算结果展示多久后回到待机(ms)
+const SETTLE_DELAY = 1000;
+
+// 中奖赔付线的颜色（按赔付线顺序循环）
+const PAYLINE_COLORS = ['#FF5252', '#FFB300', '#69F0AE', '#40C4FF', '#E040FB', '#FFFF00', '#FF6E40'];
 
 class SlotMachine {
     /**
@@ -31,28 +46,71 @@ class SlotMachine {
      * @param {Object} [shopConfig] - 商店配置（来自shop.json）
      * @param {Object} [characterConfig] - 角色配置（来自character.json）
      * @param {Object} [musicConfig] - 音频配置（来自music.json）
+     * @param {Object} [options] - 其他选项
+     * @param {Object} [options.savedState] - 启动时恢复的存档状态
+     * @param {import('./save-manager.js').default} [options.saveManager] - 存档管理器，提供时启用自动存档
+     * @param {Object} [options.backend] - 转轮与结算的来源（api.js 的 createBackend()）；
+     *        server 模式使用 ServerGameEngine，状态由服务器会话保存
      */
-    constructor(config, assets, symbolValues = null, cardConfig = null, animeConfig = null, adConfig = null, shopConfig = null, characterConfig = null, musicConfig = null) {
+    constructor(config, assets, symbolValues = null, cardConfig = null, animeConfig = null, adConfig = null, shopConfig = null, characterConfig = null, musicConfig = null, options = {}) {
+        // 缺少的字段按 defaults.json 补全（引擎对其余配置做同样的合并）
+        config = withDefaults('config.json', config);
         this.config = config;
         this.assets = assets;
-        this.symbolValues = symbolValues;
-        this.cardConfig = cardConfig;
+        this.symbolValues = withDefaults('symbol-values.json', symbolValues);
+        this.cardConfig = withDefaults('card.json', cardConfig);
         this.animeConfig = animeConfig;
-        this.adConfig = adConfig || { ad_coin: 10, ad_sec: 15, ad_hack_sec: 5, ad_hack_coin_multiplier: 2 };
-        this.shopConfig = shopConfig || { items: [] };
-        this.characterConfig = characterConfig || { waiter_upgrade_costs: [10, 50, 100, 200, 1680] };
+        this.characterConfig = withDefaults('character.json', characterConfig);
         this.reels = [];
-        this.phase = 0;  // 游戏阶段：0=待机, 1~N=停止转轮中, N+1=等待锁定, N+2=结算完成
-        this.spinCount = 0;
+
+        // ===================== 规则引擎 =====================
+        const serverMode = options.backend?.mode === 'server';
+        const Engine = serverMode ? ServerGameEngine : GameEngine;
+        this.engine = new Engine({
+            server: serverMode ? options.backend : undefined,
+            reelSource: options.backend,
+            symbolValues: this.symbolValues,
+            cardConfig: this.cardConfig,
+            characterConfig: this.characterConfig,
+            adConfig,
+            shopConfig,
+            gridRows: config.grid_rows,
+            paylines: config.paylines,
+            hold: config.hold,
+            skillStop: config.skill_stop,
+            gamble: config.gamble,
+            bets: config.bets,
+            rigging: config.rigging,
+            riggingProfile: resolveRiggingName(config.rigging)
+        });
+        this.engine.on('currency', () => this.updateCurrencyUI());
+        this.engine.on('inventory', () => this.renderCards());
+        this.engine.on('phase', () => {
+            this.updateLights();
+            this.syncHoldControls();
+        });
+        this.engine.on('hold', () => this.syncHoldControls());
+        this.engine.on('reelStrip', ({ index, strip }) => this.reels[index]?.updateItems(strip));
+        this.engine.on('freeSpins', () => this.updateFreeSpinUI());
+        this.engine.on('progressive', () => this.updateProgressiveUI());
+        this.engine.on('stateLoaded', () => this.updateProgressiveUI());
 
         // ===================== UI 元素引用 =====================
         this.ui = {
             btn: document.getElementById('action-btn'),
             status: document.getElementById('status-text'),
+            freeSpinCounter: document.getElementById('free-spin-counter'),
+            freeSpinBanner: document.getElementById('free-spin-banner'),
+            debugReadout: document.getElementById('debug-readout'),
             lightsContainer: document.getElementById('lights-container'),
             lights: [],
             coinCount: document.getElementById('coin-count'),
             gemCount: document.getElementById('gem-count'),
+            progressiveMeter: document.getElementById('progressive-meter'),
+            progressiveCount: document.getElementById('progressive-count'),
+            gambleOverlay: document.getElementById('gamble-overlay'),
+            gambleCard: document.getElementById('gamble-card'),
+            gambleInfo: document.getElementById('gamble-info'),
             cardsContainer: document.getElementById('cards-container'),
             characterBoss: document.getElementById('character-boss'),
             characterWaiter: document.getElementById('character-waiter'),
@@ -60,33 +118,31 @@ class SlotMachine {
             waiterDialogue: document.getElementById('waiter-dialogue')
         };
 
-        // ===================== 游戏状态 =====================
-        this.coins = 20;           // 当前金币
-        this.gems = 0;             // 当前宝石
-        this.currentBet = 5;       // 当前下注倍率
-        this.reelCount = 3;        // 转轮数量
-
-        // ===================== 卡片系统 =====================
-        this.inventory = [];       // 持有的卡片列表
-        this.activeCards = [];     // 本次选中的卡片索引
-        this.availableCardTypes = Object.keys(this.getCardDefs());
-        this.currentSpinCardTypes = [];      // 本次旋转使用的卡片类型
-        this.currentSpinBombMultiplier = 1;  // 炸弹倍率
-        
-        // ===================== 商店状态 =====================
-        this.adHackActive = false;  // 广告黑客是否激活
-        
-        // ===================== 角色系统 =====================
-        this.waiterUpgradeLevel = 0;  // 角色升级等级（0=初始，1-4=waiter升级，5=boss升级）
-
         // ===================== 子系统初始化 =====================
-        const ledTotalCount = config.led_total_count || 60;
+        const ledTotalCount = config.led_total_count;
         this.ledController = new LedController(document.getElementById('led-border'), ledTotalCount);
         this.effectsController = new EffectsController(animeConfig, assets);
         this.audioManager = new AudioManager(musicConfig || {});
         this.audioManager.load();
-        
+
+        // ===================== 存档 =====================
+        this.saveManager = options.saveManager || null;
+        if (options.savedState) this.engine.loadSaveState(options.savedState);
+        ['spinStart', 'settled', 'purchase', 'adReward', 'gamble'].forEach(evt => {
+            this.engine.on(evt, () => this.autosave());
+        });
+
         this.eventsBound = false;
+        this.revealing = false;   // random_item 揭示动画进行中，暂缓结算
+        this.settleFailed = null; // server 模式结算失败后按钮的恢复方式：'retry' 重试结算，'resync' 重新同步会话
+        this.gambleBusy = false;  // 翻倍游戏翻牌动画进行中
+        this.autoplayConfig = resolveAutoplayConfig(config.autoplay);
+        this.autoplay = null;     // { total, done, timer, stopReason } 自动旋转进行中
+        this.turboConfig = config.turbo;
+        this.stopAllConfig = config.stop_all;
+        this.turbo = false;
+        this.stoppingAll = false; // 长按全停进行中
+        this.paytableOdds = null; // 赔付表的概率缓存（按转轮数）
         this.tick = this.tick.bind(this);
         this.init();
     }
@@ -97,20 +153,33 @@ class SlotMachine {
         this.loadInitialReels();
         this.renderCards();
         this.initCharacters();
+        this.applyCharacterCG();
         this.updateCurrencyUI();
+        this.updateProgressiveUI();
+        this.buildBetButtons();
+        this.syncLinesButton();
         this.audioManager.playInitialBgm1();
+        if (this.engine.waiterUpgradeLevel >= 5) this.audioManager.lockBgmToEnding();
 
         this.ledController.build();
         this.ledController.start('normal');
+        this.updateFreeSpinUI();
 
         if (!this.eventsBound) {
             this.bindInput();
             this.bindExitButton();
             this.bindAdButton();
             this.bindShopButton();
-            this.bindBetButtons();
+            this.bindLinesButton();
             this.bindCharacterInteraction();
             this.bindBgmToggleButton();
+            this.bindNewGameButton();
+            this.bindSaveButton();
+            this.bindGambleOverlay();
+            this.bindAutoplayButton();
+            this.bindTurboButton();
+            this.bindPaytableButton();
+            this.bindVerifyButton();
             requestAnimationFrame(this.tick);
             this.eventsBound = true;
         }
@@ -131,23 +200,221 @@ class SlotMachine {
         });
     }
 
+    // ===================== 存档 =====================
+    autosave() {
+        this.saveManager?.save(this.engine.getSaveState());
+    }
+
+    bindNewGameButton() {
+        const btn = document.getElementById('new-game-btn');
+        if (!btn) return;
+
+        btn.addEventListener('click', async () => {
+            if (!this.engine.isIdle) return;
+            this.audioManager.playSfx('button_exit');
+            if (!window.confirm('开始新游戏？当前存档将被清除。')) return;
+
+            this.saveManager?.clear();
+            await this.engine.resetState();
+            this.audioManager.unlockBgm();
+            this.init();
+            this.ui.status.innerText = 'NEW GAME';
+            setTimeout(() => {
+                if (this.engine.isIdle) this.ui.status.innerText = 'INSERT COIN';
+            }, 2000);
+        });
+    }
+
+    // ===================== 存档位 / 导入导出 =====================
+    bindSaveButton() {
+        const saveBtn = document.getElementById('save-btn');
+        const overlay = document.getElementById('save-overlay');
+        const closeBtn = document.getElementById('save-close-btn');
+        const createBtn = document.getElementById('save-create-btn');
+        const nameInput = document.getElementById('save-profile-name');
+        const exportBtn = document.getElementById('save-export-btn');
+        const importBtn = document.getElementById('save-import-btn');
+        const importInput = document.getElementById('save-import-input');
+
+        // 没有存档管理器（server 模式由服务器会话保存）时不显示存档按钮
+        if (!this.saveManager) saveBtn?.classList.add('hidden');
+        if (!saveBtn || !overlay || !this.saveManager) return;
+
+        saveBtn.addEventListener('click', () => {
+            if (!this.engine.isIdle) return;
+            this.audioManager.playSfx('button_entry');
+            this.openSaveOverlay();
+        });
+
+        closeBtn?.addEventListener('click', () => {
+            this.audioManager.playSfx('button_exit');
+            overlay.classList.add('hidden');
+        });
+
+        createBtn?.addEventListener('click', () => {
+            const name = nameInput.value.trim();
+            try {
+                this.saveManager.createProfile(name);
+                nameInput.value = '';
+                this.switchProfile(name);
+                this.showSaveMessage([`CREATED ${name}`]);
+            } catch (err) {
+                this.showSaveMessage([err.message], true);
+            }
+        });
+
+        exportBtn?.addEventListener('click', () => {
+            this.audioManager.playSfx('button_entry');
+            const text = this.saveManager.exportSave(this.engine.getSaveState());
+            const date = new Date().toISOString().slice(0, 10);
+            const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `slottogawa-${this.saveManager.profile}-${date}.json`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+            this.showSaveMessage(['EXPORTED']);
+        });
+
+        importBtn?.addEventListener('click', () => importInput?.click());
+
+        importInput?.addEventListener('change', async () => {
+            const file = importInput.files?.[0];
+            importInput.value = '';
+            if (!file) return;
+
+            let imported;
+            try {
+                imported = parseExport(await file.text());
+            } catch (err) {
+                this.showSaveMessage([err.message], true);
+                return;
+            }
+
+            const errors = this.engine.validateSaveState(imported.state);
+            if (errors.length) {
+                this.showSaveMessage(errors, true);
+                return;
+            }
+
+            if (!window.confirm(`导入存档将覆盖存档位「${this.saveManager.profile}」，继续？`)) return;
+            this.engine.loadSaveState(imported.state);
+            this.autosave();
+            this.audioManager.unlockBgm();
+            this.init();
+            this.renderSaveOverlay();
+            this.showSaveMessage(['IMPORTED']);
+        });
+    }
+
+    /** 打开存档界面（启动时有多个存档位也会调用） */
+    openSaveOverlay() {
+        const overlay = document.getElementById('save-overlay');
+        if (!overlay || !this.saveManager) return;
+        this.renderSaveOverlay();
+        this.showSaveMessage([]);
+        overlay.classList.remove('hidden');
+    }
+
+    renderSaveOverlay() {
+        const list = document.getElementById('save-profiles');
+        const statsEl = document.getElementById('save-stats');
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.saveManager.listProfiles().forEach(profile => {
+            const row = document.createElement('div');
+            row.className = `save-profile ${profile.active ? 'active' : ''}`;
+
+            const info = document.createElement('div');
+            info.className = 'save-profile-info';
+            const summary = profile.coins === null ? 'EMPTY' : `${profile.coins} COINS / ${profile.gems} GEMS`;
+            info.innerText = `${profile.name}\n${summary}`;
+            row.appendChild(info);
+
+            if (!profile.active) {
+                const loadBtn = document.createElement('button');
+                loadBtn.className = 'save-action-btn';
+                loadBtn.innerText = 'LOAD';
+                loadBtn.addEventListener('click', () => {
+                    this.switchProfile(profile.name);
+                    this.showSaveMessage([`LOADED ${profile.name}`]);
+                });
+                row.appendChild(loadBtn);
+
+                const deleteBtn = document.createElement('button');
+                deleteBtn.className = 'save-action-btn danger';
+                deleteBtn.innerText = 'DEL';
+                deleteBtn.addEventListener('click', () => {
+                    if (!window.confirm(`删除存档位「${profile.name}」？`)) return;
+                    try {
+                        this.saveManager.deleteProfile(profile.name);
+                        this.renderSaveOverlay();
+                    } catch (err) {
+                        this.showSaveMessage([err.message], true);
+                    }
+                });
+                row.appendChild(deleteBtn);
+            }
+
+            list.appendChild(row);
+        });
+
+        if (statsEl) {
+            const { stats, spinCount } = this.engine;
+            statsEl.innerText = [
+                `SPINS: ${spinCount}`,
+                `BET: ${stats.totalBet}  WON: ${stats.totalWonCoins}  LOST: ${stats.totalLostCoins}`,
+                `GEMS WON: ${stats.totalWonGems}  BEST: ${stats.biggestWin}`,
+                `JACKPOTS: ${stats.jackpots}  CARDS: ${stats.cardsWon}  BONUS: ${stats.bonusRounds ?? 0}`,
+                `STOPS: PERFECT ${stats.perfectStops}  GOOD ${stats.goodStops}  LATE ${stats.lateStops}`,
+                `PROGRESSIVE WINS: ${stats.progressiveWins}`,
+                `GAMBLE: WON ${stats.gambleWins}  LOST ${stats.gambleLosses}  NET ${stats.gambleNetCoins}`
+            ].join('\n');
+        }
+    }
+
+    /**
+     * 在存档界面显示提示或错误列表
+     * @param {string[]} lines - 每行一条
+     * @param {boolean} [isError=false] - 是否为错误
+     */
+    showSaveMessage(lines, isError = false) {
+        const messageEl = document.getElementById('save-message');
+        if (!messageEl) return;
+        messageEl.classList.toggle('error', isError);
+        messageEl.innerText = lines.join('\n');
+    }
+
+    /**
+     * 切换到另一个存档位并载入其存档（无存档时为新游戏）
+     * @param {string} name - 存档位名称
+     */
+    switchProfile(name) {
+        this.saveManager.switchProfile(name);
+        this.engine.loadSaveState(this.saveManager.load());
+        this.audioManager.unlockBgm();
+        this.init();
+        this.renderSaveOverlay();
+    }
+
     // ===================== 角色前景系统 =====================
     initCharacters() {
         const cfg = this.characterConfig;
 
         // Boss 配置
-        const bossCfg = cfg.boss || {};
-        document.documentElement.style.setProperty('--boss-scale', bossCfg.scale || 1.0);
-        document.documentElement.style.setProperty('--boss-x', `${bossCfg.idle_x_px || 80}px`);
-        document.documentElement.style.setProperty('--boss-y', `${bossCfg.idle_y_px || 0}px`);
-        document.documentElement.style.setProperty('--boss-spin-x', `${bossCfg.spin_x_px || -200}px`);
+        const bossCfg = cfg.boss;
+        document.documentElement.style.setProperty('--boss-scale', bossCfg.scale);
+        document.documentElement.style.setProperty('--boss-x', `${bossCfg.idle_x_px}px`);
+        document.documentElement.style.setProperty('--boss-y', `${bossCfg.idle_y_px}px`);
+        document.documentElement.style.setProperty('--boss-spin-x', `${bossCfg.spin_x_px}px`);
 
         // Waiter 配置
-        const waiterCfg = cfg.waiter || {};
-        document.documentElement.style.setProperty('--waiter-scale', waiterCfg.scale || 1.0);
-        document.documentElement.style.setProperty('--waiter-x', `${waiterCfg.idle_x_px || 80}px`);
-        document.documentElement.style.setProperty('--waiter-y', `${waiterCfg.idle_y_px || 0}px`);
-        document.documentElement.style.setProperty('--waiter-spin-x', `${waiterCfg.spin_x_px || -200}px`);
+        const waiterCfg = cfg.waiter;
+        document.documentElement.style.setProperty('--waiter-scale', waiterCfg.scale);
+        document.documentElement.style.setProperty('--waiter-x', `${waiterCfg.idle_x_px}px`);
+        document.documentElement.style.setProperty('--waiter-y', `${waiterCfg.idle_y_px}px`);
+        document.documentElement.style.setProperty('--waiter-spin-x', `${waiterCfg.spin_x_px}px`);
     }
 
     setCharactersSpinMode(isSpinning) {
@@ -167,55 +434,67 @@ class SlotMachine {
 
         waiter.addEventListener('click', () => {
             // Spin 期间不可交互
-            if (this.phase !== 0) return;
+            if (!this.engine.isIdle) return;
             this.handleWaiterClick();
         });
     }
 
-    handleWaiterClick() {
-        const costs = this.characterConfig.waiter_upgrade_costs || [10, 50, 100, 200, 1680];
-        
+    async handleWaiterClick() {
+        const result = await this.engine.upgradeWaiter();
+
         // 已经全部升级完成
-        if (this.waiterUpgradeLevel >= costs.length) {
+        if (result.reason === 'COMPLETE') {
             this.showCharacterToast('ALL UPGRADES COMPLETE!', '✨', '');
             return;
         }
 
-        const requiredGems = costs[this.waiterUpgradeLevel];
-
-        if (this.gems >= requiredGems) {
-            // 扣除宝石
-            this.gems -= requiredGems;
-            this.updateCurrencyUI();
-            
-            // 播放对应的语音（基于当前waiterUpgradeLevel，从0开始）
-            this.audioManager.playWaiter(this.waiterUpgradeLevel);
+        if (result.ok) {
+            // 播放对应的语音（基于升级前的等级，从0开始）
+            this.audioManager.playWaiter(result.level);
             
             // 显示对话气泡（前5次）
-            this.showWaiterDialogue(this.waiterUpgradeLevel);
+            this.showWaiterDialogue(result.level);
             
             // 升级CG
-            this.waiterUpgradeLevel++;
             this.updateCharacterCG();
         } else {
             // 宝石不够，显示提示，不播放语音
-            this.showCharacterToast('NOT ENOUGH GEMS', '💎', `NEED: ${requiredGems} GEMS`);
+            this.showCharacterToast('NOT ENOUGH GEMS', '💎', `NEED: ${result.requiredGems} GEMS`);
+        }
+    }
+
+    /**
+     * 按当前升级等级直接设置角色图片（无动画，用于开局/读档）
+     */
+    applyCharacterCG() {
+        const charBase = this.assets?.base_paths?.character || 'image/character/';
+        const charImages = this.assets?.character_images || {};
+        const level = this.engine.waiterUpgradeLevel;
+
+        const waiterKey = level >= 1 ? `waiter_${Math.min(level, 4)}` : 'waiter';
+        if (this.ui.characterWaiter) {
+            this.ui.characterWaiter.src = `${charBase}${charImages[waiterKey] || `${waiterKey}.png`}`;
+        }
+        const bossKey = level >= 5 ? 'boss_1' : 'boss';
+        if (this.ui.characterBoss) {
+            this.ui.characterBoss.src = `${charBase}${charImages[bossKey] || `${bossKey}.png`}`;
         }
     }
 
     updateCharacterCG() {
         const charBase = this.assets?.base_paths?.character || 'image/character/';
         const charImages = this.assets?.character_images || {};
+        const level = this.engine.waiterUpgradeLevel;
 
-        if (this.waiterUpgradeLevel <= 4) {
+        if (level <= 4) {
             // 升级 waiter CG (1-4)
-            const waiterKey = `waiter_${this.waiterUpgradeLevel}`;
-            const waiterSrc = charImages[waiterKey] || `waiter_${this.waiterUpgradeLevel}.png`;
+            const waiterKey = `waiter_${level}`;
+            const waiterSrc = charImages[waiterKey] || `waiter_${level}.png`;
             this.animateCGChange(this.ui.characterWaiter, `${charBase}${waiterSrc}`);
             
             const levelNames = ['', 'CASUAL', 'STYLISH', 'ELEGANT', 'GORGEOUS'];
-            this.ui.status.innerText = `WAITER: ${levelNames[this.waiterUpgradeLevel]}`;
-        } else if (this.waiterUpgradeLevel === 5) {
+            this.ui.status.innerText = `WAITER: ${levelNames[level]}`;
+        } else if (level === 5) {
             // 最终升级 boss CG
             const bossSrc = charImages['boss_1'] || 'boss_1.png';
             this.animateCGChange(this.ui.characterBoss, `${charBase}${bossSrc}`);
@@ -229,11 +508,13 @@ class SlotMachine {
         }
 
         setTimeout(() => {
-            if (this.phase === 0) this.ui.status.innerText = 'INSERT COIN';
+            if (this.engine.isIdle) this.ui.status.innerText = 'INSERT COIN';
         }, 2500);
     }
 
     triggerEnding() {
+        if (this.autoplay && this.autoplayConfig.stop_when.ending) this.stopAutoplay('ENDING');
+
         // 锁定BGM4并播放结算音效
         this.audioManager.lockBgmToEnding();
         this.audioManager.playEndingSfx();
@@ -250,7 +531,7 @@ class SlotMachine {
             confirmBtn.onclick = () => {
                 this.audioManager.playSfx('button_exit');
                 endingOverlay.classList.add('hidden');
-                if (this.phase === 0) this.ui.status.innerText = 'INSERT COIN';
+                if (this.engine.isIdle) this.ui.status.innerText = 'INSERT COIN';
             };
         }
     }
@@ -310,9 +591,9 @@ class SlotMachine {
         if (textEl) textEl.innerText = dialogues[upgradeIndex];
 
         // 计算waiter的实际位置（考虑character.json中的配置）
-        const waiterConfig = this.characterConfig.waiter || {};
-        const waiterIdleX = waiterConfig.idle_x_px || 450;
-        const waiterIdleY = waiterConfig.idle_y_px || 50;
+        const waiterConfig = this.characterConfig.waiter;
+        const waiterIdleX = waiterConfig.idle_x_px;
+        const waiterIdleY = waiterConfig.idle_y_px;
 
         // waiter在右侧，CSS中使用：right: 0, bottom: waiterIdleY
         // 所以waiter的实际x位置（从右边）是 waiterIdleX
@@ -334,16 +615,17 @@ class SlotMachine {
     updateCharacterSwaySpeed() {
         // 计算摇摆速度：金币 -9999~20 为基础速度（4s），金币 100 为最快速度（2s，即2倍速）
         let speedMultiplier = 1;
+        const coins = this.engine.coins;
         
-        if (this.coins <= 20) {
+        if (coins <= 20) {
             // 低于等于20金币时，保持基础速度
             speedMultiplier = 1;
-        } else if (this.coins >= 500) {
+        } else if (coins >= 500) {
             // 500金币及以上，达到8倍速度
             speedMultiplier = 8;
         } else {
             // 20-500之间线性插值
-            const progress = (this.coins - 20) / (500 - 20);
+            const progress = (coins - 20) / (500 - 20);
             speedMultiplier = 1 + progress * (8 - 1);
         }
 
@@ -362,7 +644,7 @@ class SlotMachine {
 
     buildLights() {
         this.ui.lightsContainer.innerHTML = '';
-        for (let i = 0; i < this.reelCount; i++) {
+        for (let i = 0; i < this.engine.reelCount; i++) {
             const lamp = document.createElement('div');
             lamp.className = 'lamp';
             this.ui.lightsContainer.appendChild(lamp);
@@ -373,9 +655,9 @@ class SlotMachine {
     buildReels() {
         const slotsContainer = document.querySelector('.slots-container');
         slotsContainer.innerHTML = '';
-        slotsContainer.className = `slots-container reels-${this.reelCount}`;
+        slotsContainer.className = `slots-container reels-${this.engine.reelCount}`;
 
-        for (let i = 0; i < this.reelCount; i++) {
+        for (let i = 0; i < this.engine.reelCount; i++) {
             const win = document.createElement('div');
             win.className = 'reel-window';
             const strip = document.createElement('div');
@@ -385,18 +667,116 @@ class SlotMachine {
             slotsContainer.appendChild(win);
         }
 
+        // 中奖赔付线绘制层
+        const overlay = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        overlay.classList.add('payline-overlay');
+        slotsContainer.appendChild(overlay);
+        this.ui.paylineOverlay = overlay;
+        slotsContainer.classList.toggle('grid-mode', this.engine.isGridMode);
+
         const reelContainers = document.querySelectorAll('.reel-strip');
         this.reels = [];
         reelContainers.forEach((el, idx) => {
             this.reels.push(new Reel(el, idx, this.config, this.assets));
         });
+
+        this.buildHoldControls(slotsContainer);
+    }
+
+    /**
+     * 在每个转轮窗口下方生成保留（HOLD）与微调（▲/▼）按钮
+     * @param {HTMLElement} slotsContainer - 转轮容器
+     */
+    buildHoldControls(slotsContainer) {
+        let row = document.querySelector('.reel-controls-row');
+        if (!row) {
+            row = document.createElement('div');
+            slotsContainer.after(row);
+        }
+        row.className = `reel-controls-row reels-${this.engine.reelCount}`;
+        row.classList.toggle('hidden', !this.engine.holdConfig.enabled);
+        row.innerHTML = '';
+        this.ui.holdControls = [];
+
+        const windows = slotsContainer.querySelectorAll('.reel-window');
+        for (let i = 0; i < this.engine.reelCount; i++) {
+            const group = document.createElement('div');
+            group.className = 'reel-controls';
+
+            const makeBtn = (text, className, onClick) => {
+                const btn = document.createElement('button');
+                btn.className = className;
+                btn.innerText = text;
+                btn.disabled = true;
+                btn.addEventListener('click', onClick);
+                group.appendChild(btn);
+                return btn;
+            };
+
+            const up = makeBtn('▲', 'nudge-btn', () => this.nudgeReel(i, -1));
+            const hold = makeBtn('HOLD', 'hold-btn', () => {
+                if (!this.engine.toggleHold(i)) return;
+                this.audioManager.playSfx('button_entry');
+                const { heldReels, holdCost } = this.engine.getHoldState();
+                this.ui.status.innerText = heldReels.length ? `HOLD +${holdCost} COINS` : 'INSERT COIN';
+                this.ui.status.style.color = '#FFECB3';
+            });
+            const down = makeBtn('▼', 'nudge-btn', () => this.nudgeReel(i, 1));
+
+            row.appendChild(group);
+            this.ui.holdControls.push({ win: windows[i], hold, up, down });
+        }
+    }
+
+    /** 根据引擎的保留状态刷新 HOLD / 微调按钮 */
+    syncHoldControls() {
+        if (!this.ui.holdControls) return;
+        const state = this.engine.getHoldState();
+        const spinning = !this.engine.isIdle;
+        const locked = !!this.autoplay;
+
+        this.ui.holdControls.forEach(({ win, hold, up, down }, i) => {
+            const held = state.heldReels.includes(i);
+            hold.disabled = locked || !state.available || (!held && state.heldReels.length >= state.maxHeld);
+            hold.classList.toggle('active', held);
+
+            const canNudge = !locked && held && state.nudgesLeft > 0 && this.engine.coins >= state.nudgeCost;
+            up.disabled = !canNudge;
+            down.disabled = !canNudge;
+
+            win?.classList.toggle('held', held || (spinning && this.engine.currentSpinHeld.includes(i)));
+        });
+    }
+
+    /**
+     * 微调保留的转轮一格
+     * @param {number} index - 转轮索引
+     * @param {1|-1} direction - 1 向下，-1 向上
+     */
+    nudgeReel(index, direction) {
+        const reel = this.reels[index];
+        if (!reel || reel.state === 'stopping') return;
+
+        const res = this.engine.nudgeReel(index, direction);
+        if (!res.ok) {
+            if (res.reason === 'NO_COINS') {
+                this.ui.status.innerText = 'NO COINS!';
+                this.ui.status.style.color = '#FF5252';
+            }
+            return;
+        }
+
+        reel.nudge(direction);
+        this.audioManager.playSfx('lock');
+        this.ui.status.innerText = `NUDGE -${res.cost} COINS`;
+        this.ui.status.style.color = '#FFECB3';
     }
 
     async loadInitialReels() {
         try {
-            const data = await initGame(this.reelCount);
+            const strips = await this.engine.loadInitialStrips();
             this.reels.forEach((r, i) => {
-                if (data.reels?.[i]) r.updateItems(data.reels[i]);
+                if (strips[i]) r.updateItems(strips[i]);
             });
         } catch (err) {
             console.error('Init game failed', err);
@@ -404,9 +784,67 @@ class SlotMachine {
     }
 
     bindInput() {
-        this.ui.btn.addEventListener('mousedown', () => this.handleInput());
+        // 自动旋转期间由 autoplay 驱动 SPIN / STOP，玩家需先取消
+        const press = () => {
+            if (this.autoplay) return;
+            const wasSpinning = this.engine.isSpinning;
+            this.handleInput();
+            if (wasSpinning) this.armStopAll();
+        };
+        const release = () => clearTimeout(this.stopAllTimer);
+
+        this.ui.btn.addEventListener('mousedown', press);
+        this.ui.btn.addEventListener('mouseup', release);
+        this.ui.btn.addEventListener('mouseleave', release);
         document.addEventListener('keydown', (e) => {
-            if (e.code === 'Space') this.handleInput();
+            if (e.code === 'Space' && !e.repeat) press();
+        });
+        document.addEventListener('keyup', (e) => {
+            if (e.code === 'Space') release();
+        });
+    }
+
+    /** 按住 STOP 超过 stop_all.hold_ms 时锁定剩余全部转轮 */
+    armStopAll() {
+        clearTimeout(this.stopAllTimer);
+        if (!this.stopAllConfig.enabled || !this.engine.isSpinning) return;
+        this.stopAllTimer = setTimeout(() => this.stopAllReels(), this.stopAllConfig.hold_ms);
+    }
+
+    /**
+     * 依次锁定剩余的全部转轮：每个转轮照常评级、触发锁定特效与音效，并在锁定下一个前完成 Rigging
+     */
+    async stopAllReels() {
+        if (this.stoppingAll || !this.engine.isSpinning) return;
+        this.stoppingAll = true;
+        const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+        // 每次锁定前等待上一个转轮的 Rigging 完成，保证与逐个停止时相同的偏向
+        while (this.engine.isSpinning) {
+            await wait(this.stopAllConfig.interval_ms);
+            await this.rigPromise;
+            if (!this.engine.isSpinning) break;
+            const stopped = await this.stopCurrentReel();
+            if (stopped && !stopped.isLastReel) this.rigPromise = this.rigNextReel(stopped.index);
+        }
+        this.stoppingAll = false;
+    }
+
+    /** 切换 turbo：更快的旋转、更硬的停止弹簧与更短的结算展示 */
+    bindTurboButton() {
+        const btn = document.getElementById('turbo-btn');
+        if (!btn) return;
+
+        const refreshText = () => {
+            btn.innerText = this.turbo ? 'TURBO: ON' : 'TURBO: OFF';
+            btn.classList.toggle('active', this.turbo);
+        };
+        refreshText();
+
+        btn.addEventListener('click', () => {
+            this.audioManager.playSfx(this.turbo ? 'button_exit' : 'button_entry');
+            this.turbo = !this.turbo;
+            refreshText();
         });
     }
 
@@ -418,15 +856,21 @@ class SlotMachine {
         const buyReelBtn = document.getElementById('buy-reel-btn');
         const buyAdHackBtn = document.getElementById('buy-adhack-btn');
 
-        // 从 shop.json 读取商品配置
-        const getItemConfig = (itemId) => {
-            return this.shopConfig.items?.find(item => item.id === itemId) || {};
+        const failureText = {
+            NOT_ENOUGH_GEMS: 'NOT ENOUGH GEMS',
+            INVENTORY_FULL: 'INVENTORY FULL',
+            MAX_REELS: 'MAX REELS',
+            ALREADY_HACKED: 'ALREADY HACKED'
+        };
+        const flashStatus = (text) => {
+            this.ui.status.innerText = text;
+            setTimeout(() => this.ui.status.innerText = 'INSERT COIN', 2000);
         };
 
         if (!shopBtn) return;
 
         shopBtn.addEventListener('click', () => {
-            if (this.phase !== 0) return;
+            if (!this.engine.isIdle) return;
             this.audioManager.playSfx('button_entry');
             this.updateShopUI();
             overlay.classList.remove('hidden');
@@ -437,106 +881,64 @@ class SlotMachine {
             overlay.classList.add('hidden');
         });
 
-        buyCardBtn?.addEventListener('click', () => {
-            const itemCfg = getItemConfig('random_card');
-            const cost = itemCfg.cost || 5;
-            if (this.gems >= cost) {
-                if (this.inventory.length >= 5) {
-                    this.ui.status.innerText = 'INVENTORY FULL';
-                    setTimeout(() => this.ui.status.innerText = 'INSERT COIN', 2000);
-                    return;
-                }
-                this.gems -= cost;
-                const newCardType = this.pickRandomCardType();
-                this.inventory.push(newCardType);
-                this.renderCards();
-                this.updateCurrencyUI();
-                const def = this.getCardDef(newCardType);
-                const shown = def?.name ? def.name : newCardType;
-                this.ui.status.innerText = `BOUGHT ${shown}`;
-                setTimeout(() => this.ui.status.innerText = 'INSERT COIN', 2000);
-            } else {
-                this.ui.status.innerText = 'NOT ENOUGH GEMS';
-                setTimeout(() => this.ui.status.innerText = 'INSERT COIN', 2000);
+        buyCardBtn?.addEventListener('click', async () => {
+            const result = await this.engine.buyItem('random_card');
+            if (!result.ok) {
+                flashStatus(failureText[result.reason] || result.reason);
+                return;
             }
+            const def = this.engine.getCardDef(result.cardType);
+            const shown = def?.name ? def.name : result.cardType;
+            flashStatus(`BOUGHT ${shown}`);
         });
 
-        buyReelBtn?.addEventListener('click', () => {
-            const itemCfg = getItemConfig('add_reel');
-            const cost = itemCfg.cost || 50;
-            if (this.reelCount >= 5) {
-                this.ui.status.innerText = 'MAX REELS';
-                setTimeout(() => this.ui.status.innerText = 'INSERT COIN', 2000);
+        buyReelBtn?.addEventListener('click', async () => {
+            const result = await this.engine.buyItem('add_reel');
+            if (!result.ok) {
+                flashStatus(failureText[result.reason] || result.reason);
                 return;
             }
-            if (this.gems >= cost) {
-                this.gems -= cost;
-                this.reelCount++;
-                this.updateCurrencyUI();
 
-                overlay.classList.add('hidden');
-                const adOverlay = document.getElementById('ad-overlay');
-                const adContent = adOverlay.querySelector('.ad-content');
-                adContent.style.display = 'none';
-                adOverlay.classList.remove('hidden');
+            overlay.classList.add('hidden');
+            const adOverlay = document.getElementById('ad-overlay');
+            const adContent = adOverlay.querySelector('.ad-content');
+            adContent.style.display = 'none';
+            adOverlay.classList.remove('hidden');
 
+            setTimeout(() => {
+                this.init();
                 setTimeout(() => {
-                    this.init();
-                    setTimeout(() => {
-                        adOverlay.classList.add('hidden');
-                        adContent.style.display = 'flex';
-                    }, 500);
+                    adOverlay.classList.add('hidden');
+                    adContent.style.display = 'flex';
                 }, 500);
-            } else {
-                this.ui.status.innerText = 'NOT ENOUGH GEMS';
-                setTimeout(() => this.ui.status.innerText = 'INSERT COIN', 2000);
-            }
+            }, 500);
         });
 
         // 广告黑客购买
-        buyAdHackBtn?.addEventListener('click', () => {
-            if (this.adHackActive) {
-                this.ui.status.innerText = 'ALREADY HACKED';
-                setTimeout(() => this.ui.status.innerText = 'INSERT COIN', 2000);
+        buyAdHackBtn?.addEventListener('click', async () => {
+            const result = await this.engine.buyItem('ad_hack');
+            if (!result.ok) {
+                flashStatus(failureText[result.reason] || result.reason);
                 return;
             }
-            const itemCfg = getItemConfig('ad_hack');
-            const cost = itemCfg.cost || 20;
-            if (this.gems >= cost) {
-                this.gems -= cost;
-                this.adHackActive = true;
-                this.updateCurrencyUI();
-                this.updateShopUI();
-                this.ui.status.innerText = 'AD HACK ON!';
-                setTimeout(() => this.ui.status.innerText = 'INSERT COIN', 2000);
-            } else {
-                this.ui.status.innerText = 'NOT ENOUGH GEMS';
-                setTimeout(() => this.ui.status.innerText = 'INSERT COIN', 2000);
-            }
+            this.updateShopUI();
+            flashStatus('AD HACK ON!');
         });
     }
 
     // 更新商店界面显示（根据配置和状态）
     updateShopUI() {
-        const getItemConfig = (itemId) => {
-            return this.shopConfig.items?.find(item => item.id === itemId) || {};
-        };
-
-        // 更新各商品的价格显示
-        const cardCfg = getItemConfig('random_card');
-        const reelCfg = getItemConfig('add_reel');
-        const hackCfg = getItemConfig('ad_hack');
-
         const cardCost = document.querySelector('#buy-card-btn .shop-cost');
         const reelCost = document.querySelector('#buy-reel-btn .shop-cost');
         const hackCost = document.querySelector('#buy-adhack-btn .shop-cost');
         const hackBtn = document.getElementById('buy-adhack-btn');
+        const adHackActive = this.engine.adHackActive;
 
-        if (cardCost) cardCost.innerText = `${cardCfg.cost || 5} GEMS`;
-        if (reelCost) reelCost.innerText = `${reelCfg.cost || 50} GEMS`;
-        if (hackCost) hackCost.innerText = this.adHackActive ? 'ACTIVE' : `${hackCfg.cost || 20} GEMS`;
+        if (cardCost) cardCost.innerText = `${this.engine.getShopCost('random_card')} GEMS`;
+        if (reelCost) reelCost.innerText = `${this.engine.getShopCost('add_reel')} GEMS`;
+        if (hackCost) hackCost.innerText = adHackActive ? 'ACTIVE' : `${this.engine.getShopCost('ad_hack')} GEMS`;
         if (hackBtn) {
-            if (this.adHackActive) {
+            if (adHackActive) {
                 hackBtn.classList.add('purchased');
             } else {
                 hackBtn.classList.remove('purchased');
@@ -544,104 +946,94 @@ class SlotMachine {
         }
     }
 
-    bindBetButtons() {
-        const betBtns = document.querySelectorAll('.bet-btn');
-        betBtns.forEach(btn => {
+    /** 高亮当前下注（读档后恢复选择）；免费旋转期间（下注固定为触发时的档位）与金币不足以下注的档位显示为禁用 */
+    syncBetButtons() {
+        const freeSpinsLeft = this.engine.freeSpins?.remaining > 0;
+        document.querySelectorAll('.bet-btn[data-bet]').forEach(btn => {
+            const bet = Number(btn.dataset.bet);
+            btn.classList.toggle('active', bet === this.engine.currentBet);
+            btn.disabled = freeSpinsLeft || !this.engine.canAffordBet(bet);
+        });
+    }
+
+    // 网格模式下显示赔付线按钮并刷新条数
+    syncLinesButton() {
+        const btn = document.getElementById('lines-btn');
+        if (!btn) return;
+        btn.classList.toggle('hidden', !this.engine.isGridMode);
+        const count = this.engine.getActivePaylines().length;
+        btn.innerText = `${count} LINE${count > 1 ? 'S' : ''}`;
+    }
+
+    bindLinesButton() {
+        const btn = document.getElementById('lines-btn');
+        btn?.addEventListener('click', () => {
+            if (!this.engine.isIdle || this.autoplay) return;
+            this.audioManager.playSfx('button_entry');
+            // 依次循环 1 ~ 全部赔付线
+            const total = this.engine.getPaylines().length;
+            const next = this.engine.getActivePaylines().length % total + 1;
+            if (this.engine.setActiveLines(next)) {
+                this.syncLinesButton();
+                this.syncBetButtons();
+                this.syncHoldControls();
+            }
+        });
+    }
+
+    /** 按下注档位生成倍率按钮（赔付线按钮之前） */
+    buildBetButtons() {
+        const row = document.getElementById('bet-controls-row');
+        if (!row) return;
+        row.querySelectorAll('.bet-btn[data-bet]').forEach(btn => btn.remove());
+        const linesBtn = document.getElementById('lines-btn');
+
+        this.engine.getBetLevels().forEach(bet => {
+            const btn = document.createElement('button');
+            btn.className = 'bet-btn';
+            btn.dataset.bet = bet;
+            btn.innerText = bet;
             btn.addEventListener('click', () => {
-                if (this.phase !== 0) return;
+                if (!this.engine.isIdle || this.autoplay) return;
                 this.audioManager.playSfx('button_entry');
-                const betVal = parseInt(btn.dataset.bet, 10);
-                if (!Number.isNaN(betVal)) {
-                    this.currentBet = betVal;
-                    betBtns.forEach(b => b.classList.remove('active'));
-                    btn.classList.add('active');
+                if (this.engine.setBet(bet)) {
+                    this.syncBetButtons();
+                    this.syncHoldControls();
                 }
             });
+            row.insertBefore(btn, linesBtn);
         });
+        this.syncBetButtons();
     }
 
     bindExitButton() {
         const exitBtn = document.getElementById('exit-btn');
         if (!exitBtn) return;
-        exitBtn.addEventListener('click', () => {
+        exitBtn.addEventListener('click', async () => {
             this.audioManager.playSfx('button_exit');
-            // 逃跑卡：旋转中允许 EXIT 提前结算已进行的转轮
-            const isSpinning = this.phase >= 1 && this.phase <= this.reelCount;
-            const activeTypes = this.getActiveCardTypes();
-            const canEscape = isSpinning && activeTypes.includes('escape');
+            const action = await this.engine.exitSpin();
+            if (!action) return;
 
-            if (canEscape) {
-                this.reels.forEach(r => r.stop());
-                if (this.rigTimeout) clearTimeout(this.rigTimeout);
+            this.reels.forEach((r, i) => r.stop(null, this.engine.getStopTarget(i)));
+            if (this.rigTimeout) clearTimeout(this.rigTimeout);
 
-                // 进入“等待全部锁定后结算”的阶段
-                this.phase = this.reelCount + 1;
+            // 逃跑卡：进入“等待全部锁定后结算”的阶段
+            if (action === 'escape') {
                 this.ui.btn.innerText = '...';
                 this.ui.btn.disabled = true;
                 this.ui.status.innerText = 'SETTLING...';
                 this.ui.status.style.color = '#FFECB3';
-                this.updateLights();
                 return;
             }
 
             // 默认：直接中止本次旋转（并消耗已选择的卡）
-            if (isSpinning) {
-                this.reels.forEach(r => r.stop());
-                if (this.rigTimeout) clearTimeout(this.rigTimeout);
-                this.audioManager.stopReelSound();
-
-                this.phase = 0;
-                this.ui.btn.innerText = 'SPIN';
-                this.ui.btn.disabled = false;
-                this.ui.status.innerText = 'ABORTED!';
-                this.ui.status.style.color = '#D32F2F';
-                this.ui.cardsContainer.classList.remove('locked');
-
-                this.activeCards.sort((a, b) => b - a).forEach(idx => {
-                    this.inventory.splice(idx, 1);
-                });
-                this.activeCards = [];
-                this.renderCards();
-                this.updateLights();
-            }
-        });
-    }
-
-    getCardDefs() {
-        return this.cardConfig?.cards || {
-            slow: { name: '冷眼', description: '冷眼：降低转轮速度', probability: 20, icon_path: 'image/card/card_slow.png' },
-            double: { name: '双倍', description: '双倍：提升本次收益', probability: 10, icon_path: 'image/card/card_double.png' }
-        };
-    }
-
-    getCardDef(cardType) {
-        return this.getCardDefs()?.[cardType] || null;
-    }
-
-    pickRandomCardType() {
-        const defs = this.getCardDefs();
-        const entries = Object.entries(defs);
-        if (!entries.length) return 'slow';
-
-        const weights = entries.map(([_, def]) => {
-            const raw = def?.probability;
-            const w = Number(raw);
-            return Number.isFinite(w) && w > 0 ? w : 0;
+            this.audioManager.stopReelSound();
+            this.ui.btn.innerText = 'SPIN';
+            this.ui.btn.disabled = false;
+            this.ui.status.innerText = 'ABORTED!';
+            this.ui.status.style.color = '#D32F2F';
+            this.ui.cardsContainer.classList.remove('locked');
         });
-
-        const total = weights.reduce((a, b) => a + b, 0);
-        if (total <= 0) return entries[0][0];
-
-        let r = Math.random() * total;
-        for (let i = 0; i < entries.length; i++) {
-            r -= weights[i];
-            if (r <= 0) return entries[i][0];
-        }
-        return entries[entries.length - 1][0];
-    }
-
-    getActiveCardTypes() {
-        return this.activeCards.map(idx => this.inventory[idx]).filter(Boolean);
     }
 
     bindAdButton() {
@@ -654,17 +1046,16 @@ class SlotMachine {
         if (!adBtn) return;
 
         adBtn.addEventListener('click', async () => {
-            if (this.phase !== 0) return;
+            if (!this.engine.isIdle) return;
 
-            const files = this.assets?.ad_videos || [];
             const adBase = this.assets?.base_paths?.ad || 'ad/video/';
-            if (!files.length) {
+            const plan = await this.engine.planAd(this.assets?.ad_videos || []);
+            if (!plan) {
                 this.ui.status.innerText = 'NO ADS';
                 setTimeout(() => this.ui.status.innerText = 'INSERT COIN', 2000);
                 return;
             }
-            const randomFile = files[Math.floor(Math.random() * files.length)];
-            const resolvedAd = /^(https?:)?\//.test(randomFile) ? randomFile : `${adBase}${randomFile}`;
+            const resolvedAd = /^(https?:)?\//.test(plan.file) ? plan.file : `${adBase}${plan.file}`;
 
             overlay.classList.remove('hidden');
             closeBtn.classList.add('hidden');
@@ -672,22 +1063,10 @@ class SlotMachine {
             video.loop = true; // 循环播放
             this.audioManager.playSfx('button_entry');
             
-            // 根据广告黑客状态调整播放速度和时长
-            const baseSec = this.adConfig.ad_sec || 15;
-            const hackSec = this.adConfig.ad_hack_sec || 5;
-            const baseCoins = this.adConfig.ad_coin || 10;
-            const hackMultiplier = this.adConfig.ad_hack_coin_multiplier || 2;
-            
-            let timeLeft, rewardCoins;
-            if (this.adHackActive) {
-                timeLeft = hackSec;
-                rewardCoins = baseCoins * hackMultiplier;
-                video.playbackRate = baseSec / hackSec; // 加速播放产生喜剧效果
-            } else {
-                timeLeft = baseSec;
-                rewardCoins = baseCoins;
-                video.playbackRate = 1.0;
-            }
+            // 广告黑客状态下加速播放产生喜剧效果
+            let timeLeft = plan.seconds;
+            const rewardCoins = plan.rewardCoins;
+            video.playbackRate = plan.playbackRate;
             
             video.play().catch(e => console.error('Video play failed:', e));
             timerDisplay.innerText = timeLeft;
@@ -709,8 +1088,7 @@ class SlotMachine {
                 video.src = '';
                 video.playbackRate = 1.0;
                 this.audioManager.playSfx('button_exit');
-                this.coins += rewardCoins;
-                this.updateCurrencyUI();
+                this.engine.claimAdReward(rewardCoins);  // server 模式由服务器核对时长后发放
                 // 不弹出 alert，改用状态栏显示
                 this.ui.status.innerText = `+${rewardCoins} COINS!`;
                 setTimeout(() => this.ui.status.innerText = 'INSERT COIN', 2000);
@@ -722,17 +1100,18 @@ class SlotMachine {
     }
 
     renderCards() {
+        const { inventory, activeCards } = this.engine;
         this.ui.cardsContainer.innerHTML = '';
         const cardBase = this.assets?.base_paths?.card || 'image/card/';
-        const defaults = this.cardConfig?.defaults || {};
+        const defaults = this.cardConfig.defaults;
         const defaultFontFamily = defaults.font_family;
         const defaultFontSize = defaults.font_size_px;
 
-        this.inventory.forEach((cardType, index) => {
+        inventory.forEach((cardType, index) => {
             const slot = document.createElement('div');
-            slot.className = `card-slot has-card ${this.activeCards.includes(index) ? 'active' : ''}`;
+            slot.className = `card-slot has-card ${activeCards.includes(index) ? 'active' : ''}`;
 
-            const def = this.getCardDef(cardType);
+            const def = this.engine.getCardDef(cardType);
 
             const img = document.createElement('img');
             const fromConfig = def?.icon_path;
@@ -755,20 +1134,15 @@ class SlotMachine {
             slot.appendChild(desc);
 
             slot.addEventListener('click', () => {
-                if (this.phase !== 0) return;
-                if (this.activeCards.includes(index)) {
-                    this.activeCards = this.activeCards.filter(i => i !== index);
-                } else {
-                    this.activeCards.push(index);
+                if (this.engine.toggleCard(index)) {
+                    this.audioManager.playSfx('card_select');
                 }
-                this.audioManager.playSfx('card_select');
-                this.renderCards();
             });
 
             this.ui.cardsContainer.appendChild(slot);
         });
 
-        for (let i = this.inventory.length; i < 5; i++) {
+        for (let i = inventory.length; i < MAX_INVENTORY; i++) {
             const emptySlot = document.createElement('div');
             emptySlot.className = 'card-slot empty';
             this.ui.cardsContainer.appendChild(emptySlot);
@@ -776,29 +1150,56 @@ class SlotMachine {
     }
 
     updateCurrencyUI() {
-        if (this.ui.coinCount) this.ui.coinCount.innerText = this.coins;
-        if (this.ui.gemCount) this.ui.gemCount.innerText = this.gems;
-        this.audioManager.updateBgmByCoins(this.coins);
+        if (this.ui.coinCount) this.ui.coinCount.innerText = this.engine.coins;
+        if (this.ui.gemCount) this.ui.gemCount.innerText = this.engine.gems;
+        this.audioManager.updateBgmByCoins(this.engine.coins);
         this.updateCharacterSwaySpeed();
+        this.syncHoldControls();
+        this.syncBetButtons();
+        this.updateDebugReadout();
+    }
+
+    /** 刷新顶部累积奖池数值；未启用奖池时隐藏 */
+    updateProgressiveUI() {
+        const meter = this.ui.progressiveMeter;
+        if (!meter) return;
+        const enabled = this.engine.progressiveEnabled;
+        meter.classList.toggle('hidden', !enabled);
+        meter.previousElementSibling?.classList.toggle('hidden', !enabled);
+        if (this.ui.progressiveCount) this.ui.progressiveCount.innerText = Math.floor(this.engine.progressivePool);
+    }
+
+    /** 刷新左下角调试信息（config.json 的 debug_readout 或 URL ?debug=1 时显示） */
+    updateDebugReadout() {
+        const el = this.ui.debugReadout;
+        if (!el) return;
+        const enabled = this.config.debug_readout === true || new URLSearchParams(window.location.search).has('debug');
+        el.classList.toggle('hidden', !enabled);
+        if (!enabled) return;
+
+        const { rigging } = this.engine;
+        const types = rigging.eligible_types ? rigging.eligible_types.join(',') : 'all';
+        el.innerText = [
+            `RIG: ${rigging.name.toUpperCase()}`,
+            `COPIES: ${rigging.enabled ? rigging.copies : 0}  TYPES: ${types}`,
+            `STRENGTH: ${Math.round(this.engine.getRiggingStrength() * 100)}%`
+        ].join('\n');
     }
 
     tick() {
-        let anyStopped = false;
-        this.reels.forEach(r => {
-            const stopped = r.update();
-            if (stopped) anyStopped = true;
-        });
+        const phase = this.engine.phase;
+        this.reels.forEach(r => r.update());
 
-        if (this.phase > 0 && this.phase < 4) {
+        if (phase > 0 && phase < 4) {
             const blink = Math.floor(Date.now() / 200) % 2 === 0;
-            const activeIndex = this.phase - 1;
+            const activeIndex = phase - 1;
             if (this.ui.lights[activeIndex]) {
                 if (blink) this.ui.lights[activeIndex].classList.add('active');
                 else this.ui.lights[activeIndex].classList.remove('active');
             }
         }
 
-        if (this.phase === this.reelCount + 1 && this.reels.every(r => r.state === 'locked')) {
+        if (this.engine.isAwaitingLock && !this.revealing && !this.settleFailed && this.reels.every(r => r.state === 'locked')) {
             // 全部转轮锁定，触发加剧震动特效
             this.audioManager.stopReelSound();
             this.audioManager.playSfx('all_locked');
@@ -809,40 +1210,53 @@ class SlotMachine {
         requestAnimationFrame(this.tick);
     }
 
-    handleInput() {
-        if (this.phase === 0) {
-            this.startSpin();
-        } else if (this.phase >= 1 && this.phase <= this.reelCount) {
-            const reelIndexToStop = this.phase - 1;
-            this.reels[reelIndexToStop].stop();
-
-            // 触发单个转轮锁定特效
-            this.effectsController.onReelLock(reelIndexToStop, this.reelCount);
-            this.audioManager.playSfx('lock');
-
-            this.phase++;
-            this.updateLights();
-
-            // 检测是否是最后一个转轮
-            const isLastReel = reelIndexToStop === this.reelCount - 1;
-
-            if (!isLastReel) {
-                this.rigTimeout = setTimeout(() => this.rigNextReel(reelIndexToStop), 50);
-            } else {
-                // 最后一个转轮锁定时，立即停止转轮声音
-                this.audioManager.stopReelSound();
-                this.ui.btn.innerText = '...';
-                this.ui.btn.disabled = true;
-                // 全部转轮锁定特效会在 tick 中检测到全部 locked 后触发
+    async handleInput() {
+        if (this.settleFailed) {
+            await this.recoverSettle();
+        } else if (this.engine.isIdle) {
+            await this.startSpin();
+        } else if (this.engine.isSpinning) {
+            if (this.stoppingAll) return;
+            const stopped = await this.stopCurrentReel();
+            if (stopped && !stopped.isLastReel) {
+                this.rigTimeout = setTimeout(() => { this.rigPromise = this.rigNextReel(stopped.index); }, 50);
             }
-        } else if (this.phase === this.reelCount + 2) {
+        } else if (this.engine.isSettled && !this.engine.gamble) {
             this.reset();
         }
     }
 
+    /**
+     * 停止当前轮到的转轮：评级、锁定特效与音效（不做 Rigging）
+     * @returns {Promise<{index: number, isLastReel: boolean}|null>} 引擎拒绝停止（server 模式请求未完成或失败）时为 null
+     */
+    async stopCurrentReel() {
+        // 自动旋转的停止不是玩家的操作，不传偏移（不评级）
+        const offset = this.autoplay ? undefined : this.reels[this.engine.phase - 1]?.getStopOffset();
+        const stopped = await this.engine.stopNextReel(offset);
+        if (!stopped) return null;
+        const { index, isLastReel, rating } = stopped;
+        const spring = this.turbo ? { tension: this.turboConfig.tension, friction: this.turboConfig.friction } : null;
+        this.reels[index].stop(spring, this.engine.getStopTarget(index));
+        if (rating) this.showStopRating(index, rating);
+
+        // 触发单个转轮锁定特效
+        this.effectsController.onReelLock(index, this.engine.reelCount);
+        this.audioManager.playSfx('lock');
+
+        if (isLastReel) {
+            // 最后一个转轮锁定时，立即停止转轮声音
+            this.audioManager.stopReelSound();
+            this.ui.btn.innerText = '...';
+            this.ui.btn.disabled = true;
+            // 全部转轮锁定特效会在 tick 中检测到全部 locked 后触发
+        }
+        return { index, isLastReel };
+    }
+
     async startSpin() {
         this.audioManager.playSfx('button_entry');
-        if (this.coins < this.currentBet) {
+        if (!this.engine.freeSpins && this.engine.coins < this.engine.getTotalBet() + this.engine.getHoldCost()) {
             this.ui.status.innerText = 'NO COINS!';
             this.ui.status.style.color = '#FF5252';
             this.ui.coinCount.style.color = 'red';
@@ -852,84 +1266,85 @@ class SlotMachine {
 
         // 角色滑开让出游戏机视角
         this.setCharactersSpinMode(true);
-
-        this.coins -= this.currentBet;
-        this.updateCurrencyUI();
         this.ledController.setMode('red', 500);
-
-        // 本次旋转使用的卡片类型（用于“下一次旋转”效果）
-        this.currentSpinCardTypes = this.getActiveCardTypes();
-        this.currentSpinBombMultiplier = this.currentSpinCardTypes.includes('bomb') ? 2 : 1;
-
-        let speedMultiplier = 1;
-        this.activeCards.forEach(idx => {
-            const cardType = this.inventory[idx];
-            if (cardType === 'slow') speedMultiplier = 0.5;
-        });
-
-        const originalSpeed = this.config.scroll_speed;
-        this.config.scroll_speed = Math.max(3, originalSpeed * speedMultiplier);
-
         this.ui.btn.disabled = true;
 
-        try {
-            const data = await initGame(this.reelCount, { bombMultiplier: this.currentSpinBombMultiplier });
-            let maxSpinSpeed = 0;
-            this.reels.forEach((r, i) => {
-                if (data.reels?.[i]) r.updateItems(data.reels[i], data.svg_defs);
-                let baseSpeed = Math.floor(Math.random() * (30 - 5 + 1)) + 5;
-                let finalSpeed = Math.max(3, baseSpeed * speedMultiplier);
-                maxSpinSpeed = Math.max(maxSpinSpeed, finalSpeed);
-                r.start(finalSpeed);
-            });
-
-            if (maxSpinSpeed > 0) {
-                const rate = this.computeReelPlaybackRate(maxSpinSpeed);
-                this.audioManager.startReelSound(rate);
+        const spin = await this.engine.startSpin();
+        // 本页面上一次 SPIN 的请求仍在进行（server 模式），由它恢复按钮
+        if (spin.reason === 'PENDING') return;
+        // 服务器上的会话已有未结算的旋转（如另一个页面中断的旋转）：重新同步，由服务器补结算
+        if (spin.reason === 'BUSY' && this.engine instanceof ServerGameEngine) {
+            this.stopAutoplay();
+            if (!(await this.resyncSession())) {
+                this.ui.btn.disabled = false;
+                this.ui.btn.innerText = 'SPIN';
+                this.ui.status.innerText = 'SERVER ERROR';
+                this.ui.status.style.color = '#D32F2F';
             }
-
-            this.phase = 1;
-            this.ui.btn.disabled = false;
-            this.ui.btn.innerText = 'STOP';
-            this.ui.status.innerText = 'GOOD LUCK!';
-            this.ui.status.style.color = '#FFECB3';
-
-            this.spinCount++;
-            this.updateLights();
-            this.ui.cardsContainer.classList.add('locked');
-        } catch (err) {
-            console.error('Start spin failed:', err);
+            return;
+        }
+        if (!spin.ok) {
+            console.error('Start spin failed:', spin.error || spin.reason);
             this.ui.btn.disabled = false;
             this.ui.btn.innerText = 'SPIN';
             this.ui.status.innerText = 'ERROR';
-            this.coins += this.currentBet;
-            this.updateCurrencyUI();
+            return;
+        }
+
+        let maxSpinSpeed = 0;
+        const speedScale = this.turbo ? this.turboConfig.speed_multiplier : 1;
+        this.reels.forEach((r, i) => {
+            // 保留的转轮停在上一次的位置，不参与旋转
+            if (spin.held.includes(i)) return;
+            if (spin.strips[i]) r.updateItems(spin.strips[i]);
+            const speed = spin.speeds[i] * speedScale;
+            maxSpinSpeed = Math.max(maxSpinSpeed, speed);
+            r.start(speed);
+        });
+
+        if (maxSpinSpeed > 0) {
+            const rate = this.computeReelPlaybackRate(maxSpinSpeed);
+            this.audioManager.startReelSound(rate);
         }
+
+        this.ui.btn.disabled = false;
+        this.ui.btn.innerText = 'STOP';
+        this.ui.status.innerText = spin.free ? 'FREE SPIN!' : 'GOOD LUCK!';
+        this.ui.status.style.color = '#FFECB3';
+        this.ui.cardsContainer.classList.add('locked');
     }
 
     async rigNextReel(stoppedReelIndex) {
-        const nextReelIdx = stoppedReelIndex + 1;
-        if (nextReelIdx >= this.reels.length) return;
-
         // 收集所有已锁定转轮（0 到 stoppedReelIndex）的结果
-        const lockedResults = [];
-        for (let i = 0; i <= stoppedReelIndex; i++) {
-            lockedResults.push(this.reels[i].getResult());
-        }
+        const lockedResults = this.reels.slice(0, stoppedReelIndex + 1).map(r => r.getResult());
 
         try {
-            // 传递所有已锁定的符号，后端会把每个符号各插入到新strip的一个位置
-            const data = await generateReel(lockedResults, { bombMultiplier: this.currentSpinBombMultiplier });
-            this.reels[nextReelIdx].updateItems(data.strip);
-            console.log(`Rigged Reel ${nextReelIdx} to favor [${lockedResults.join(', ')}]`);
+            const strip = await this.engine.rigNextReel(stoppedReelIndex, lockedResults);
+            if (strip) console.log(`Rigged Reel ${stoppedReelIndex + 1} to favor [${lockedResults.join(', ')}] (${this.engine.rigging.name})`);
         } catch (err) {
             console.error('Rig reel failed', err);
         }
     }
 
+    /**
+     * 在转轮窗口上短暂显示技巧停止评级
+     * @param {number} index - 转轮索引
+     * @param {'perfect'|'good'|'late'} rating - 评级
+     */
+    showStopRating(index, rating) {
+        const win = this.reels[index]?.el.parentElement;
+        if (!win) return;
+        const label = document.createElement('div');
+        label.className = `stop-rating ${rating}`;
+        label.innerText = rating.toUpperCase();
+        win.appendChild(label);
+        setTimeout(() => label.remove(), 900);
+    }
+
     updateLights() {
+        const phase = this.engine.phase;
         this.ui.lights.forEach((l, idx) => {
-            if (idx < this.phase - 1) {
+            if (idx < phase - 1) {
                 l.classList.add('active');
             } else {
                 l.classList.remove('active');
@@ -937,81 +1352,130 @@ class SlotMachine {
         });
     }
 
-    evaluateWin() {
-        this.phase = this.reelCount + 2;
+    async evaluateWin() {
         this.ui.btn.disabled = true;
         this.audioManager.stopReelSound();
 
-        let results = this.reels.map(r => r.getResult());
-        console.log('Raw Result:', results);
+        // 保留的转轮以引擎记录的停止位置（含微调）为准
+        const rawResults = this.engine.resolveResults(
+            this.engine.isGridMode ? this.reels.map(r => r.getRows(this.engine.gridRows)) : this.reels.map(r => r.getResult()),
+            this.reels.map(r => r.getResultIndex())
+        );
+        console.log('Raw Result:', rawResults);
+
+        // random_item：先在转轮上翻转揭示，再结算揭示后的结果
+        // 等待揭示结果期间（server 模式需请求服务器）tick 不再重复触发结算
+        this.revealing = true;
+        let revealed;
+        try {
+            revealed = await this.engine.revealRandomSymbols(this.engine.isGridMode ? rawResults : rawResults.map(s => [s]));
+        } catch (err) {
+            // server 模式结算失败：旋转保留在服务器上。网络错误时可重试，服务器拒绝时重新同步会话
+            console.error('Settle failed', err);
+            this.revealing = false;
+            this.showSettleError(err.reason === 'ERROR' ? 'retry' : 'resync');
+            return;
+        }
+        this.revealing = false;
+        const { grid, reveals } = revealed;
+        const revealedResults = this.engine.isGridMode ? grid : grid.map(column => column[0]);
+        if (!reveals.length) {
+            this.settleResults(revealedResults);
+            return;
+        }
 
-        const possibleSymbols = ['coin_1', 'coin_stack', 'gem_1', 'bomb_1'];
-        results = results.map(s => {
-            if (s === 'random_item') {
-                const revealed = possibleSymbols[Math.floor(Math.random() * possibleSymbols.length)];
-                console.log('Random revealed as:', revealed);
-                return revealed;
-            }
-            return s;
-        });
+        const middleRow = Math.floor(grid[0].length / 2);
+        this.revealing = true;
+        this.audioManager.playSfx('card_select');
+        reveals.forEach(({ reel, row, symbol }) => this.reels[reel].revealCell(row - middleRow, symbol, REVEAL_DURATION));
+        console.log('Revealed:', reveals.map(({ from, symbol }) => `${from} -> ${symbol}`).join(', '));
 
-        const reward = this.calculateReward(results);
+        setTimeout(() => {
+            this.revealing = false;
+            this.settleResults(revealedResults);
+        }, REVEAL_DURATION + 200);
+    }
 
-        // 提现卡：本次旋转结束时返还投入金币
-        const usedCashout = this.currentSpinCardTypes.includes('cashout');
-        if (usedCashout) {
-            this.coins += this.currentBet;
-        }
+    /**
+     * 结算失败后把按钮改为 RETRY / SYNC，自动旋转随之停止
+     * @param {'retry'|'resync'} action - 按下按钮时的恢复方式
+     */
+    showSettleError(action) {
+        this.settleFailed = action;
+        this.stopAutoplay();
+        this.ui.status.innerText = 'SERVER ERROR';
+        this.ui.status.style.color = '#D32F2F';
+        this.ui.btn.innerText = action === 'retry' ? 'RETRY' : 'SYNC';
+        this.ui.btn.disabled = false;
+    }
 
-        if (reward.restart) {
-            this.ui.status.innerText = 'CARD OVERLOAD! RESTART';
-            this.ui.status.style.color = '#FFB300';
-            setTimeout(() => this.reset(), 2000);
+    /** 按下 RETRY / SYNC：重新请求结算，或重新打开会话由服务器补结算后同步状态 */
+    async recoverSettle() {
+        const action = this.settleFailed;
+        this.settleFailed = null;
+        this.ui.btn.disabled = true;
+        this.ui.btn.innerText = '...';
+        if (action === 'retry') {
+            await this.evaluateWin();
             return;
         }
 
-        let multiplier = 1;
-        this.activeCards.forEach(idx => {
-            if (this.inventory[idx] === 'double') multiplier *= 2;
-        });
+        if (!(await this.resyncSession())) this.showSettleError('resync');
+    }
 
-        const betMultiplier = this.currentBet / 5;
-        multiplier *= betMultiplier;
+    /**
+     * 重新打开服务器会话并按服务器状态重建界面；服务器补结算的旋转结果显示在状态栏
+     * @returns {Promise<boolean>} 是否同步成功
+     */
+    async resyncSession() {
+        const res = await this.engine.resync();
+        if (!res.ok) return false;
+        this.init();
+        this.reset();
+        if (res.interrupted) {
+            const { coins, gems } = res.interrupted.reward;
+            this.ui.status.innerText = `SETTLED BY SERVER: ${coins} COINS ${gems} GEMS`;
+        }
+        return true;
+    }
 
-        reward.coins *= multiplier;
-        reward.gems *= multiplier;
+    /**
+     * 结算并展示本次结果
+     * @param {string[]|string[][]} results - 揭示后的结果（网格模式为每个转轮从上到下的符号）
+     */
+    settleResults(results) {
+        const outcome = this.engine.settle(results);
+        const { reward } = outcome;
+        this.checkAutoplay(outcome);
 
-        // 护盾卡：若本次结算为扣除金币，则抵消这次扣除并视为 NICE TRY
-        const usedShield = this.currentSpinCardTypes.includes('shield');
-        let shieldedLoss = false;
-        if (usedShield && reward.coins < 0) {
-            reward.coins = 0;
-            shieldedLoss = true;
+        if (this.engine.isGridMode) {
+            this.drawPaylines(outcome.lines.filter(line => line.coins > 0 || line.gems > 0));
         }
 
-        this.activeCards.sort((a, b) => b - a).forEach(idx => {
-            this.inventory.splice(idx, 1);
-        });
-        this.activeCards = [];
-        this.renderCards();
-
-        this.coins += reward.coins;
-        this.gems += reward.gems;
+        if (outcome.isSameCategory) {
+            this.ledController.setMode('fast', 3000);
+        }
 
-        if (reward.newCard) {
-            if (this.inventory.length < 5) {
-                const newCardType = this.pickRandomCardType();
-                this.inventory.push(newCardType);
-                this.renderCards();
-                this.ui.status.innerText = `GET CARD: ${newCardType.toUpperCase()}!`;
-                this.ui.status.style.color = '#FFB300';
-            }
+        if (outcome.freeSpinsAwarded > 0) {
+            this.showFreeSpinBanner(outcome.freeSpin
+                ? `+${outcome.freeSpinsAwarded} FREE SPINS`
+                : `FREE SPINS x${outcome.freeSpinsAwarded}`);
+        } else if (outcome.freeSpinsSummary) {
+            const { coins, gems } = outcome.freeSpinsSummary;
+            this.showFreeSpinBanner(`BONUS WIN: ${coins} COINS ${gems} GEMS`);
         }
 
-        this.updateCurrencyUI();
+        if (outcome.restart) {
+            this.ui.status.innerText = 'CARD OVERLOAD! RESTART';
+            this.ui.status.style.color = '#FFB300';
+            setTimeout(() => this.reset(), 2000);
+            return;
+        }
 
-        // 检测是否全部转轮结果一样（大奖/Jackpot）
-        const isExactMatch = results[0] && results.every(s => s === results[0]);
+        if (outcome.newCardType) {
+            this.ui.status.innerText = `GET CARD: ${outcome.newCardType.toUpperCase()}!`;
+            this.ui.status.style.color = '#FFB300';
+        }
 
         if (reward.coins > 0 || reward.gems > 0) {
             this.playCoinSfx(reward.coins);
@@ -1019,6 +1483,9 @@ class SlotMachine {
             let msg = 'WIN: ';
             if (reward.coins > 0) msg += `${reward.coins} COINS `;
             if (reward.gems > 0) msg += `${reward.gems} GEMS`;
+            outcome.scatters.forEach(scatter => {
+                msg += ` SCATTER x${scatter.count}`;
+            });
             this.ui.status.innerText = msg;
             this.ui.status.style.color = '#FF5252';
             this.flashLights();
@@ -1026,12 +1493,12 @@ class SlotMachine {
             // 发射器喷射金币和宝石
             this.effectsController.onWin(reward.coins, reward.gems);
 
-            // 如果全部一样，额外喷出金属火花
-            if (isExactMatch) {
+            // 如果全部一样或赢得累积奖池，额外喷出金属火花
+            if (outcome.isExactMatch || outcome.progressiveWin > 0) {
                 this.effectsController.onJackpot();
                 this.audioManager.playSfx('jackpot');
             }
-        } else if (shieldedLoss) {
+        } else if (outcome.shieldedLoss) {
             this.ui.status.innerText = 'NICE TRY!';
             this.ui.status.style.color = '#FFECB3';
         } else if (reward.coins < 0) {
@@ -1043,72 +1510,563 @@ class SlotMachine {
             this.ui.status.style.color = '#FFECB3';
         }
 
+        if (outcome.progressiveWin > 0) {
+            this.ui.status.innerText = `PROGRESSIVE JACKPOT! +${outcome.progressiveWin}`;
+            this.ui.status.style.color = '#FFD54F';
+            this.showFreeSpinBanner(`JACKPOT +${outcome.progressiveWin} COINS`);
+            this.ledController.setMode('fast', 3000);
+            this.ui.progressiveMeter?.classList.add('won');
+            setTimeout(() => this.ui.progressiveMeter?.classList.remove('won'), 2000);
+        }
+
+        if (outcome.skillStops.bonusCoins > 0) {
+            this.ui.status.innerText += ` PERFECT +${outcome.skillStops.bonusCoins}`;
+        }
+
         setTimeout(() => {
-            this.reset();
-        }, 1000);
-    }
-
-    calculateReward(symbols) {
-        let totalCoins = 0;
-        let totalGems = 0;
-        let newCard = false;
-        let restart = false;
-
-        // 从 symbol-values.json 读取符号数值；缺失时用内置默认兜底
-        const fallbackSymbols = {
-            coin_1: { type: 'coin', coins: 5, gems: 0 },
-            coin_stack: { type: 'coin', coins: 10, gems: 0 },
-            coin_pile: { type: 'coin', coins: 20, gems: 0 },
-            gem_1: { type: 'gem', coins: 0, gems: 330 },
-            gem_many: { type: 'gem', coins: 0, gems: 333 },
-            bomb_1: { type: 'bomb', coins: -10, gems: 0 },
-            bomb_atom: { type: 'bomb', coins: -20, gems: 0 },
-            card_item: { type: 'card', coins: 0, gems: 0 },
-            random_item: { type: 'random', coins: 0, gems: 0 }
+            if (this.engine.canGamble && !this.autoplay) this.openGamble();
+            else this.reset();
+        }, this.turbo ? this.turboConfig.settle_delay : SETTLE_DELAY);
+    }
+
+    // ===================== 自动旋转 =====================
+    bindAutoplayButton() {
+        const btn = document.getElementById('autoplay-btn');
+        const overlay = document.getElementById('autoplay-overlay');
+        const options = document.getElementById('autoplay-options');
+        const conditions = document.getElementById('autoplay-conditions');
+        if (!btn || !overlay) return;
+        this.ui.autoplayBtn = btn;
+
+        const { spin_options: spinOptions, stop_when: stopWhen } = this.autoplayConfig;
+        options.innerHTML = '';
+        spinOptions.forEach(count => {
+            const option = document.createElement('button');
+            option.className = 'save-action-btn';
+            option.innerText = `${count} SPINS`;
+            option.addEventListener('click', () => {
+                overlay.classList.add('hidden');
+                this.startAutoplay(count);
+            });
+            options.appendChild(option);
+        });
+        if (conditions) {
+            conditions.innerText = ['STOPS WHEN:',
+                Number.isFinite(stopWhen.balance_below) && `- COINS BELOW ${stopWhen.balance_below}`,
+                Number.isFinite(stopWhen.single_win_above) && `- WIN ABOVE ${stopWhen.single_win_above}`,
+                Number.isFinite(stopWhen.gems_reached) && `- GEMS REACH ${stopWhen.gems_reached}`,
+                stopWhen.card_won && '- A CARD IS WON',
+                stopWhen.ending && '- THE ENDING STARTS',
+                '- NOT ENOUGH COINS TO BET'
+            ].filter(Boolean).join('\n');
+        }
+
+        btn.addEventListener('click', () => {
+            if (this.autoplay) {
+                this.audioManager.playSfx('button_exit');
+                this.stopAutoplay('CANCELLED');
+                return;
+            }
+            if (!this.engine.isIdle) return;
+            this.audioManager.playSfx('button_entry');
+            overlay.classList.remove('hidden');
+        });
+        document.getElementById('autoplay-close-btn')?.addEventListener('click', () => {
+            this.audioManager.playSfx('button_exit');
+            overlay.classList.add('hidden');
+        });
+    }
+
+    /**
+     * 开始自动旋转，按当前下注连续旋转 count 次
+     * @param {number} count - 旋转次数
+     */
+    startAutoplay(count) {
+        if (this.autoplay || !this.engine.isIdle) return;
+        this.autoplay = { total: count, done: 0, timer: null, stopReason: null };
+        this.syncHoldControls();
+        this.runAutoplaySpin();
+    }
+
+    /**
+     * 停止自动旋转；进行中的旋转交还给玩家手动停止
+     * @param {string} [reason] - 显示在状态栏的原因
+     */
+    stopAutoplay(reason) {
+        if (!this.autoplay) return;
+        clearTimeout(this.autoplay.timer);
+        this.autoplay = null;
+        this.updateAutoplayButton();
+        this.syncHoldControls();
+        if (reason) {
+            this.ui.status.innerText = `AUTO STOP: ${reason}`;
+            this.ui.status.style.color = '#FFB300';
+        }
+    }
+
+    /** 结算完成（reset）后：满足停止条件或次数用完时停止，否则排队下一次自动旋转 */
+    continueAutoplay() {
+        const { stopReason, done, total } = this.autoplay;
+        if (stopReason || done >= total) {
+            this.stopAutoplay(stopReason || 'DONE');
+            return;
+        }
+        clearTimeout(this.autoplay.timer);
+        this.autoplay.timer = setTimeout(() => this.runAutoplaySpin(), this.autoplayConfig.spin_delay * this.autoplayScale());
+    }
+
+    async runAutoplaySpin() {
+        const auto = this.autoplay;
+        if (!auto || !this.engine.isIdle) return;
+        if (!this.engine.freeSpins && this.engine.coins < this.engine.getTotalBet() + this.engine.getHoldCost()) {
+            this.stopAutoplay('NO COINS');
+            return;
+        }
+
+        await this.startSpin();
+        if (this.autoplay !== auto) return;
+        if (!this.engine.isSpinning) {
+            // 旋转启动失败：状态栏保留 startSpin 显示的错误
+            this.stopAutoplay();
+            return;
+        }
+        auto.done++;
+        this.updateAutoplayButton();
+        this.scheduleAutoStop();
+    }
+
+    /** 随机间隔后停止当前轮到的转轮，直到全部转轮停下 */
+    scheduleAutoStop() {
+        const auto = this.autoplay;
+        auto.timer = setTimeout(async () => {
+            if (this.autoplay !== auto || !this.engine.isSpinning) return;
+            await this.handleInput();
+            if (this.engine.isSpinning) this.scheduleAutoStop();
+        }, autoStopDelay(this.autoplayConfig) * this.autoplayScale());
+    }
+
+    /** turbo 模式下自动旋转间隔的倍率 */
+    autoplayScale() {
+        return this.turbo ? this.turboConfig.autoplay_interval_scale : 1;
+    }
+
+    /**
+     * 结算后检查停止条件；满足时在本次结果展示完、reset 时停止
+     * @param {Object} outcome - GameEngine.settle() 的结果
+     */
+    checkAutoplay(outcome) {
+        if (!this.autoplay) return;
+        this.autoplay.stopReason ||= autoplayStopReason(this.autoplayConfig.stop_when, {
+            coins: this.engine.coins,
+            gems: this.engine.gems,
+            outcome
+        });
+    }
+
+    updateAutoplayButton() {
+        const btn = this.ui.autoplayBtn;
+        if (!btn) return;
+        btn.classList.toggle('running', !!this.autoplay);
+        btn.innerText = this.autoplay ? `CANCEL ${this.autoplay.done}/${this.autoplay.total}` : 'AUTO';
+    }
+
+    // ===================== 赔付表 =====================
+    bindPaytableButton() {
+        const btn = document.getElementById('paytable-btn');
+        const overlay = document.getElementById('paytable-overlay');
+        if (!btn || !overlay) return;
+
+        btn.addEventListener('click', async () => {
+            if (!this.engine.isIdle || this.autoplay) return;
+            this.audioManager.playSfx('button_entry');
+            await this.renderPaytable();
+            overlay.classList.remove('hidden');
+        });
+        document.getElementById('paytable-close-btn')?.addEventListener('click', () => {
+            this.audioManager.playSfx('button_exit');
+            overlay.classList.add('hidden');
+        });
+    }
+
+    /**
+     * 当前转轮数下的符号概率与结果概率；转轮数变化（购买转轮、读档、切换存档位）后重新计算
+     * @returns {Promise<{reelCount: number, symbolOdds: Object[], outcomes: Object}>}
+     *          symbolOdds 为每个转轮揭示前的符号概率，outcomes 同 computeOutcomeOdds()
+     */
+    async getPaytableOdds() {
+        const reelCount = this.engine.reelCount;
+        if (this.paytableOdds?.reelCount === reelCount) return this.paytableOdds;
+
+        const symbolMap = this.symbolValues.symbols;
+        const symbolOdds = await Promise.all(Array.from({ length: reelCount }, (_, i) => getSymbolOdds(i)));
+        const revealed = symbolOdds.map(odds => revealOdds(odds, symbolMap, s => this.engine.getRevealPool(s)));
+        this.paytableOdds = { reelCount, symbolOdds, outcomes: computeOutcomeOdds(revealed, symbolMap, this.symbolValues.combos) };
+        return this.paytableOdds;
+    }
+
+    /** 按 symbol-values.json、转轮图片与当前下注生成赔付表 */
+    async renderPaytable() {
+        const { reelCount, symbolOdds, outcomes } = await this.getPaytableOdds();
+        const symbolMap = this.symbolValues.symbols;
+        const combos = this.symbolValues.combos;
+        const bet = this.engine.currentBet;
+        const multiplier = this.engine.getRewardMultiplier();
+        const lossMultiplier = this.engine.getLossMultiplier();
+        const reelBase = this.assets?.base_paths?.reel || 'image/reel_pic/';
+
+        // 与结算一致：正向奖励乘以下注倍率，扣除按 loss_scaling 换算
+        const atBet = (coins, gems = 0) => {
+            const parts = [];
+            const scaledCoins = Math.round(coins * (coins < 0 ? lossMultiplier : multiplier));
+            const scaledGems = Math.round(gems * multiplier);
+            if (scaledCoins) parts.push(`${scaledCoins > 0 ? '+' : ''}${scaledCoins} COINS`);
+            if (scaledGems) parts.push(`+${scaledGems} GEMS`);
+            return parts.join(' ') || '—';
+        };
+        const payText = (coins, gems = 0) => [coins && `${coins} COINS`, gems && `${gems} GEMS`].filter(Boolean).join(' + ');
+        const fillTable = (table, head, rows) => {
+            table.innerHTML = '';
+            const headRow = table.insertRow();
+            head.forEach(text => {
+                const th = document.createElement('th');
+                th.innerText = text;
+                headRow.appendChild(th);
+            });
+            rows.forEach(({ cells, negative }) => {
+                const row = table.insertRow();
+                row.classList.toggle('negative', !!negative);
+                cells.forEach(cell => {
+                    const td = row.insertCell();
+                    if (cell instanceof Node) td.appendChild(cell);
+                    else td.innerText = cell;
+                });
+            });
         };
-        const symbolMap = this.symbolValues?.symbols || fallbackSymbols;
 
-        symbols.forEach(s => {
-            const data = symbolMap[s];
-            if (!data) return;
+        const symbolRows = Object.entries(symbolMap).map(([symbol, data]) => {
+            const img = document.createElement('img');
+            img.className = 'paytable-icon';
+            img.src = `${reelBase}${this.assets?.reel_images?.[symbol] || `${symbol}.png`}`;
+            img.alt = symbol;
+            img.onerror = () => { img.style.display = 'none'; };
 
+            let pays = payText(Number(data.coins || 0), Number(data.gems || 0));
+            let value = atBet(Number(data.coins || 0), Number(data.gems || 0));
             if (data.type === 'card') {
-                newCard = true;
-                return;
+                pays = 'DRAWS A CARD';
+                value = '—';
+            } else if (data.type === 'random') {
+                pays = `REVEALS ${this.engine.getRevealPool(symbol).map(entry => entry.symbol.toUpperCase()).join(' / ')}`;
+            } else if (data.type === 'wild') {
+                pays = `SUBSTITUTES ${(data.substitutes || ['coin', 'gem']).join(' / ').toUpperCase()}`;
+            } else if (data.type === 'scatter') {
+                const tiers = Object.entries(data.pays || {});
+                pays = tiers.map(([count, pay]) => `${count}+: ${payText(Number(pay.coins || 0), Number(pay.gems || 0))}`).join('\n');
+                value = tiers.map(([count, pay]) => `${count}+: ${atBet(Number(pay.coins || 0), Number(pay.gems || 0))}`).join('\n');
             }
 
-            totalCoins += Number(data.coins || 0);
-            totalGems += Number(data.gems || 0);
+            const chance = symbolOdds.reduce((sum, odds) => sum + (odds[symbol] || 0), 0) / reelCount;
+            return {
+                cells: [img, symbol.toUpperCase(), pays || '—', value, `${(chance * 100).toFixed(1)}%`],
+                negative: Number(data.coins) < 0
+            };
         });
 
-        const types = symbols.map(s => symbolMap[s]?.type);
-        const isSameCategory = types[0] && types.every(t => t === types[0]);
-        const isExactMatch = symbols[0] && symbols.every(s => s === symbols[0]);
+        const comboRows = combos.map(rule => {
+            const hit = outcomes.combos[rule.id];
+            return {
+                cells: [
+                    describeComboMatch(rule, reelCount),
+                    describeComboPays(rule),
+                    hit && rule.outcome !== 'restart' ? atBet(hit.coins, hit.gems) : '—',
+                    formatOdds(hit?.probability)
+                ],
+                negative: hit?.coins < 0
+            };
+        });
+        outcomes.scatters.forEach(scatter => comboRows.push({
+            cells: [
+                `${scatter.count} × ${scatter.symbol.toUpperCase()} (ANYWHERE)`,
+                [payText(scatter.coins, scatter.gems), scatter.feature?.replace(/_/g, ' ').toUpperCase()].filter(Boolean).join(' + '),
+                atBet(scatter.coins, scatter.gems),
+                formatOdds(scatter.probability)
+            ]
+        }));
+        comboRows.push({
+            cells: ['NO COMBO', 'SUM OF SYMBOLS', atBet(outcomes.noCombo.coins, outcomes.noCombo.gems), formatOdds(outcomes.noCombo.probability)],
+            negative: outcomes.noCombo.coins < 0
+        });
 
-        if (isSameCategory) {
-            this.ledController.setMode('fast', 3000);
-            const type = types[0];
-            if (type === 'coin') {
-                if (isExactMatch) totalCoins *= 3;
-                else totalCoins *= 2;
-            } else if (type === 'gem') {
-                totalGems *= 3;
-            } else if (type === 'bomb') {
-                if (isExactMatch) {
-                    if (symbols[0] === 'bomb_atom') {
-                        totalCoins = 888;
-                    } else {
-                        totalCoins = 20;
-                    }
-                } else {
-                    totalCoins = 20;
-                }
-            } else if (type === 'card') {
-                restart = true;
+        fillTable(document.getElementById('paytable-symbols'), ['', 'SYMBOL', 'PAYS', `AT BET ${bet}`, 'PER REEL'], symbolRows);
+        fillTable(document.getElementById('paytable-combos'), ['LINE', 'PAYS', `AVG AT BET ${bet}`, 'ODDS'], comboRows);
+
+        document.getElementById('paytable-summary').innerText = [
+            `${reelCount} REELS, BET ${bet} PER LINE`,
+            `WINS ×${+multiplier.toFixed(2)}, LOSSES ×${+lossMultiplier.toFixed(2)}`,
+            `ANY WIN: ${formatOdds(outcomes.hitRate)}`,
+            `CARD DRAW: ${formatOdds(outcomes.cardProbability)}`
+        ].join('\n');
+        document.getElementById('paytable-notes').innerText = [
+            'ODDS ARE PER PAYLINE, WITHOUT RIGGING, CARDS OR FREE SPIN MULTIPLIERS.',
+            this.engine.isGridMode && 'SCATTERS COUNT THE WHOLE SCREEN IN GRID MODE AND HIT MORE OFTEN.'
+        ].filter(Boolean).join('\n');
+    }
+
+    // ===================== 可验证公平 =====================
+    bindVerifyButton() {
+        const btn = document.getElementById('verify-btn');
+        const overlay = document.getElementById('verify-overlay');
+        const seedInput = document.getElementById('verify-client-seed');
+        const revealBtn = document.getElementById('verify-reveal-btn');
+
+        // 只有服务器模式有种子承诺；本地模式的种子本来就在浏览器中
+        if (!this.engine.rotateSeed) btn?.classList.add('hidden');
+        if (!btn || !overlay || !this.engine.rotateSeed) return;
+
+        btn.addEventListener('click', () => {
+            if (!this.engine.isIdle || this.autoplay) return;
+            this.audioManager.playSfx('button_entry');
+            this.renderFairCommitment();
+            overlay.classList.remove('hidden');
+        });
+        revealBtn?.addEventListener('click', async () => {
+            this.audioManager.playSfx('button_entry');
+            revealBtn.disabled = true;
+            await this.revealAndVerify(seedInput?.value.trim() || undefined);
+            revealBtn.disabled = false;
+        });
+        document.getElementById('verify-close-btn')?.addEventListener('click', () => {
+            this.audioManager.playSfx('button_exit');
+            overlay.classList.add('hidden');
+        });
+    }
+
+    /** 显示当前种子对：旋转前公布的 server seed 哈希、client seed 与下一次旋转的 nonce */
+    renderFairCommitment() {
+        const fair = this.engine.fair;
+        const seedInput = document.getElementById('verify-client-seed');
+        if (seedInput && fair) seedInput.placeholder = fair.clientSeed;
+        document.getElementById('verify-commitment').innerText = fair ? [
+            `SERVER SEED HASH: ${fair.serverSeedHash}`,
+            `CLIENT SEED: ${fair.clientSeed}`,
+            `NEXT NONCE: ${fair.nonce}`,
+            `SPINS TO VERIFY: ${this.engine.fairSpins.length}`
+        ].join('\n') : 'NO SEED COMMITMENT YET.';
+    }
+
+    /**
+     * 公开 server seed（换用新的种子对），在浏览器中重新计算本页面记录的旋转并列出结果
+     * @param {string} [clientSeed] - 新种子对使用的 client seed；省略时沿用当前的
+     */
+    async revealAndVerify(clientSeed) {
+        const message = document.getElementById('verify-message');
+        const table = document.getElementById('verify-table');
+        const res = await this.engine.rotateSeed(clientSeed);
+        message.classList.toggle('error', !res.ok);
+        if (!res.ok) {
+            message.innerText = `CANNOT REVEAL SEED: ${res.reason}`;
+            return;
+        }
+
+        const { revealed, spins } = res;
+        const rules = { symbolValues: this.symbolValues, cardConfig: this.cardConfig, rigging: this.config.rigging };
+        const results = [];
+        for (const spin of spins) {
+            results.push({ spin, ...await verifySpin(spin, revealed.serverSeed, rules) });
+        }
+
+        table.innerHTML = '';
+        const head = table.insertRow();
+        ['NONCE', 'SYMBOLS', 'COMBO', 'CHECK'].forEach(text => {
+            const th = document.createElement('th');
+            th.innerText = text;
+            head.appendChild(th);
+        });
+        results.forEach(({ spin, ok, checks, replay }) => {
+            const row = table.insertRow();
+            row.classList.toggle('negative', !ok);
+            const failed = checks.filter(check => !check.ok).map(check => check.name);
+            [
+                spin.nonce,
+                (replay.results || replay.stops.map((stop, i) => replay.strips[i][stop])).join(' ').toUpperCase() || '—',
+                spin.outcome ? (replay.line.combo || 'NONE').toUpperCase() : 'ABORTED',
+                ok ? 'OK' : `FAIL: ${failed.join(', ')}`
+            ].forEach(text => { row.insertCell().innerText = text; });
+        });
+
+        const failures = results.filter(result => !result.ok).length;
+        message.classList.toggle('error', failures > 0);
+        message.innerText = [
+            `REVEALED SERVER SEED: ${revealed.serverSeed}`,
+            `CLIENT SEED: ${revealed.clientSeed}, ${revealed.nonce} SPINS`,
+            `VERIFIED ${results.length - failures} OF ${results.length} SPINS PLAYED ON THIS PAGE` + (failures ? `, ${failures} FAILED` : '')
+        ].join('\n');
+        if (failures) console.warn('Provably fair verification failed:', results.filter(result => !result.ok));
+        this.renderFairCommitment();
+    }
+
+    // ===================== 翻倍游戏 =====================
+    bindGambleOverlay() {
+        const overlay = this.ui.gambleOverlay;
+        if (!overlay) return;
+
+        overlay.querySelectorAll('.gamble-choice').forEach(btn => {
+            btn.addEventListener('click', () => this.pickGamble(btn.dataset.pick));
+        });
+        document.getElementById('gamble-collect-btn')?.addEventListener('click', () => {
+            if (this.gambleBusy) return;
+            this.audioManager.playSfx('button_exit');
+            this.closeGamble();
+        });
+    }
+
+    /** 结算后打开翻倍游戏界面，以本次金币奖励为初始奖金 */
+    openGamble() {
+        const state = this.ui.gambleOverlay ? this.engine.startGamble() : null;
+        if (!state) {
+            this.reset();
+            return;
+        }
+
+        this.audioManager.playSfx('button_entry');
+        this.ui.gambleOverlay.querySelectorAll('.gamble-choice').forEach(btn => {
+            btn.classList.toggle('hidden', !state.modes.includes(btn.dataset.mode));
+            btn.disabled = false;
+        });
+        this.ui.gambleCard.className = 'gamble-card';
+        this.ui.gambleCard.innerText = '?';
+        this.setGambleInfo(state);
+        this.ui.gambleOverlay.classList.remove('hidden');
+    }
+
+    /**
+     * 显示当前奖金与轮数
+     * @param {Object} state - getGambleState() 的结果
+     * @param {string} [headline] - 第一行提示（如上一轮结果）
+     * @param {''|'won'|'lost'} [tone] - 文字颜色
+     */
+    setGambleInfo(state, headline = 'DOUBLE YOUR WIN?', tone = '') {
+        const el = this.ui.gambleInfo;
+        if (!el) return;
+        el.className = `gamble-info ${tone}`;
+        el.innerText = state
+            ? `${headline}\nWIN: ${state.stake} COINS  ROUND ${state.round + 1}/${state.maxRounds}\nMAX: ${state.cap}`
+            : headline;
+    }
+
+    /**
+     * 押注并播放翻牌
+     * @param {'red'|'black'|'high'|'low'} pick - 押注选项
+     */
+    pickGamble(pick) {
+        if (this.gambleBusy || !this.engine.gamble) return;
+        const result = this.engine.gambleGuess(pick);
+        if (!result.ok) return;
+
+        this.gambleBusy = true;
+        const buttons = this.ui.gambleOverlay.querySelectorAll('.gamble-choice');
+        buttons.forEach(btn => { btn.disabled = true; });
+        this.audioManager.playSfx('gamble_flip');
+
+        const cardEl = this.ui.gambleCard;
+        cardEl.className = 'gamble-card flipping';
+        setTimeout(() => {
+            const ranks = { 1: 'A', 11: 'J', 12: 'Q', 13: 'K' };
+            const suits = { hearts: '♥', diamonds: '♦', clubs: '♣', spades: '♠' };
+            cardEl.className = `gamble-card face-up ${result.card.color}`;
+            cardEl.innerText = `${ranks[result.card.rank] || result.card.rank}\n${suits[result.card.suit]}`;
+        }, 200);
+
+        setTimeout(() => {
+            const state = this.engine.getGambleState();
+            if (result.won) {
+                this.audioManager.playSfx('gamble_win');
+                this.setGambleInfo(state, result.finished ? `COLLECTED ${result.stake} COINS` : 'DOUBLED!', 'won');
+            } else {
+                this.audioManager.playSfx('gamble_lose');
+                this.ledController.setMode('red', 1000);
+                this.setGambleInfo(null, 'LOST IT ALL!', 'lost');
+            }
+
+            if (result.finished) {
+                setTimeout(() => this.closeGamble(), 1200);
+                return;
             }
+            this.gambleBusy = false;
+            buttons.forEach(btn => { btn.disabled = false; });
+        }, 400);
+    }
+
+    /** 收下奖金（若仍在进行）并关闭翻倍游戏界面 */
+    closeGamble() {
+        this.engine.collectGamble();
+        this.gambleBusy = false;
+        this.ui.gambleOverlay?.classList.add('hidden');
+        this.reset();
+    }
+
+    /**
+     * 同步免费旋转的计数器、LED 与背景音乐
+     */
+    updateFreeSpinUI() {
+        const fs = this.engine.freeSpins;
+        if (this.ui.freeSpinCounter) {
+            this.ui.freeSpinCounter.classList.toggle('hidden', !fs);
+            this.ui.freeSpinCounter.innerText = fs ? `FREE ${fs.played + 1}/${fs.awarded}  x${fs.multiplier}` : '';
         }
+        this.ledController.setMode(fs ? 'bonus' : 'normal');
 
-        return { coins: totalCoins, gems: totalGems, newCard, restart };
+        if (fs) {
+            this.audioManager.playFeatureBgm('free_spins');
+        } else {
+            this.audioManager.stopFeatureBgm(this.engine.coins);
+        }
+        if (this.engine.isIdle) this.ui.btn.innerText = fs ? 'FREE' : 'SPIN';
+        this.syncBetButtons();
+    }
+
+    /**
+     * 在屏幕中央短暂显示免费旋转横幅
+     * @param {string} text - 横幅文字
+     */
+    showFreeSpinBanner(text) {
+        const banner = this.ui.freeSpinBanner;
+        if (!banner) return;
+        banner.innerText = text;
+        banner.classList.remove('hidden');
+        clearTimeout(this.freeSpinBannerTimeout);
+        this.freeSpinBannerTimeout = setTimeout(() => banner.classList.add('hidden'), 2000);
+    }
+
+    /**
+     * 在转轮上方绘制中奖赔付线
+     * @param {{id: string, rows: number[]}[]} lines - 中奖的赔付线
+     */
+    drawPaylines(lines) {
+        const overlay = this.ui.paylineOverlay;
+        if (!overlay) return;
+        overlay.innerHTML = '';
+
+        const containerRect = overlay.parentElement.getBoundingClientRect();
+        const middleRow = Math.floor(this.engine.gridRows / 2);
+        const allLines = this.engine.getPaylines().map(line => line.id);
+
+        lines.forEach(line => {
+            const points = line.rows.map((row, i) => {
+                const reel = this.reels[i];
+                const rect = reel.el.parentElement.getBoundingClientRect();
+                const x = rect.left - containerRect.left + rect.width / 2;
+                const y = rect.top - containerRect.top + reel.centerOffset + reel.itemHeight / 2
+                    + (row - middleRow) * reel.itemHeight;
+                return `${x},${y}`;
+            });
+
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+            path.setAttribute('points', points.join(' '));
+            path.setAttribute('class', 'payline-path');
+            path.style.stroke = PAYLINE_COLORS[allLines.indexOf(line.id) % PAYLINE_COLORS.length];
+            overlay.appendChild(path);
+        });
     }
 
     playCoinSfx(amount) {
@@ -1127,16 +2085,19 @@ class SlotMachine {
     }
 
     reset() {
-        this.phase = 0;
+        this.engine.reset();
+        if (this.ui.paylineOverlay) this.ui.paylineOverlay.innerHTML = '';
         this.ui.cardsContainer.classList.remove('locked');
         this.ui.btn.disabled = false;
-        this.ui.btn.innerText = 'SPIN';
+        this.ui.btn.innerText = this.engine.freeSpins ? 'FREE' : 'SPIN';
         this.ui.status.innerText = 'INSERT COIN';
         this.ui.status.style.color = '#FFECB3';
         this.audioManager.stopReelSound();
         
         // 角色滑回原位
         this.setCharactersSpinMode(false);
+
+        if (this.autoplay) this.continueAutoplay();
     }
 
     flashLights() {
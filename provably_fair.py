@@ -0,0 +1,72 @@
+"""
+可验证公平 (Provably Fair)
+
+服务器权威模式下每个会话持有一对种子：
+- server seed: 服务器生成，保密；提前公布其 SHA-256（承诺），更换种子时才公开
+- client seed: 玩家可自行设置，服务器无法预先针对它挑选 server seed
+每次旋转的随机数由 HMAC-SHA256(server seed, "client seed:nonce") 派生，nonce 为该种子对下的旋转序号。
+公开 server seed 后，前端 js/provably-fair.js 用同样的算法重新计算转轮与结果，证明结果没有被篡改。
+
+派生出的 32 字节中前 16 字节作为 sfc32 的状态，random() 与 JS 版逐位一致（32 位精度）。
+"""
+import hashlib
+import hmac
+import secrets
+
+MASK32 = 0xFFFFFFFF
+# 玩家自定义 client seed 的最大长度
+MAX_CLIENT_SEED_LENGTH = 64
+
+
+def hash_server_seed(server_seed):
+    """server seed 的承诺值（SHA-256 十六进制）"""
+    return hashlib.sha256(server_seed.encode('utf-8')).hexdigest()
+
+
+def new_server_seed():
+    return secrets.token_hex(32)
+
+
+def new_client_seed():
+    return secrets.token_hex(8)
+
+
+def valid_client_seed(client_seed):
+    return isinstance(client_seed, str) and 0 < len(client_seed) <= MAX_CLIENT_SEED_LENGTH
+
+
+class FairRng:
+    """
+    sfc32 随机数生成器，状态可保存为 JSON（旋转跨多个请求时保存在会话中）
+    :param state: 4 个 32 位无符号整数
+    """
+
+    def __init__(self, state):
+        self.a, self.b, self.c, self.d = (int(v) & MASK32 for v in state)
+
+    @classmethod
+    def derive(cls, server_seed, client_seed, nonce):
+        """由种子对与 nonce 派生本次旋转的 RNG"""
+        digest = hmac.new(server_seed.encode('utf-8'), f'{client_seed}:{nonce}'.encode('utf-8'), hashlib.sha256).digest()
+        return cls([int.from_bytes(digest[i:i + 4], 'big') for i in range(0, 16, 4)])
+
+    @property
+    def state(self):
+        return [self.a, self.b, self.c, self.d]
+
+    def random(self):
+        """返回 [0, 1) 的浮点数"""
+        a, b, c, d = self.a, self.b, self.c, self.d
+        t = (a + b) & MASK32
+        a = b ^ (b >> 9)
+        b = (c + (c << 3)) & MASK32
+        c = ((c << 21) | (c >> 11)) & MASK32
+        d = (d + 1) & MASK32
+        t = (t + d) & MASK32
+        c = (c + t) & MASK32
+        self.a, self.b, self.c, self.d = a, b, c, d
+        return t / 4294967296
+
+    def randrange(self, n):
+        """[0, n) 的随机整数（与前端 Math.floor(rng.next() * n) 一致）"""
+        return int(self.random() * n)
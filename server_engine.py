@@ -0,0 +1,923 @@
+"""
+服务器权威模式的游戏会话 (Server-authoritative Game Session)
+
+会话持有钱包（金币 / 宝石）、卡片库存与随机数状态，旋转结果全部在服务器上决定：
+- start_spin: 扣除下注、结算卡片的旋转前效果并生成转轮
+- stop_reel:  由服务器的 RNG 决定第 N 个转轮的停止位置，并按 Rigging 档位重新生成下一个转轮
+- settle:     揭示 random 类符号，按组合规则、scatter、卡片效果、免费旋转与累积奖池结算
+- buy / start_ad / claim_ad: 商店、waiter 升级与广告奖励
+
+规则与前端 js/game-engine.js（以及 combo-rules.js、card-effects.js、rigging.js）保持一致，
+只支持经典模式（一条中间赔付线）；保留 / 微调、技巧停止与翻倍游戏在该模式下不可用。
+状态字段与前端存档（GameEngine.getSaveState）相同，前端可以直接套用。
+两边的结算由 test/python-parity.test.js 按固定种子逐次比较，修改规则时需同时修改两边。
+
+每次旋转的随机数（转轮、停止位置、Rigging、揭示与抽卡）由会话的种子对派生（见 provably_fair.py），
+更换种子后玩家可以在前端验证这些旋转；商店抽卡等旋转以外的随机数使用会话自己的 RNG。
+
+操作被规则拒绝时返回 {'ok': False, 'reason': ...}，reason 与前端引擎使用的相同（如 NO_COINS、BUSY）。
+"""
+import math
+import random
+import secrets
+import time
+
+from provably_fair import FairRng, hash_server_seed, new_client_seed, new_server_seed, valid_client_seed
+
+# 卡片库存上限
+MAX_INVENTORY = 5
+# 转轮数量上下限
+MIN_REELS = 3
+MAX_REELS = 5
+# 新游戏的初始金币（与 GameEngine 的 initialCoins 默认值一致）
+INITIAL_COINS = 20
+# 领取广告奖励时允许的提前量（秒），抵消网络延迟
+AD_CLAIM_TOLERANCE = 1.0
+
+# 累计统计字段（与 GameEngine 的 EMPTY_STATS 一致）
+EMPTY_STATS = {
+    'totalBet': 0, 'totalWonCoins': 0, 'totalLostCoins': 0, 'totalWonGems': 0, 'biggestWin': 0,
+    'jackpots': 0, 'cardsWon': 0, 'bonusRounds': 0, 'perfectStops': 0, 'goodStops': 0, 'lateStops': 0,
+    'stopOffsetTotal': 0, 'skillBonusCoins': 0, 'progressiveWins': 0,
+    'gambleWins': 0, 'gambleLosses': 0, 'gambleNetCoins': 0,
+}
+
+# 支持的扣除倍率规则
+LOSS_SCALING = {
+    'linear': lambda ratio: ratio,
+    'sqrt': math.sqrt,
+    'flat': lambda ratio: 1,
+}
+
+# wild 未配置 substitutes 时可替代的符号类型
+DEFAULT_WILD_SUBSTITUTES = ['coin', 'gem']
+# 支持的特殊结果
+COMBO_OUTCOMES = ['restart']
+# random 类符号未配置 reveal 时可能揭示成的符号（等概率）
+DEFAULT_REVEAL_POOL = {'coin_1': 1, 'coin_stack': 1, 'gem_1': 1, 'bomb_1': 1}
+
+
+def number(value, default=0):
+    """JSON 中的数值；布尔值与非数值按 default 处理。"""
+    if isinstance(value, bool) or not isinstance(value, (int, float)):
+        return default
+    return value
+
+
+def is_int(value):
+    return isinstance(value, int) and not isinstance(value, bool)
+
+
+def js_round(value):
+    """与 JavaScript 的 Math.round 一致（.5 向上取整）。"""
+    return math.floor(value + 0.5)
+
+
+def js_sum(values):
+    """按顺序逐项相加（与 JavaScript 的 reduce 求和一致，结果可在前端逐位复现）。"""
+    total = 0
+    for value in values:
+        total += value
+    return total
+
+
+def refuse(reason, **extra):
+    return {'ok': False, 'reason': reason, **extra}
+
+
+# ---------------------------------------------------------
+#  组合规则 (combo-rules.js)
+# ---------------------------------------------------------
+
+def group_candidates(match, symbols, symbol_map):
+    """筛选满足条件的符号，并按「相同」的要求分组。"""
+    def fits(s):
+        sym_type = (symbol_map.get(s) or {}).get('type')
+        if not sym_type:
+            return False
+        if match.get('symbol') and s != match['symbol']:
+            return False
+        if match.get('type') and match['type'] != '*' and sym_type != match['type']:
+            return False
+        return True
+
+    candidates = [s for s in symbols if fits(s)]
+    if match.get('exact'):
+        key_of = lambda s: s
+    elif match.get('type') == '*':
+        key_of = lambda s: symbol_map[s]['type']
+    else:
+        return [candidates]
+
+    groups = {}
+    for s in candidates:
+        groups.setdefault(key_of(s), []).append(s)
+    return list(groups.values())
+
+
+def match_combo(rule, symbols, symbol_map):
+    match = rule.get('match') if isinstance(rule, dict) else None
+    if not isinstance(match, dict) or not symbols:
+        return False
+    count = match.get('count')
+    required = count if is_int(count) and count > 0 else len(symbols)
+    return any(len(group) >= required for group in group_candidates(match, symbols, symbol_map))
+
+
+def evaluate_combos(symbols, symbol_map, combos, base):
+    """按顺序匹配组合规则，返回第一条命中规则作用后的奖励。"""
+    rule = next((r for r in combos if match_combo(r, symbols, symbol_map)), None)
+    if rule is None:
+        return {'id': None, 'coins': base['coins'], 'gems': base['gems'], 'outcome': None, 'feature': None}
+
+    coins = number(rule['coins']) if 'coins' in rule else base['coins'] * number(rule.get('coins_multiplier', 1), 1)
+    gems = number(rule['gems']) if 'gems' in rule else base['gems'] * number(rule.get('gems_multiplier', 1), 1)
+    return {
+        'id': rule.get('id'),
+        'coins': coins,
+        'gems': gems,
+        'outcome': rule.get('outcome') if rule.get('outcome') in COMBO_OUTCOMES else None,
+        'feature': rule.get('feature'),
+    }
+
+
+def wild_substitutions(symbols, symbol_map):
+    """列出一条线上 wild 符号所有可能的替代结果；第一项始终为不替代的原始结果。"""
+    def is_wild(s):
+        return (symbol_map.get(s) or {}).get('type') == 'wild'
+
+    if not any(is_wild(s) for s in symbols):
+        return [symbols]
+
+    def can_substitute(wild, sym):
+        types = symbol_map[wild].get('substitutes')
+        return (symbol_map.get(sym) or {}).get('type') in (DEFAULT_WILD_SUBSTITUTES if types is None else types)
+
+    def substitutable(sym):
+        return any(is_wild(s) and can_substitute(s, sym) for s in symbols)
+
+    candidates = list(dict.fromkeys(s for s in symbols if not is_wild(s) and substitutable(s)))
+    if all(is_wild(s) for s in symbols):
+        candidates = [s for s in symbol_map if not is_wild(s) and substitutable(s)]
+
+    return [symbols] + [
+        [candidate if is_wild(s) and can_substitute(s, candidate) else s for s in symbols]
+        for candidate in candidates
+    ]
+
+
+def evaluate_scatters(screen_symbols, symbol_map):
+    """结算屏幕上的 scatter 符号，取不超过实际数量的最大一档。"""
+    counts = {}
+    for s in screen_symbols:
+        if (symbol_map.get(s) or {}).get('type') == 'scatter':
+            counts[s] = counts.get(s, 0) + 1
+
+    scatters = []
+    for symbol, count in counts.items():
+        pays = symbol_map[symbol].get('pays') or {}
+        tiers = []
+        for key in pays:
+            try:
+                tiers.append((int(key), key))
+            except ValueError:
+                continue
+        tiers = sorted((t for t in tiers if t[0] <= count), reverse=True)
+        if not tiers:
+            continue
+        pay = pays[tiers[0][1]]
+        scatters.append({
+            'symbol': symbol,
+            'count': count,
+            'coins': number(pay.get('coins')),
+            'gems': number(pay.get('gems')),
+            'feature': pay.get('feature'),
+        })
+    return scatters
+
+
+def evaluate_line(symbols, symbol_map, combos):
+    """计算一条线的基础奖励，不考虑 wild（与 GameEngine 的 evaluateLine 一致）。"""
+    total_coins = 0
+    total_gems = 0
+    new_card = False
+    for s in symbols:
+        data = symbol_map.get(s)
+        if not data:
+            continue
+        if data.get('type') == 'card':
+            new_card = True
+            continue
+        total_coins += number(data.get('coins'))
+        total_gems += number(data.get('gems'))
+
+    types = [(symbol_map.get(s) or {}).get('type') for s in symbols]
+    combo = evaluate_combos(symbols, symbol_map, combos, {'coins': total_coins, 'gems': total_gems})
+    return {
+        'coins': combo['coins'],
+        'gems': combo['gems'],
+        'newCard': new_card,
+        'restart': combo['outcome'] == 'restart',
+        'isSameCategory': bool(types[0]) and all(t == types[0] for t in types),
+        'combo': combo['id'],
+        'feature': combo['feature'],
+        'resolvedSymbols': symbols,
+    }
+
+
+def calculate_reward(symbols, symbol_map, combos):
+    """一组转轮结果的基础奖励；含 wild 时取金币（其次宝石）最多的替代方式，整条线都是 wild 时不匹配带 feature 的规则。"""
+    if symbols and all((symbol_map.get(s) or {}).get('type') == 'wild' for s in symbols):
+        combos = [rule for rule in combos if not rule.get('feature')]
+    best = None
+    for candidate in wild_substitutions(symbols, symbol_map):
+        reward = evaluate_line(candidate, symbol_map, combos)
+        if best is None or reward['coins'] > best['coins'] or (reward['coins'] == best['coins'] and reward['gems'] > best['gems']):
+            best = reward
+    return best
+
+
+# ---------------------------------------------------------
+#  卡片效果 (card-effects.js)
+# ---------------------------------------------------------
+
+def _ratio(value):
+    return 1 if value is True else number(value)
+
+
+def _multiply_weights(multipliers, value, ctx):
+    merged = dict(multipliers)
+    for key, factor in (value or {}).items():
+        merged[key] = merged.get(key, 1) * number(factor)
+    return merged
+
+
+CARD_EFFECTS = {
+    'bet_cost_multiplier': {'beforeSpin': lambda cost, value, ctx: cost * _ratio(value)},
+    'speed_multiplier': {'reelSpeed': lambda speed, value, ctx: speed * _ratio(value)},
+    'symbol_weight_multiplier': {'symbolWeights': _multiply_weights},
+    'reward_multiplier': {
+        'reward': lambda reward, value, ctx: {**reward, 'coins': reward['coins'] * _ratio(value), 'gems': reward['gems'] * _ratio(value)},
+    },
+    # value 为抵消比例，1 表示完全抵消
+    'block_loss': {'loss': lambda coins, value, ctx: coins * (1 - min(1, max(0, _ratio(value))))},
+    # value 为返还下注的比例，true 等同于 1
+    'refund_bet': {'settle': lambda refund, value, ctx: refund + ctx['bet'] * _ratio(value)},
+    'early_settle': {'exit': lambda action, value, ctx: 'escape' if value else action},
+}
+
+# 旧版 card.json（没有 effects 字段）中内置卡片的效果
+LEGACY_CARD_EFFECTS = {
+    'slow': {'effects': {'speed_multiplier': 0.5}, 'stackable': False},
+    'double': {'effects': {'reward_multiplier': 2}},
+    'bomb': {'effects': {'symbol_weight_multiplier': {'bomb': 2}}, 'stackable': False},
+    'cashout': {'effects': {'refund_bet': 1}},
+    'escape': {'effects': {'early_settle': True}},
+    'shield': {'effects': {'block_loss': 1}},
+}
+
+
+def resolve_card_effects(card_types, card_defs):
+    """把卡片类型列表解析为按顺序执行的效果列表；未知效果忽略。"""
+    seen = set()
+    resolved = []
+    for card_type in card_types:
+        definition = card_defs.get(card_type) if isinstance(card_defs.get(card_type), dict) else None
+        if not (definition or {}).get('effects'):
+            definition = LEGACY_CARD_EFFECTS.get(card_type)
+        if not definition or not definition.get('effects'):
+            continue
+        # 不可叠加的卡片只生效一次
+        if definition.get('stackable') is False and card_type in seen:
+            continue
+        seen.add(card_type)
+        for name, value in definition['effects'].items():
+            if name in CARD_EFFECTS:
+                resolved.append({'name': name, 'value': value, 'hooks': CARD_EFFECTS[name]})
+    return resolved
+
+
+def run_card_hook(effects, hook, initial, ctx):
+    value = initial
+    for effect in effects:
+        fn = effect['hooks'].get(hook)
+        if fn:
+            value = fn(value, effect['value'], ctx)
+    return value
+
+
+# ---------------------------------------------------------
+#  Rigging (rigging.js)
+# ---------------------------------------------------------
+
+def resolve_rigging_profile(rigging, fallback):
+    """解析 config.json 的 rigging 中使用的档位（配置已合并 defaults.json，未知档位回退为 fallback）。"""
+    profiles = rigging.get('profiles') or {}
+    name = rigging.get('profile')
+    if name not in profiles:
+        name = fallback
+    profile = dict(profiles.get(name) or {})
+    try:
+        copies = max(1, int(profile.get('copies')))
+    except (TypeError, ValueError):
+        copies = 1
+    return {
+        **profile,
+        'name': name,
+        'enabled': profile.get('enabled') is not False,
+        'copies': copies,
+        'chance': min(1, max(0, number(profile.get('chance'), 1))),
+        'eligible_types': profile.get('eligible_types') if isinstance(profile.get('eligible_types'), list) else None,
+    }
+
+
+def rigging_strength(profile, coins):
+    if not profile['enabled']:
+        return 0
+    full_below = number(profile.get('balance_full_below'), 0)
+    none_above = number(profile.get('balance_none_above'), None)
+    factor = 1
+    if none_above is not None:
+        if coins >= none_above:
+            factor = 0
+        elif coins > full_below:
+            factor = (none_above - coins) / (none_above - full_below)
+    return profile['chance'] * factor
+
+
+def select_bias_symbols(profile, locked_results, coins, symbol_map, rng):
+    """按档位挑选本次要插入下一个转轮的偏向符号；不偏向时返回 None。"""
+    strength = rigging_strength(profile, coins)
+    if strength <= 0:
+        return None
+    if strength < 1 and rng.random() >= strength:
+        return None
+
+    eligible = profile['eligible_types']
+    symbols = [s for s in locked_results if (symbol_map.get(s) or {}).get('type') in eligible] if eligible else locked_results
+    if not symbols:
+        return None
+    return [s for s in symbols for _ in range(profile['copies'])]
+
+
+# ---------------------------------------------------------
+#  游戏会话
+# ---------------------------------------------------------
+
+class GameSession:
+    """
+    一个玩家的服务器端游戏会话
+    :param configs: 合并 defaults.json 后的配置 {文件名: 内容}，需包含 config.json、symbol-values.json、
+                    card.json、ad.json、shop.json、character.json
+    :param defaults: defaults.json 的内容（商店价格等数组配置的回退值）
+    :param generate_strip: 转轮生成函数，参数为 reel_index、bias_symbols、weight_multipliers、rng
+    :param data: to_dict() 保存的数据；省略时开始新游戏
+    :param client_seed: 新游戏第一个种子对的 client seed（由玩家提供）；省略时由服务器生成，恢复的会话忽略此参数
+    """
+
+    def __init__(self, configs, defaults, generate_strip, data=None, client_seed=None):
+        self.config = configs['config.json']
+        self.symbol_values = configs['symbol-values.json']
+        self.card_config = configs['card.json']
+        self.ad_config = configs['ad.json']
+        self.shop_config = configs['shop.json']
+        self.character_config = configs['character.json']
+        self.defaults = defaults
+        self.generate_strip = generate_strip
+
+        data = data or {}
+        self.state = data.get('state') or self.initial_state()
+        self.spin = data.get('spin')
+        self.ad = data.get('ad')
+        self.rng = random.Random()
+        if data.get('rng'):
+            version, internal, gauss = data['rng']
+            self.rng.setstate((version, tuple(internal), gauss))
+        # 种子对 {serverSeed, serverSeedHash, clientSeed, nonce}；进行中的旋转使用 spin_rng
+        self.fair = data.get('fair') or self.new_seed_pair(client_seed or new_client_seed())
+        self.spin_rng = FairRng(self.spin['rng']) if self.spin else None
+
+    def to_dict(self):
+        """可保存为 JSON 的会话数据（包含 RNG 状态、种子对与进行中的旋转）"""
+        version, internal, gauss = self.rng.getstate()
+        if self.spin:
+            self.spin['rng'] = self.spin_rng.state
+        return {'state': self.state, 'spin': self.spin, 'ad': self.ad, 'fair': self.fair,
+                'rng': [version, list(internal), gauss]}
+
+    # ===================== 配置 =====================
+    @property
+    def symbol_map(self):
+        return self.symbol_values['symbols']
+
+    def feature_config(self, name):
+        return self.symbol_values['features'].get(name) or {}
+
+    def card_defs(self):
+        return self.card_config['cards']
+
+    def bet_levels(self):
+        bets = self.config['bets']
+        low, high = number(bets.get('min'), None), number(bets.get('max'), None)
+        levels = sorted({
+            bet for bet in (bets.get('levels') if isinstance(bets.get('levels'), list) else [])
+            if number(bet) > 0 and (low is None or bet >= low) and (high is None or bet <= high)
+        })
+        return levels or self.defaults['config.json']['bets']['levels']
+
+    def default_bet(self):
+        levels = self.bet_levels()
+        return self.config['bets'].get('default') if self.config['bets'].get('default') in levels else levels[0]
+
+    def reward_multiplier(self, bet):
+        base = number(self.config['bets'].get('base'))
+        return bet / (base if base > 0 else self.defaults['config.json']['bets']['base'])
+
+    def loss_multiplier(self, bet):
+        scale = LOSS_SCALING.get(self.config['bets'].get('loss_scaling'), LOSS_SCALING['linear'])
+        return scale(self.reward_multiplier(bet))
+
+    def shop_cost(self, item_id):
+        items = self.shop_config.get('items') or []
+        item = next((i for i in items if isinstance(i, dict) and i.get('id') == item_id), {})
+        fallback = next((i for i in self.defaults['shop.json']['items'] if i['id'] == item_id), {})
+        return item.get('cost') or fallback.get('cost')
+
+    def progressive_seed(self):
+        return max(0, number(self.feature_config('progressive_jackpot').get('seed')))
+
+    def initial_state(self):
+        """新游戏的状态（字段与前端存档相同）"""
+        return {
+            'coins': INITIAL_COINS,
+            'gems': 0,
+            'currentBet': self.default_bet(),
+            'activeLines': None,
+            'reelCount': MIN_REELS,
+            'inventory': [],
+            'adHackActive': False,
+            'waiterUpgradeLevel': 0,
+            'spinCount': 0,
+            'freeSpins': None,
+            'progressivePool': self.progressive_seed(),
+            'stats': dict(EMPTY_STATS),
+        }
+
+    def reset(self):
+        """开始新游戏：恢复全部初始状态（种子对不变，之前的旋转仍可验证）"""
+        self.state = self.initial_state()
+        self.spin = None
+        self.spin_rng = None
+        self.ad = None
+        return {'ok': True}
+
+    # ===================== 可验证公平 =====================
+    @staticmethod
+    def new_seed_pair(client_seed):
+        server_seed = new_server_seed()
+        return {'serverSeed': server_seed, 'serverSeedHash': hash_server_seed(server_seed), 'clientSeed': client_seed, 'nonce': 0}
+
+    def public_fair(self):
+        """可以公开的种子信息：server seed 只公开哈希，nonce 为下一次旋转使用的值"""
+        return {key: self.fair[key] for key in ('serverSeedHash', 'clientSeed', 'nonce')}
+
+    def rotate_seed(self, client_seed=None):
+        """
+        公开当前 server seed 并换用新的种子对（nonce 从 0 开始），旋转进行中不可更换
+        :param client_seed: 新的 client seed；省略时沿用当前的
+        :return: revealed 为公开的旧种子对（nonce 为已进行的旋转次数），fair 为新种子对的公开信息
+        """
+        if self.spin:
+            return refuse('BUSY')
+        if client_seed is None:
+            client_seed = self.fair['clientSeed']
+        elif not valid_client_seed(client_seed):
+            return refuse('INVALID_CLIENT_SEED')
+        revealed = dict(self.fair)
+        self.fair = self.new_seed_pair(client_seed)
+        return {'ok': True, 'revealed': revealed, 'fair': self.public_fair()}
+
+    # ===================== 卡片 =====================
+    def pick_random_card_type(self, rng=None):
+        """按 card.json 的 probability 抽一张卡；rng 省略时使用会话 RNG（商店抽卡）"""
+        entries = list(self.card_defs().items())
+        if not entries:
+            return 'slow'
+        weights = [max(0, number((definition or {}).get('probability'))) for _, definition in entries]
+        total = js_sum(weights)
+        if total <= 0:
+            return entries[0][0]
+        r = (rng or self.rng).random() * total
+        for (card_type, _), weight in zip(entries, weights):
+            r -= weight
+            if r <= 0:
+                return card_type
+        return entries[-1][0]
+
+    def expand_weight_multipliers(self, multipliers):
+        """把按符号或符号类型配置的权重倍率展开为按符号的倍率"""
+        expanded = {}
+        for key, factor in multipliers.items():
+            symbols = [key] if key in self.symbol_map else [s for s, d in self.symbol_map.items() if (d or {}).get('type') == key]
+            for sym in symbols:
+                expanded[sym] = expanded.get(sym, 1) * factor
+        return expanded
+
+    def spin_effects(self):
+        inventory = self.state['inventory']
+        return resolve_card_effects([inventory[i] for i in self.spin['cards']], self.card_defs())
+
+    def consume_cards(self, cards):
+        for index in sorted(cards, reverse=True):
+            del self.state['inventory'][index]
+
+    # ===================== 旋转流程 =====================
+    def start_spin(self, bet, cards):
+        """
+        开始一次旋转：扣除下注（免费旋转不扣、沿用触发时的下注）、结算卡片的旋转前效果并生成转轮
+        :param bet: 每线下注，必须是下注档位之一
+        :param cards: 本次使用的卡片（库存索引）
+        """
+        if self.spin:
+            return refuse('BUSY')
+
+        state = self.state
+        inventory = state['inventory']
+        free = bool(state['freeSpins'])
+        if free:
+            bet = state['freeSpins']['bet']
+        elif bet not in self.bet_levels():
+            return refuse('INVALID_BET')
+        if not isinstance(cards, list) or len(set(cards)) != len(cards) \
+                or not all(is_int(i) and 0 <= i < len(inventory) for i in cards):
+            return refuse('INVALID_CARDS')
+
+        effects = resolve_card_effects([inventory[i] for i in cards], self.card_defs())
+        ctx = {'bet': bet, 'lineBet': bet}
+        cost = 0 if free else max(0, run_card_hook(effects, 'beforeSpin', bet, ctx))
+        if state['coins'] < cost:
+            return refuse('NO_COINS')
+
+        nonce = self.fair['nonce']
+        rng = FairRng.derive(self.fair['serverSeed'], self.fair['clientSeed'], nonce)
+        multipliers = self.expand_weight_multipliers(run_card_hook(effects, 'symbolWeights', {}, ctx))
+        strips = [
+            self.generate_strip(reel_index=i, weight_multipliers=multipliers, rng=rng)
+            for i in range(state['reelCount'])
+        ]
+        speeds = [max(3, run_card_hook(effects, 'reelSpeed', 5 + rng.randrange(26), ctx)) for _ in strips]
+
+        state['coins'] -= cost
+        state['stats']['totalBet'] += cost
+        state['currentBet'] = bet
+        if not free:
+            self.feed_progressive(bet)
+        state['spinCount'] += 1
+        self.fair['nonce'] += 1
+        self.spin = {
+            'bet': bet,
+            'free': free,
+            'cards': sorted(cards),
+            'weightMultipliers': multipliers,
+            'strips': strips,
+            'stops': [None] * len(strips),
+            'escaped': False,
+            'nonce': nonce,
+        }
+        self.spin_rng = rng
+        fair = {**self.public_fair(), 'nonce': nonce}
+        return {'ok': True, 'strips': strips, 'speeds': speeds, 'free': free, 'cost': cost, 'fair': fair}
+
+    def next_reel(self):
+        """下一个要停止的转轮；全部停止或已提前结算时返回 None"""
+        if not self.spin or self.spin['escaped']:
+            return None
+        return next((i for i, stop in enumerate(self.spin['stops']) if stop is None), None)
+
+    def stop_reel(self, reel):
+        """
+        停止第 reel 个转轮（必须按顺序）：停止位置由服务器决定，随后按 Rigging 档位重新生成下一个转轮
+        :return: stopIndex 为停止位置（strip 中位于中间行的符号索引），rigged 为重新生成的下一个转轮
+        """
+        index = self.next_reel()
+        if index is None:
+            return refuse('NOT_SPINNING')
+        if reel != index:
+            return refuse('WRONG_REEL', expected=index)
+
+        spin = self.spin
+        stop = self.spin_rng.randrange(len(spin['strips'][index]))
+        spin['stops'][index] = stop
+        result = {'ok': True, 'index': index, 'stopIndex': stop, 'isLastReel': index + 1 >= len(spin['strips']), 'rigged': None}
+        if result['isLastReel']:
+            return result
+
+        locked = [spin['strips'][i][spin['stops'][i]] for i in range(index + 1)]
+        profile = resolve_rigging_profile(self.config['rigging'], self.defaults['config.json']['rigging']['profile'])
+        bias = select_bias_symbols(profile, locked, self.state['coins'], self.symbol_map, self.spin_rng)
+        if bias:
+            strip = self.generate_strip(reel_index=index + 1, bias_symbols=bias,
+                                        weight_multipliers=spin['weightMultipliers'], rng=self.spin_rng)
+            spin['strips'][index + 1] = strip
+            result['rigged'] = {'index': index + 1, 'strip': strip}
+        return result
+
+    def exit_spin(self):
+        """
+        处理 EXIT：卡片效果允许时（early_settle）剩余转轮立即停止并等待结算，否则中止本次旋转并消耗已选卡片
+        """
+        if self.next_reel() is None:
+            return refuse('NOT_SPINNING')
+
+        spin = self.spin
+        ctx = {'bet': spin['bet'], 'lineBet': spin['bet']}
+        if run_card_hook(self.spin_effects(), 'exit', 'abort', ctx) == 'escape':
+            stops = []
+            for index, stop in enumerate(spin['stops']):
+                if stop is None:
+                    spin['stops'][index] = self.spin_rng.randrange(len(spin['strips'][index]))
+                    stops.append({'index': index, 'stopIndex': spin['stops'][index]})
+            spin['escaped'] = True
+            return {'ok': True, 'action': 'escape', 'stops': stops}
+
+        self.consume_cards(spin['cards'])
+        self.spin = None
+        self.spin_rng = None
+        return {'ok': True, 'action': 'abort'}
+
+    def reveal_pool(self, symbol):
+        configured = (self.symbol_map.get(symbol) or {}).get('reveal')
+        pool = configured if isinstance(configured, dict) else DEFAULT_REVEAL_POOL
+        return [(sym, number(weight)) for sym, weight in pool.items()
+                if number(weight) > 0 and (self.symbol_map.get(sym) or {}).get('type') != 'random']
+
+    def reveal_random_symbols(self, results, rng):
+        """按揭示池权重揭示结果中的 random 类符号"""
+        revealed = []
+        reveals = []
+        for reel, s in enumerate(results):
+            pool = self.reveal_pool(s) if (self.symbol_map.get(s) or {}).get('type') == 'random' else []
+            if not pool:
+                revealed.append(s)
+                continue
+            roll = rng.random() * js_sum(weight for _, weight in pool)
+            picked = pool[-1][0]
+            for sym, weight in pool:
+                roll -= weight
+                if roll < 0:
+                    picked = sym
+                    break
+            reveals.append({'reel': reel, 'row': 0, 'from': s, 'symbol': picked})
+            revealed.append(picked)
+        return revealed, reveals
+
+    def settle(self):
+        """结算本次旋转（所有转轮停止后），返回与前端 GameEngine.settle 相同格式的结果，另附 reveals"""
+        spin = self.spin
+        if not spin or any(stop is None for stop in spin['stops']):
+            return refuse('NOT_STOPPED')
+
+        state = self.state
+        bet = spin['bet']
+        effects = self.spin_effects()
+        rng = self.spin_rng
+        raw = [strip[stop] for strip, stop in zip(spin['strips'], spin['stops'])]
+        results, reveals = self.reveal_random_symbols(raw, rng)
+
+        line = calculate_reward(results, self.symbol_map, self.symbol_values['combos'])
+        reward = {
+            'coins': line['coins'], 'gems': line['gems'], 'newCard': line['newCard'], 'restart': line['restart'],
+            'isSameCategory': line['isSameCategory'], 'combo': line['combo'],
+        }
+        resolved = line['resolvedSymbols']
+        lines = []
+        if line['coins'] != 0 or line['gems'] != 0 or line['combo']:
+            lines.append({'id': 'center', 'rows': [0] * len(results), 'symbols': results,
+                          'coins': line['coins'], 'gems': line['gems'], 'combo': line['combo']})
+
+        scatters = evaluate_scatters(results, self.symbol_map)
+        for scatter in scatters:
+            reward['coins'] += scatter['coins']
+            reward['gems'] += scatter['gems']
+        features = [line['feature']] if line['feature'] else []
+        features += [s['feature'] for s in scatters if s['feature']]
+
+        outcome = {
+            'results': results,
+            'grid': [[s] for s in results],
+            'reveals': reveals,
+            'stops': list(spin['stops']),
+            'nonce': spin['nonce'],
+            'lines': lines,
+            'scatters': scatters,
+            'features': list(dict.fromkeys(features)),
+            'freeSpin': spin['free'],
+            'freeSpinsAwarded': 0,
+            'freeSpinsSummary': None,
+            'progressiveWin': 0,
+            'skillStops': {'stops': [], 'perfect': 0, 'bonusCoins': 0},
+            'reward': reward,
+            'restart': reward['restart'],
+            'shieldedLoss': False,
+            'newCardType': None,
+            'isExactMatch': bool(resolved[0]) and all(s == resolved[0] for s in resolved),
+            'isSameCategory': reward['isSameCategory'],
+        }
+        ctx = {'bet': bet, 'lineBet': bet, 'outcome': outcome}
+
+        # 提现卡等：本次旋转结束时返还投入金币（免费旋转没有投入）
+        if not spin['free']:
+            state['coins'] += run_card_hook(effects, 'settle', 0, ctx)
+
+        self.spin = None
+        self.spin_rng = None
+        if reward['restart']:
+            self.advance_free_spins(outcome, spin['free'], 0, 0)
+            return {'ok': True, 'outcome': outcome}
+
+        modified = run_card_hook(effects, 'reward', {'coins': reward['coins'], 'gems': reward['gems']}, ctx)
+        multiplier = self.reward_multiplier(bet)
+        reward['coins'] = js_round(modified['coins'] * (self.loss_multiplier(bet) if modified['coins'] < 0 else multiplier))
+        reward['gems'] = js_round(modified['gems'] * multiplier)
+
+        # 免费旋转：奖励乘以本回合倍率（扣除不受影响）
+        if spin['free'] and state['freeSpins']:
+            if reward['coins'] > 0:
+                reward['coins'] *= state['freeSpins']['multiplier']
+            if reward['gems'] > 0:
+                reward['gems'] *= state['freeSpins']['multiplier']
+
+        # 累积奖池：不受下注、卡片与免费旋转倍率影响
+        if 'progressive_jackpot' in outcome['features']:
+            outcome['progressiveWin'] = self.award_progressive()
+            reward['coins'] += outcome['progressiveWin']
+
+        # 护盾卡等：处理扣除金币；完全抵消时视为 NICE TRY
+        if reward['coins'] < 0:
+            reward['coins'] = run_card_hook(effects, 'loss', reward['coins'], ctx) or 0
+            outcome['shieldedLoss'] = reward['coins'] == 0
+
+        self.consume_cards(spin['cards'])
+        state['coins'] += reward['coins']
+        state['gems'] += reward['gems']
+
+        if reward['newCard'] and len(state['inventory']) < MAX_INVENTORY:
+            outcome['newCardType'] = self.pick_random_card_type(rng)
+            state['inventory'].append(outcome['newCardType'])
+            state['stats']['cardsWon'] += 1
+
+        self.record_stats(outcome)
+        self.advance_free_spins(outcome, spin['free'], reward['coins'], reward['gems'])
+        return {'ok': True, 'outcome': outcome}
+
+    def finish_interrupted_spin(self):
+        """
+        完成断线前未结算的旋转：剩余转轮按服务器 RNG 停止后结算（不再 Rigging），
+        玩家刷新页面不能借此重来一次
+        :return: 结算结果；没有进行中的旋转时返回 None
+        """
+        if not self.spin:
+            return None
+        for index, stop in enumerate(self.spin['stops']):
+            if stop is None:
+                self.spin['stops'][index] = self.spin_rng.randrange(len(self.spin['strips'][index]))
+        return self.settle()['outcome']
+
+    # ===================== 累积奖池 / 免费旋转 / 统计 =====================
+    def progressive_enabled(self):
+        return self.feature_config('progressive_jackpot').get('enabled') is not False
+
+    def feed_progressive(self, bet):
+        share = max(0, number(self.feature_config('progressive_jackpot').get('contribution')))
+        if self.progressive_enabled() and share > 0 and bet > 0:
+            self.state['progressivePool'] += bet * share
+
+    def award_progressive(self):
+        if not self.progressive_enabled():
+            return 0
+        won = math.floor(self.state['progressivePool'])
+        self.state['progressivePool'] = self.progressive_seed()
+        self.state['stats']['progressiveWins'] += 1
+        return won
+
+    def advance_free_spins(self, outcome, free, coins, gems):
+        """结算后推进免费旋转：扣减次数、累计奖励、处理触发与追加、回合结束时写入汇总"""
+        state = self.state
+        free_spins = state['freeSpins']
+        if free and free_spins:
+            free_spins['remaining'] -= 1
+            free_spins['played'] += 1
+            free_spins['coins'] += coins
+            free_spins['gems'] += gems
+
+        if 'free_spins' in outcome['features']:
+            cfg = self.feature_config('free_spins')
+            try:
+                spins = max(0, int(cfg.get('spins')))
+            except (TypeError, ValueError):
+                spins = 0
+            if spins > 0 and not free_spins:
+                multiplier = number(cfg.get('multiplier'))
+                free_spins = {
+                    'remaining': spins, 'awarded': spins, 'played': 0,
+                    'multiplier': multiplier if multiplier > 0 else 1,
+                    'bet': state['currentBet'], 'coins': 0, 'gems': 0,
+                }
+                state['stats']['bonusRounds'] += 1
+                outcome['freeSpinsAwarded'] = spins
+            elif spins > 0 and cfg.get('retrigger') is not False:
+                free_spins['remaining'] += spins
+                free_spins['awarded'] += spins
+                outcome['freeSpinsAwarded'] = spins
+
+        if free_spins and free_spins['remaining'] <= 0:
+            outcome['freeSpinsSummary'] = dict(free_spins)
+            free_spins = None
+        state['freeSpins'] = free_spins
+
+    def record_stats(self, outcome):
+        stats = self.state['stats']
+        coins, gems = outcome['reward']['coins'], outcome['reward']['gems']
+        if coins > 0:
+            stats['totalWonCoins'] += coins
+            stats['biggestWin'] = max(stats['biggestWin'], coins)
+        elif coins < 0:
+            stats['totalLostCoins'] += -coins
+        if gems > 0:
+            stats['totalWonGems'] += gems
+        if outcome['isExactMatch'] and (coins > 0 or gems > 0):
+            stats['jackpots'] += 1
+
+    # ===================== 商店 / 角色 =====================
+    def buy(self, item_id):
+        """购买商店物品或升级 waiter（'waiter_upgrade'），旋转进行中不可购买"""
+        if self.spin:
+            return refuse('BUSY')
+        state = self.state
+
+        if item_id == 'waiter_upgrade':
+            costs = self.character_config['waiter_upgrade_costs']
+            level = state['waiterUpgradeLevel']
+            if level >= len(costs):
+                return refuse('COMPLETE')
+            if state['gems'] < costs[level]:
+                return refuse('NOT_ENOUGH_GEMS', requiredGems=costs[level])
+            state['gems'] -= costs[level]
+            state['waiterUpgradeLevel'] += 1
+            return {'ok': True, 'level': level, 'requiredGems': costs[level]}
+
+        cost = self.shop_cost(item_id)
+        if item_id == 'random_card':
+            if state['gems'] < cost:
+                return refuse('NOT_ENOUGH_GEMS')
+            if len(state['inventory']) >= MAX_INVENTORY:
+                return refuse('INVENTORY_FULL')
+            state['gems'] -= cost
+            card_type = self.pick_random_card_type()
+            state['inventory'].append(card_type)
+            return {'ok': True, 'cardType': card_type}
+
+        if item_id == 'add_reel':
+            if state['reelCount'] >= MAX_REELS:
+                return refuse('MAX_REELS')
+            if state['gems'] < cost:
+                return refuse('NOT_ENOUGH_GEMS')
+            state['gems'] -= cost
+            state['reelCount'] += 1
+            return {'ok': True}
+
+        if item_id == 'ad_hack':
+            if state['adHackActive']:
+                return refuse('ALREADY_HACKED')
+            if state['gems'] < cost:
+                return refuse('NOT_ENOUGH_GEMS')
+            state['gems'] -= cost
+            state['adHackActive'] = True
+            return {'ok': True}
+
+        return refuse('UNKNOWN_ITEM')
+
+    # ===================== 广告 =====================
+    def start_ad(self):
+        """开始观看广告：记录开始时间，奖励要在广告时长结束后凭 token 领取"""
+        if self.spin:
+            return refuse('BUSY')
+        cfg = self.ad_config
+        if self.state['adHackActive']:
+            seconds, coins = cfg['ad_hack_sec'], cfg['ad_coin'] * cfg['ad_hack_coin_multiplier']
+            playback_rate = cfg['ad_sec'] / cfg['ad_hack_sec']
+        else:
+            seconds, coins, playback_rate = cfg['ad_sec'], cfg['ad_coin'], 1.0
+        self.ad = {'token': secrets.token_hex(8), 'seconds': seconds, 'coins': coins, 'startedAt': time.time()}
+        return {'ok': True, 'token': self.ad['token'], 'seconds': seconds, 'rewardCoins': coins, 'playbackRate': playback_rate}
+
+    def claim_ad(self, token):
+        """领取广告奖励；token 不匹配或广告未播放完时拒绝"""
+        ad = self.ad
+        if not ad or token != ad['token']:
+            return refuse('NO_AD')
+        if time.time() - ad['startedAt'] < ad['seconds'] - AD_CLAIM_TOLERANCE:
+            return refuse('TOO_EARLY')
+        self.ad = None
+        self.state['coins'] += ad['coins']
+        return {'ok': True, 'coins': ad['coins']}
@@ -0,0 +1,70 @@
+"""
+会话存储 (SQLite)
+
+服务器权威模式下每个玩家会话保存为一行：会话 ID、JSON 数据（GameSession.to_dict）与更新时间。
+只使用标准库 sqlite3，每次读写打开独立连接，可在 Flask 的多线程开发服务器中使用；
+同一会话的「读取-修改-保存」需要由调用方加锁，避免并发请求互相覆盖。
+"""
+import json
+import os
+import secrets
+import sqlite3
+import time
+from contextlib import closing
+
+
+class SessionStore:
+    """
+    :param path: SQLite 数据库文件路径，所在目录不存在时自动创建
+    """
+
+    def __init__(self, path):
+        self.path = path
+        os.makedirs(os.path.dirname(os.path.abspath(path)), exist_ok=True)
+        with self.connect() as db:
+            db.execute(
+                'CREATE TABLE IF NOT EXISTS sessions ('
+                ' id TEXT PRIMARY KEY,'
+                ' data TEXT NOT NULL,'
+                ' updated_at REAL NOT NULL)'
+            )
+
+    def connect(self):
+        """打开一个连接；with 语句结束时提交事务并关闭连接"""
+        return _Connection(sqlite3.connect(self.path, timeout=10))
+
+    @staticmethod
+    def new_id():
+        return secrets.token_hex(16)
+
+    def load(self, session_id):
+        """读取会话数据；会话不存在时返回 None"""
+        with self.connect() as db:
+            row = db.execute('SELECT data FROM sessions WHERE id = ?', (session_id,)).fetchone()
+        return json.loads(row[0]) if row else None
+
+    def save(self, session_id, data):
+        with self.connect() as db:
+            db.execute(
+                'INSERT INTO sessions (id, data, updated_at) VALUES (?, ?, ?)'
+                ' ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at',
+                (session_id, json.dumps(data), time.time()),
+            )
+
+
+class _Connection:
+    """sqlite3 连接的 with 包装：与 sqlite3 自带的上下文管理不同，退出时同时关闭连接"""
+
+    def __init__(self, connection):
+        self.connection = connection
+
+    def __enter__(self):
+        return self.connection
+
+    def __exit__(self, exc_type, exc, tb):
+        with closing(self.connection):
+            if exc_type is None:
+                self.connection.commit()
+            else:
+                self.connection.rollback()
+        return False
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { autoplayStopReason, autoStopDelay, resolveAutoplayConfig } from '../js/autoplay.js';
+
+const outcome = (coins, newCardType = null) => ({ reward: { coins, gems: 0 }, newCardType });
+
+test('resolveAutoplayConfig: 合并默认值，过滤无效的次数与间隔', () => {
+    const config = resolveAutoplayConfig({ spin_options: [10, 0, 2.5, 'x', 50], stop_interval_min: 500, stop_interval_max: 100, stop_when: { balance_below: 10 } });
+    assert.deepEqual(config.spin_options, [10, 50]);
+    assert.equal(config.stop_interval_max, 500);
+    assert.deepEqual(config.stop_when, { balance_below: 10, single_win_above: 200, gems_reached: null, card_won: true, ending: true });
+    assert.equal(autoStopDelay(config, () => 0.5), 500);
+    assert.equal(autoStopDelay(resolveAutoplayConfig(), () => 0.5), 600);
+});
+
+test('autoplayStopReason: 满足任意一条停止条件即停止', () => {
+    const { stop_when: stopWhen } = resolveAutoplayConfig({ stop_when: { balance_below: 10, single_win_above: 200, gems_reached: 1000 } });
+    assert.equal(autoplayStopReason(stopWhen, { coins: 50, gems: 0, outcome: outcome(20) }), null);
+    assert.equal(autoplayStopReason(stopWhen, { coins: 9, gems: 0, outcome: outcome(0) }), 'LOW BALANCE');
+    assert.equal(autoplayStopReason(stopWhen, { coins: 500, gems: 0, outcome: outcome(201) }), 'BIG WIN');
+    assert.equal(autoplayStopReason(stopWhen, { coins: 50, gems: 1000, outcome: outcome(0) }), 'GEMS REACHED');
+    assert.equal(autoplayStopReason(stopWhen, { coins: 50, gems: 0, outcome: outcome(0, 'double') }), 'CARD WON');
+});
+
+test('autoplayStopReason: null 或 false 的条件不检查', () => {
+    const stopWhen = { balance_below: null, single_win_above: null, gems_reached: null, card_won: false };
+    assert.equal(autoplayStopReason(stopWhen, { coins: 0, gems: 9999, outcome: outcome(9999, 'double') }), null);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { registerCardEffect, resolveCardEffects, runCardHook } from '../js/card-effects.js';
+
+const { cards } = JSON.parse(readFileSync(new URL('../card.json', import.meta.url), 'utf8'));
+
+test('resolveCardEffects: stackable 为 false 的卡片重复选中只生效一次', () => {
+    assert.deepEqual(resolveCardEffects(['slow', 'slow', 'bomb', 'bomb'], cards).map(effect => effect.cardType), ['slow', 'bomb']);
+    assert.equal(runCardHook(resolveCardEffects(['slow', 'slow'], cards), 'reelSpeed', 100), 50);
+
+    // 可叠加的卡片逐张生效
+    assert.equal(resolveCardEffects(['double', 'double'], cards).length, 2);
+    assert.deepEqual(runCardHook(resolveCardEffects(['double', 'double'], cards), 'reward', { coins: 10, gems: 1 }), { coins: 40, gems: 4 });
+});
+
+test('resolveCardEffects: 没有 effects 的旧卡片使用内置效果，未知效果被忽略', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const legacy = { shield: { name: '护盾' }, odd: { effects: { no_such_effect: 1, refund_bet: 0.5 } } };
+
+    // 完全抵消时得到 -0
+    assert.equal(runCardHook(resolveCardEffects(['shield'], legacy), 'loss', -20) + 0, 0);
+    assert.equal(runCardHook(resolveCardEffects(['odd'], legacy), 'settle', 0, { bet: 10 }), 5);
+    assert.equal(warn.mock.callCount(), 1);
+});
+
+test('registerCardEffect: 新效果可在 card.json 中引用，未知钩子报错', () => {
+    registerCardEffect('test_bonus_gems', { reward: (reward, value) => ({ ...reward, gems: reward.gems + value }) });
+    const effects = resolveCardEffects(['gift'], { gift: { effects: { test_bonus_gems: 2 } } });
+    assert.deepEqual(runCardHook(effects, 'reward', { coins: 0, gems: 1 }), { coins: 0, gems: 3 });
+
+    assert.throws(() => registerCardEffect('broken', { afterSpin: () => 0 }), /invalid hook "afterSpin"/);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { DEFAULT_COMBOS, evaluateCombos, evaluateScatters, matchCombo, wildSubstitutions } from '../js/combo-rules.js';
+import { calculateReward } from '../js/game-engine.js';
+
+const { symbols: symbolMap, combos } = JSON.parse(readFileSync(new URL('../symbol-values.json', import.meta.url), 'utf8'));
+
+test('evaluateCombos: 按顺序匹配第一条命中的规则', () => {
+    assert.deepEqual(evaluateCombos(['coin_1', 'coin_1', 'coin_1'], symbolMap, combos),
+        { id: 'coin_exact', coins: 45, gems: 0, outcome: null, feature: null });
+    assert.equal(evaluateCombos(['coin_1', 'coin_stack', 'coin_pile'], symbolMap, combos).coins, 70);
+    assert.equal(evaluateCombos(['gem_1', 'gem_many', 'gem_1'], symbolMap, combos).gems, 15);
+    assert.equal(evaluateCombos(['bomb_atom', 'bomb_atom', 'bomb_atom'], symbolMap, combos).coins, 888);
+    assert.equal(evaluateCombos(['bomb_1', 'bomb_1', 'bomb_1'], symbolMap, combos).coins, 20);
+    assert.equal(evaluateCombos(['card_item', 'card_item', 'card_item'], symbolMap, combos).outcome, 'restart');
+    assert.equal(evaluateCombos(['coin_pile', 'coin_pile', 'coin_pile'], symbolMap, combos).feature, 'progressive_jackpot');
+});
+
+test('evaluateCombos: 未命中时返回基础奖励', () => {
+    assert.deepEqual(evaluateCombos(['coin_1', 'bomb_1', 'gem_1'], symbolMap, combos),
+        { id: null, coins: -5, gems: 1, outcome: null, feature: null });
+});
+
+test('matchCombo: count 只要求部分转轮满足条件', () => {
+    const rule = { match: { symbol: 'coin_1', count: 2 } };
+    assert.equal(matchCombo(rule, ['coin_1', 'bomb_1', 'coin_1'], symbolMap), true);
+    assert.equal(matchCombo(rule, ['coin_1', 'bomb_1', 'gem_1'], symbolMap), false);
+    assert.equal(matchCombo({ match: { type: '*', exact: true } }, ['gem_1', 'gem_1', 'gem_1'], symbolMap), true);
+});
+
+test('calculateReward: 未传入 combos 时使用与配置一致的默认规则', () => {
+    for (const symbols of [['coin_1', 'coin_1', 'coin_1'], ['gem_1', 'gem_many', 'gem_1'], ['bomb_atom', 'bomb_atom', 'bomb_atom']]) {
+        assert.deepEqual(calculateReward(symbols, symbolMap), calculateReward(symbols, symbolMap, combos));
+    }
+    assert.deepEqual(DEFAULT_COMBOS, combos);
+});
+
+test('wildSubstitutions: 第一项为原始结果，其余为每种可替代符号', () => {
+    assert.deepEqual(wildSubstitutions(['coin_1', 'coin_1', 'coin_1'], symbolMap), [['coin_1', 'coin_1', 'coin_1']]);
+    assert.deepEqual(wildSubstitutions(['coin_1', 'wild', 'bomb_1'], symbolMap), [
+        ['coin_1', 'wild', 'bomb_1'],
+        ['coin_1', 'coin_1', 'bomb_1']
+    ]);
+});
+
+test('calculateReward: wild 取奖励最高的替代方式', () => {
+    const reward = calculateReward(['coin_stack', 'wild', 'coin_1'], symbolMap, combos);
+    assert.equal(reward.combo, 'coin_same');
+    assert.equal(reward.coins, 50);
+    assert.deepEqual(reward.resolvedSymbols, ['coin_stack', 'coin_stack', 'coin_1']);
+
+    // wild 不替代炸弹
+    assert.equal(calculateReward(['bomb_1', 'wild', 'bomb_1'], symbolMap, combos).combo, null);
+});
+
+test('calculateReward: 整条线都是 wild 时不触发带 feature 的组合', () => {
+    const reward = calculateReward(['wild', 'wild', 'wild'], symbolMap, combos);
+    assert.equal(reward.feature ?? null, null);
+    assert.equal(reward.combo, 'coin_exact');
+    assert.equal(reward.coins, 180);
+
+    // 线上有真正的 coin_pile 时仍可命中累积奖池
+    assert.equal(calculateReward(['coin_pile', 'wild', 'wild'], symbolMap, combos).feature, 'progressive_jackpot');
+});
+
+test('evaluateScatters: 按屏幕上的数量取不超过的最大档位', () => {
+    assert.deepEqual(evaluateScatters(['scatter', 'coin_1', 'gem_1'], symbolMap), []);
+    assert.deepEqual(evaluateScatters(['scatter', 'coin_1', 'scatter'], symbolMap),
+        [{ symbol: 'scatter', count: 2, coins: 5, gems: 0, feature: null }]);
+    assert.deepEqual(evaluateScatters(['scatter', 'scatter', 'scatter', 'bomb_1'], symbolMap),
+        [{ symbol: 'scatter', count: 3, coins: 20, gems: 1, feature: 'free_spins' }]);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { CONFIG_SCHEMAS, crossCheckConfigs, validateConfigs, validateValue } from '../js/config-schema.js';
+
+const readConfigs = () => Object.fromEntries(Object.keys(CONFIG_SCHEMAS)
+    .map(name => [name, JSON.parse(readFileSync(new URL(`../${name}`, import.meta.url), 'utf8'))]));
+
+/** 只保留 path 与 message，便于比较 */
+const check = (value, schema) => {
+    const problems = [];
+    validateValue(value, schema, 'x', problems);
+    return problems.map(problem => `${problem.path}: ${problem.message}`);
+};
+
+test('validateConfigs: 仓库中的配置文件没有问题', () => {
+    assert.deepEqual(validateConfigs(readConfigs()), []);
+});
+
+test('validateValue: 类型、取值范围与对象字段', () => {
+    assert.deepEqual(check('5', { type: 'number' }), ['x: expected number, got string']);
+    assert.deepEqual(check(null, { type: 'integer', nullable: true }), []);
+    assert.deepEqual(check(1.5, { type: 'integer' }), ['x: expected integer, got number']);
+    assert.deepEqual(check(-1, { type: 'number', min: 0 }), ['x: must be at least 0, got -1']);
+    assert.deepEqual(check(0, { type: 'number', exclusiveMin: 0 }), ['x: must be greater than 0, got 0']);
+    assert.deepEqual(check('', { type: 'string', minLength: 1 }), ['x: must not be empty']);
+    assert.deepEqual(check('fast', { enum: ['linear', 'sqrt'] }), ['x: "fast" is not one of linear, sqrt']);
+    assert.deepEqual(check([1, 'a'], { type: 'array', items: { type: 'number' }, minItems: 3 }),
+        ['x: needs at least 3 item(s), got 2', 'x[1]: expected number, got string']);
+    assert.deepEqual(check({ levles: [], _help: 'ok' }, { type: 'object', properties: { levels: {} }, required: ['levels'] }),
+        ['x.levels: is required', 'x.levles: unknown key (typo?)']);
+    assert.deepEqual(check({ 3: 1, five: 2 }, { type: 'object', values: { type: 'number' }, keyPattern: /^\d+$/ }),
+        ['x.five: key "five" does not match /^\\d+$/']);
+    assert.deepEqual(check(true, { oneOf: [{ type: 'number' }, { type: 'string' }] }), ['x: does not match any allowed form (got boolean)']);
+});
+
+test('validateConfigs: 报告拼写错误与类型错误的字段路径', () => {
+    const configs = readConfigs();
+    configs['config.json'].bets.levles = [1];
+    configs['config.json'].bets.levels[1] = '10';
+    configs['config.json'].autoplay.stop_when.balance_below = 'no';
+    assert.deepEqual(validateConfigs(configs).map(problem => `${problem.file} ${problem.path}`), [
+        'config.json bets.levels[1]',
+        'config.json bets.levles',
+        'config.json autoplay.stop_when.balance_below'
+    ]);
+});
+
+test('crossCheckConfigs: 检查跨文件引用', () => {
+    const configs = readConfigs();
+    configs['symbol-weights.json'].symbols.coin_x = { weight: 1 };
+    configs['symbol-values.json'].combos[0].feature = 'freespins';
+    configs['card.json'].cards.foo = { probability: 5 };
+    configs['card.json'].cards.slow.effects = { speedy: 1 };
+    configs['config.json'].rigging.profile = 'nightmare';
+    configs['config.json'].grid_rows = 2;
+
+    assert.deepEqual(crossCheckConfigs(configs).map(problem => `${problem.file} ${problem.path}: ${problem.message}`), [
+        'symbol-weights.json symbols.coin_x: symbol "coin_x" has no entry in symbol-values.json',
+        'symbol-weights.json symbols.coin_x: symbol "coin_x" has no reel_images entry in asset.json',
+        'symbol-values.json combos[0].feature: unknown feature "freespins" (supported: free_spins, progressive_jackpot)',
+        'card.json cards.slow.effects.speedy: unknown card effect "speedy"',
+        'card.json cards.foo: has no effects and is not a built-in card',
+        'config.json rigging.profile: unknown rigging profile "nightmare"',
+        'config.json grid_rows: grid mode needs an odd number of rows; 2 is used as 3'
+    ]);
+
+    // 缺少的文件跳过相关检查
+    assert.deepEqual(crossCheckConfigs({ 'symbol-weights.json': configs['symbol-weights.json'] }), []);
+});
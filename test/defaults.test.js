@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULTS, defaultsReport, mergeDefaults, withDefaults } from '../js/defaults.js';
+
+test('mergeDefaults: 对象逐字段合并，数组与其他值整体替换', () => {
+    const defaults = { bets: { levels: [5, 10], base: 5 }, grid_rows: 1 };
+    const merged = mergeDefaults(defaults, { bets: { levels: [20] }, extra: true });
+    assert.deepEqual(merged, { bets: { levels: [20], base: 5 }, grid_rows: 1, extra: true });
+
+    // 不与默认值共享引用
+    merged.bets.base = 99;
+    assert.equal(defaults.bets.base, 5);
+    assert.notEqual(mergeDefaults(defaults, undefined).bets, defaults.bets);
+    assert.equal(mergeDefaults(defaults.bets, null), null);
+});
+
+test('withDefaults: 补全配置文件中缺少的字段', () => {
+    const config = withDefaults('config.json', { hold: { max_nudges: 5 } });
+    assert.equal(config.hold.max_nudges, 5);
+    assert.equal(config.hold.cost_per_reel, DEFAULTS['config.json'].hold.cost_per_reel);
+    assert.deepEqual(withDefaults('ad.json'), DEFAULTS['ad.json']);
+});
+
+test('defaultsReport: 列出取自默认值的字段，整个对象缺失时只列出该对象', () => {
+    const report = defaultsReport({ 'config.json': { ...DEFAULTS['config.json'], bets: { levels: [10, 20] }, hold: undefined } });
+    const configPaths = report.filter(entry => entry.file === 'config.json').map(entry => entry.path);
+    assert.ok(configPaths.includes('bets.default'));
+    assert.ok(configPaths.includes('hold'));
+    assert.ok(!configPaths.includes('bets.levels'));
+    assert.ok(!configPaths.some(path => path.startsWith('hold.')));
+
+    // 未加载的文件整份使用默认值
+    assert.deepEqual(report.find(entry => entry.file === 'ad.json'), { file: 'ad.json', path: '', value: DEFAULTS['ad.json'] });
+});
+
+test('defaults.json: wild 与 scatter 默认关闭（权重为 0）', () => {
+    const { symbols } = DEFAULTS['symbol-weights.json'];
+    assert.equal(symbols.wild.weight, 0);
+    assert.equal(symbols.scatter.weight, 0);
+});
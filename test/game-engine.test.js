@@ -0,0 +1,346 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import GameEngine from '../js/game-engine.js';
+import { getRng, setRng } from '../js/rng.js';
+
+const readConfig = name => JSON.parse(readFileSync(new URL(`../${name}`, import.meta.url), 'utf8'));
+
+// 固定的转轮生成器：结果由 settle() 直接传入，strip 内容不影响结算
+const reelSource = {
+    initGame: async (count) => ({ reels: Array.from({ length: count }, () => ['coin_1', 'gem_1', 'bomb_1']) }),
+    generateReel: async () => ({ strip: ['coin_1', 'gem_1', 'bomb_1'] })
+};
+
+const createEngine = (options = {}) => new GameEngine({
+    reelSource,
+    symbolValues: readConfig('symbol-values.json'),
+    cardConfig: readConfig('card.json'),
+    initialCoins: 100,
+    ...options
+});
+
+/** 以固定序列替换共享 RNG 执行 fn */
+function withRng(values, fn) {
+    const previous = getRng();
+    setRng({ next: () => values.shift() ?? 0 });
+    try {
+        return fn();
+    } finally {
+        setRng(previous);
+    }
+}
+
+/** 完成一次旋转并以给定结果结算 */
+async function spin(engine, results) {
+    const start = await engine.startSpin();
+    assert.ok(start.ok, `startSpin failed: ${start.reason}`);
+    while (engine.isSpinning) engine.stopNextReel();
+    const outcome = engine.settle(results);
+    engine.reset();
+    return outcome;
+}
+
+test('settle: 扣除下注并发放奖励', async () => {
+    const engine = createEngine();
+    const outcome = await spin(engine, ['coin_1', 'coin_1', 'coin_1']);
+    assert.equal(outcome.reward.coins, 45);
+    assert.equal(outcome.reward.combo, 'coin_exact');
+    assert.equal(outcome.isExactMatch, true);
+    assert.equal(engine.coins, 100 - 5 + 45);
+});
+
+test('startSpin: 金币不足时拒绝旋转，不扣除金币', async () => {
+    const engine = createEngine({ initialCoins: 3 });
+    assert.deepEqual(await engine.startSpin(), { ok: false, reason: 'NO_COINS' });
+    assert.equal(engine.coins, 3);
+    assert.ok(engine.isIdle);
+});
+
+test('卡片：双倍卡翻倍奖励，护盾卡抵消扣除，结算后消耗选中的卡片', async () => {
+    const engine = createEngine();
+    engine.inventory = ['double', 'shield'];
+
+    assert.ok(engine.toggleCard(0));
+    const doubled = await spin(engine, ['coin_1', 'coin_1', 'coin_1']);
+    assert.equal(doubled.reward.coins, 90);
+    assert.deepEqual(engine.inventory, ['shield']);
+
+    assert.ok(engine.toggleCard(0));
+    const coins = engine.coins;
+    const shielded = await spin(engine, ['bomb_1', 'bomb_1', 'coin_1']);
+    assert.equal(shielded.shieldedLoss, true);
+    assert.equal(shielded.reward.coins, 0);
+    assert.equal(engine.coins, coins - 5);
+    assert.deepEqual(engine.inventory, []);
+});
+
+test('存档：getSaveState() 的结果可由 loadSaveState() 恢复，非法字段保持初始值', async () => {
+    const engine = createEngine();
+    engine.inventory = ['double'];
+    await spin(engine, ['coin_1', 'coin_1', 'coin_1']);
+
+    const restored = createEngine();
+    restored.loadSaveState(engine.getSaveState());
+    assert.deepEqual(restored.getSaveState(), engine.getSaveState());
+
+    restored.loadSaveState({ coins: 'lots', reelCount: 99, inventory: ['double', 'no_such_card'] });
+    assert.equal(restored.coins, 100);
+    assert.equal(restored.reelCount, 5);
+    assert.deepEqual(restored.inventory, ['double']);
+});
+
+test('统计：累计下注、输赢与大奖次数', async () => {
+    const engine = createEngine();
+    await spin(engine, ['coin_1', 'coin_1', 'coin_1']);
+    await spin(engine, ['bomb_1', 'bomb_1', 'coin_1']);
+    assert.equal(engine.stats.totalBet, 10);
+    assert.equal(engine.stats.totalWonCoins, 45);
+    assert.equal(engine.stats.biggestWin, 45);
+    assert.equal(engine.stats.totalLostCoins, 15);
+    assert.equal(engine.stats.jackpots, 1);
+});
+
+test('validateSaveState: 列出导入状态中的全部问题', () => {
+    const engine = createEngine();
+    assert.deepEqual(engine.validateSaveState(engine.getSaveState()), []);
+    assert.deepEqual(engine.validateSaveState(null), ['state: must be an object']);
+    assert.deepEqual(engine.validateSaveState({ ...engine.getSaveState(), coins: '10', reelCount: 9, inventory: ['wish'], stats: { jackpots: 'x' } }), [
+        'coins: must be a number',
+        'reelCount: must be an integer between 3 and 5',
+        'inventory[0]: unknown card "wish"',
+        'stats.jackpots: must be a number'
+    ]);
+});
+
+test('网格模式：总下注按启用的赔付线计算，奖励逐条汇总', async () => {
+    const engine = createEngine({ gridRows: 3 });
+    assert.ok(engine.setActiveLines(2));
+    assert.equal(engine.getTotalBet(), 10);
+
+    // 中间行与上面一行各中一次 coin_exact
+    const outcome = await spin(engine, [
+        ['coin_1', 'coin_1', 'gem_1'],
+        ['coin_1', 'coin_1', 'bomb_1'],
+        ['coin_1', 'coin_1', 'gem_1']
+    ]);
+    assert.deepEqual(outcome.results, ['coin_1', 'coin_1', 'coin_1']);
+    assert.deepEqual(outcome.lines.map(line => [line.id, line.coins]), [['middle', 45], ['top', 45]]);
+    assert.equal(engine.coins, 100 - 10 + 90);
+});
+
+test('保留与微调：上一次旋转后可付费保留转轮，微调立即扣费', async () => {
+    const engine = createEngine();
+    assert.equal(engine.toggleHold(0), false);
+    await spin(engine, ['coin_1', 'gem_1', 'bomb_1']);
+    const coins = engine.coins;
+
+    assert.ok(engine.toggleHold(0));
+    assert.ok(engine.toggleHold(2));
+    assert.equal(engine.toggleHold(1), false);   // 3 个转轮最多保留 2 个
+    assert.equal(engine.nudgeReel(1, 1).reason, 'NOT_HELD');
+    assert.deepEqual(engine.nudgeReel(0, 1), { ok: true, cost: 2 });
+    assert.ok(engine.nudgeReel(2, -1).ok);
+    assert.equal(engine.nudgeReel(0, 1).reason, 'NO_NUDGES');
+    assert.equal(engine.coins, coins - 4);
+
+    const start = await engine.startSpin();
+    assert.deepEqual(start.held, [0, 2]);
+    assert.equal(engine.coins, coins - 4 - 5 - 5);   // 微调、下注、保留 2 个转轮各半注
+});
+
+test('保留与微调：保留的转轮按上次停止位置加微调偏移读取结果', async () => {
+    const engine = createEngine();
+    assert.ok((await engine.startSpin()).ok);
+    while (engine.isSpinning) engine.stopNextReel();
+    // strip 为 ['coin_1', 'gem_1', 'bomb_1']
+    engine.settle(engine.resolveResults(['bomb_1', 'coin_1', 'gem_1'], [2, 0, 1]));
+    engine.reset();
+
+    assert.ok(engine.toggleHold(0));
+    assert.ok(engine.nudgeReel(0, 1).ok);
+    assert.ok(engine.nudgeReel(0, 1).ok);
+    assert.equal(engine.nudgeReel(0, 1).reason, 'NO_NUDGES');
+
+    const start = await engine.startSpin();
+    assert.deepEqual(start.held, [0]);
+    while (engine.isSpinning) engine.stopNextReel();
+    // 视图读到的保留转轮结果以引擎记录为准：下标 2 向下微调两格为 0
+    const results = engine.resolveResults(['bomb_1', 'gem_1', 'gem_1'], [2, 1, 1]);
+    assert.deepEqual(results, ['coin_1', 'gem_1', 'gem_1']);
+    assert.deepEqual(engine.lastStops, [0, 1, 1]);
+});
+
+test('技巧停止：按偏移评级，PERFECT 发放额外金币并提升正向奖励', async () => {
+    const engine = createEngine();
+    assert.ok((await engine.startSpin()).ok);
+    assert.deepEqual([0.05, -0.3, 0.9].map(offset => engine.stopNextReel(offset).rating), ['perfect', 'good', 'late']);
+    const outcome = engine.settle(['coin_1', 'coin_1', 'coin_stack']);
+    engine.reset();
+
+    // coin_same 40 × (1 + 0.1)，另加 PERFECT 固定奖励 2
+    assert.equal(outcome.reward.coins, 44);
+    assert.equal(outcome.skillStops.perfect, 1);
+    assert.equal(outcome.skillStops.bonusCoins, 2);
+    assert.equal(engine.coins, 100 - 5 + 44 + 2);
+    assert.deepEqual([engine.stats.perfectStops, engine.stats.goodStops, engine.stats.lateStops], [1, 1, 1]);
+
+    // 没有偏移（自动旋转）时不评级
+    assert.ok((await engine.startSpin()).ok);
+    assert.equal(engine.stopNextReel().rating, null);
+});
+
+test('技巧停止：卡片过载（重新开始）的旋转不计评级与奖励', async () => {
+    const engine = createEngine();
+    assert.ok((await engine.startSpin()).ok);
+    while (engine.isSpinning) engine.stopNextReel(0);
+    const restart = engine.settle(['card_item', 'card_item', 'card_item']);
+    engine.reset();
+
+    assert.equal(restart.restart, true);
+    assert.deepEqual(restart.skillStops, { stops: [], perfect: 0, bonusCoins: 0 });
+    assert.equal(engine.coins, 100 - 5);
+    assert.equal(engine.stats.perfectStops, 0);
+});
+
+test('免费旋转：3 个 scatter 触发，期间不扣下注且奖励翻倍', async () => {
+    const engine = createEngine();
+    const trigger = await spin(engine, ['scatter', 'scatter', 'scatter']);
+    assert.deepEqual(trigger.features, ['free_spins']);
+    assert.equal(trigger.freeSpinsAwarded, 8);
+    assert.equal(engine.freeSpins.remaining, 8);
+    assert.equal(engine.gambleableWin, 0);
+
+    const coins = engine.coins;
+    const free = await spin(engine, ['coin_1', 'coin_1', 'coin_1']);
+    assert.equal(free.freeSpin, true);
+    assert.equal(free.reward.coins, 90);
+    assert.equal(engine.coins, coins + 90);
+    assert.equal(engine.freeSpins.remaining, 7);
+
+    // 追加：回合中再次触发时增加次数
+    const retrigger = await spin(engine, ['scatter', 'scatter', 'scatter']);
+    assert.equal(retrigger.freeSpinsAwarded, 8);
+    assert.equal(engine.freeSpins.remaining, 14);
+
+    let last = null;
+    while (engine.freeSpins) last = await spin(engine, ['coin_1', 'bomb_1', 'gem_1']);
+    assert.equal(last.freeSpinsSummary.played, 16);
+    assert.equal(last.freeSpinsSummary.awarded, 16);
+});
+
+test('揭示池：random 类符号按 reveal 权重揭示，不会揭示成 random 类符号', () => {
+    const symbolValues = readConfig('symbol-values.json');
+    // reveal 与 defaults.json 逐字段合并：去掉默认的揭示符号需把权重设为 0
+    symbolValues.symbols.random_item.reveal = { coin_1: 0, coin_stack: 0, gem_1: 0, bomb_1: 0, coin_pile: 3, card_item: 1, random_item: 5 };
+    const engine = createEngine({ symbolValues });
+    assert.deepEqual(engine.getRevealPool('random_item'), [{ symbol: 'coin_pile', weight: 3 }, { symbol: 'card_item', weight: 1 }]);
+
+    // 总权重 4：0.7 × 4 落在 coin_pile，0.8 × 4 落在 card_item
+    const { grid, reveals } = withRng([0.7, 0.8], () => engine.revealRandomSymbols([['random_item'], ['coin_1'], ['random_item']]));
+    assert.deepEqual(grid, [['coin_pile'], ['coin_1'], ['card_item']]);
+    assert.deepEqual(reveals, [
+        { reel: 0, row: 0, from: 'random_item', symbol: 'coin_pile' },
+        { reel: 2, row: 0, from: 'random_item', symbol: 'card_item' }
+    ]);
+
+    // 未配置 reveal 时四种符号等概率
+    delete symbolValues.symbols.random_item.reveal;
+    assert.deepEqual(createEngine({ symbolValues }).getRevealPool('random_item').map(entry => entry.weight), [1, 1, 1, 1]);
+});
+
+test('累积奖池：付费旋转注入，命中 coin_pile_jackpot 时赢得并重置', async () => {
+    const engine = createEngine();
+    assert.equal(engine.progressivePool, 100);
+
+    await spin(engine, ['coin_1', 'bomb_1', 'gem_1']);
+    assert.equal(engine.progressivePool, 100.5);
+
+    const outcome = await spin(engine, ['coin_pile', 'coin_pile', 'coin_pile']);
+    assert.deepEqual(outcome.features, ['progressive_jackpot']);
+    assert.equal(outcome.progressiveWin, 101);
+    assert.equal(outcome.reward.coins, 180 + 101);
+    assert.equal(engine.progressivePool, 100);
+    assert.equal(engine.stats.progressiveWins, 1);
+});
+
+test('翻倍游戏：赢得的累积奖池不计入押注', async () => {
+    const engine = createEngine();
+    const start = await engine.startSpin();
+    assert.ok(start.ok);
+    while (engine.isSpinning) engine.stopNextReel();
+    const outcome = engine.settle(['coin_pile', 'coin_pile', 'coin_pile']);
+    assert.equal(outcome.progressiveWin, 100);
+    assert.equal(engine.gambleableWin, 180);
+    assert.equal(engine.startGamble().stake, 180);
+});
+
+test('累积奖池：整条线都是 wild 时不会赢得奖池', async () => {
+    const engine = createEngine();
+    const outcome = await spin(engine, ['wild', 'wild', 'wild']);
+    assert.deepEqual(outcome.features, []);
+    assert.equal(outcome.progressiveWin, 0);
+    assert.equal(engine.progressivePool, 100.5);
+});
+
+test('翻倍游戏：猜中翻倍，猜错失去奖金', async () => {
+    const engine = createEngine();
+    const start = await engine.startSpin();
+    assert.ok(start.ok);
+    while (engine.isSpinning) engine.stopNextReel();
+    engine.settle(['coin_1', 'coin_1', 'coin_1']);
+
+    assert.equal(engine.gambleableWin, 45);
+    assert.equal(engine.startGamble().stake, 45);
+    const coins = engine.coins;
+
+    // 花色 = suits[floor(v * 4)]，点数 = floor(v * 13) + 1
+    const win = withRng([0, 0.5], () => engine.gambleGuess('red'));
+    assert.deepEqual(win.card, { rank: 7, suit: 'hearts', color: 'red' });
+    assert.equal(win.won, true);
+    assert.equal(win.stake, 90);
+    assert.equal(engine.coins, coins + 45);
+
+    // 大小：7 为庄家赢
+    const lose = withRng([0.75, 0.5], () => engine.gambleGuess('high'));
+    assert.equal(lose.won, false);
+    assert.equal(lose.finished, true);
+    assert.equal(engine.coins, coins - 45);
+    assert.equal(engine.gamble, null);
+    assert.equal(engine.stats.gambleNetCoins, -45);
+});
+
+test('翻倍游戏：免费旋转中的奖励不可翻倍', async () => {
+    const engine = createEngine();
+    await spin(engine, ['scatter', 'scatter', 'scatter']);
+    const start = await engine.startSpin();
+    assert.ok(start.ok);
+    while (engine.isSpinning) engine.stopNextReel();
+    engine.settle(['coin_1', 'coin_1', 'coin_1']);
+    assert.equal(engine.canGamble, false);
+    assert.equal(engine.startGamble(), null);
+});
+
+test('下注档位：按 min / max 过滤，读取存档时取最接近的档位', () => {
+    const engine = createEngine({ bets: { levels: [50, 5, 20, 10, -1], default: 7, min: 10, max: null } });
+    assert.deepEqual(engine.getBetLevels(), [10, 20, 50]);
+    assert.equal(engine.currentBet, 10);
+    assert.equal(engine.setBet(5), false);
+    assert.ok(engine.setBet(20));
+
+    engine.loadSaveState({ ...engine.getSaveState(), currentBet: 42 });
+    assert.equal(engine.currentBet, 50);
+});
+
+test('下注倍率：奖励按 下注 / base 放大，扣除按 loss_scaling 换算', async () => {
+    for (const [lossScaling, loss] of [['linear', -20], ['sqrt', -10], ['flat', -5]]) {
+        const engine = createEngine({ bets: { levels: [5, 20], base: 5, loss_scaling: lossScaling } });
+        assert.ok(engine.setBet(20));
+        assert.equal(engine.getRewardMultiplier(), 4);
+
+        const win = await spin(engine, ['coin_1', 'coin_1', 'coin_1']);
+        assert.equal(win.reward.coins, 180);
+        const lose = await spin(engine, ['bomb_1', 'coin_1', 'gem_1']);
+        assert.equal(lose.reward.coins, loss, lossScaling);
+    }
+});
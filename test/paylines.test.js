@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PAYLINES, lineSymbols, normalizeGridRows, resolvePaylines, stripWindow } from '../js/paylines.js';
+
+test('normalizeGridRows: 不小于 1 的奇数', () => {
+    assert.equal(normalizeGridRows(undefined), 1);
+    assert.equal(normalizeGridRows('3'), 3);
+    assert.equal(normalizeGridRows(4), 5);
+    assert.equal(normalizeGridRows(-2), 1);
+});
+
+test('resolvePaylines: 经典模式只有一条中间线', () => {
+    assert.deepEqual(resolvePaylines(DEFAULT_PAYLINES, 4, 1), [{ id: 'center', rows: [0, 0, 0, 0] }]);
+});
+
+test('resolvePaylines: 按转轮数截取或选取 rows，跳过超出网格的赔付线', () => {
+    assert.deepEqual(resolvePaylines(DEFAULT_PAYLINES, 3, 3).map(line => line.rows), [
+        [1, 1, 1], [0, 0, 0], [2, 2, 2], [0, 2, 0], [2, 0, 2], [0, 1, 2], [2, 1, 0]
+    ]);
+    assert.deepEqual(resolvePaylines(undefined, 5, 3).find(line => line.id === 'v').rows, [0, 1, 2, 1, 0]);
+
+    const paylines = [
+        { rows: [1, 1, 1] },
+        { id: 'deep', rows: [0, 3, 0] },
+        { id: 'five_only', rows: { 5: [0, 0, 0, 0, 0] } },
+        { id: 'short', rows: [0, 0] }
+    ];
+    assert.deepEqual(resolvePaylines(paylines, 3, 3), [{ id: 'line_1', rows: [1, 1, 1] }]);
+});
+
+test('stripWindow: 以中间行为中心取窗口，首尾循环', () => {
+    const strip = ['a', 'b', 'c', 'd', 'e'];
+    assert.deepEqual(stripWindow(strip, 2, 3), ['b', 'c', 'd']);
+    assert.deepEqual(stripWindow(strip, 0, 3), ['e', 'a', 'b']);
+    assert.deepEqual(stripWindow(strip, 4, 5), ['c', 'd', 'e', 'a', 'b']);
+    assert.deepEqual(stripWindow(strip, 3, 1), ['d']);
+});
+
+test('lineSymbols: 按赔付线逐个转轮取符号', () => {
+    const grid = [['a0', 'a1', 'a2'], ['b0', 'b1', 'b2'], ['c0', 'c1', 'c2']];
+    assert.deepEqual(lineSymbols(grid, { rows: [0, 2, 0] }), ['a0', 'b2', 'c0']);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { computeOutcomeOdds, describeComboMatch, describeComboPays, formatOdds, revealOdds } from '../js/paytable.js';
+import { symbolOddsFromWeights } from '../js/reel-generator.js';
+
+const { symbols: symbolMap, combos } = JSON.parse(readFileSync(new URL('../symbol-values.json', import.meta.url), 'utf8'));
+
+test('computeOutcomeOdds: 枚举一条线的全部结果', () => {
+    const reel = { coin_1: 0.5, bomb_1: 0.5 };
+    const odds = computeOutcomeOdds([reel, reel, reel], symbolMap, combos);
+
+    assert.deepEqual(odds.combos, {
+        coin_exact: { probability: 0.125, coins: 45, gems: 0 },
+        bomb_same: { probability: 0.125, coins: 20, gems: 0 }
+    });
+    // 两枚金币一个炸弹为 0，一枚金币两个炸弹为 -15
+    assert.deepEqual(odds.noCombo, { probability: 0.75, coins: -7.5, gems: 0 });
+    assert.equal(odds.hitRate, 0.25);
+    assert.equal(odds.expected.coins, 2.5);
+    assert.equal(odds.cardProbability, 0);
+});
+
+test('computeOutcomeOdds: 统计线上 scatter 档位与抽卡概率', () => {
+    const reel = { scatter: 0.5, card_item: 0.5 };
+    const odds = computeOutcomeOdds([reel, reel, reel], symbolMap, combos);
+    assert.deepEqual(odds.scatters.map(row => [row.count, row.probability, row.feature]),
+        [[2, 0.375, null], [3, 0.125, 'free_spins']]);
+    assert.equal(odds.combos.card_same.probability, 0.125);
+    // 线上出现任一卡片符号即抽卡
+    assert.equal(odds.cardProbability, 0.875);
+});
+
+test('revealOdds: random 类符号按揭示池权重展开', () => {
+    const pool = () => [{ symbol: 'coin_1', weight: 3 }, { symbol: 'gem_1', weight: 1 }];
+    assert.deepEqual(revealOdds({ coin_1: 0.5, random_item: 0.5 }, symbolMap, pool), { coin_1: 0.875, gem_1: 0.125 });
+    assert.deepEqual(revealOdds({ random_item: 1 }, symbolMap, () => []), { random_item: 1 });
+});
+
+test('symbolOddsFromWeights: 有数量上限的符号截断，截掉的概率分给其他符号', () => {
+    assert.deepEqual(symbolOddsFromWeights({ coin_1: 3, gem_1: 1 }), { coin_1: 0.75, gem_1: 0.25 });
+
+    const odds = symbolOddsFromWeights({ coin_1: 1, scatter: 1 }, { scatter: 1 }, 6);
+    assert.ok(odds.scatter < 1 / 6 + 1e-9);
+    assert.ok(Math.abs(odds.coin_1 + odds.scatter - 1) < 1e-9);
+});
+
+test('describeComboMatch / describeComboPays / formatOdds: 界面显示文本', () => {
+    const rule = combos.find(r => r.id === 'coin_exact');
+    assert.equal(describeComboMatch(rule, 3), '3 × COIN (SAME SYMBOL)');
+    assert.equal(describeComboMatch({ match: { symbol: 'coin_1', count: 9 } }, 5), '5 × COIN_1');
+    assert.equal(describeComboPays(rule), 'COINS ×3');
+    assert.equal(describeComboPays(combos.find(r => r.id === 'coin_pile_jackpot')), 'COINS ×3 + PROGRESSIVE JACKPOT');
+    assert.equal(describeComboPays({}), 'SUM OF SYMBOLS');
+    assert.equal(formatOdds(0.025), '2.50% (1 IN 40)');
+    assert.equal(formatOdds(0), '—');
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFairRng, hashServerSeed, newClientSeed } from '../js/provably-fair.js';
+
+// 期望值由 provably_fair.py 计算，两边的摘要与 sfc32 必须逐位一致
+test('hashServerSeed: server seed 的 SHA-256', async () => {
+    assert.equal(await hashServerSeed('server-seed'), '91024ec49c5bec0b689e42892526320fce08337205c91de94c7a588c20d08eeb');
+});
+
+test('createFairRng: 由种子对与 nonce 派生，与 provably_fair.py 一致', async () => {
+    const rng = await createFairRng('server-seed', 'client-seed', 0);
+    assert.equal(rng.seed, 'client-seed:0');
+    assert.deepEqual([rng.next(), rng.next(), rng.next()], [0.7545593788381666, 0.23608591221272945, 0.35587081545963883]);
+
+    const next = await createFairRng('server-seed', 'client-seed', 1);
+    assert.notEqual(next.next(), 0.7545593788381666);
+});
+
+test('newClientSeed: 16 位十六进制，每次不同', () => {
+    const seed = newClientSeed();
+    assert.match(seed, /^[0-9a-f]{16}$/);
+    assert.notEqual(newClientSeed(), seed);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import GameEngine from '../js/game-engine.js';
+import { verifySpin } from '../js/provably-fair.js';
+
+// server_engine.py 是规则的 Python 实现：同一组固定种子下，两边的结算必须逐项一致
+const PYTHON = process.env.PYTHON || 'python3';
+const FIXTURE = fileURLToPath(new URL('session_fixture.py', import.meta.url));
+const SKIP_REASON = `需要 ${PYTHON} 与 flask（可用环境变量 PYTHON 指定解释器）`;
+
+const readConfig = name => JSON.parse(readFileSync(new URL(`../${name}`, import.meta.url), 'utf8'));
+
+/**
+ * 运行 session_fixture.py 并解析输出
+ * @returns {Object|null} 没有可用的 Python 或未安装 flask 时返回 null
+ */
+function runFixture(...args) {
+    const env = { ...process.env, PYTHONDONTWRITEBYTECODE: '1' };
+    if (spawnSync(PYTHON, ['-c', 'import flask'], { env }).status !== 0) return null;
+    const res = spawnSync(PYTHON, [FIXTURE, ...args], { env, encoding: 'utf8', timeout: 120000, maxBuffer: 64 << 20 });
+    assert.equal(res.status, 0, res.stderr || String(res.error));
+    return JSON.parse(res.stdout);
+}
+
+/** 浏览器中 reel-generator.js 以相对路径 fetch 配置文件；测试中从仓库根目录读取 */
+async function fetchRepoFile(url) {
+    try {
+        return new Response(readFileSync(new URL(`../${url}`, import.meta.url)));
+    } catch {
+        return new Response(null, { status: 404 });
+    }
+}
+
+/** 与服务器模式相同的规则：经典单线，关闭保留 / 微调、技巧停止与翻倍游戏 */
+function createEngine() {
+    const config = readConfig('config.json');
+    return new GameEngine({
+        reelSource: { initGame: async (count) => ({ reels: Array.from({ length: count }, () => ['coin_1']) }) },
+        symbolValues: readConfig('symbol-values.json'),
+        cardConfig: readConfig('card.json'),
+        characterConfig: readConfig('character.json'),
+        adConfig: readConfig('ad.json'),
+        shopConfig: readConfig('shop.json'),
+        gridRows: 1,
+        hold: { ...config.hold, enabled: false },
+        skillStop: { ...config.skill_stop, enabled: false },
+        gamble: { ...config.gamble, enabled: false },
+        bets: config.bets,
+        rigging: config.rigging
+    });
+}
+
+test('server_engine.py 与 GameEngine 的结算一致（固定种子）', async (t) => {
+    const spins = runFixture('rules');
+    if (!spins) return t.skip(SKIP_REASON);
+
+    for (const [i, spin] of spins.entries()) {
+        const label = `seed ${spin.seed} spin #${i}`;
+        const engine = createEngine();
+        engine.loadSaveState(spin.before);
+        spin.cards.forEach(index => assert.ok(engine.toggleCard(index), label));
+        engine.setBet(spin.bet);   // 免费旋转中沿用触发时的下注
+        assert.ok((await engine.startSpin()).ok, label);
+        while (engine.isSpinning) engine.stopNextReel();
+
+        // 服务器的揭示与抽卡使用本次旋转的种子 RNG，这里只比较是否抽卡（抽到的卡片由 provably-fair.js 的 verifySpin 检查）
+        const { reveals, stops, nonce, ...expected } = spin.outcome;
+        engine.pickRandomCardType = () => expected.newCardType;
+        assert.deepEqual(engine.settle(expected.results), expected, label);
+        assert.deepEqual(engine.getSaveState(), spin.after, label);
+    }
+});
+
+for (const profile of ['mild', 'current', 'aggressive']) {
+    test(`可验证公平：服务器会话的每次旋转都能通过 verifySpin（Rigging ${profile}）`, async (t) => {
+        const fixture = runFixture('fair', profile);
+        if (!fixture) return t.skip(SKIP_REASON);
+        const { fetch } = globalThis;
+        globalThis.fetch = fetchRepoFile;
+        t.after(() => { globalThis.fetch = fetch; });
+
+        const config = readConfig('config.json');
+        const rules = { symbolValues: readConfig('symbol-values.json'), cardConfig: readConfig('card.json'), rigging: { ...config.rigging, profile } };
+        for (const record of fixture.records) {
+            const { ok, checks } = await verifySpin(record, fixture.serverSeed, rules);
+            assert.ok(ok, `nonce ${record.nonce}: ${checks.filter(check => !check.ok).map(check => check.name).join(', ')}`);
+        }
+
+        // 篡改停止位置或换用其他 server seed 时验证失败
+        const tampered = structuredClone(fixture.records.find(record => record.outcome));
+        tampered.stops[0] = (tampered.stops[0] + 1) % tampered.strips[0].length;
+        assert.equal((await verifySpin(tampered, fixture.serverSeed, rules)).ok, false);
+        assert.equal((await verifySpin(fixture.records[0], `${fixture.serverSeed}x`, rules)).ok, false);
+    });
+}
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateWeightedStrip, mergeFixedStrips, mergeSymbolLimits, mergeSymbolWeights } from '../js/reel-generator.js';
+import { createRng } from '../js/rng.js';
+
+const weightData = {
+    symbols: { coin_1: { weight: 30 }, bomb_atom: { weight: 5 }, scatter: { weight: 3, max_per_strip: 1 } },
+    reels: [{}, { symbols: { bomb_atom: { weight: 1 }, scatter: { max_per_strip: 0 } } }]
+};
+
+test('mergeSymbolWeights: 转轮覆盖叠加在全局权重上', () => {
+    assert.equal(mergeSymbolWeights(weightData).bomb_atom, 5);
+    assert.equal(mergeSymbolWeights(weightData, 0).bomb_atom, 5);
+    assert.equal(mergeSymbolWeights(weightData, 1).bomb_atom, 1);
+    assert.equal(mergeSymbolWeights(weightData, 1).scatter, 3);   // 只覆盖 max_per_strip 时保留全局权重
+    assert.equal(mergeSymbolWeights(weightData, 2).bomb_atom, 5);  // 没有覆盖的转轮使用全局配置
+});
+
+test('mergeSymbolLimits: 按转轮读取 max_per_strip', () => {
+    assert.deepEqual(mergeSymbolLimits(weightData, 0), { scatter: 1 });
+    assert.deepEqual(mergeSymbolLimits(weightData, 1), { scatter: 0 });
+});
+
+test('mergeFixedStrips: null 保持随机生成，不合法的 strip 被忽略', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.deepEqual(mergeFixedStrips({}), []);
+    assert.deepEqual(mergeFixedStrips({ strips: [null, ['coin_1', 'gem_1', 'bomb_1'], ['coin_1'], ['coin_1', '', 'gem_1']] }),
+        [null, ['coin_1', 'gem_1', 'bomb_1'], null, null]);
+    assert.equal(warn.mock.callCount(), 2);
+});
+
+test('generateWeightedStrip: 相同种子生成相同 strip', async () => {
+    const options = { length: 30, weights: { coin_1: 3, gem_1: 2, bomb_1: 1 }, limits: {}, strips: [] };
+    const first = await generateWeightedStrip({ ...options, rng: createRng('strip') });
+    assert.deepEqual(await generateWeightedStrip({ ...options, rng: createRng('strip') }), first);
+});
+
+test('generateWeightedStrip: max_per_strip 限制数量，偏向符号也不会超出', async () => {
+    const strip = await generateWeightedStrip({
+        length: 40,
+        weights: { coin_1: 1, scatter: 10 },
+        limits: { scatter: 1 },
+        strips: [],
+        biasSymbols: ['scatter'],
+        rng: createRng('limits')
+    });
+    assert.equal(strip.length, 40);
+    assert.equal(strip.filter(s => s === 'scatter').length, 1);
+});
+
+test('generateWeightedStrip: 固定 strip 原样返回，忽略偏向符号', async () => {
+    const fixed = ['coin_1', 'gem_1', 'bomb_1'];
+    const options = { weights: { coin_1: 1 }, limits: {}, strips: [null, fixed], biasSymbols: ['gem_1'] };
+    const strip = await generateWeightedStrip({ ...options, reelIndex: 1 });
+    assert.deepEqual(strip, fixed);
+    assert.notEqual(strip, fixed);
+
+    // null 的转轮仍随机生成并插入偏向符号
+    assert.deepEqual((await generateWeightedStrip({ ...options, length: 4, reelIndex: 0, rng: createRng('x') })).sort(),
+        ['coin_1', 'coin_1', 'coin_1', 'gem_1']);
+});
+
+test('generateWeightedStrip: 权重为 0 的符号不会出现', async () => {
+    // 0 与接近 1 的随机数分别落在第一个和最后一个区间的边界
+    const values = [0, 0.5, 0.9999999999999999, 0, 0.9999999999999999];
+    const strip = await generateWeightedStrip({
+        length: values.length,
+        weights: { wild: 0, coin_1: 1, gem_1: 1, scatter: 0 },
+        limits: {},
+        strips: [],
+        rng: { next: () => values.shift() }
+    });
+    assert.deepEqual(strip, ['coin_1', 'coin_1', 'gem_1', 'coin_1', 'gem_1']);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { resolveRiggingProfile, riggingStrength, selectBiasSymbols } from '../js/rigging.js';
+
+const readConfig = name => JSON.parse(readFileSync(new URL(`../${name}`, import.meta.url), 'utf8'));
+const { symbols: symbolMap } = readConfig('symbol-values.json');
+const { rigging } = readConfig('config.json');
+
+test('resolveRiggingProfile: 配置覆盖内置档位，未知档位回退为 current', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.equal(resolveRiggingProfile(rigging).name, 'current');
+    assert.equal(resolveRiggingProfile({ profiles: { mild: { copies: 3 } } }, 'mild').copies, 3);
+    assert.equal(resolveRiggingProfile({ profiles: { mild: { copies: 3 } } }, 'mild').chance, 0.5);
+
+    const unknown = resolveRiggingProfile(rigging, 'nightmare');
+    assert.equal(unknown.name, 'current');
+    assert.equal(warn.mock.callCount(), 1);
+});
+
+test('riggingStrength: 随金币在 balance_full_below 与 balance_none_above 之间线性减弱', () => {
+    const profile = resolveRiggingProfile({}, 'mild');
+    assert.equal(riggingStrength(profile, 0), 0.5);
+    assert.equal(riggingStrength(profile, 150), 0.25);
+    assert.equal(riggingStrength(profile, 300), 0);
+
+    const ranged = { ...profile, chance: 1, balance_full_below: 100, balance_none_above: 200 };
+    assert.equal(riggingStrength(ranged, 100), 1);
+    assert.equal(riggingStrength(ranged, 175), 0.25);
+    assert.equal(riggingStrength(resolveRiggingProfile({}, 'off'), 0), 0);
+});
+
+test('selectBiasSymbols: 只偏向 eligible_types 中的符号，按 copies 重复', () => {
+    const locked = ['coin_1', 'bomb_1'];
+    const never = () => assert.fail('概率为 1 时不应调用 rng');
+
+    assert.deepEqual(selectBiasSymbols(resolveRiggingProfile({}, 'current'), locked, { coins: 50, symbolMap, rng: never }), locked);
+    assert.deepEqual(selectBiasSymbols(resolveRiggingProfile({}, 'aggressive'), locked, { coins: 50, symbolMap, rng: never }),
+        ['coin_1', 'coin_1', 'bomb_1', 'bomb_1']);
+
+    const mild = resolveRiggingProfile({}, 'mild');
+    assert.deepEqual(selectBiasSymbols(mild, locked, { coins: 0, symbolMap, rng: () => 0.4 }), ['coin_1']);
+    assert.equal(selectBiasSymbols(mild, locked, { coins: 0, symbolMap, rng: () => 0.6 }), null);
+    assert.equal(selectBiasSymbols(mild, ['bomb_1'], { coins: 0, symbolMap, rng: () => 0 }), null);
+    assert.equal(selectBiasSymbols(resolveRiggingProfile({}, 'off'), locked, { coins: 0, symbolMap, rng: never }), null);
+});
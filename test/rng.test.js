@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRng, getRng, setRng, seedRng, resolveSeed, random, randomInt } from '../js/rng.js';
+
+const take = (rng, n) => Array.from({ length: n }, () => rng.next());
+
+test('createRng: 相同种子产生相同序列', () => {
+    assert.deepEqual(take(createRng(42), 20), take(createRng(42), 20));
+    assert.deepEqual(take(createRng('bug-42'), 20), take(createRng('bug-42'), 20));
+    assert.notDeepEqual(take(createRng(42), 20), take(createRng(43), 20));
+    assert.notDeepEqual(take(createRng('42'), 5), take(createRng('43'), 5));
+});
+
+test('createRng: 返回 [0, 1) 的浮点数并保留种子', () => {
+    const rng = createRng('range');
+    assert.equal(rng.seed, 'range');
+    take(rng, 1000).forEach(v => assert.ok(v >= 0 && v < 1));
+});
+
+test('seedRng: 重置共享 RNG 后 random() / randomInt() 可复现', () => {
+    const previous = getRng();
+    try {
+        seedRng(7);
+        const first = [random(), randomInt(6), randomInt(6)];
+        seedRng(7);
+        assert.deepEqual([random(), randomInt(6), randomInt(6)], first);
+        for (let i = 0; i < 200; i++) {
+            const n = randomInt(6);
+            assert.ok(Number.isInteger(n) && n >= 0 && n < 6);
+        }
+    } finally {
+        setRng(previous);
+    }
+});
+
+test('setRng: 注入固定序列，拒绝没有 next() 的对象', () => {
+    const previous = getRng();
+    try {
+        const values = [0.5, 0.25];
+        setRng({ next: () => values.shift() });
+        assert.equal(random(), 0.5);
+        assert.equal(randomInt(8), 2);
+        assert.throws(() => setRng({}), /next\(\)/);
+    } finally {
+        setRng(previous);
+    }
+});
+
+test('resolveSeed: 没有 URL 参数时使用 config.rng_seed', () => {
+    assert.equal(resolveSeed({ rng_seed: 'abc' }), 'abc');
+    assert.equal(resolveSeed({ rng_seed: 0 }), 0);
+    assert.equal(resolveSeed({ rng_seed: '' }), null);
+    assert.equal(resolveSeed(), null);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { seedRng } from '../js/rng.js';
+import { simulate } from '../tools/rtp-simulator.js';
+
+const readConfig = name => JSON.parse(readFileSync(new URL(`../${name}`, import.meta.url), 'utf8'));
+
+/** 固定种子下模拟一种卡片组合（不带 Rigging，转轮数 3，下注 10） */
+async function run(cards, { cardConfig = readConfig('card.json'), symbolValues = readConfig('symbol-values.json'), weightData = readConfig('symbol-weights.json'), spins = 300 } = {}) {
+    seedRng('rtp-simulator-test');
+    return simulate({
+        reelCount: 3, bet: 10, cards, spins, rigProfile: 'off', weightData, stripLength: 30,
+        configs: { symbolValues, cardConfig, gridRows: 1 }
+    });
+}
+
+test('simulate: RTP 按引擎实际扣除的下注计算（bet_cost_multiplier）', async () => {
+    const cardConfig = readConfig('card.json');
+    cardConfig.cards = {
+        ...cardConfig.cards,
+        pricey: { name: 'PRICEY', probability: 0, effects: { bet_cost_multiplier: 2 } },
+        cheap: { name: 'CHEAP', probability: 0, effects: { bet_cost_multiplier: 0.5 } }
+    };
+
+    const none = await run([], { cardConfig });
+    const pricey = await run(['pricey'], { cardConfig });
+    const cheap = await run(['cheap'], { cardConfig });
+    assert.ok(none.rtp > 0);
+    // 同一种子下结果相同，只有下注消耗不同
+    assert.ok(Math.abs(pricey.rtp * 2 - none.rtp) < 1e-9);
+    assert.ok(Math.abs(cheap.rtp / 2 - none.rtp) < 1e-9);
+    assert.equal(pricey.hitRate, none.hitRate);
+});
+
+test('simulate: 触发的免费旋转在同一次模拟中玩完，奖励计入触发它的付费旋转', async () => {
+    // 三个转轮全是 scatter：每次付费旋转都触发 8 次免费旋转（不重新触发），免费旋转奖励 ×2
+    const weightData = { ...readConfig('symbol-weights.json'), strips: Array(3).fill(['scatter', 'scatter', 'scatter']) };
+    const withSpins = (spins) => {
+        const symbolValues = readConfig('symbol-values.json');
+        symbolValues.features.free_spins = { spins, multiplier: 2, retrigger: false };
+        return symbolValues;
+    };
+
+    const paidOnly = await run([], { weightData, symbolValues: withSpins(0), spins: 20 });
+    const result = await run([], { weightData, symbolValues: withSpins(8), spins: 20 });
+    assert.equal(paidOnly.freeSpinRate, 0);
+    assert.equal(result.freeSpinRate, 1);
+    assert.equal(result.freeSpinsPerSpin, 8);
+    assert.equal(result.rtp, paidOnly.rtp * (1 + 8 * 2));
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SaveManager, { migrateSave, parseExport, profileKey, SAVE_KEY, SAVE_VERSION } from '../js/save-manager.js';
+
+/** 内存中的 localStorage */
+function createStorage(entries = {}) {
+    const data = new Map(Object.entries(entries));
+    return {
+        data,
+        getItem: key => data.get(key) ?? null,
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: key => data.delete(key)
+    };
+}
+
+test('migrateSave: 没有版本号的早期存档整体作为状态', () => {
+    const save = migrateSave({ coins: 12, inventory: ['slow'] });
+    assert.equal(save.version, SAVE_VERSION);
+    assert.equal(save.state.coins, 12);
+    assert.deepEqual(save.state.inventory, ['slow']);
+});
+
+test('migrateSave: 比当前版本新的存档抛出错误', () => {
+    assert.throws(() => migrateSave({ version: SAVE_VERSION + 1, state: {} }), /newer/);
+});
+
+test('migrateSave: 1 → 2 补上 stats 字段', () => {
+    const save = migrateSave({ version: 1, savedAt: null, state: { coins: 5 } });
+    assert.deepEqual(save.state, { coins: 5, stats: {} });
+});
+
+test('SaveManager: 写入后读回相同状态，clear() 删除存档', () => {
+    const saves = new SaveManager(createStorage());
+    assert.equal(saves.load(), null);
+    saves.save({ coins: 30, gems: 2 });
+    assert.ok(saves.hasSave());
+    assert.equal(saves.load().coins, 30);
+    saves.clear();
+    assert.equal(saves.hasSave(), false);
+});
+
+test('SaveManager: 读取旧存档时迁移并以新格式写回', () => {
+    const storage = createStorage({ [SAVE_KEY]: JSON.stringify({ coins: 7 }) });
+    assert.equal(new SaveManager(storage).load().coins, 7);
+    assert.equal(JSON.parse(storage.data.get(SAVE_KEY)).version, SAVE_VERSION);
+});
+
+test('SaveManager: 存档损坏时返回 null（开始新游戏）', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const storage = createStorage({ [SAVE_KEY]: '{not json' });
+    assert.equal(new SaveManager(storage).load(), null);
+});
+
+test('parseExport: 读取 exportSave() 的文件并迁移旧版本', () => {
+    const saves = new SaveManager(createStorage());
+    assert.deepEqual(parseExport(saves.exportSave({ coins: 9 })), { profile: 'default', state: { coins: 9 } });
+
+    const old = JSON.stringify({ format: 'slottogawa-save', version: 1, profile: 'alt', state: { coins: 4 } });
+    assert.deepEqual(parseExport(old), { profile: 'alt', state: { coins: 4, stats: {} } });
+});
+
+test('parseExport: 非法 JSON、格式标识不符或版本过新时抛出错误', () => {
+    assert.throws(() => parseExport('{'), /not valid JSON/);
+    assert.throws(() => parseExport(JSON.stringify({ version: 2, state: {} })), /Not a save file/);
+    assert.throws(() => parseExport(JSON.stringify({ format: 'slottogawa-save', version: SAVE_VERSION + 1 })), /newer/);
+});
+
+test('存档位：每个存档位使用独立的键，切换后读写对应存档', () => {
+    const storage = createStorage();
+    const saves = new SaveManager(storage);
+    saves.save({ coins: 1 });
+    saves.createProfile('alt');
+    assert.throws(() => saves.createProfile('alt'), /already exists/);
+    assert.throws(() => saves.createProfile('bad name'), /Profile name/);
+
+    saves.switchProfile('alt');
+    assert.equal(saves.load(), null);
+    saves.save({ coins: 2 });
+    assert.ok(storage.data.has(profileKey('alt')));
+    assert.equal(new SaveManager(storage).load().coins, 2, '重新打开时使用上次选择的存档位');
+
+    saves.switchProfile('default');
+    assert.equal(saves.load().coins, 1);
+    saves.deleteProfile('alt');
+    assert.equal(storage.data.has(profileKey('alt')), false);
+    assert.deepEqual(saves.listProfiles().map(p => p.name), ['default']);
+});
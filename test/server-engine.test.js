@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ServerGameEngine from '../js/server-engine.js';
+
+const STATE = {
+    coins: 95, gems: 0, currentBet: 5, activeLines: null, reelCount: 3, inventory: [], adHackActive: false,
+    waiterUpgradeLevel: 0, spinCount: 1, freeSpins: null, progressivePool: 100.5, stats: {}
+};
+const FAIR = { serverSeedHash: 'hash', clientSeed: 'client', nonce: 0 };
+const STRIP = ['coin_1', 'gem_1', 'bomb_1'];
+
+/** 模拟 api.js 的 ServerBackend：结算请求按 settleResponses 依次返回（Error 表示请求失败） */
+function createServer(settleResponses, session) {
+    return {
+        fair: FAIR,
+        initGame: async (count) => ({ reels: Array.from({ length: count }, () => STRIP) }),
+        spin: async () => ({ ok: true, strips: [STRIP, STRIP, STRIP], speeds: [5, 5, 5], free: false, cost: 5, fair: FAIR, state: STATE }),
+        stopReel: async (index) => ({
+            ok: true, index, stopIndex: 1, isLastReel: index === 2, state: STATE,
+            rigged: index === 0 ? { index: 1, strip: ['gem_1', 'gem_1', 'coin_1'] } : null
+        }),
+        settle: async () => {
+            const res = settleResponses.shift();
+            if (res instanceof Error) throw res;
+            return res;
+        },
+        openSession: async () => session
+    };
+}
+
+async function spinToSettle(engine) {
+    assert.ok((await engine.startSpin()).ok);
+    while (engine.isSpinning) assert.ok(await engine.stopNextReel());
+    assert.ok(engine.isAwaitingLock);
+}
+
+test('服务器模式：旋转、停止与结算都以服务器的结果为准', async () => {
+    const outcome = {
+        stops: [1, 0, 1], results: ['gem_1', 'gem_1', 'gem_1'], grid: [['gem_1'], ['gem_1'], ['gem_1']], reveals: [],
+        lines: [], reward: { coins: 0, gems: 9 }, restart: false, newCardType: null
+    };
+    const engine = new ServerGameEngine({ server: createServer([{ ok: true, outcome, state: { ...STATE, gems: 9 } }]) });
+    const spinStart = [];
+    engine.on('spinStart', payload => spinStart.push(payload));
+
+    assert.ok((await engine.startSpin()).ok);
+    assert.deepEqual(spinStart, [{ bet: 5, free: false }]);
+    assert.equal(engine.coins, 95);
+
+    // 第一个转轮停止时，服务器按 Rigging 重新生成第二个转轮
+    assert.deepEqual(await engine.stopNextReel(), { index: 0, isLastReel: false, rating: null });
+    assert.equal(engine.getStopTarget(0), 1);
+    assert.deepEqual(engine.lastStrips[1], ['gem_1', 'gem_1', 'coin_1']);
+    while (engine.isSpinning) assert.ok(await engine.stopNextReel());
+
+    assert.deepEqual(await engine.revealRandomSymbols(), { grid: outcome.grid, reveals: [] });
+    assert.equal(engine.gems, 0);   // 揭示动画结束、settle() 时才套用
+    assert.equal(engine.settle(), outcome);
+    assert.equal(engine.gems, 9);
+
+    // 验证记录：种子对、收到的转轮、停止位置与结果
+    assert.deepEqual(engine.fair, { ...FAIR, nonce: 1 });
+    const [record] = engine.fairSpins;
+    assert.equal(record.nonce, 0);
+    assert.deepEqual(record.stops, [1, 1, 1]);
+    assert.equal(record.manualStops, 3);
+    assert.deepEqual(record.rigged, [{ index: 1, strip: ['gem_1', 'gem_1', 'coin_1'] }]);
+    assert.equal(record.outcome, outcome);
+});
+
+test('服务器模式：本页面的请求进行中时以 PENDING 拒绝新的旋转', async () => {
+    const engine = new ServerGameEngine({ server: createServer([]) });
+    const first = engine.startSpin();
+    assert.deepEqual(await engine.startSpin(), { ok: false, reason: 'PENDING' });
+    assert.ok((await first).ok);
+});
+
+test('服务器模式：会话已有未结算的旋转时返回服务器的 BUSY，resync 后可继续旋转', async () => {
+    const interrupted = {
+        stops: [0, 0, 0], results: ['coin_1', 'coin_1', 'coin_1'], grid: [['coin_1'], ['coin_1'], ['coin_1']], reveals: [],
+        lines: [], reward: { coins: 45, gems: 0 }, newCardType: null, nonce: 0
+    };
+    const session = { ok: true, sessionId: 's', state: { ...STATE, coins: 140 }, interrupted, fair: { ...FAIR, nonce: 1 } };
+    const server = createServer([], session);
+    const spin = server.spin;
+    server.spin = async () => ({ ok: false, reason: 'BUSY' });
+    const engine = new ServerGameEngine({ server });
+
+    assert.deepEqual(await engine.startSpin(), { ok: false, reason: 'BUSY' });
+    assert.ok(engine.isIdle);
+    assert.deepEqual(await engine.resync(), { ok: true, interrupted });
+    assert.equal(engine.coins, 140);
+    assert.deepEqual(engine.fairSpins, []);   // 不是本页面开始的旋转，不记入验证记录
+
+    server.spin = spin;
+    assert.ok((await engine.startSpin()).ok);
+});
+
+test('结算失败：网络错误与服务器拒绝以 error.reason 区分', async () => {
+    const server = createServer([new TypeError('Failed to fetch'), { ok: false, reason: 'NOT_SPINNING' }]);
+    const engine = new ServerGameEngine({ server });
+    await spinToSettle(engine);
+
+    await assert.rejects(engine.revealRandomSymbols(), err => err.reason === 'ERROR');
+    await assert.rejects(engine.revealRandomSymbols(), err => err.reason === 'NOT_SPINNING');
+    assert.equal(engine.pending, false);
+    assert.ok(engine.isAwaitingLock);
+});
+
+test('resync：重新打开会话，套用服务器补结算后的状态并记入验证记录', async () => {
+    const interrupted = {
+        stops: [1, 1, 1], results: ['gem_1', 'gem_1', 'gem_1'], grid: [['gem_1'], ['gem_1'], ['gem_1']], reveals: [],
+        lines: [], reward: { coins: 0, gems: 9 }, newCardType: null, nonce: 0
+    };
+    const session = { ok: true, sessionId: 's', state: { ...STATE, gems: 9 }, interrupted, fair: { ...FAIR, nonce: 1 } };
+    const engine = new ServerGameEngine({ server: createServer([{ ok: false, reason: 'NOT_SPINNING' }], session) });
+    await spinToSettle(engine);
+    await assert.rejects(engine.revealRandomSymbols());
+
+    const res = await engine.resync();
+    assert.deepEqual(res, { ok: true, interrupted });
+    assert.ok(engine.isIdle);
+    assert.equal(engine.gems, 9);
+    assert.deepEqual(engine.fair, session.fair);
+    assert.equal(engine.fairSpins[0].outcome, interrupted);
+    assert.deepEqual(engine.fairSpins[0].stops, [1, 1, 1]);
+});
@@ -0,0 +1,163 @@
+"""
+跨语言一致性测试的数据：用固定种子驱动 server_engine.GameSession，把每次旋转以 JSON 输出到标准输出，
+由 test/*.test.js 交给前端的 GameEngine 重新结算并逐项比较（需要安装 flask）
+
+运行：python test/session_fixture.py rules
+      python test/session_fixture.py fair <Rigging 档位>
+"""
+import copy
+import json
+import os
+import random
+import shutil
+import sys
+import tempfile
+
+ROOT_DIR = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+
+sys.dont_write_bytecode = True
+sys.path.insert(0, ROOT_DIR)
+
+SEEDS = range(1, 9)
+SPINS_PER_SEED = 40
+
+
+def fixed_seed_pair(seed):
+    """固定的种子对，替换会话创建时随机生成的种子"""
+    from server_engine import hash_server_seed
+    server_seed = f'{seed:064x}'
+    return {'serverSeed': server_seed, 'serverSeedHash': hash_server_seed(server_seed),
+            'clientSeed': f'parity-{seed}', 'nonce': 0}
+
+
+def prepare_session(app, seed):
+    session = app.open_session()
+    session.fair = fixed_seed_pair(seed)
+    session.state['reelCount'] = 3 + seed % 3
+    return session
+
+
+def top_up(session, pick, below=1000, amount=2000):
+    """金币或卡片不足时补充，让每个种子都能完成全部旋转"""
+    state = session.state
+    if state['coins'] < below:
+        state['coins'] += amount
+    while len(state['inventory']) < 3:
+        state['inventory'].append(pick.choice(sorted(session.card_defs())))
+
+
+def force_results(session, pick):
+    """把转轮替换为指定符号（一半概率全部相同），覆盖随机转轮很少命中的组合、wild 与 scatter"""
+    symbols = sorted(session.symbol_map)
+    count = len(session.spin['strips'])
+    if pick.random() < 0.5:
+        results = [pick.choice(symbols)] * count
+        for reel in range(count):
+            if pick.random() < 0.25:
+                results[reel] = 'wild'
+    else:
+        results = [pick.choice(symbols) for _ in range(count)]
+    session.spin['strips'] = [[symbol] for symbol in results]
+    session.spin['stops'] = [0] * count
+
+
+def rules_spins():
+    """
+    每个种子一局：随机下注与卡片，一半旋转按服务器停止位置（含 Rigging），一半强制指定结果
+    :return: [{seed, before, bet, cards, outcome, after}]，before / after 为旋转前后的状态
+    """
+    import app
+    spins = []
+    for seed in SEEDS:
+        pick = random.Random(seed)
+        session = prepare_session(app, seed)
+        levels = session.bet_levels()
+        for _ in range(SPINS_PER_SEED):
+            top_up(session, pick)
+            inventory = session.state['inventory']
+            cards = [i for i in range(len(inventory)) if pick.random() < 0.3]
+            bet = pick.choice(levels)
+            before = copy.deepcopy(session.state)
+            start = session.start_spin(bet, cards)
+            assert start['ok'], start
+            if pick.random() < 0.5:
+                force_results(session, pick)
+            else:
+                for reel in range(len(start['strips'])):
+                    assert session.stop_reel(reel)['ok']
+            settled = session.settle()
+            assert settled['ok'], settled
+            spins.append({'seed': seed, 'before': before, 'bet': bet, 'cards': cards,
+                          'outcome': settled['outcome'], 'after': copy.deepcopy(session.state)})
+    return spins
+
+
+def reopen(app, session, profile):
+    """像服务器处理每个请求一样，经 JSON 保存后重新打开会话（旋转中的 RNG 状态也要能恢复）"""
+    session = app.open_session(json.loads(json.dumps(session.to_dict())))
+    session.config['rigging']['profile'] = profile
+    return session
+
+
+def fair_spins(profile):
+    """
+    用指定 Rigging 档位玩一局，并按 ServerGameEngine.fairSpins 的格式记录每次旋转：
+    随机停止若干转轮后，正常结算、EXIT（逃脱或中止）或断线后由服务器补结算
+    :return: {profile, serverSeed, records}，serverSeed 为换种子后公开的值
+    """
+    import app
+    pick = random.Random(profile)
+    session = prepare_session(app, 7)
+    session.config['rigging']['profile'] = profile
+    # 金币保持在较低水平，mild 等随金币减弱的档位才会偏向
+    bets = [bet for bet in session.bet_levels() if bet <= 10]
+    records = []
+    for _ in range(SPINS_PER_SEED):
+        top_up(session, pick, below=60, amount=150)
+        inventory = session.state['inventory']
+        cards = [i for i in range(len(inventory)) if pick.random() < 0.3]
+        card_types = [inventory[i] for i in cards]
+        start = session.start_spin(pick.choice(bets), cards)
+        assert start['ok'], start
+        record = {**start['fair'], 'bet': session.state['currentBet'], 'cardTypes': card_types,
+                  'coins': session.state['coins'], 'strips': copy.deepcopy(start['strips']), 'rigged': [],
+                  'stops': [None] * len(start['strips']), 'manualStops': 0, 'outcome': None}
+        records.append(record)
+
+        interrupt_at = pick.randrange(len(start['strips']) + 1)
+        for reel in range(interrupt_at):
+            session = reopen(app, session, profile)
+            stop = session.stop_reel(reel)
+            record['stops'][reel] = stop['stopIndex']
+            record['manualStops'] += 1
+            if stop['rigged']:
+                record['rigged'].append(copy.deepcopy(stop['rigged']))
+
+        session = reopen(app, session, profile)
+        if interrupt_at == len(start['strips']):
+            record['outcome'] = session.settle()['outcome']
+        elif pick.random() < 0.5:
+            record['outcome'] = session.finish_interrupted_spin()
+            record['stops'] = list(record['outcome']['stops'])
+        elif session.exit_spin()['action'] == 'escape':
+            record['stops'] = list(session.spin['stops'])
+            record['outcome'] = session.settle()['outcome']
+    revealed = session.rotate_seed()['revealed']
+    return {'profile': profile, 'serverSeed': revealed['serverSeed'], 'records': records}
+
+
+FIXTURES = {'rules': rules_spins, 'fair': fair_spins}
+
+
+def main(name, *args):
+    # 会话不写入数据库；SessionStore 仍会在导入 app 时建库，放到临时目录并在结束后删除
+    temp_dir = tempfile.mkdtemp()
+    os.environ['SLOT_SESSION_DB'] = os.path.join(temp_dir, 'sessions.sqlite3')
+    try:
+        json.dump(FIXTURES[name](*args), sys.stdout)
+    finally:
+        shutil.rmtree(temp_dir, ignore_errors=True)
+
+
+if __name__ == '__main__':
+    main(*(sys.argv[1:] or ['rules']))
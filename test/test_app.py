@@ -0,0 +1,105 @@
+"""
+app.py 的接口测试：
+- 静态文件路由：会话数据库（钱包、RNG 状态与未公开的 server seed）不能通过任何路径写法下载
+- 打开会话：新会话的第一个种子对使用玩家提供的 client seed
+
+运行：python -m unittest discover -s test
+"""
+import os
+import shutil
+import sys
+import unittest
+from unittest import mock
+
+ROOT_DIR = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+INSTANCE_DIR = os.path.join(ROOT_DIR, 'instance')
+DB_NAME = 'test-sessions.sqlite3'
+
+sys.path.insert(0, ROOT_DIR)
+
+
+created_instance = False
+client = None
+
+
+def setUpModule():
+    # app 导入时按 SLOT_SESSION_DB 建库，所有测试共用同一个测试数据库
+    global created_instance, client
+    created_instance = not os.path.isdir(INSTANCE_DIR)
+    os.environ['SLOT_SESSION_DB'] = os.path.join(INSTANCE_DIR, DB_NAME)
+    import app
+    client = app.app.test_client()
+
+
+def tearDownModule():
+    os.environ.pop('SLOT_SESSION_DB', None)
+    if created_instance:
+        shutil.rmtree(INSTANCE_DIR, ignore_errors=True)
+    else:
+        for suffix in ('', '-journal', '-wal', '-shm'):
+            path = os.path.join(INSTANCE_DIR, DB_NAME + suffix)
+            if os.path.exists(path):
+                os.remove(path)
+
+
+class StaticGuardTest(unittest.TestCase):
+    @classmethod
+    def setUpClass(cls):
+        cls.client = client
+        # 打开一个会话，确保数据库文件存在
+        res = cls.client.post('/api/session', json={})
+        assert res.status_code == 200, res.get_data(as_text=True)
+        assert os.path.isfile(os.path.join(INSTANCE_DIR, DB_NAME))
+
+    def test_session_db_is_not_served(self):
+        for path in [
+            f'/instance/{DB_NAME}',
+            f'/./instance/{DB_NAME}',
+            f'/js/../instance/{DB_NAME}',
+            f'/css/./../instance/{DB_NAME}',
+            f'/instance/../instance/{DB_NAME}',
+            f'//instance/{DB_NAME}',
+            '/instance/',
+        ]:
+            with self.subTest(path=path):
+                self.assertEqual(self.client.get(path).status_code, 404)
+
+    def test_custom_db_path_is_private(self):
+        import app
+        with mock.patch.object(app, 'SESSION_DB_PATH', os.path.join(ROOT_DIR, 'data', 'slot.sqlite3')):
+            self.assertTrue(app.is_private_path('data/slot.sqlite3'))
+            self.assertTrue(app.is_private_path('js/../data/slot.sqlite3-wal'))
+            self.assertFalse(app.is_private_path('data/other.json'))
+
+    def test_static_files_are_served(self):
+        self.assertEqual(self.client.get('/config.json').status_code, 200)
+        self.assertEqual(self.client.get('/js/../defaults.json').status_code, 200)
+
+
+class OpenSessionTest(unittest.TestCase):
+    def test_new_session_uses_player_client_seed(self):
+        fair = client.post('/api/session', json={'clientSeed': 'player-seed'}).get_json()['fair']
+        self.assertEqual(fair['clientSeed'], 'player-seed')
+        self.assertEqual(fair['nonce'], 0)
+        self.assertNotIn('serverSeed', fair)
+
+    def test_resumed_session_keeps_its_seed_pair(self):
+        opened = client.post('/api/session', json={'clientSeed': 'first'}).get_json()
+        resumed = client.post('/api/session', json={'sessionId': opened['sessionId'], 'clientSeed': 'second'}).get_json()
+        self.assertEqual(resumed['sessionId'], opened['sessionId'])
+        self.assertEqual(resumed['fair'], opened['fair'])
+
+    def test_server_generates_client_seed_when_omitted(self):
+        fair = client.post('/api/session', json={}).get_json()['fair']
+        self.assertRegex(fair['clientSeed'], r'^[0-9a-f]{16}$')
+
+    def test_invalid_client_seed_is_rejected(self):
+        for seed in ['', 'x' * 65, 42]:
+            with self.subTest(seed=seed):
+                res = client.post('/api/session', json={'clientSeed': seed})
+                self.assertEqual(res.status_code, 400)
+                self.assertEqual(res.get_json()['reason'], 'INVALID_CLIENT_SEED')
+
+
+if __name__ == '__main__':
+    unittest.main()
@@ -0,0 +1,318 @@
+/**
+ * RTP 蒙特卡洛模拟器（Node CLI）
+ *
+ * 使用当前目录下的配置文件（symbol-weights.json、symbol-values.json、card.json、config.json），
+ * 直接驱动 GameEngine 完成大量旋转，统计每种「下注 × 卡片组合 × 转轮数」下的：
+ * - RTP（返还率）= 返还金币 / 下注金币
+ * - 每次旋转返还倍数（返还 / 下注）的方差与标准差
+ * - 命中率（获得金币或宝石的比例）
+ * - 炸弹亏损率（结算为扣金币的比例，护盾抵消前）
+ * - 抽卡率、卡片过载（restart）率、每次旋转平均宝石
+ * - 大奖（全部转轮一致，isExactMatch）事件按符号的分布
+ * - 累积奖池命中率与平均奖池金额（奖池在同一组合的所有旋转间持续累积，计入 RTP）
+ * - 免费旋转触发率；触发的免费旋转在同一次模拟中玩完，奖励计入触发它的付费旋转
+ *
+ * 与真实游戏一致的建模：
+ * - 转轮 strip 由 generateWeightedStrip 生成（含按转轮的权重覆盖与固定 strip），结算走 GameEngine.settle / calculateReward
+ * - 每个转轮停在 strip 上的随机位置（技巧停止视为均匀随机）
+ * - RTP 的分母为引擎实际扣除的金币（bet_cost_multiplier 等卡片会改变下注消耗）
+ * - config.json 的 grid_rows > 1 时按全部赔付线结算，RTP 以总下注（倍率 × 赔付线数）计算
+ * - 每停下一个转轮，下一个转轮按已锁定的结果和 Rigging 档位重新生成（rigNextReel 偏向）
+ * - 卡片效果（card.json 的 effects）通过引擎的选中卡片生效
+ *
+ * 用法：
+ *   node tools/rtp-simulator.js [--spins 100000] [--bets 5,10,20,50,100] [--reels 3,4,5]
+ *                               [--cards none,double,bomb,cashout,shield] [--rows 3] [--seed 42]
+ *                               [--rig-profile off|mild|current|aggressive] [--no-rig] [--json]
+ *
+ * --bets 省略时使用 config.json 的 bets.levels（奖励与扣除倍率按 bets.base / bets.loss_scaling 计算）
+ *
+ * --rig-profile 覆盖 config.json 的 rigging.profile；--no-rig 等同于 --rig-profile off
+ *
+ * 卡片组合用 + 连接，例如 --cards none,double+shield
+ *
+ * @module rtp-simulator
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import GameEngine from '../js/game-engine.js';
+import { generateWeightedStrip, mergeFixedStrips, mergeSymbolLimits, mergeSymbolWeights } from '../js/reel-generator.js';
+import { getRng, seedRng } from '../js/rng.js';
+import { stripWindow } from '../js/paylines.js';
+import { resolveRiggingProfile } from '../js/rigging.js';
+import { withDefaults } from '../js/defaults.js';
+
+const ROOT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * 读取项目根目录下的 JSON 配置
+ * @param {string} name - 文件名
+ * @returns {Object}
+ */
+function readConfig(name) {
+    return JSON.parse(readFileSync(join(ROOT_DIR, name), 'utf-8'));
+}
+
+/**
+ * 解析命令行参数
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {Object} 模拟选项
+ */
+function parseArgs(argv) {
+    const options = {
+        spins: 100000,
+        bets: null,
+        reels: [3, 4, 5],
+        cards: [[]],
+        seed: null,
+        rows: null,
+        rig: true,
+        rigProfile: null,
+        json: false
+    };
+    const list = (v) => String(v).split(',').map(x => x.trim()).filter(Boolean);
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+        if (arg === '--spins') options.spins = parseInt(next(), 10);
+        else if (arg === '--bets') options.bets = list(next()).map(Number);
+        else if (arg === '--reels') options.reels = list(next()).map(Number);
+        else if (arg === '--cards') options.cards = list(next()).map(c => (c === 'none' ? [] : c.split('+')));
+        else if (arg === '--seed') options.seed = next();
+        else if (arg === '--rows') options.rows = parseInt(next(), 10);
+        else if (arg === '--no-rig') options.rig = false;
+        else if (arg === '--rig-profile') options.rigProfile = next();
+        else if (arg === '--json') options.json = true;
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    if (!Number.isInteger(options.spins) || options.spins <= 0) throw new Error('--spins must be a positive integer');
+    if (options.bets?.some(b => !Number.isFinite(b) || b <= 0)) throw new Error('--bets must be positive numbers');
+    if (options.reels.some(r => !Number.isInteger(r) || r < 3 || r > 5)) throw new Error('--reels must be between 3 and 5');
+    return options;
+}
+
+/**
+ * 模拟一种「转轮数 × 下注 × 卡片组合」
+ * @param {Object} params
+ * @returns {Promise<Object>} 统计结果
+ */
+export async function simulate({ reelCount, bet, cards, spins, rigProfile, weightData, stripLength, configs }) {
+    const rng = getRng();
+    const fixedStrips = mergeFixedStrips(weightData);
+    const makeStrip = (biasSymbols, opts) => generateWeightedStrip({
+        length: stripLength,
+        biasSymbols,
+        weightMultipliers: opts?.weightMultipliers,
+        weights: mergeSymbolWeights(weightData, opts?.reelIndex),
+        limits: mergeSymbolLimits(weightData, opts?.reelIndex),
+        strips: fixedStrips,
+        reelIndex: opts?.reelIndex,
+        rng
+    });
+
+    const engine = new GameEngine({
+        ...configs,
+        reelSource: {
+            initGame: async (count, opts) => {
+                const reels = [];
+                for (let i = 0; i < count; i++) reels.push(await makeStrip([], { ...opts, reelIndex: i }));
+                return { reels };
+            },
+            generateReel: async (biasSymbols, opts) => ({ strip: await makeStrip(biasSymbols, opts) })
+        }
+    });
+    engine.reelCount = reelCount;
+    engine.currentBet = bet;
+    engine.setRiggingProfile(rigProfile);
+
+    const cardDefs = engine.getCardDefs();
+    const unknown = cards.filter(c => !cardDefs[c]);
+    if (unknown.length) throw new Error(`Unknown card type: ${unknown.join(', ')}`);
+
+    const totals = {
+        bet: 0, returned: 0, sumSq: 0, gems: 0,
+        hits: 0, losses: 0, newCards: 0, restarts: 0, jackpots: 0,
+        progressiveWins: 0, progressiveCoins: 0, freeSpinTriggers: 0, freeSpinsPlayed: 0
+    };
+    const jackpotBySymbol = {};
+    const pickStop = (strip) => {
+        const index = Math.floor(rng.next() * strip.length);
+        return engine.isGridMode ? stripWindow(strip, index, engine.gridRows) : strip[index];
+    };
+    const lineCount = engine.getActivePaylines().length;
+    const totalBet = bet * lineCount;
+
+    // 完成一次旋转（付费或免费）：每次都使用同一组卡片，停止全部转轮后结算
+    const playSpin = async () => {
+        engine.inventory = [...cards];
+        engine.activeCards = cards.map((_, i) => i);
+
+        const betBefore = engine.stats.totalBet;
+        const spin = await engine.startSpin();
+        if (!spin.ok) throw new Error(`startSpin failed: ${spin.reason}`);
+        // 实际消耗以引擎记账为准（卡片可能改变下注消耗，免费旋转为 0）
+        const staked = engine.stats.totalBet - betBefore;
+        // 付费旋转扣除下注后金币从 0 开始计算返还（Rigging 看到的金币与玩家押上全部金币时相同）
+        if (!spin.free) engine.coins = 0;
+        const strips = spin.strips;
+        const results = [];
+
+        for (let i = 0; i < reelCount; i++) {
+            const { index, isLastReel } = engine.stopNextReel();
+            results.push(pickStop(strips[index]));
+            if (!isLastReel) {
+                const locked = engine.isGridMode ? results.map(col => col[Math.floor(col.length / 2)]) : results;
+                const rigged = await engine.rigNextReel(index, locked);
+                if (rigged) strips[index + 1] = rigged;
+            }
+        }
+
+        const outcome = engine.settle(results);
+        engine.reset();
+
+        totals.gems += outcome.reward.gems;
+        if (outcome.progressiveWin > 0) {
+            totals.progressiveWins++;
+            totals.progressiveCoins += outcome.progressiveWin;
+        }
+        if (outcome.isExactMatch) {
+            totals.jackpots++;
+            const sym = outcome.results[0];
+            jackpotBySymbol[sym] = (jackpotBySymbol[sym] || 0) + 1;
+        }
+        return { outcome, staked };
+    };
+
+    for (let n = 0; n < spins; n++) {
+        // 每次付费旋转互相独立：清空免费旋转，金币足够支付任何下注消耗
+        engine.freeSpins = null;
+        engine.coins = Number.MAX_SAFE_INTEGER;
+        const { outcome, staked } = await playSpin();
+
+        // 本次触发的免费旋转在同一轮内玩完，奖励计入触发它的付费旋转
+        if (outcome.freeSpinsAwarded > 0) totals.freeSpinTriggers++;
+        while (engine.freeSpins) {
+            await playSpin();
+            totals.freeSpinsPlayed++;
+        }
+
+        const returned = engine.coins;
+        const multiple = returned / totalBet;
+        totals.bet += staked;
+        totals.returned += returned;
+        totals.sumSq += multiple * multiple;
+
+        if (outcome.restart) totals.restarts++;
+        if (outcome.reward.coins > 0 || outcome.reward.gems > 0) totals.hits++;
+        if (outcome.reward.coins < 0 || outcome.shieldedLoss) totals.losses++;
+        if (outcome.newCardType) totals.newCards++;
+    }
+
+    // 方差按名义下注（倍率 × 赔付线数）计算返还倍数，RTP 按实际消耗的金币计算
+    const meanMultiple = totals.returned / (spins * totalBet);
+    const variance = totals.sumSq / spins - meanMultiple * meanMultiple;
+    return {
+        reels: reelCount,
+        bet,
+        lines: lineCount,
+        cards: cards.length ? cards.join('+') : 'none',
+        spins,
+        rtp: totals.returned / totals.bet,
+        variance,
+        stdDev: Math.sqrt(Math.max(0, variance)),
+        hitRate: totals.hits / spins,
+        lossRate: totals.losses / spins,
+        cardRate: totals.newCards / spins,
+        restartRate: totals.restarts / spins,
+        gemsPerSpin: totals.gems / spins,
+        jackpotRate: totals.jackpots / spins,
+        jackpotBySymbol,
+        progressiveRate: totals.progressiveWins / spins,
+        progressiveAverage: totals.progressiveWins ? totals.progressiveCoins / totals.progressiveWins : 0,
+        freeSpinRate: totals.freeSpinTriggers / spins,
+        freeSpinsPerSpin: totals.freeSpinsPlayed / spins
+    };
+}
+
+/**
+ * 以表格形式打印结果
+ * @param {Object[]} rows - simulate() 结果列表
+ */
+function printTable(rows) {
+    const pct = (v) => `${(v * 100).toFixed(2)}%`;
+    const header = ['reels', 'bet', 'lines', 'cards', 'spins', 'RTP', 'stdDev', 'hit', 'bombLoss', 'card', 'restart', 'gems/spin', 'jackpot', 'progressive', 'avgPool', 'freeSpins'];
+    const lines = rows.map(r => [
+        r.reels, r.bet, r.lines, r.cards, r.spins, pct(r.rtp), r.stdDev.toFixed(3), pct(r.hitRate), pct(r.lossRate),
+        pct(r.cardRate), pct(r.restartRate), r.gemsPerSpin.toFixed(3), pct(r.jackpotRate),
+        pct(r.progressiveRate), r.progressiveAverage.toFixed(1), pct(r.freeSpinRate)
+    ].map(String));
+    const widths = header.map((h, i) => Math.max(h.length, ...lines.map(l => l[i].length)));
+    const fmt = (cols) => cols.map((c, i) => c.padStart(widths[i])).join('  ');
+
+    console.log(fmt(header));
+    lines.forEach(l => console.log(fmt(l)));
+
+    console.log('\nJackpot (isExactMatch) distribution per 1M spins:');
+    rows.forEach(r => {
+        const dist = Object.entries(r.jackpotBySymbol)
+            .sort((a, b) => b[1] - a[1])
+            .map(([sym, count]) => `${sym}=${((count / r.spins) * 1e6).toFixed(1)}`)
+            .join(' ');
+        console.log(`  reels=${r.reels} bet=${r.bet} cards=${r.cards}: ${dist || '-'}`);
+    });
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log(readFileSync(fileURLToPath(import.meta.url), 'utf-8').match(/用法：[\s\S]*?(?=\n \*\n \* @module)/)[0].replace(/^ \* ?/gm, ''));
+        return;
+    }
+
+    const seed = seedRng(options.seed);
+    const config = withDefaults('config.json', readConfig('config.json'));
+    const weightData = readConfig('symbol-weights.json');
+    const stripLength = Math.max(3, parseInt(config.reel_strip_length, 10));
+    const configs = {
+        symbolValues: readConfig('symbol-values.json'),
+        cardConfig: readConfig('card.json'),
+        gridRows: options.rows ?? config.grid_rows,
+        paylines: config.paylines,
+        rigging: config.rigging,
+        bets: config.bets
+    };
+    const bets = options.bets ?? new GameEngine(configs).getBetLevels();
+
+    const rigName = options.rig ? resolveRiggingProfile(config.rigging, options.rigProfile).name : 'off';
+    const rows = [];
+    for (const reelCount of options.reels) {
+        for (const bet of bets) {
+            for (const cards of options.cards) {
+                rows.push(await simulate({
+                    reelCount, bet, cards, spins: options.spins, rigProfile: rigName,
+                    weightData, stripLength, configs
+                }));
+            }
+        }
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify({ seed, rig: rigName, rows }, null, 2));
+    } else {
+        console.log(`seed=${seed} rig=${rigName} strip_length=${stripLength} grid_rows=${configs.gridRows ?? 1}\n`);
+        printTable(rows);
+    }
+}
+
+// 作为模块导入（测试）时不运行命令行
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch(err => {
+        console.error(err.message);
+        process.exit(1);
+    });
+}